@@ -1,5 +1,18 @@
 import * as path from "path";
 import * as fs from "fs";
+import * as os from "os";
+import { config } from "@fromjs/core";
+
+export const DEFAULT_BLOCK_LIST = [
+  "inspectlet.com", // does a whole bunch of stuff that really slows page execution down
+  "google-analytics.com",
+  "newrelic.com", // overwrites some native functions used directly in FromJS (shouldn't be done ideally, but for now blocking is easier)
+  "intercom.com",
+  "segment.com",
+  "bugsnag",
+  "mixpanel",
+  "piwik",
+];
 
 export class BackendOptions {
   bePort: number;
@@ -10,6 +23,16 @@ export class BackendOptions {
   block: any[];
   disableDefaultBlockList: boolean;
   backendOriginWithoutPort: string;
+  defaultBlockList: string[];
+  logPerf: boolean;
+  // Build the locLogs and locsByUrl indexes used by the code viewer when the backend starts
+  generateDerived: boolean;
+  // Listen on all network interfaces instead of just localhost
+  expose: boolean;
+  // Hostname other machines use to reach the backend when it's exposed
+  exposedHostname: string | null;
+  // Origins other than the backend itself that can use the inspector UI API
+  allowedOrigins: string[];
 
   constructor({
     bePort,
@@ -20,6 +43,12 @@ export class BackendOptions {
     block,
     disableDefaultBlockList,
     backendOriginWithoutPort,
+    defaultBlockList = DEFAULT_BLOCK_LIST,
+    logPerf = config.LOG_PERF,
+    generateDerived = !!process.env.GENERATE_DERIVED,
+    expose = false,
+    exposedHostname = null as string | null,
+    allowedOrigins = [] as string[],
   }) {
     this.bePort = bePort;
     this.proxyPort = proxyPort;
@@ -29,6 +58,43 @@ export class BackendOptions {
     this.block = block;
     this.disableDefaultBlockList = disableDefaultBlockList;
     this.backendOriginWithoutPort = backendOriginWithoutPort;
+    this.defaultBlockList = defaultBlockList;
+    this.logPerf = logPerf;
+    this.generateDerived = generateDerived;
+    this.expose = expose;
+    this.exposedHostname = exposedHostname;
+    this.allowedOrigins = allowedOrigins;
+  }
+
+  getAllowedOrigins() {
+    return [
+      "http://localhost:" + this.bePort,
+      "http://127.0.0.1:" + this.bePort,
+      this.backendOriginWithoutPort + ":" + this.bePort,
+      ...this.allowedOrigins,
+    ];
+  }
+
+  // Checked against the Host header, so pages on other domains that resolve
+  // to this machine (DNS rebinding) can't use the API
+  getAllowedHostnames() {
+    const hostnames = ["localhost", "127.0.0.1", "[::1]"];
+    if (this.backendOriginWithoutPort) {
+      hostnames.push(new URL(this.backendOriginWithoutPort).hostname);
+    }
+    if (this.expose) {
+      hostnames.push(os.hostname());
+      Object.values(os.networkInterfaces()).forEach((addresses) => {
+        (addresses || []).forEach(({ address }) => {
+          // IPv6 addresses are wrapped in brackets in the Host header
+          hostnames.push(address.includes(":") ? "[" + address + "]" : address);
+        });
+      });
+      if (this.exposedHostname) {
+        hostnames.push(this.exposedHostname);
+      }
+    }
+    return hostnames.map((hostname) => hostname.toLowerCase());
   }
 
   getCertDirectory() {
@@ -43,6 +109,14 @@ export class BackendOptions {
     return path.resolve(this.sessionDirectory, "session.json");
   }
 
+  getLogIndexesDirectory() {
+    return path.resolve(this.sessionDirectory, "log-indexes");
+  }
+
+  getTraversalCacheDirectory() {
+    return path.resolve(this.sessionDirectory, "traversal-cache");
+  }
+
   getLocStorePath() {
     return path.resolve(this.sessionDirectory, "locs");
   }
@@ -21,6 +21,32 @@ function getFileKey(url, body) {
   );
 }
 
+function isJavaScriptResponse(url, responseHeaders) {
+  const pathname = url.split(/[?#]/)[0];
+  if (/\.m?js$/.test(pathname)) {
+    return true;
+  }
+  // Module imports often don't have a file extension
+  const contentType = responseHeaders["content-type"] || "";
+  return /(java|ecma)script/.test(contentType);
+}
+
+// Instrumented modules don't match the integrity hashes in the import map,
+// so the browser would refuse to load them
+function removeImportMapIntegrity(importMapJson) {
+  let importMap;
+  try {
+    importMap = JSON.parse(importMapJson);
+  } catch (err) {
+    return importMapJson;
+  }
+  if (!importMap || !importMap.integrity) {
+    return importMapJson;
+  }
+  delete importMap.integrity;
+  return JSON.stringify(importMap, null, 2);
+}
+
 function rewriteHtml(html, { bePort, initialHtmlLogIndex }) {
   const originalHtml = html;
   // Not accurate because there could be an attribute attribute value like ">", should work
@@ -197,7 +223,7 @@ export class RequestHandler {
     const hasha = require("hasha");
     const hash = hasha(data, "hex").slice(0, 8);
 
-    let isJS = url.endsWith(".js");
+    let isJS = isJavaScriptResponse(url, responseHeaders);
     var isHtml =
       !isJS &&
       !url.endsWith(".png") &&
@@ -355,6 +381,7 @@ export class RequestHandler {
     const walk = require("walk-parse5");
 
     const inlineScriptTags: any[] = [];
+    const importMapScriptTags: any[] = [];
 
     walk(doc, async (node) => {
       // Optionally kill traversal
@@ -371,12 +398,18 @@ export class RequestHandler {
 
         const typeIsJS =
           !typeAttribute ||
-          ["application/javascript", "text/javascript"].includes(
+          ["application/javascript", "text/javascript", "module"].includes(
             typeAttribute.value
           );
         const isInlineScriptTag = !hasSrcAttribute && typeIsJS;
         if (isInlineScriptTag) {
           inlineScriptTags.push(node);
+        } else if (
+          !hasSrcAttribute &&
+          typeAttribute &&
+          typeAttribute.value === "importmap"
+        ) {
+          importMapScriptTags.push(node);
         }
       }
     });
@@ -404,6 +437,18 @@ export class RequestHandler {
       );
     });
 
+    importMapScriptTags.forEach((node) => {
+      const textNode = node.childNodes[0];
+      if (!textNode) {
+        return;
+      }
+      magicHtml.overwrite(
+        textNode.sourceCodeLocation.startOffset,
+        textNode.sourceCodeLocation.endOffset,
+        removeImportMapIntegrity(textNode.value)
+      );
+    });
+
     for (const insertion of insertions) {
       magicHtml.appendLeft(insertion.index, insertion.text);
     }
@@ -3,11 +3,30 @@ import {
   HtmlToOperationLogMapping,
   LocStore,
   LocLogs,
-  traverseDomOrigin,
+  getLongOperationName,
+  TraversalCache,
 } from "@fromjs/core";
+import { LogIndexEntry } from "@fromjs/core/src/LogServer/LogIndexes";
 import { traverse, TraversalStep } from "./src/traverse";
+import { searchLogs, isValidSearchLimit } from "./src/searchLogs";
+import {
+  createImpactRequestHandler,
+  getArgLogIndices,
+  createFindLogUses,
+} from "./src/impactAnalysis";
+import { traverseRange } from "./src/traverseRange";
+import {
+  getDefaultDomCharIndex,
+  getDomCharTraversalStart,
+} from "./src/domCharTraversal";
+import {
+  createAccessControlMiddleware,
+  isAllowedHost,
+  isAllowedOrigin,
+} from "./src/accessControl";
 import StackFrameResolver from "./src/StackFrameResolver";
 import * as fs from "fs";
+import * as LRU from "lru-cache";
 import * as crypto from "crypto";
 import * as path from "path";
 import * as express from "express";
@@ -15,11 +34,10 @@ import * as bodyParser from "body-parser";
 import * as WebSocket from "ws";
 import { BackendOptions } from "./BackendOptions";
 import * as responseTime from "response-time";
-import { config } from "@fromjs/core";
 import { RequestHandler } from "./RequestHandler";
 import * as puppeteer from "puppeteer";
 import { initSessionDirectory } from "./initSession";
-import { compileNodeApp } from "./compileNodeApp";
+import { compileNodeApp, runCompiledNodeApp } from "./compileNodeApp";
 import * as axios from "axios";
 import { traverseObject } from "@fromjs/core";
 import { prettifyAndMapFrameObject } from "./src/prettify";
@@ -28,7 +46,6 @@ import { resolve } from "dns";
 
 const ENABLE_DERIVED = false;
 const SAVE_LOG_USES = false;
-const GENERATE_DERIVED = process.env.GENERATE_DERIVED;
 
 let reportHtmlFileInfo = {
   url: "http://localhost:4444/report.html",
@@ -84,11 +101,6 @@ function createBackendCerts(options: BackendOptions) {
 }
 
 const DELETE_EXISTING_LOGS_AT_START = false;
-const LOG_PERF = config.LOG_PERF;
-
-if (LOG_PERF) {
-  require("./timeJson");
-}
 
 async function generateLocLogs({ logServer, locLogs }) {
   console.log("will generate locLogs");
@@ -170,6 +182,11 @@ async function generateLocLogs({ logServer, locLogs }) {
   // console.timeEnd(id);
 }
 
+const MAX_WARM_UP_TRAVERSALS = 20;
+
+// Routes called by instrumented code, see verifyToken
+const INSTRUMENTED_CODE_ROUTES = ["/storeLogs", "/inspect", "/inspectDOM"];
+
 export default class Backend {
   sessionConfig = null;
   handleTraverse = null as any;
@@ -177,6 +194,10 @@ export default class Backend {
   constructor(private options: BackendOptions) {
     console.time("create backend");
 
+    if (options.logPerf) {
+      require("./timeJson");
+    }
+
     if (DELETE_EXISTING_LOGS_AT_START) {
       console.log(
         "deleting existing log data, this makes sure perf data is more comparable... presumably leveldb slows down with more data"
@@ -223,7 +244,7 @@ export default class Backend {
     var compression = require("compression");
     app.use(compression());
 
-    if (LOG_PERF) {
+    if (options.logPerf) {
       console.log("will log perf");
       app.use(
         responseTime((req, res, time) => {
@@ -232,20 +253,37 @@ export default class Backend {
       );
     }
 
-    app.use(bodyParser.text({ limit: "500mb" }));
+    app.use(createAccessControlMiddleware(options, INSTRUMENTED_CODE_ROUTES));
 
-    app.post("/storeLogs", async (req, res) => {
-      app.verifyToken(req);
+    // Instrumented code can run on any website, so the routes it uses allow
+    // requests from any origin, but require the access token that's
+    // added to the code by the Babel plugin
+    app.verifyToken = function verifyToken(req, res, next) {
+      allowCrossOrigin(res);
+      const { authorization } = req.headers;
+      if (authorization !== sessionConfig.accessToken) {
+        console.log(
+          `Invalid access token | Request: ${req.method} ${req.path}`
+        );
+        res.status(401);
+        res.end(JSON.stringify({ err: "Invalid access token" }));
+        return;
+      }
+      next();
+    };
 
-      res.set("Access-Control-Allow-Origin", "*");
-      res.set(
-        "Access-Control-Allow-Headers",
-        "Content-Type, Access-Control-Allow-Headers, Authorization, X-Requested-With"
-      );
+    app.use(bodyParser.text({ limit: "500mb" }));
 
+    app.post("/storeLogs", app.verifyToken, async (req, res) => {
       // console.log("store logs", JSON.stringify(req.body, null, 2))
 
-      await doStoreLogs(req.body);
+      try {
+        await doStoreLogs(req.body);
+      } catch (err) {
+        res.status(500);
+        res.end(JSON.stringify({ err: err.message }));
+        return;
+      }
       res.end(JSON.stringify({ ok: true }));
     });
 
@@ -260,27 +298,14 @@ export default class Backend {
 
     const wss = new WebSocket.Server({
       server,
+      verifyClient: ({ origin, req }) =>
+        isAllowedHost(options, req.headers.host) &&
+        (!origin || isAllowedOrigin(options, origin)),
     });
 
     // Needed or else websocket connection doesn't work because of self-signed cert
     // process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
 
-    // "Access-Control-Allow-Origin: *" allows any website to send data to local server
-    // but that might be bad, so limit access to code generated by Babel plugin
-    app.verifyToken = function verifyToken(req) {
-      // const { authorization } = req.headers;
-      // const { accessToken } = sessionConfig;
-      // if (authorization !== accessToken) {
-      //   throw Error(
-      //     "Token invalid: " +
-      //       authorization +
-      //       " should be " +
-      //       accessToken +
-      //       ` | Request: ${req.method} + ${req.path}`
-      //   );
-      // }
-    };
-
     function getProxy() {
       return proxyInterface;
     }
@@ -311,15 +336,31 @@ export default class Backend {
 
     const logServer = new LevelDBLogServer(
       options.getTrackingDataDirectory(),
-      locStore
+      locStore,
+      options.getLogIndexesDirectory()
+    );
+    markLogIndexesCompleteIfNoLogs(logServer).catch((err) =>
+      console.log("Marking log indexes as complete failed", err)
     );
 
-    if (GENERATE_DERIVED) {
+    const traversalCache = new TraversalCache(
+      options.getTraversalCacheDirectory()
+    );
+
+    if (options.generateDerived) {
       generateLocLogs({ logServer, locLogs });
       generateUrlLocs({ locStore, options });
+      generateLogIndexes({ logServer, locStore }).catch((err) =>
+        console.log("Generating log indexes failed", err)
+      );
     }
 
-    let { storeLocs, handleTraverse, doStoreLogs } = setupBackend(
+    let {
+      storeLocs,
+      handleTraverse,
+      doStoreLogs,
+      warmUpDomTraversals,
+    } = setupBackend(
       options,
       app,
       wss,
@@ -329,9 +370,18 @@ export default class Backend {
       logUses,
       () => requestHandler,
       locStore,
-      logServer
+      logServer,
+      traversalCache
+    );
+    setupUI(
+      options,
+      app,
+      wss,
+      getProxy,
+      files,
+      () => requestHandler,
+      warmUpDomTraversals
     );
-    setupUI(options, app, wss, getProxy, files, () => requestHandler);
 
     this.handleTraverse = handleTraverse;
     this.doStoreLogs = doStoreLogs;
@@ -366,19 +416,19 @@ export default class Backend {
     //   }
     // });
 
-    ["/storeLogs", "/inspect", "/inspectDOM"].forEach((path) => {
-      // todo: don't allow requests from any site
+    INSTRUMENTED_CODE_ROUTES.forEach((path) => {
       app.options(path, allowCrossOriginRequests);
     });
 
+    const host = options.expose ? "0.0.0.0" : "localhost";
     const serverReady = new Promise((resolve) => {
-      server.listen(bePort, "0.0.0.0", () => resolve());
+      server.listen(bePort, host, () => resolve());
     });
 
     console.timeLog("create backend", "end of function");
     Promise.all([proxyReady, serverReady]).then(async () => {
       console.timeEnd("create backend");
-      console.log("Server listening on port " + bePort);
+      console.log("Server listening on " + host + ":" + bePort);
 
       if (process.env.PROCESS_REQUEST_QUEUE) {
         await this.processRequestQueue();
@@ -428,6 +478,37 @@ export default class Backend {
       fs.unlinkSync(filePath);
     }
   }
+
+  // Same as inspecting a DOM element in the UI and then traversing the
+  // selected character, but without going through the HTTP routes
+  async traverseDomElement(parts: any[], charIndex?: number) {
+    const mapping = new HtmlToOperationLogMapping(parts);
+    if (charIndex === undefined) {
+      charIndex = getDefaultDomCharIndex(mapping);
+    }
+
+    const result: any = {
+      html: mapping.getHtml(),
+      charIndex,
+    };
+
+    const traversalStart = getDomCharTraversalStart(mapping, charIndex);
+    if (!traversalStart) {
+      result.err = "No tracking data for character " + charIndex;
+      return result;
+    }
+
+    const steps = (await this.handleTraverse(
+      traversalStart.logId,
+      traversalStart.charIndex
+    )) as any;
+    if (steps.err) {
+      result.err = steps.err;
+    } else {
+      result.steps = steps;
+    }
+    return result;
+  }
 }
 
 const pageSessionsById = {};
@@ -440,7 +521,15 @@ function getPageSession(pageSessionId) {
   return pageSessionsById[pageSessionId];
 }
 
-function setupUI(options, app, wss, getProxy, files, getRequestHandler) {
+function setupUI(
+  options,
+  app,
+  wss,
+  getProxy,
+  files,
+  getRequestHandler,
+  warmUpDomTraversals
+) {
   wss.on("connection", (ws: WebSocket, req) => {
     let pageSessionId = req.url.match(/pageSessionId=([a-zA-Z0-9_]+)/)[1];
     console.log("On ws connection", { pageSessionId });
@@ -662,7 +751,9 @@ copy(JSON.stringify(res, null, 2))
     // and are stripped by the browses
     // https://stackoverflow.com/questions/43344819/reading-response-headers-with-fetch-api
     res.set("access-control-expose-headers", "*");
-    res.set("Access-Control-Allow-Origin", "*");
+    if (req.headers.origin) {
+      res.set("Access-Control-Allow-Origin", req.headers.origin);
+    }
     Object.keys(headers).forEach((headerKey) => {
       if (headerKey === "content-length") {
         // was getting this wrong sometimes, easier to just not send it
@@ -729,43 +820,14 @@ copy(JSON.stringify(res, null, 2))
 
     const mapping = new HtmlToOperationLogMapping((<any>domToInspect).parts);
 
-    const html = mapping.getHtml();
-    let goodDefaultCharIndex = 0;
-
-    if (charIndex !== undefined) {
-      goodDefaultCharIndex = charIndex;
-    } else {
-      const charIndexWhereTextFollows = html.search(/>[^<]/);
-      if (
-        charIndexWhereTextFollows !== -1 &&
-        mapping.getOriginAtCharacterIndex(charIndexWhereTextFollows)
-      ) {
-        goodDefaultCharIndex = charIndexWhereTextFollows;
-        goodDefaultCharIndex++; // the > char
-        const first10Chars = html.slice(
-          goodDefaultCharIndex,
-          goodDefaultCharIndex + 10
-        );
-        const firstNonWhitespaceOffset = first10Chars.search(/\S/);
-        goodDefaultCharIndex += firstNonWhitespaceOffset;
-      }
-    }
-
     return {
-      html: (<any>domToInspect).parts.map((p) => p[0]).join(""),
-      charIndex: goodDefaultCharIndex,
+      html: mapping.getHtml(),
+      charIndex:
+        charIndex !== undefined ? charIndex : getDefaultDomCharIndex(mapping),
     };
   }
 
-  app.post("/inspectDOM", (req, res) => {
-    app.verifyToken(req);
-
-    res.set("Access-Control-Allow-Origin", "*");
-    res.set(
-      "Access-Control-Allow-Headers",
-      "Content-Type, Access-Control-Allow-Headers, Authorization, X-Requested-With"
-    );
-
+  app.post("/inspectDOM", app.verifyToken, (req, res) => {
     getPageSession(req.body.pageSessionId).domToInspect = req.body;
 
     broadcast(
@@ -778,6 +840,8 @@ copy(JSON.stringify(res, null, 2))
     );
 
     res.end("{}");
+
+    warmUpDomTraversals(new HtmlToOperationLogMapping((<any>req.body).parts));
   });
 
   app.post("/inspectDomChar", (req, res) => {
@@ -793,32 +857,20 @@ copy(JSON.stringify(res, null, 2))
     }
 
     const mapping = new HtmlToOperationLogMapping((<any>domToInspect).parts);
-    const mappingResult: any = mapping.getOriginAtCharacterIndex(
+    const traversalStart = getDomCharTraversalStart(
+      mapping,
       req.body.charIndex
     );
 
-    if (!mappingResult.origin) {
-      res.end(
-        JSON.stringify({
-          logId: null,
-        })
-      );
-      return;
-    }
-
-    const origin = mappingResult.origin;
-
     res.end(
-      JSON.stringify({
-        logId: origin.trackingValue,
-        charIndex: traverseDomOrigin(origin, mappingResult.charIndex),
-      })
+      JSON.stringify(
+        traversalStart || {
+          logId: null,
+        }
+      )
     );
   });
-  app.post("/inspect", (req, res) => {
-    allowCrossOrigin(res);
-
-    app.verifyToken(req);
+  app.post("/inspect", app.verifyToken, (req, res) => {
     getPageSession(req.body.pageSessionId).logToInspect = req.body.logId;
     res.end("{}");
 
@@ -839,6 +891,87 @@ function getUrlLocsPath(options: BackendOptions, url) {
   );
 }
 
+// A new session has indexes for every log it stores
+async function markLogIndexesCompleteIfNoLogs(logServer: LevelDBLogServer) {
+  const hasLogs = await new Promise((resolve) => {
+    let i = logServer.db.iterator({ values: false });
+    i.next((error, key) => i.end(() => resolve(!!key)));
+  });
+  if (!hasLogs) {
+    await logServer.indexes!.markComplete();
+  }
+}
+
+// Index logs stored before indexing was added. Their page session and time
+// aren't known, so they'll only be found by operation and URL.
+async function generateLogIndexes({
+  logServer,
+  locStore,
+}: {
+  logServer: LevelDBLogServer;
+  locStore: LocStore;
+}) {
+  const indexes = logServer.indexes!;
+  if (await indexes.isComplete()) {
+    return;
+  }
+  console.time("generateLogIndexes");
+
+  const locUrls = {};
+  await new Promise((resolve) => {
+    let i = locStore.db.iterator();
+    function iterate(error, key, value) {
+      if (value) {
+        locUrls[key.toString()] = JSON.parse(value).url;
+        i.next(iterate);
+      } else {
+        resolve();
+      }
+    }
+    i.next(iterate);
+  });
+
+  let entries: LogIndexEntry[] = [];
+  await new Promise((resolve, reject) => {
+    let i = logServer.db.iterator();
+    async function iterate(error, key, value) {
+      try {
+        await addEntriesAndContinue(error, key, value);
+      } catch (err) {
+        i.end(() => reject(err));
+      }
+    }
+    async function addEntriesAndContinue(error, key, value) {
+      if (value) {
+        const logIndex = key.toString();
+        if (!(await indexes.hasEntry(logIndex))) {
+          value = JSON.parse(value);
+          entries.push({
+            logIndex,
+            operation: getLongOperationName(value.o || value.operation),
+            url: locUrls[value.l || value.loc] || null,
+            pageSessionId: null,
+            time: null,
+            argLogIndices: getArgLogIndices(value),
+          });
+        }
+        if (entries.length === 50000) {
+          await indexes.addEntries(entries);
+          entries = [];
+        }
+        i.next(iterate);
+      } else {
+        await indexes.addEntries(entries);
+        resolve();
+      }
+    }
+    i.next(iterate);
+  });
+
+  await indexes.markComplete();
+  console.timeEnd("generateLogIndexes");
+}
+
 async function generateUrlLocs({
   locStore,
   options,
@@ -881,7 +1014,8 @@ function setupBackend(
   logUses,
   getRequestHandler,
   locStore: LocStore,
-  logServer: LevelDBLogServer
+  logServer: LevelDBLogServer,
+  traversalCache: TraversalCache
 ) {
   function getLocs(url) {
     return JSON.parse(fs.readFileSync(getUrlLocsPath(options, url), "utf-8"));
@@ -1012,13 +1146,15 @@ function setupBackend(
     });
   }
 
+  const findLogUses = createFindLogUses(logServer, logUses);
+
   async function findUses(logIndex) {
     let uses: any[] = [];
     let lookupQueue = [logIndex];
     while (lookupQueue.length > 0) {
       let lookupIndex = lookupQueue.shift();
       let u = (await Promise.all(
-        (logUses[lookupIndex] || []).map(async (uIndex) => {
+        (await findLogUses(lookupIndex.toString())).map(async (uIndex) => {
           return {
             value: await logServer.loadLogAwaitable(uIndex, 0),
           };
@@ -1063,6 +1199,11 @@ function setupBackend(
     // return uses;
   }
 
+  app.get(
+    "/api/impact/:logId",
+    createImpactRequestHandler(logServer, findLogUses)
+  );
+
   app.get("/xyzviewer/getUses/:logId", async (req, res) => {
     let uses = (await findUses(parseFloat(req.params.logId))) as any;
 
@@ -1155,6 +1296,28 @@ function setupBackend(
     fs.writeFileSync(luckyMatchesPath, JSON.stringify(luckyMatches, null, 2));
   }
 
+  // URL of the page, iframe or worker each page session ran in
+  let frameUrlsPath = options.sessionDirectory + "/frameUrls.json";
+  let frameUrls = fs.existsSync(frameUrlsPath)
+    ? JSON.parse(fs.readFileSync(frameUrlsPath, "utf-8"))
+    : {};
+  function saveFrameUrl(pageSessionId, frameUrl) {
+    if (frameUrls[pageSessionId] === frameUrl) {
+      return;
+    }
+    frameUrls[pageSessionId] = frameUrl;
+    fs.writeFileSync(frameUrlsPath, JSON.stringify(frameUrls, null, 2));
+  }
+
+  async function addFrameUrls(steps: TraversalStep[]) {
+    for (const step of steps) {
+      const pageSessionId = await logServer.findLogPageSessionId(
+        step.operationLog.index.toString()
+      );
+      step.frameUrl = (pageSessionId && frameUrls[pageSessionId]) || null;
+    }
+  }
+
   // app.post("/setEnableInstrumentation", (req, res) => {
   //   const { enableInstrumentation } = req.body;
   //   getProxy().setEnableInstrumentation(enableInstrumentation);
@@ -1162,13 +1325,52 @@ function setupBackend(
   //   res.end(JSON.stringify(req.body));
   // });
 
+  // Most logs in a request come from a few scripts, so the URLs of their
+  // locs are usually cached
+  const locUrls = new LRU<string, string | null>({ max: 20000 });
+  async function getLocUrl(locId: string) {
+    if (locUrls.has(locId)) {
+      return locUrls.get(locId)!;
+    }
+    const url = await new Promise<string | null>((resolve) => {
+      locStore.db.get(locId, (err, value) =>
+        resolve(err ? null : JSON.parse(value.toString()).url)
+      );
+    });
+    locUrls.set(locId, url);
+    return url;
+  }
+
+  async function getLogIndexEntries(logs: any[], pageSessionId, time) {
+    const entries: LogIndexEntry[] = [];
+    for (const [logIndex, logJson] of logs) {
+      const log = JSON.parse(logJson);
+      const locId = log.l || log.loc;
+      entries.push({
+        logIndex: logIndex.toString(),
+        operation: getLongOperationName(log.o || log.operation),
+        url: locId ? await getLocUrl(locId) : null,
+        pageSessionId,
+        time,
+        argLogIndices: getArgLogIndices(log),
+      });
+    }
+    return entries;
+  }
+
   async function doStoreLogs(reqBody) {
     const lines = reqBody.split("\n");
+    // Code instrumented by older versions doesn't send the metadata line
+    let metadata = lines[0].startsWith("{") ? JSON.parse(lines.shift()) : {};
     let evalScriptsJson = lines.shift();
     let eventsJson = lines.shift();
     let luckyMatchesJson = lines.shift();
     let logLines = lines;
 
+    if (metadata.pageSessionId && metadata.frameUrl) {
+      saveFrameUrl(metadata.pageSessionId, metadata.frameUrl);
+    }
+
     console.log({ luckyMatchesJson });
 
     const logs: any[] = [];
@@ -1180,8 +1382,12 @@ function setupBackend(
     const startTime = new Date();
 
     let evalScripts = JSON.parse(evalScriptsJson);
-    evalScripts.forEach(function (evalScript) {
+    for (const evalScript of evalScripts) {
       locStore.write(evalScript.locs, () => {});
+      // The logs can be indexed by URL before the locs are saved
+      Object.keys(evalScript.locs).forEach((locId) => {
+        locUrls.set(locId, evalScript.locs[locId].url || null);
+      });
       getRequestHandler()._afterCodeProcessed({
         url: evalScript.url,
         raw: evalScript.code,
@@ -1190,7 +1396,7 @@ function setupBackend(
         details: evalScript.details,
       });
       // getProxy().registerEvalScript(evalScript);
-    });
+    }
 
     let events = JSON.parse(eventsJson);
     if (events.length > 0) {
@@ -1200,6 +1406,7 @@ function setupBackend(
     let luckyMatches = JSON.parse(luckyMatchesJson);
     if (luckyMatches.length > 0) {
       writeLuckyMatches([...readLuckyMatches(), ...luckyMatches]);
+      await traversalCache.invalidate();
     }
 
     await new Promise((resolve) =>
@@ -1208,7 +1415,7 @@ function setupBackend(
 
         console.log("stored logs", logs.length);
 
-        if (LOG_PERF) {
+        if (options.logPerf) {
           const timePer1000 =
             Math.round((timePassed / logs.length) * 1000 * 10) / 10;
           console.log(
@@ -1222,6 +1429,13 @@ function setupBackend(
         resolve();
       })
     );
+
+    const logIndexEntries = await getLogIndexEntries(
+      logs,
+      metadata.pageSessionId || null,
+      startTime.valueOf()
+    );
+    await logServer.storeLogIndexEntries(logIndexEntries);
   }
 
   app.get("/loadLocForTest/:locId", async (req, res) => {
@@ -1351,7 +1565,56 @@ function setupBackend(
     }
   }
 
-  function handleTraverse(
+  async function handleTraverse(
+    logId,
+    charIndex,
+    opts: { keepResultData?: boolean } = {}
+  ): Promise<TraversalStep[]> {
+    return traversalCache.getOrTraverse(
+      logId,
+      charIndex,
+      { keepResultData: !!opts.keepResultData },
+      () => traverseWithoutCache(logId, charIndex, opts)
+    );
+  }
+
+  // Traverse the DOM parts in the background, so the inspector shows them
+  // right away when the user selects them
+  let domTraversalQueue: { logId: number; charIndex: number }[] = [];
+  let isWarmingUp = false;
+  function warmUpDomTraversals(mapping: HtmlToOperationLogMapping) {
+    const charIndices = [getDefaultDomCharIndex(mapping)];
+    let partStart = 0;
+    mapping.parts.forEach(([text]) => {
+      charIndices.push(partStart);
+      partStart += text.length;
+    });
+
+    charIndices.slice(0, MAX_WARM_UP_TRAVERSALS).forEach((charIndex) => {
+      const traversalStart = getDomCharTraversalStart(mapping, charIndex);
+      if (traversalStart && traversalStart.logId) {
+        domTraversalQueue.push(traversalStart);
+      }
+    });
+    processDomTraversalQueue();
+  }
+  async function processDomTraversalQueue() {
+    if (isWarmingUp) {
+      return;
+    }
+    isWarmingUp = true;
+    while (domTraversalQueue.length > 0) {
+      const { logId, charIndex } = domTraversalQueue.shift()!;
+      try {
+        await handleTraverse(logId, charIndex);
+      } catch (err) {
+        console.log("Failed to warm up traversal", logId, err);
+      }
+    }
+    isWarmingUp = false;
+  }
+
+  function traverseWithoutCache(
     logId,
     charIndex,
     opts: { keepResultData?: boolean } = {}
@@ -1382,7 +1645,7 @@ function setupBackend(
       const finishRequest = async function finishRequest() {
         let steps;
         try {
-          if (LOG_PERF) {
+          if (options.logPerf) {
             console.time("Traverse " + logId);
           }
           steps = await traverse(
@@ -1425,7 +1688,7 @@ function setupBackend(
             }
           }
 
-          if (LOG_PERF) {
+          if (options.logPerf) {
             console.timeEnd("Traverse " + logId);
           }
         } catch (err) {
@@ -1436,6 +1699,8 @@ function setupBackend(
           return;
         }
 
+        await addFrameUrls(steps);
+
         steps.forEach((step) => {
           let { operationLog, charIndex } = step;
           const str = operationLog._result && operationLog._result + "";
@@ -1474,25 +1739,32 @@ function setupBackend(
     });
   }
 
-  app.get("/search", async (req, res) => {
-    let i = logServer.db.iterator();
-    let index = 0;
-    let search = "lighthouse";
-    function iterate(error, key, value) {
-      if (value) {
-        index++;
-        if (index % 50000 === 0) {
-          console.log({ index });
-        }
-        if (value.includes(search)) {
-          console.log({ key: key.toString(), value: value.toString() });
-        }
-        i.next(iterate);
-      } else {
-        res.end("done");
-      }
+  app.get("/api/search", async (req, res) => {
+    const { q, operation, url, after, limit } = req.query;
+    if (!q) {
+      res.status(400);
+      res.end(JSON.stringify({ err: "Missing search query q" }));
+      return;
+    }
+    const searchLimit = limit ? parseFloat(limit) : 50;
+    if (!isValidSearchLimit(searchLimit)) {
+      res.status(400);
+      res.end(JSON.stringify({ err: "limit must be a positive integer" }));
+      return;
+    }
+    try {
+      const result = await searchLogs(logServer, locStore, {
+        query: q,
+        operation,
+        url,
+        after,
+        limit: searchLimit,
+      });
+      res.end(JSON.stringify(result));
+    } catch (err) {
+      res.status(500);
+      res.end(JSON.stringify({ err: err.message }));
     }
-    i.next(iterate);
   });
 
   app.get("/logResult/:logIndex/:charIndex", async (req, res) => {
@@ -1551,6 +1823,43 @@ function setupBackend(
     }
   });
 
+  app.get("/traverseRange", async (req, res) => {
+    const logId = parseFloat(req.query.logId);
+    let log;
+    try {
+      log = (await logServer.loadLogAwaitable(logId, 1)) as any;
+    } catch (err) {
+      res.status(500);
+      res.end(JSON.stringify({ err: "Log not found (" + logId + ")" }));
+      return;
+    }
+    const str = log._result + "";
+    const start = req.query.start ? parseFloat(req.query.start) : 0;
+    const end = Math.min(
+      str.length,
+      req.query.end ? parseFloat(req.query.end) : str.length
+    );
+
+    try {
+      const runs = await traverseRange(
+        async (charIndex) => {
+          const steps = (await handleTraverse(logId, charIndex)) as any;
+          if (steps.err) {
+            throw Error(steps.err);
+          }
+          return steps;
+        },
+        str,
+        start,
+        end
+      );
+      res.end(JSON.stringify({ runs }));
+    } catch (err) {
+      res.status(500);
+      res.end(JSON.stringify({ err: err.message }));
+    }
+  });
+
   let resolver: StackFrameResolver;
   setTimeout(() => {
     resolver = new StackFrameResolver(getRequestHandler());
@@ -1615,6 +1924,7 @@ function setupBackend(
     },
     handleTraverse,
     doStoreLogs,
+    warmUpDomTraversals,
   };
 }
 
@@ -1647,19 +1957,17 @@ function allowCrossOrigin(res) {
   );
 }
 
-export { BackendOptions };
+export { BackendOptions, compileNodeApp, runCompiledNodeApp };
+export {
+  listSessions,
+  getSessionInfo,
+  pruneSession,
+  exportSession,
+  importSession,
+} from "./manageSession";
 
 function makeRequestHandler(options) {
-  let defaultBlockList = [
-    "inspectlet.com", // does a whole bunch of stuff that really slows page execution down
-    "google-analytics.com",
-    "newrelic.com", // overwrites some native functions used directly in FromJS (shouldn't be done ideally, but for now blocking is easier)
-    "intercom.com",
-    "segment.com",
-    "bugsnag",
-    "mixpanel",
-    "piwik",
-  ];
+  let defaultBlockList = options.options.defaultBlockList;
 
   return new RequestHandler({
     shouldInstrument: ({ url }) => {
@@ -1719,11 +2027,27 @@ function makeRequestHandler(options) {
   });
 }
 
-export async function openBrowser({ userDataDir, extraArgs, config }) {
+export async function openBrowser({
+  userDataDir,
+  extraArgs,
+  config,
+  headless = false,
+}: {
+  userDataDir: string | undefined;
+  extraArgs: string[];
+  config: any;
+  headless?: boolean;
+}) {
   let extensionPath = path.resolve(extensionDir);
+  if (headless) {
+    // The old headless mode can't load extensions, so we can't let Puppeteer
+    // pass in --headless and have to ask for the new headless mode instead
+    extraArgs = ["--headless=new", ...extraArgs];
+  }
   const browser = await puppeteer.launch({
     headless: false,
-    dumpio: true,
+    // Browser output would be mixed into whatever a headless run prints
+    dumpio: !headless,
     ignoreDefaultArgs: ["--disable-extensions"],
     args: [
       `--js-flags="--max_old_space_size=8192"`,
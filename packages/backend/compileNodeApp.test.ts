@@ -0,0 +1,38 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { compileNodeApp } from "./compileNodeApp";
+
+let appDirectory: string;
+
+// Marks the code as instrumented, so instrumenting output again would show
+const requestHandler: any = {
+  instrumentForEval: async (code) => ({
+    instrumentedCode: "/* instrumented */" + code,
+  }),
+};
+
+beforeEach(() => {
+  appDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "fromjs-node-app-"));
+  fs.writeFileSync(appDirectory + "/index.js", "require('./lib/a')");
+  fs.mkdirSync(appDirectory + "/lib");
+  fs.writeFileSync(appDirectory + "/lib/a.js", "module.exports = 1");
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  require("rimraf").sync(appDirectory);
+});
+
+it("Doesn't compile the outdir if it's inside the app directory", async () => {
+  const outdir = appDirectory + "/fromjs-node-compiled";
+  // Second run is like --reuseCompiled
+  for (let i = 0; i < 2; i++) {
+    await compileNodeApp({ directory: appDirectory, requestHandler, outdir });
+  }
+
+  expect(fs.readdirSync(outdir).sort()).toEqual(["index.js", "lib"]);
+  const compiledCode = fs.readFileSync(outdir + "/lib/a.js", "utf-8");
+  expect(compiledCode.split("/* instrumented */").length).toBe(2);
+});
@@ -2,6 +2,7 @@ import * as pMap from "p-map";
 import * as fs from "fs";
 import { RequestHandler } from "./RequestHandler";
 import * as path from "path";
+import { spawn } from "child_process";
 import prettyBytes = require("pretty-bytes");
 
 export async function compileNodeApp({
@@ -17,7 +18,9 @@ export async function compileNodeApp({
   ignoreFilePattern?: RegExp;
   includeFilePattern?: RegExp;
 }) {
-  let files = getNodeFiles(directory, "");
+  // The outdir can be inside the app directory, e.g. with the default
+  // fromjs-node-compiled, and mustn't be compiled again
+  let files = getNodeFiles(directory, "", path.resolve(outdir));
 
   await pMap(
     files,
@@ -104,7 +107,39 @@ export async function compileNodeApp({
   //   );
 }
 
-function getNodeFiles(baseDirectory, subdirectory) {
+// Apps that don't call __fromJSWaitForSendLogsAndExitNodeProcess themselves
+// would exit without sending their logs, so call it once there's nothing else
+// left to do
+export function runCompiledNodeApp(
+  entryPath: string,
+  {
+    env = {},
+    captureStdout = false,
+  }: { env?: { [name: string]: string }; captureStdout?: boolean } = {}
+) {
+  const runnerCode = `
+    process.on("beforeExit", function() {
+      if (global.__fromJSWaitForSendLogsAndExitNodeProcess) {
+        global.__fromJSWaitForSendLogsAndExitNodeProcess();
+      }
+    });
+    require(${JSON.stringify(entryPath)});
+  `;
+
+  return new Promise<{ code: number | null; stdout: string }>((resolve) => {
+    const child = spawn(process.execPath, ["-e", runnerCode], {
+      stdio: captureStdout ? ["inherit", "pipe", "inherit"] : "inherit",
+      env: { ...process.env, ...env },
+    });
+    let stdout = "";
+    if (child.stdout) {
+      child.stdout.on("data", (data) => (stdout += data.toString()));
+    }
+    child.on("close", (code) => resolve({ code, stdout }));
+  });
+}
+
+function getNodeFiles(baseDirectory, subdirectory, excludedDirectory: string) {
   let resolvedDir = path.resolve(baseDirectory + "/" + subdirectory);
 
   let nodeFiles: {
@@ -116,10 +151,17 @@ function getNodeFiles(baseDirectory, subdirectory) {
   const files = fs.readdirSync(resolvedDir);
   for (const file of files) {
     let filePath = path.resolve(resolvedDir, file);
+    if (filePath === excludedDirectory) {
+      continue;
+    }
     if (fs.lstatSync(filePath).isDirectory()) {
       nodeFiles = [
         ...nodeFiles,
-        ...getNodeFiles(baseDirectory, subdirectory + file + "/"),
+        ...getNodeFiles(
+          baseDirectory,
+          subdirectory + file + "/",
+          excludedDirectory
+        ),
       ];
     } else {
       nodeFiles.push({
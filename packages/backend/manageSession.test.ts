@@ -0,0 +1,209 @@
+import { LevelDBLogServer, LocStore } from "@fromjs/core";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import {
+  getSessionInfo,
+  pruneSession,
+  exportSession,
+  importSession,
+} from "./manageSession";
+
+const OLD_TIME = new Date("2020-01-01").valueOf();
+const NEW_TIME = new Date("2020-03-01").valueOf();
+
+let tmpDirectory: string;
+let sessionDirectory: string;
+
+function closeDb(db) {
+  return new Promise((resolve) => db.close(resolve));
+}
+
+function readDbKeys(dbPath: string): Promise<string[]> {
+  const locStore = new LocStore(dbPath);
+  const keys: string[] = [];
+  return new Promise((resolve, reject) => {
+    locStore.db
+      .createKeyStream()
+      .on("data", (key) => keys.push(key.toString()))
+      .on("error", reject)
+      .on("end", async () => {
+        await closeDb(locStore.db);
+        resolve(keys.sort());
+      });
+  });
+}
+
+// old.js was loaded before new.js, each file has one loc and one log
+async function createSession() {
+  fs.mkdirSync(sessionDirectory + "/files", { recursive: true });
+  fs.writeFileSync(sessionDirectory + "/session.json", "{}");
+  fs.writeFileSync(
+    sessionDirectory + "/files.json",
+    JSON.stringify([
+      {
+        url: "http://example.com/old.js",
+        createdAt: new Date(OLD_TIME),
+        fileKey: "old",
+      },
+      {
+        url: "http://example.com/new.js",
+        createdAt: new Date(NEW_TIME),
+        fileKey: "new",
+      },
+    ])
+  );
+  fs.writeFileSync(sessionDirectory + "/files/old", "var a = 'old'");
+  fs.writeFileSync(sessionDirectory + "/files/old.map", "{}");
+  fs.writeFileSync(sessionDirectory + "/files/new", "var a = 'new'");
+  fs.writeFileSync(sessionDirectory + "/logUses.json", "{}");
+
+  const locStore = new LocStore(sessionDirectory + "/locs");
+  await new Promise((resolve) =>
+    locStore.write(
+      {
+        oldLoc: { url: "http://example.com/old.js" },
+        newLoc: { url: "http://example.com/new.js" },
+      },
+      resolve
+    )
+  );
+  const logServer = new LevelDBLogServer(
+    sessionDirectory + "/tracking-data",
+    locStore,
+    sessionDirectory + "/log-indexes"
+  );
+  // storeLogs writes to the LevelDOWN instance directly, so it has to be open
+  await new Promise((resolve) => logServer.db.open(resolve));
+  await new Promise((resolve) =>
+    logServer.storeLogs(
+      [
+        ["1", JSON.stringify({ o: "s", l: "oldLoc" })],
+        ["2", JSON.stringify({ o: "b", l: "newLoc" })],
+      ] as any,
+      resolve
+    )
+  );
+  await logServer.storeLogIndexEntries([
+    {
+      logIndex: "1",
+      operation: "stringLiteral",
+      url: "http://example.com/old.js",
+      pageSessionId: null,
+      time: OLD_TIME + 1000,
+    },
+    {
+      logIndex: "2",
+      operation: "binaryExpression",
+      url: "http://example.com/new.js",
+      pageSessionId: null,
+      time: NEW_TIME + 1000,
+    },
+  ]);
+  await closeDb(logServer.db);
+  await closeDb(logServer.indexes!.db);
+  await closeDb(locStore.db);
+}
+
+beforeEach(async () => {
+  tmpDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "fromjs-sessions-"));
+  sessionDirectory = tmpDirectory + "/session";
+  await createSession();
+});
+
+afterEach(() => {
+  require("rimraf").sync(tmpDirectory);
+});
+
+describe("getSessionInfo", () => {
+  it("Counts logs and files", async () => {
+    const info = await getSessionInfo(sessionDirectory);
+    expect(info.logCount).toBe(2);
+    expect(info.logCountsByOperation).toEqual({
+      stringLiteral: 1,
+      binaryExpression: 1,
+    });
+    expect(info.fileCount).toBe(2);
+    expect(info.urlCount).toBe(2);
+    expect(info.diskUsage["files.json"]).toBeGreaterThan(0);
+  });
+
+  it("Throws if the directory isn't a session", async () => {
+    await expect(getSessionInfo(tmpDirectory)).rejects.toThrow(
+      "is not a FromJS session directory"
+    );
+  });
+});
+
+describe("pruneSession", () => {
+  it("Deletes logs, files and locs from before the given date", async () => {
+    const result = await pruneSession(sessionDirectory, {
+      before: new Date(NEW_TIME),
+    });
+    expect(result).toEqual({
+      deletedLogCount: 1,
+      keptLogCount: 1,
+      deletedFileCount: 1,
+      deletedLocCount: 1,
+    });
+
+    expect(await readDbKeys(sessionDirectory + "/tracking-data")).toEqual([
+      "2",
+    ]);
+    expect(await readDbKeys(sessionDirectory + "/locs")).toEqual(["newLoc"]);
+    const files = JSON.parse(
+      fs.readFileSync(sessionDirectory + "/files.json", "utf-8")
+    );
+    expect(files.map((file) => file.fileKey)).toEqual(["new"]);
+    expect(fs.readdirSync(sessionDirectory + "/files")).toEqual(["new"]);
+    expect(fs.existsSync(sessionDirectory + "/logUses.json")).toBe(false);
+  });
+
+  it("Keeps only logs, files and locs from matching URLs", async () => {
+    const result = await pruneSession(sessionDirectory, { url: "old.js" });
+    expect(result.deletedLogCount).toBe(1);
+    expect(await readDbKeys(sessionDirectory + "/tracking-data")).toEqual([
+      "1",
+    ]);
+    expect(await readDbKeys(sessionDirectory + "/locs")).toEqual(["oldLoc"]);
+    expect(fs.readdirSync(sessionDirectory + "/files").sort()).toEqual([
+      "old",
+      "old.map",
+    ]);
+  });
+});
+
+describe("exportSession and importSession", () => {
+  it("Copies the session into a new directory", async () => {
+    const archivePath = tmpDirectory + "/session.fromjs";
+    await exportSession(sessionDirectory, archivePath);
+    const importedDirectory = tmpDirectory + "/imported";
+    await importSession(archivePath, importedDirectory);
+
+    expect(fs.readFileSync(importedDirectory + "/files/old", "utf-8")).toBe(
+      "var a = 'old'"
+    );
+    const info = await getSessionInfo(importedDirectory);
+    expect(info.logCount).toBe(2);
+    expect(info.fileCount).toBe(2);
+  });
+
+  it("Doesn't include the archive if it's in the session directory", async () => {
+    const archivePath = sessionDirectory + "/session.fromjs";
+    fs.writeFileSync(archivePath, "previous export");
+    const { fileCount } = await exportSession(sessionDirectory, archivePath);
+
+    const importedDirectory = tmpDirectory + "/imported";
+    const result = await importSession(archivePath, importedDirectory);
+    expect(result.fileCount).toBe(fileCount);
+    expect(fs.existsSync(importedDirectory + "/session.fromjs")).toBe(false);
+  });
+
+  it("Only imports into empty directories", async () => {
+    const archivePath = tmpDirectory + "/session.fromjs";
+    await exportSession(sessionDirectory, archivePath);
+    await expect(importSession(archivePath, sessionDirectory)).rejects.toThrow(
+      "Can only import into a new session directory"
+    );
+  });
+});
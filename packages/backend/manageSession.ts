@@ -0,0 +1,422 @@
+import { LevelDBLogServer, LocStore, getLongOperationName } from "@fromjs/core";
+import * as fs from "fs";
+import * as path from "path";
+import * as zlib from "zlib";
+import { BackendOptions } from "./BackendOptions";
+
+// These are specific to the machine the session was recorded on (or can be
+// recreated), so they don't go into exported sessions
+const ENTRIES_NOT_EXPORTED = ["chrome", "certs", "be-server-cert"];
+
+// Derived from the tracking data and need to be rebuilt after pruning
+const DERIVED_ENTRIES = [
+  "locLogs",
+  "locsByUrl",
+  "logUses.json",
+  "traversal-cache",
+];
+
+function getSessionOptions(sessionDirectory: string) {
+  return new BackendOptions({
+    sessionDirectory,
+  } as any);
+}
+
+function assertIsSessionDirectory(sessionDirectory: string) {
+  const options = getSessionOptions(sessionDirectory);
+  if (!fs.existsSync(options.getSessionJsonPath())) {
+    throw Error(sessionDirectory + " is not a FromJS session directory");
+  }
+  return options;
+}
+
+function readJsonFile(filePath: string, defaultValue) {
+  if (!fs.existsSync(filePath)) {
+    return defaultValue;
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+}
+
+function getSize(filePath: string) {
+  const stat = fs.lstatSync(filePath);
+  if (!stat.isDirectory()) {
+    return stat.size;
+  }
+  let size = 0;
+  for (const child of fs.readdirSync(filePath)) {
+    size += getSize(path.resolve(filePath, child));
+  }
+  return size;
+}
+
+function iterateDb(
+  db,
+  onEntry: (key: string, value: string) => void
+): Promise<void> {
+  return new Promise((resolve, reject) => {
+    let i = db.iterator();
+    function iterate(error, key, value) {
+      if (error) {
+        i.end(() => reject(error));
+        return;
+      }
+      if (key) {
+        onEntry(key.toString(), value.toString());
+        i.next(iterate);
+      } else {
+        i.end(() => resolve());
+      }
+    }
+    i.next(iterate);
+  });
+}
+
+function closeDb(db) {
+  return new Promise((resolve) => db.close(resolve));
+}
+
+// LevelDB only frees the disk space used by deleted entries when compacting
+function compactDb(db) {
+  return new Promise((resolve, reject) =>
+    db.compactRange(Buffer.from([0]), Buffer.from([0xff]), (err) =>
+      err ? reject(err) : resolve()
+    )
+  );
+}
+
+export function listSessions(directory: string) {
+  return fs
+    .readdirSync(directory)
+    .map((name) => path.resolve(directory, name))
+    .filter(
+      (sessionDirectory) =>
+        fs.lstatSync(sessionDirectory).isDirectory() &&
+        fs.existsSync(getSessionOptions(sessionDirectory).getSessionJsonPath())
+    )
+    .map((sessionDirectory) => ({
+      sessionDirectory,
+      diskUsage: getSize(sessionDirectory),
+    }));
+}
+
+export async function getSessionInfo(sessionDirectory: string) {
+  const options = assertIsSessionDirectory(sessionDirectory);
+
+  const locStore = new LocStore(options.getLocStorePath());
+  const logServer = new LevelDBLogServer(
+    options.getTrackingDataDirectory(),
+    locStore
+  );
+
+  let logCount = 0;
+  const logCountsByOperation = {};
+  await iterateDb(logServer.db, (key, value) => {
+    const log = JSON.parse(value);
+    const operation = getLongOperationName(log.o || log.operation);
+    logCountsByOperation[operation] =
+      (logCountsByOperation[operation] || 0) + 1;
+    logCount++;
+  });
+  await closeDb(logServer.db);
+  await closeDb(locStore.db);
+
+  const files = readJsonFile(sessionDirectory + "/files.json", []);
+
+  const diskUsage = {};
+  for (const entry of fs.readdirSync(sessionDirectory)) {
+    diskUsage[entry] = getSize(path.resolve(sessionDirectory, entry));
+  }
+
+  return {
+    sessionDirectory: path.resolve(sessionDirectory),
+    logCount,
+    logCountsByOperation,
+    fileCount: files.length,
+    urlCount: new Set(files.map((f) => f.url)).size,
+    eventCount: readJsonFile(sessionDirectory + "/events.json", []).length,
+    luckyMatchCount: readJsonFile(sessionDirectory + "/luckyMatches.json", [])
+      .length,
+    diskUsage,
+  };
+}
+
+// Logs stored before the time index was added are considered to be as old
+// as the last time the file containing their code was loaded. Files and locs
+// are removed too, unless a remaining log still uses them.
+export async function pruneSession(
+  sessionDirectory: string,
+  { before, url }: { before?: Date; url?: string }
+) {
+  const options = assertIsSessionDirectory(sessionDirectory);
+
+  const files = readJsonFile(sessionDirectory + "/files.json", []);
+  const lastLoadedByUrl = {};
+  files.forEach((file) => {
+    const createdAt = new Date(file.createdAt).valueOf();
+    lastLoadedByUrl[file.url] = Math.max(
+      lastLoadedByUrl[file.url] || 0,
+      createdAt
+    );
+  });
+
+  const locStore = new LocStore(options.getLocStorePath());
+  const logServer = new LevelDBLogServer(
+    options.getTrackingDataDirectory(),
+    locStore,
+    options.getLogIndexesDirectory()
+  );
+
+  let logsWithTime = new Set();
+  let logsStoredBefore = new Set();
+  if (before) {
+    logsWithTime = new Set(await logServer.findLogIndices({ from: 0 }));
+    logsStoredBefore = new Set(
+      await logServer.findLogIndices({ from: 0, to: before.valueOf() - 1 })
+    );
+  }
+
+  function isExcludedUrl(locUrl: string | undefined) {
+    return !!url && locUrl !== undefined && !locUrl.includes(url);
+  }
+
+  function shouldKeepLog(logIndex: string, locUrl: string | undefined) {
+    if (isExcludedUrl(locUrl)) {
+      return false;
+    }
+    if (before) {
+      if (logsWithTime.has(logIndex)) {
+        return !logsStoredBefore.has(logIndex);
+      }
+      if (locUrl !== undefined && lastLoadedByUrl[locUrl] < before.valueOf()) {
+        return false;
+      }
+    }
+    // Without a loc we can't tell where the log came from, so keep it
+    return true;
+  }
+
+  const locUrls = {};
+  await iterateDb(locStore.db, (locId, value) => {
+    locUrls[locId] = JSON.parse(value).url;
+  });
+
+  let keptLogCount = 0;
+  let logIndicesToDelete: string[] = [];
+  const keptLocIds = new Set<string>();
+  const keptLogUrls = new Set<string>();
+  await iterateDb(logServer.db, (logIndex, value) => {
+    const log = JSON.parse(value);
+    const locId = log.l || log.loc;
+    const locUrl = locUrls[locId];
+    if (shouldKeepLog(logIndex, locUrl)) {
+      keptLogCount++;
+      keptLocIds.add(locId);
+      keptLogUrls.add(locUrl);
+    } else {
+      logIndicesToDelete.push(logIndex);
+    }
+  });
+
+  // Older loads of a file are only kept if the latest one is still needed
+  const keptFiles = files.filter((file) => {
+    if (isExcludedUrl(file.url)) {
+      return false;
+    }
+    const createdAt = new Date(file.createdAt).valueOf();
+    if (before && createdAt < before.valueOf()) {
+      return (
+        keptLogUrls.has(file.url) && createdAt === lastLoadedByUrl[file.url]
+      );
+    }
+    return true;
+  });
+  const keptFileUrls = new Set(keptFiles.map((file) => file.url));
+  const keptFileKeys = new Set(keptFiles.map((file) => file.fileKey));
+
+  const locIdsToDelete = Object.keys(locUrls).filter(
+    (locId) => !keptLocIds.has(locId) && !keptFileUrls.has(locUrls[locId])
+  );
+
+  await logServer.deleteLogs(logIndicesToDelete);
+  await new Promise((resolve, reject) =>
+    locStore.db.batch(
+      locIdsToDelete.map((key) => ({ type: "del", key })),
+      (err) => (err ? reject(err) : resolve())
+    )
+  );
+  await compactDb(logServer.db);
+  await compactDb(logServer.indexes!.db);
+  await compactDb(locStore.db);
+  await closeDb(logServer.db);
+  await closeDb(logServer.indexes!.db);
+  await closeDb(locStore.db);
+
+  const rimraf = require("rimraf");
+  files.forEach((file) => {
+    if (!keptFileKeys.has(file.fileKey)) {
+      ["", "?dontprocess", ".map"].forEach((postfix) =>
+        rimraf.sync(
+          path.resolve(sessionDirectory, "files", file.fileKey + postfix)
+        )
+      );
+    }
+  });
+  fs.writeFileSync(
+    sessionDirectory + "/files.json",
+    JSON.stringify(keptFiles, null, 2)
+  );
+
+  DERIVED_ENTRIES.forEach((entry) =>
+    rimraf.sync(path.resolve(sessionDirectory, entry))
+  );
+  fs.mkdirSync(path.resolve(sessionDirectory, "locsByUrl"));
+
+  return {
+    deletedLogCount: logIndicesToDelete.length,
+    keptLogCount,
+    deletedFileCount: files.length - keptFiles.length,
+    deletedLocCount: locIdsToDelete.length,
+  };
+}
+
+/*
+Session archives are gzipped and contain a JSON header line for each file,
+followed by the file content:
+{"path":"files.json","size":123}\n<123 bytes>{"path":...
+*/
+
+// The archive itself is skipped if it's saved inside the session directory
+function getArchiveEntries(
+  baseDirectory: string,
+  archivePath: string,
+  subdirectory = ""
+) {
+  let entries: string[] = [];
+  for (const name of fs.readdirSync(
+    path.resolve(baseDirectory, subdirectory)
+  )) {
+    const relativePath = subdirectory ? subdirectory + "/" + name : name;
+    const entryPath = path.resolve(baseDirectory, relativePath);
+    if (
+      (!subdirectory && ENTRIES_NOT_EXPORTED.includes(name)) ||
+      entryPath === path.resolve(archivePath)
+    ) {
+      continue;
+    }
+    if (fs.lstatSync(entryPath).isDirectory()) {
+      entries = [
+        ...entries,
+        ...getArchiveEntries(baseDirectory, archivePath, relativePath),
+      ];
+    } else {
+      entries.push(relativePath);
+    }
+  }
+  return entries;
+}
+
+export async function exportSession(
+  sessionDirectory: string,
+  archivePath: string
+) {
+  assertIsSessionDirectory(sessionDirectory);
+
+  const entries = getArchiveEntries(sessionDirectory, archivePath);
+  const gzip = zlib.createGzip();
+  const output = fs.createWriteStream(archivePath);
+  gzip.pipe(output);
+
+  const writeToGzip = (data: Buffer | string) =>
+    new Promise((resolve) => {
+      if (gzip.write(data)) {
+        resolve();
+      } else {
+        gzip.once("drain", resolve);
+      }
+    });
+
+  for (const entry of entries) {
+    const filePath = path.resolve(sessionDirectory, entry);
+    const size = fs.statSync(filePath).size;
+    await writeToGzip(JSON.stringify({ path: entry, size }) + "\n");
+    for await (const chunk of fs.createReadStream(filePath)) {
+      await writeToGzip(chunk);
+    }
+  }
+
+  await new Promise((resolve, reject) => {
+    output.on("finish", resolve);
+    output.on("error", reject);
+    gzip.end();
+  });
+
+  return { fileCount: entries.length };
+}
+
+export async function importSession(
+  archivePath: string,
+  sessionDirectory: string
+) {
+  if (
+    fs.existsSync(sessionDirectory) &&
+    fs.readdirSync(sessionDirectory).length > 0
+  ) {
+    throw Error(
+      "Can only import into a new session directory, " +
+        sessionDirectory +
+        " is not empty"
+    );
+  }
+
+  let buffer = Buffer.alloc(0);
+  let currentFile: { fd: number; remainingSize: number } | null = null;
+  let fileCount = 0;
+
+  function openFile(header) {
+    const filePath = path.resolve(sessionDirectory, header.path);
+    if (!filePath.startsWith(path.resolve(sessionDirectory) + path.sep)) {
+      throw Error("Invalid path in session archive: " + header.path);
+    }
+    require("mkdirp").sync(path.dirname(filePath));
+    fileCount++;
+    currentFile = {
+      fd: fs.openSync(filePath, "w"),
+      remainingSize: header.size,
+    };
+  }
+
+  function processBuffer() {
+    while (true) {
+      if (currentFile) {
+        const data = buffer.slice(0, currentFile.remainingSize);
+        fs.writeSync(currentFile.fd, data);
+        currentFile.remainingSize -= data.length;
+        buffer = buffer.slice(data.length);
+        if (currentFile.remainingSize > 0) {
+          return;
+        }
+        fs.closeSync(currentFile.fd);
+        currentFile = null;
+      }
+
+      const headerEndIndex = buffer.indexOf("\n");
+      if (headerEndIndex === -1) {
+        return;
+      }
+      openFile(JSON.parse(buffer.slice(0, headerEndIndex).toString()));
+      buffer = buffer.slice(headerEndIndex + 1);
+    }
+  }
+
+  const input = fs.createReadStream(archivePath).pipe(zlib.createGunzip());
+  for await (const chunk of input) {
+    buffer = Buffer.concat([buffer, chunk]);
+    processBuffer();
+  }
+
+  if (currentFile || buffer.length > 0) {
+    throw Error("Session archive is incomplete");
+  }
+
+  return { fileCount };
+}
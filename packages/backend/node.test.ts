@@ -1,4 +1,4 @@
-import { compileNodeApp } from "./compileNodeApp";
+import { compileNodeApp, runCompiledNodeApp } from "./compileNodeApp";
 import { RequestHandler } from "./RequestHandler";
 import { initSessionDirectory } from "./initSession";
 import Backend, { BackendOptions } from "./backend";
@@ -53,6 +53,7 @@ describe("Node", () => {
       includeFilePattern = null as any,
       runNTimes = 1,
       returnAfterExec = false,
+      useNodeRunner = false,
     }
   ) {
     let sessionSizeBefore = await getSessionSize();
@@ -71,10 +72,11 @@ describe("Node", () => {
     let stdout, code;
 
     const execStart = new Date();
+    const entryPath = path.resolve(outdir, testName, testName + ".js");
     for (var i = 0; i < runNTimes; i++) {
-      ({ stdout, code } = await getCmdOutput(
-        "node " + path.resolve(outdir, testName, testName + ".js")
-      ));
+      ({ stdout, code } = useNodeRunner
+        ? await runCompiledNodeApp(entryPath, { captureStdout: true })
+        : await getCmdOutput("node " + entryPath));
     }
     let execDuration = new Date().valueOf() - execStart.valueOf();
 
@@ -131,6 +133,14 @@ describe("Node", () => {
     expect(step.charIndex).toBe(11);
   }, 15000);
 
+  it("Sends logs when the app doesn't exit explicitly", async () => {
+    let { traverse } = await runTest("implicitExit", { useNodeRunner: true });
+
+    const { step } = await traverse(0);
+    expect(step.operationLog.operation).toBe("stringLiteral");
+    expect(step.operationLog.result.primitive).toBe("Hello");
+  }, 15000);
+
   it("Can require json files", async () => {
     let { traverse } = await runTest("requireJson", {});
     const { step } = await traverse(0);
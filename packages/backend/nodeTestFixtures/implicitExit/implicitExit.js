@@ -0,0 +1,2 @@
+const greeting = "Hello"
+console.log("Inspect:" + __fromJSGetTrackingIndex(greeting + " World"))
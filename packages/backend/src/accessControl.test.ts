@@ -0,0 +1,97 @@
+import { BackendOptions } from "../BackendOptions";
+import {
+  createAccessControlMiddleware,
+  PROXY_EXTENSION_ORIGIN,
+} from "./accessControl";
+
+function createOptions(extraOptions = {}) {
+  return new BackendOptions({
+    bePort: 7000,
+    proxyPort: 8081,
+    sessionDirectory: "/tmp/fromjs-session",
+    onReady: () => {},
+    dontTrack: [],
+    block: [],
+    disableDefaultBlockList: false,
+    backendOriginWithoutPort: "http://localhost",
+    ...extraOptions,
+  });
+}
+
+function makeRequest(
+  options: BackendOptions,
+  { host, origin, path = "/api/logs" }: any
+) {
+  const middleware = createAccessControlMiddleware(options, ["/storeLogs"]);
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+    },
+    end: jest.fn(),
+  };
+  const next = jest.fn();
+  middleware({ headers: { host, origin }, path }, res, next);
+  return next.mock.calls.length > 0 ? "allowed" : res.statusCode;
+}
+
+it("Only allows requests to localhost by default", () => {
+  const options = createOptions();
+  expect(makeRequest(options, { host: "localhost:7000" })).toBe("allowed");
+  expect(makeRequest(options, { host: "127.0.0.1:7000" })).toBe("allowed");
+  expect(makeRequest(options, { host: "[::1]:7000" })).toBe("allowed");
+  expect(makeRequest(options, { host: "rebind.example.com:7000" })).toBe(403);
+  expect(makeRequest(options, { host: undefined })).toBe(403);
+});
+
+it("Rejects requests without an origin if the host isn't allowed", () => {
+  const options = createOptions();
+  expect(
+    makeRequest(options, {
+      host: "rebind.example.com:7000",
+      path: "/storeLogs",
+    })
+  ).toBe(403);
+});
+
+it("Allows the exposed hostname", () => {
+  const options = createOptions({
+    expose: true,
+    exposedHostname: "devbox.local",
+  });
+  expect(makeRequest(options, { host: "devbox.local:7000" })).toBe("allowed");
+  expect(makeRequest(options, { host: "DEVBOX.local:7000" })).toBe("allowed");
+  expect(makeRequest(options, { host: "rebind.example.com:7000" })).toBe(403);
+  expect(createOptions().getAllowedHostnames()).not.toContain("devbox.local");
+});
+
+it("Only allows the FromJS proxy extension origin", () => {
+  const options = createOptions();
+  const host = "localhost:7000";
+  expect(makeRequest(options, { host, origin: PROXY_EXTENSION_ORIGIN })).toBe(
+    "allowed"
+  );
+  expect(
+    makeRequest(options, {
+      host,
+      origin: "chrome-extension://aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa",
+    })
+  ).toBe(403);
+  expect(makeRequest(options, { host, origin: "https://example.com" })).toBe(
+    403
+  );
+  expect(makeRequest(options, { host, origin: "http://localhost:7000" })).toBe(
+    "allowed"
+  );
+});
+
+it("Allows any origin for routes used by instrumented code", () => {
+  const options = createOptions();
+  expect(
+    makeRequest(options, {
+      host: "localhost:7000",
+      origin: "https://example.com",
+      path: "/storeLogs",
+    })
+  ).toBe("allowed");
+});
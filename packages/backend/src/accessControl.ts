@@ -0,0 +1,53 @@
+import { BackendOptions } from "../BackendOptions";
+
+// Fixed by the key in the proxy extension's manifest.json
+export const PROXY_EXTENSION_ORIGIN =
+  "chrome-extension://nalcmnpbjbamjjdlafjalkbekddikaio";
+
+// "localhost:7000" => "localhost", "[::1]:7000" => "[::1]"
+function getHostname(host: string) {
+  return host.replace(/:\d+$/, "").toLowerCase();
+}
+
+export function isAllowedHost(options: BackendOptions, host?: string) {
+  return !!host && options.getAllowedHostnames().includes(getHostname(host));
+}
+
+export function isAllowedOrigin(options: BackendOptions, origin: string) {
+  return (
+    options.getAllowedOrigins().includes(origin) ||
+    origin === PROXY_EXTENSION_ORIGIN
+  );
+}
+
+// Other websites open in the browser shouldn't be able to read tracking
+// data or control the inspector, so only the UI itself (and the proxy
+// extension) can call the API. Instrumented code can run on any website, so
+// its routes only check the access token, see verifyToken.
+export function createAccessControlMiddleware(
+  options: BackendOptions,
+  instrumentedCodeRoutes: string[]
+) {
+  return function accessControl(req, res, next) {
+    const { origin, host } = req.headers;
+    if (!isAllowedHost(options, host)) {
+      res.status(403);
+      res.end(
+        `Host ${host} is not allowed to access the FromJS backend, use --expose <hostname> to allow it`
+      );
+      return;
+    }
+    if (
+      !origin ||
+      instrumentedCodeRoutes.includes(req.path) ||
+      isAllowedOrigin(options, origin)
+    ) {
+      next();
+      return;
+    }
+    res.status(403);
+    res.end(
+      `Origin ${origin} is not allowed to access the FromJS backend, use --allowOrigin to allow it`
+    );
+  };
+}
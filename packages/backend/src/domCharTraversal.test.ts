@@ -0,0 +1,54 @@
+import { HtmlToOperationLogMapping } from "@fromjs/core";
+import {
+  getDefaultDomCharIndex,
+  getDomCharTraversalStart,
+} from "./domCharTraversal";
+
+function createOrigin(trackingValue, inputValuesCharacterIndex = 0) {
+  return {
+    trackingValue,
+    inputValuesCharacterIndex: [inputValuesCharacterIndex],
+    extraCharsAdded: 0,
+  };
+}
+
+describe("getDefaultDomCharIndex", () => {
+  it("Picks the first text character after whitespace", () => {
+    const mapping = new HtmlToOperationLogMapping([
+      ["<div>", createOrigin(1)],
+      ["\n  Hello", createOrigin(2)],
+      ["</div>", createOrigin(1)],
+    ]);
+    expect(getDefaultDomCharIndex(mapping)).toBe("<div>\n  ".length);
+  });
+
+  it("Picks the start of the element if it has no text", () => {
+    const mapping = new HtmlToOperationLogMapping([
+      ["<div>", createOrigin(1)],
+      ["</div>", createOrigin(1)],
+    ]);
+    expect(getDefaultDomCharIndex(mapping)).toBe(0);
+  });
+});
+
+describe("getDomCharTraversalStart", () => {
+  it("Maps the character to the value that created it", () => {
+    const mapping = new HtmlToOperationLogMapping([
+      ["<p>", createOrigin(1)],
+      ["Hello", createOrigin(2, 10)],
+      ["</p>", createOrigin(1)],
+    ]);
+    expect(getDomCharTraversalStart(mapping, "<p>He".length)).toEqual({
+      logId: 2,
+      charIndex: 12,
+    });
+  });
+
+  it("Returns null for characters without tracking data", () => {
+    const mapping = new HtmlToOperationLogMapping([
+      ["<p>", undefined],
+      ["</p>", undefined],
+    ]);
+    expect(getDomCharTraversalStart(mapping, 1)).toBe(null);
+  });
+});
@@ -0,0 +1,42 @@
+import { HtmlToOperationLogMapping, traverseDomOrigin } from "@fromjs/core";
+
+// Pick the first text character in the element, since that's usually what
+// the user is interested in (rather than e.g. the opening tag)
+export function getDefaultDomCharIndex(mapping: HtmlToOperationLogMapping) {
+  const html = mapping.getHtml();
+  let goodDefaultCharIndex = 0;
+
+  const charIndexWhereTextFollows = html.search(/>[^<]/);
+  if (
+    charIndexWhereTextFollows !== -1 &&
+    mapping.getOriginAtCharacterIndex(charIndexWhereTextFollows)
+  ) {
+    goodDefaultCharIndex = charIndexWhereTextFollows;
+    goodDefaultCharIndex++; // the > char
+    const first10Chars = html.slice(
+      goodDefaultCharIndex,
+      goodDefaultCharIndex + 10
+    );
+    const firstNonWhitespaceOffset = first10Chars.search(/\S/);
+    goodDefaultCharIndex += firstNonWhitespaceOffset;
+  }
+
+  return goodDefaultCharIndex;
+}
+
+export function getDomCharTraversalStart(
+  mapping: HtmlToOperationLogMapping,
+  charIndex: number
+) {
+  const mappingResult: any = mapping.getOriginAtCharacterIndex(charIndex);
+
+  if (!mappingResult.origin) {
+    return null;
+  }
+
+  const origin = mappingResult.origin;
+  return {
+    logId: origin.trackingValue,
+    charIndex: traverseDomOrigin(origin, mappingResult.charIndex),
+  };
+}
@@ -0,0 +1,148 @@
+import { testHelpers } from "@fromjs/core";
+import {
+  getImpactTree,
+  getArgLogIndices,
+  createFindLogUses,
+  createImpactRequestHandler,
+} from "./impactAnalysis";
+const { instrumentAndRun, server } = testHelpers;
+
+// The in-memory log server used by the tests doesn't index uses
+async function findLogUsesInMemory(logIndex: string) {
+  return Object.keys(server._storedLogs).filter((useLogIndex) =>
+    getArgLogIndices(JSON.parse(server._storedLogs[useLogIndex])).includes(
+      logIndex
+    )
+  );
+}
+
+// The tests return the variable the string literal was assigned to
+function getStringLiteralLogIndex(identifierLog) {
+  return identifierLog.args.value.index;
+}
+
+async function requestImpact(logId: string, findLogUses = findLogUsesInMemory) {
+  const response = { status: 200, body: null as any };
+  const res = {
+    status: (status) => (response.status = status),
+    end: (body) => (response.body = JSON.parse(body)),
+  };
+  await createImpactRequestHandler(server as any, findLogUses)(
+    { params: { logId }, query: {} },
+    res
+  );
+  return response;
+}
+
+function getOperations(node) {
+  return [node.operation, ...node.children.flatMap(getOperations)];
+}
+
+it("Finds the operations and DOM elements a value was used in", async () => {
+  const { tracking } = await instrumentAndRun(`
+    const name = "Alice"
+    const div = document.createElement("div")
+    div.id = "greeting"
+    div.innerHTML = "<b>" + name + "</b>"
+    return name
+  `);
+
+  const { tree, elements, isTruncated } = await getImpactTree(
+    server as any,
+    getStringLiteralLogIndex(tracking),
+    { findLogUses: findLogUsesInMemory }
+  );
+
+  expect(getOperations(tree)).toContain("binaryExpression");
+  expect(elements.map(({ element, part }) => ({ element, part }))).toEqual([
+    { element: "div#greeting", part: "innerHTML" },
+  ]);
+  expect(isTruncated).toBe(false);
+});
+
+it("Finds attributes that show a value", async () => {
+  const { tracking } = await instrumentAndRun(`
+    const title = "Hello"
+    const div = document.createElement("div")
+    div.className = "card active"
+    div.setAttribute("title", title)
+    return title
+  `);
+
+  const { elements } = await getImpactTree(
+    server as any,
+    getStringLiteralLogIndex(tracking),
+    {
+      findLogUses: findLogUsesInMemory,
+    }
+  );
+
+  expect(elements.map(({ element, part }) => ({ element, part }))).toEqual([
+    { element: "div.card.active", part: "title" },
+  ]);
+});
+
+it("Stops after maxLogs logs", async () => {
+  const { tracking } = await instrumentAndRun(`
+    const name = "Alice"
+    const names = [name + "1", name + "2", name + "3"]
+    return name
+  `);
+
+  const { logIndices, isTruncated } = await getImpactTree(
+    server as any,
+    getStringLiteralLogIndex(tracking),
+    { findLogUses: findLogUsesInMemory, maxLogs: 2 }
+  );
+
+  expect(logIndices.length).toBe(2);
+  expect(isTruncated).toBe(true);
+});
+
+it("Falls back to logUses.json for sessions without indexed uses", async () => {
+  const logServer: any = {
+    findLogUses: async (logIndex) => (logIndex === "1" ? ["2"] : []),
+  };
+  const findLogUses = createFindLogUses(logServer, { 2: [3, 4] });
+
+  expect(await findLogUses("1")).toEqual(["2"]);
+  expect(await findLogUses("2")).toEqual(["3", "4"]);
+  expect(await findLogUses("3")).toEqual([]);
+});
+
+describe("createImpactRequestHandler", () => {
+  it("Responds with the impact tree", async () => {
+    const { tracking } = await instrumentAndRun(`
+      const name = "Alice"
+      return name
+    `);
+    const { status, body } = await requestImpact(
+      getStringLiteralLogIndex(tracking).toString()
+    );
+    expect(status).toBe(200);
+    expect(body.tree.operation).toBe("stringLiteral");
+  });
+
+  it("Responds with 404 for logs that don't exist", async () => {
+    expect(await requestImpact("123456789")).toEqual({
+      status: 404,
+      body: { err: "Log not found (123456789)" },
+    });
+    expect((await requestImpact("abc")).status).toBe(404);
+  });
+
+  it("Responds with 500 if the impact tree can't be loaded", async () => {
+    const { tracking } = await instrumentAndRun(`
+      const name = "Alice"
+      return name
+    `);
+    const { status, body } = await requestImpact(
+      getStringLiteralLogIndex(tracking).toString(),
+      async () => {
+        throw Error("Index not readable");
+      }
+    );
+    expect(status).toBe(500);
+    expect(body).toEqual({ err: "Index not readable" });
+  });
+});
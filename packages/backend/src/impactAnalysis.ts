@@ -0,0 +1,165 @@
+import { LevelDBLogServer } from "@fromjs/core";
+
+const DEFAULT_MAX_LOGS = 500;
+
+export interface ImpactNode {
+  logIndex: number;
+  operation: string;
+  // Which argument of this operation the parent log was passed in as
+  argName: string | null;
+  result: string;
+  loc: string | null;
+  children: ImpactNode[];
+}
+
+// An operation that wrote a derived value into the DOM
+export interface ImpactElement {
+  logIndex: number;
+  // e.g. "div#main.card"
+  element: string;
+  // Attribute or property name, or the method that inserted the value
+  part: string;
+  loc: string | null;
+}
+
+export type FindLogUses = (logIndex: string) => Promise<string[]>;
+
+// Sessions recorded before uses were indexed only have the logUses.json file
+// that's generated offline with GENERATE_DERIVED
+export function createFindLogUses(
+  logServer: LevelDBLogServer,
+  logUses: { [logIndex: string]: number[] }
+): FindLogUses {
+  return async function findLogUses(logIndex: string) {
+    const uses = await logServer.findLogUses(logIndex);
+    if (uses.length > 0) {
+      return uses;
+    }
+    return (logUses[logIndex] || []).map(String);
+  };
+}
+
+// Collects the tracking values stored in log.args and log.extraArgs, i.e. the
+// logs an operation was created from
+export function getArgLogIndices(log) {
+  const argLogIndices: string[] = [];
+  function collect(value) {
+    if (typeof value === "number") {
+      argLogIndices.push(value.toString());
+    } else if (value && typeof value === "object") {
+      Object.values(value).forEach(collect);
+    }
+  }
+  collect(log.a || log.args);
+  collect(log.e || log.extraArgs);
+  const runtimeArgs = log.rt || log.runtimeArgs;
+  if (runtimeArgs && runtimeArgs.assignment) {
+    collect(runtimeArgs.assignment);
+  }
+  return argLogIndices;
+}
+
+function getArgName(log, parentLogIndex: number) {
+  for (const args of [log.args, log.extraArgs, log.runtimeArgs]) {
+    if (!args) {
+      continue;
+    }
+    const argName = Object.keys(args).find(
+      (argName) => args[argName] === parentLogIndex
+    );
+    if (argName) {
+      return argName;
+    }
+  }
+  return null;
+}
+
+// The reverse of traverse: starting from a source log, find every operation
+// that was derived from it and the DOM elements that show it
+export async function getImpactTree(
+  logServer: LevelDBLogServer,
+  logIndex: number,
+  {
+    maxLogs = DEFAULT_MAX_LOGS,
+    findLogUses = (logIndex: string) => logServer.findLogUses(logIndex),
+  }: { maxLogs?: number; findLogUses?: FindLogUses } = {}
+) {
+  const visited = new Set<number>();
+  const elements: ImpactElement[] = [];
+  let isTruncated = false;
+
+  async function makeNode(logIndex: number, parentLogIndex: number | null) {
+    visited.add(logIndex);
+    const log = (await logServer.loadLogAwaitable(logIndex, 0)) as any;
+    const node: ImpactNode = {
+      logIndex,
+      operation: log.operation,
+      argName: parentLogIndex === null ? null : getArgName(log, parentLogIndex),
+      result: log.result.getTruncatedUIString(),
+      loc: log.loc || null,
+      children: [],
+    };
+    const domWrite = log.runtimeArgs && log.runtimeArgs.domWrite;
+    if (domWrite) {
+      elements.push({ logIndex, ...domWrite, loc: node.loc });
+    }
+    return node;
+  }
+
+  const root = await makeNode(logIndex, null);
+  let queue = [root];
+  while (queue.length > 0) {
+    const node = queue.shift()!;
+    const useLogIndices = await findLogUses(node.logIndex.toString());
+    for (const useLogIndex of useLogIndices.map(parseFloat)) {
+      if (visited.has(useLogIndex)) {
+        continue;
+      }
+      if (visited.size >= maxLogs) {
+        isTruncated = true;
+        break;
+      }
+      const child = await makeNode(useLogIndex, node.logIndex);
+      node.children.push(child);
+      queue.push(child);
+    }
+  }
+
+  return {
+    tree: root,
+    logIndices: Array.from(visited),
+    elements,
+    isTruncated,
+  };
+}
+
+// Handles GET /api/impact/:logId
+export function createImpactRequestHandler(
+  logServer: LevelDBLogServer,
+  findLogUses: FindLogUses
+) {
+  return async function handleImpactRequest(req, res) {
+    const logIndex = parseFloat(req.params.logId);
+    const hasLog = await new Promise((resolve) =>
+      logServer.hasLog(logIndex, resolve)
+    );
+    if (!hasLog) {
+      res.status(404);
+      res.end(
+        JSON.stringify({ err: "Log not found (" + req.params.logId + ")" })
+      );
+      return;
+    }
+
+    try {
+      const result = await getImpactTree(logServer, logIndex, {
+        maxLogs: req.query.maxLogs ? parseFloat(req.query.maxLogs) : undefined,
+        findLogUses,
+      });
+      res.end(JSON.stringify(result));
+    } catch (err) {
+      res.status(500);
+      res.end(JSON.stringify({ err: err.message }));
+    }
+  };
+}
@@ -0,0 +1,183 @@
+import { LevelDBLogServer, LocStore } from "@fromjs/core";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { searchLogs } from "./searchLogs";
+
+let tmpDirectory: string;
+let locStore: LocStore;
+let logServer: LevelDBLogServer;
+
+function closeDb(db) {
+  return new Promise((resolve) => db.close(resolve));
+}
+
+beforeEach(async () => {
+  tmpDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "fromjs-search-"));
+  locStore = new LocStore(tmpDirectory + "/locs");
+  await new Promise((resolve) =>
+    locStore.write(
+      {
+        appLoc: {
+          url: "http://example.com/app.js",
+          start: { line: 3, column: 10 },
+        },
+        libLoc: {
+          url: "http://example.com/lib.js",
+          start: { line: 1, column: 0 },
+        },
+      },
+      resolve
+    )
+  );
+  logServer = new LevelDBLogServer(
+    tmpDirectory + "/tracking-data",
+    locStore,
+    tmpDirectory + "/log-indexes"
+  );
+  // storeLogs writes to the LevelDOWN instance directly, so it has to be open
+  await new Promise((resolve) => logServer.db.open(resolve));
+  await new Promise((resolve) =>
+    logServer.storeLogs(
+      [
+        ["1", JSON.stringify({ o: "s", l: "appLoc", r: { p: "Hello World" } })],
+        ["2", JSON.stringify({ o: "b", l: "libLoc", r: { p: "hello there" } })],
+        ["3", JSON.stringify({ o: "s", l: "libLoc", r: { p: 'Say "hello"' } })],
+        ["4", JSON.stringify({ o: "s", l: "appLoc", r: { p: 5 } })],
+      ] as any,
+      resolve
+    )
+  );
+});
+
+afterEach(async () => {
+  await closeDb(logServer.db);
+  await closeDb(logServer.indexes!.db);
+  await closeDb(locStore.db);
+  require("rimraf").sync(tmpDirectory);
+});
+
+describe("searchLogs", () => {
+  it("Finds logs whose value contains the query, ignoring case", async () => {
+    const { hits, nextCursor } = await searchLogs(logServer, locStore, {
+      query: "hello",
+      limit: 50,
+    });
+    expect(hits.map((hit) => hit.logIndex)).toEqual([1, 2, 3]);
+    expect(hits[0]).toEqual({
+      logIndex: 1,
+      operation: "stringLiteral",
+      charIndex: 0,
+      preview: "Hello World",
+      loc: {
+        id: "appLoc",
+        url: "http://example.com/app.js",
+        line: 3,
+        column: 10,
+      },
+    });
+    expect(hits[2].charIndex).toBe(5);
+    expect(nextCursor).toBe(null);
+  });
+
+  it("Finds queries containing characters that are escaped in JSON", async () => {
+    const { hits } = await searchLogs(logServer, locStore, {
+      query: '"hello"',
+      limit: 50,
+    });
+    expect(hits.map((hit) => hit.logIndex)).toEqual([3]);
+  });
+
+  it("Matches number values", async () => {
+    const { hits } = await searchLogs(logServer, locStore, {
+      query: "5",
+      limit: 50,
+    });
+    expect(hits.map((hit) => hit.logIndex)).toEqual([4]);
+  });
+
+  it("Filters by operation and url", async () => {
+    const byOperation = await searchLogs(logServer, locStore, {
+      query: "hello",
+      operation: "binaryExpression",
+      limit: 50,
+    });
+    expect(byOperation.hits.map((hit) => hit.logIndex)).toEqual([2]);
+
+    const byUrl = await searchLogs(logServer, locStore, {
+      query: "hello",
+      url: "lib.js",
+      limit: 50,
+    });
+    expect(byUrl.hits.map((hit) => hit.logIndex)).toEqual([2, 3]);
+  });
+
+  it("Uses the operation index once it's complete", async () => {
+    await logServer.storeLogIndexEntries(
+      ["1", "3", "4"].map((logIndex) => ({
+        logIndex,
+        operation: "stringLiteral",
+        url: null,
+        pageSessionId: null,
+        time: null,
+      }))
+    );
+    await logServer.indexes!.markComplete();
+    const { hits } = await searchLogs(logServer, locStore, {
+      query: "hello",
+      operation: "stringLiteral",
+      limit: 50,
+    });
+    expect(hits.map((hit) => hit.logIndex)).toEqual([1, 3]);
+  });
+
+  it("Returns a cursor for the next page", async () => {
+    const firstPage = await searchLogs(logServer, locStore, {
+      query: "hello",
+      limit: 2,
+    });
+    expect(firstPage.hits.map((hit) => hit.logIndex)).toEqual([1, 2]);
+    expect(firstPage.nextCursor).toBe("2");
+
+    const secondPage = await searchLogs(logServer, locStore, {
+      query: "hello",
+      after: firstPage.nextCursor!,
+      limit: 2,
+    });
+    expect(secondPage.hits.map((hit) => hit.logIndex)).toEqual([3]);
+    expect(secondPage.nextCursor).toBe(null);
+  });
+
+  it("Shortens long previews around the match", async () => {
+    await new Promise((resolve) =>
+      logServer.storeLogs(
+        [
+          [
+            "5",
+            JSON.stringify({
+              o: "s",
+              r: { p: "a".repeat(100) + "needle" + "b".repeat(100) },
+            }),
+          ],
+        ] as any,
+        resolve
+      )
+    );
+    const { hits } = await searchLogs(logServer, locStore, {
+      query: "needle",
+      limit: 50,
+    });
+    expect(hits[0].preview).toBe(
+      "…" + "a".repeat(40) + "needle" + "b".repeat(40) + "…"
+    );
+    expect(hits[0].loc).toBe(null);
+  });
+
+  it("Rejects limits that aren't positive integers", async () => {
+    for (const limit of [NaN, 0, 1.5]) {
+      await expect(
+        searchLogs(logServer, locStore, { query: "hello", limit })
+      ).rejects.toThrow("Invalid search limit");
+    }
+  });
+});
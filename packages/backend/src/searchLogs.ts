@@ -0,0 +1,191 @@
+import { LevelDBLogServer, LocStore, getLongOperationName } from "@fromjs/core";
+
+const PREVIEW_CONTEXT_LENGTH = 40;
+
+export interface SearchLogsQuery {
+  query: string;
+  operation?: string;
+  url?: string;
+  // Log index of the last hit on the previous page
+  after?: string;
+  limit: number;
+}
+
+export interface SearchHit {
+  logIndex: number;
+  operation: string;
+  // Character index of the match in the result value, traversals can start there
+  charIndex: number;
+  preview: string;
+  loc: {
+    id: string;
+    url: string;
+    line: number;
+    column: number;
+  } | null;
+}
+
+function getLogResultString(log) {
+  const result = log.r || log._result;
+  if (!result) {
+    return null;
+  }
+  const primitive = "p" in result ? result.p : result.primitive;
+  if (typeof primitive !== "string" && typeof primitive !== "number") {
+    return null;
+  }
+  return primitive + "";
+}
+
+function getPreview(str: string, matchIndex: number, matchLength: number) {
+  const start = Math.max(0, matchIndex - PREVIEW_CONTEXT_LENGTH);
+  const end = Math.min(
+    str.length,
+    matchIndex + matchLength + PREVIEW_CONTEXT_LENGTH
+  );
+  return (
+    (start > 0 ? "…" : "") +
+    str.slice(start, end) +
+    (end < str.length ? "…" : "")
+  );
+}
+
+// Without a positive integer limit the search would never stop early
+export function isValidSearchLimit(limit: number) {
+  return Number.isInteger(limit) && limit > 0;
+}
+
+export async function searchLogs(
+  logServer: LevelDBLogServer,
+  locStore: LocStore,
+  { query, operation, url, after, limit }: SearchLogsQuery
+) {
+  if (!isValidSearchLimit(limit)) {
+    throw Error("Invalid search limit: " + limit);
+  }
+
+  const lowerCaseQuery = query.toLowerCase();
+  // If the query doesn't contain characters that JSON escapes we can check
+  // the raw log JSON before parsing it, which is much faster
+  const canCheckRawJson = JSON.stringify(query).slice(1, -1) === query;
+
+  const locsById = new Map();
+  function getLoc(locId) {
+    if (!locsById.has(locId)) {
+      locsById.set(
+        locId,
+        new Promise((resolve) => {
+          locStore.db.get(locId, (err, value) =>
+            resolve(err ? null : JSON.parse(value.toString()))
+          );
+        })
+      );
+    }
+    return locsById.get(locId);
+  }
+
+  async function getHit(logIndex: string, logJson: string) {
+    if (canCheckRawJson && !logJson.toLowerCase().includes(lowerCaseQuery)) {
+      return null;
+    }
+
+    const log = JSON.parse(logJson);
+    const logOperation = getLongOperationName(log.o || log.operation);
+    if (operation && logOperation !== operation) {
+      return null;
+    }
+
+    const resultString = getLogResultString(log);
+    if (resultString === null) {
+      return null;
+    }
+    const matchIndex = resultString.toLowerCase().indexOf(lowerCaseQuery);
+    if (matchIndex === -1) {
+      return null;
+    }
+
+    const locId = log.l || log.loc;
+    const loc = locId ? await getLoc(locId) : null;
+    if (url && !(loc && loc.url.includes(url))) {
+      return null;
+    }
+
+    return {
+      logIndex: parseFloat(logIndex),
+      operation: logOperation,
+      charIndex: matchIndex,
+      preview: getPreview(resultString, matchIndex, query.length),
+      loc: loc && {
+        id: locId,
+        url: loc.url,
+        line: loc.start.line,
+        column: loc.start.column,
+      },
+    } as SearchHit;
+  }
+
+  const hits: SearchHit[] = [];
+  let nextCursor: string | null = null;
+
+  // Filtering by operation on its own can still match lots of logs, so
+  // the value needs to be checked for every index hit
+  if (
+    operation &&
+    logServer.indexes &&
+    (await logServer.indexes.isComplete())
+  ) {
+    const logIndices = await logServer.findLogIndices({ operation });
+    for (const logIndex of logIndices) {
+      if (after && logIndex <= after) {
+        continue;
+      }
+      const logJson = await new Promise<string>((resolve, reject) =>
+        logServer.db.get(logIndex, (err, value) =>
+          err ? reject(err) : resolve(value.toString())
+        )
+      );
+      const hit = await getHit(logIndex, logJson);
+      if (hit) {
+        hits.push(hit);
+        if (hits.length === limit) {
+          nextCursor = logIndex;
+          break;
+        }
+      }
+    }
+    return { hits, nextCursor };
+  }
+
+  await new Promise((resolve, reject) => {
+    const i = logServer.db.iterator(after ? { gt: after } : {});
+    async function iterate(error, key, value) {
+      if (error) {
+        i.end(() => reject(error));
+        return;
+      }
+      if (!key) {
+        i.end(() => resolve());
+        return;
+      }
+
+      try {
+        const hit = await getHit(key.toString(), value.toString());
+        if (hit) {
+          hits.push(hit);
+          if (hits.length === limit) {
+            nextCursor = key.toString();
+            i.end(() => resolve());
+            return;
+          }
+        }
+      } catch (err) {
+        i.end(() => reject(err));
+        return;
+      }
+      i.next(iterate);
+    }
+    i.next(iterate);
+  });
+
+  return { hits, nextCursor };
+}
@@ -1,7 +1,14 @@
-import { testHelpers } from "@fromjs/core";
-const { instrumentAndRun, server } = testHelpers;
+import { testHelpers, HtmlToOperationLogMapping } from "@fromjs/core";
+const { instrumentAndRun, instrumentAndRunModules, server } = testHelpers;
 import { traverse as _traverse, TraversalStep } from "./traverse";
+import { traverseRange, describeOrigin } from "./traverseRange";
+import { getDomCharTraversalStart } from "./domCharTraversal";
 import { numericLiteral } from "@fromjs/core/src/OperationTypes";
+import { TraversalCache } from "@fromjs/core/src/TraversalCache";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import * as workerThreads from "worker_threads";
 
 const traverse = async function (firstStep, options = {}) {
   options = Object.assign({ optimistic: false }, options);
@@ -19,6 +26,72 @@ function getStepTypeList(traversalResult) {
   return traversalResult.map((t) => t.operationLog.operation);
 }
 
+// jsdom doesn't support web workers, so this stands in for a worker script
+// that posts every message it receives back to the page. The helper functions
+// are initialized for every instrumentAndRun call, so Worker becomes a known
+// value as long as it's set up before the test runs.
+class EchoWorker extends EventTarget {
+  receivedMessages: any[] = [];
+  constructor(url) {
+    super();
+    // Like the helper functions in an instrumented worker
+    if (!url.includes("uninstrumented")) {
+      this.postToPage({ __fromJSEnableMessageTracking: true });
+    }
+  }
+  postMessage(data) {
+    if (typeof data === "function") {
+      throw new DOMException("Function could not be cloned", "DataCloneError");
+    }
+    this.receivedMessages.push(data);
+    this.postToPage(JSON.parse(JSON.stringify(data)));
+  }
+  postToPage(data) {
+    setTimeout(() => this.dispatchEvent(new MessageEvent("message", { data })));
+  }
+}
+
+// Sends each message in messages to the page, once it's connected
+class FakeMessageSource extends EventTarget {
+  static messages: string[] = [];
+  url: string;
+  constructor(url) {
+    super();
+    this.url = url;
+    (this.constructor as typeof FakeMessageSource).messages.forEach((data) => {
+      setTimeout(() =>
+        this.dispatchEvent(new MessageEvent("message", { data }))
+      );
+    });
+  }
+}
+class FakeWebSocket extends FakeMessageSource {}
+class FakeEventSource extends FakeMessageSource {}
+
+// fetch(url) responds with the body in responses
+class FakeResponse {
+  static responses: { [url: string]: string } = {};
+  url: string;
+  constructor(url) {
+    this.url = url;
+  }
+  async blob() {
+    return new Blob([FakeResponse.responses[this.url]]);
+  }
+}
+async function fakeFetch(url) {
+  return new FakeResponse(url);
+}
+
+// jsdom's Blob doesn't have text()
+function blobText(this: Blob) {
+  return new Promise<string>((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.readAsText(this);
+  });
+}
+
 test("Can track concatenation of 'a' and 'b' - (simple)", async () => {
   const { normal, tracking, code } = await instrumentAndRun("return 'a' + 'b'");
   expect(normal).toBe("ab");
@@ -1293,6 +1366,153 @@ describe("Array.concat", () => {
   });
 });
 
+describe("Array methods", () => {
+  it("Can traverse sort with a compare function", async () => {
+    await expectOrigins(
+      `
+        const items = JSON.parse('[{"name":"b"},{"name":"c"},{"name":"a"}]')
+        const names = items.map(item => item.name)
+        names.sort((a, b) => a < b ? 1 : -1)
+        return names.join("")
+      `,
+      "cba",
+      [
+        [0, "stringLiteral", '[{"name":"b"},{"name":"c"},{"name":"a"}]', 23],
+        [2, "stringLiteral", '[{"name":"b"},{"name":"c"},{"name":"a"}]', 36],
+      ]
+    );
+  });
+  it("Can traverse sort and toSorted without a compare function", async () => {
+    await expectOrigins(
+      `return ["b", "c", "a"].sort().join("") + ["y", "x"].toSorted().join("")`,
+      "abcxy",
+      [
+        [0, "stringLiteral", "a", 0],
+        [2, "stringLiteral", "c", 0],
+        [3, "stringLiteral", "x", 0],
+      ]
+    );
+  });
+  it("Tracks the sort step", async () => {
+    const { tracking } = await instrumentAndRun(`
+      return ["b", "a"].sort()[0]
+    `);
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    expect(getStepTypeList(t)).toContain("arraySort");
+  });
+  it("Can traverse reverse and toReversed", async () => {
+    await expectOrigins(
+      `return ["a", "b", "c"].reverse().join("") + ["x", "y"].toReversed()[0]`,
+      "cbay",
+      [
+        [0, "stringLiteral", "c", 0],
+        [2, "stringLiteral", "a", 0],
+        [3, "stringLiteral", "y", 0],
+      ]
+    );
+  });
+  it("Can traverse find and findLast", async () => {
+    await expectOrigins(
+      `
+        const arr = ["ab", "cd", "ce"]
+        return arr.find(s => s[0] === "c") + arr.findLast(s => s[0] === "c")
+      `,
+      "cdce",
+      [
+        [1, "stringLiteral", "cd", 1],
+        [3, "stringLiteral", "ce", 1],
+      ]
+    );
+  });
+  it("Can traverse findIndex", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      return ["a", "b"].findIndex(s => s === "b")
+    `);
+    expect(normal).toBe(1);
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    expect(getStepTypeList(t)).toContain("arrayIndex");
+  });
+  it("Can traverse flat", async () => {
+    await expectOrigins(
+      `return [["a", ["b"]], "c", , ["d"]].flat(2).join("")`,
+      "abcd",
+      [
+        [1, "stringLiteral", "b", 0],
+        [2, "stringLiteral", "c", 0],
+        [3, "stringLiteral", "d", 0],
+      ]
+    );
+  });
+  it("Can traverse flatMap", async () => {
+    await expectOrigins(
+      `return ["ab", "c"].flatMap(s => s.length > 1 ? s.split("") : s).join("")`,
+      "abc",
+      [
+        [1, "stringLiteral", "ab", 1],
+        [2, "stringLiteral", "c", 0],
+      ]
+    );
+  });
+  it("Can traverse fill", async () => {
+    await expectOrigins(
+      `return ["a", "b", "c"].fill("x", -2).join("")`,
+      "axx",
+      [
+        [0, "stringLiteral", "a", 0],
+        [2, "stringLiteral", "x", 0],
+      ]
+    );
+  });
+  it("Can traverse Array.from with an array, a Set and a mapping function", async () => {
+    await expectOrigins(
+      `
+        return Array.from(["a"]).join("") +
+          Array.from(new Set(["b", "b"])).join("") +
+          Array.from(["c"], s => s + "!").join("")
+      `,
+      "abc!",
+      [
+        [0, "stringLiteral", "a", 0],
+        [1, "stringLiteral", "b", 0],
+        [2, "stringLiteral", "c", 0],
+        [3, "stringLiteral", "!", 0],
+      ]
+    );
+  });
+  it("Can traverse Array.from with a string", async () => {
+    await expectOrigins(
+      `return Array.from("a😀b").reverse().join("")`,
+      "b😀a",
+      [
+        [0, "stringLiteral", "a😀b", 3],
+        [1, "stringLiteral", "a😀b", 1],
+        [3, "stringLiteral", "a😀b", 0],
+      ]
+    );
+  });
+  it("Can traverse Array.of", async () => {
+    await expectOrigins(`return Array.of("a", "b").join("")`, "ab", [
+      [1, "stringLiteral", "b", 0],
+    ]);
+  });
+  it("Can traverse array spread", async () => {
+    await expectOrigins(
+      `
+        const arr = ["a", "b"]
+        const copy = [...arr]
+        copy.reverse()
+        return [...copy, "c"].join("")
+      `,
+      "bac",
+      [
+        [0, "stringLiteral", "b", 0],
+        [1, "stringLiteral", "a", 0],
+        [2, "stringLiteral", "c", 0],
+      ]
+    );
+  });
+});
+
 describe("encodeURICompoennt", () => {
   it("Can traverse encodeURIComponent", async () => {
     const { normal, tracking, code } = await instrumentAndRun(`
@@ -2803,6 +3023,61 @@ describe("URL", () => {
   });
 });
 
+describe("URL query parameters and location", () => {
+  const pageUrl = location.href;
+  afterEach(() => {
+    history.replaceState(null, "", pageUrl);
+  });
+
+  it("Ends at the query parameter when the page echoes it", async () => {
+    history.replaceState(null, "", "/search?page=2&q=red+shoes");
+    const { normal, tracking } = await instrumentAndRun(`
+      const q = new URLSearchParams(location.search).get("q")
+      return "Results for " + q
+    `);
+    expect(normal).toBe("Results for red shoes");
+
+    const t = await traverse({
+      operationLog: tracking,
+      charIndex: "Results for red s".length,
+    });
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.operation).toBe("urlPart");
+    expect(lastStep.charIndex).toBe("red s".length);
+    const { runtimeArgs } = lastStep.operationLog;
+    expect(runtimeArgs.url.slice(runtimeArgs.start, runtimeArgs.end)).toBe(
+      "red+shoes"
+    );
+    expect(describeOrigin(t).detail).toBe("URL query parameter q");
+  });
+
+  it("Tracks location.pathname", async () => {
+    history.replaceState(null, "", "/products/shoes");
+    const { normal, tracking } = await instrumentAndRun(`
+      return location.pathname.split("/")[2]
+    `);
+    expect(normal).toBe("shoes");
+
+    const step = await traverseAndGetLastStep(tracking, 1);
+    expect(step.operationLog.operation).toBe("urlPart");
+    expect(step.operationLog.runtimeArgs.name).toBe("location.pathname");
+    expect(step.charIndex).toBe("/products/s".length);
+  });
+
+  it("Maps decoded URL search params back into the URL string", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const url = new URL("https://shop.example/search?q=red%20" + "shoes&page=2")
+      return url.searchParams.getAll("q")[0]
+    `);
+    expect(normal).toBe("red shoes");
+
+    const step = await traverseAndGetLastStep(tracking, "red s".length);
+    expect(step.operationLog.operation).toBe("stringLiteral");
+    expect(step.operationLog.result.primitive).toBe("shoes&page=2");
+    expect(step.charIndex).toBe(1);
+  });
+});
+
 it("Can traverse Intl.NumberFormat().format", async () => {
   const { normal, tracking, code } = await instrumentAndRun(
     `
@@ -2818,6 +3093,65 @@ it("Can traverse Intl.NumberFormat().format", async () => {
   expect(step.operationLog.operation).toBe("numericLiteral");
 });
 
+describe("Number and date formatting", () => {
+  it("Can traverse Intl.NumberFormat currency formatting to the JSON number", async () => {
+    await expectOrigins(
+      `
+        const { price } = JSON.parse('{"price":1234.5}')
+        const formatter = new Intl.NumberFormat("en-US", {
+          style: "currency",
+          currency: "USD"
+        })
+        return formatter.format(price)
+      `,
+      "$1,234.50",
+      [
+        [0, "stringLiteral", '{"price":1234.5}', 9],
+        [3, "stringLiteral", '{"price":1234.5}', 10],
+        [7, "stringLiteral", '{"price":1234.5}', 14],
+        [8, "stringLiteral", '{"price":1234.5}', 14],
+      ]
+    );
+  });
+  it("Can traverse toFixed, toPrecision and toLocaleString", async () => {
+    await expectOrigins(
+      `
+        const n = 1234.5
+        return n.toFixed(2) + " " + n.toPrecision(2) + " " + n.toLocaleString("en-US")
+      `,
+      "1234.50 1.2e+3 1,234.5",
+      [
+        [5, "numericLiteral", 1234.5, 5],
+        [10, "numericLiteral", 1234.5, 1],
+        [17, "numericLiteral", 1234.5, 1],
+        [21, "numericLiteral", 1234.5, 5],
+      ]
+    );
+  });
+  it("Can traverse Date.prototype.toISOString", async () => {
+    await expectOrigins(
+      `return new Date("2020-01-02T03:04:05.000Z").toISOString()`,
+      "2020-01-02T03:04:05.000Z",
+      [[5, "stringLiteral", "2020-01-02T03:04:05.000Z", 5]]
+    );
+  });
+  it("Can traverse Intl.DateTimeFormat and toLocaleDateString to the timestamp", async () => {
+    await expectOrigins(
+      `
+        const { ts } = JSON.parse('{"ts":1577934245000}')
+        const date = new Date(ts)
+        const formatter = new Intl.DateTimeFormat("en-US", { timeZone: "UTC" })
+        return formatter.format(date) + " " + date.toLocaleDateString("en-US", { timeZone: "UTC" })
+      `,
+      "1/2/2020 1/2/2020",
+      [
+        [2, "stringLiteral", '{"ts":1577934245000}', 6],
+        [11, "stringLiteral", '{"ts":1577934245000}', 6],
+      ]
+    );
+  });
+});
+
 describe("Doesn't really test traversal", () => {
   it("Includes object path for string literal in Object Expression", async () => {
     const { normal, tracking, code, logServer } = await instrumentAndRun(
@@ -2870,3 +3204,1243 @@ describe("Function default values", () => {
     expect(step.operationLog._result).toBe("b");
   });
 });
+
+// Checks where each listed character of the result comes from
+async function expectOrigins(code, expectedResult, expectedOrigins) {
+  const { normal, tracking } = await instrumentAndRun(
+    code,
+    {},
+    {
+      logCode: false,
+    }
+  );
+  expect(normal).toBe(expectedResult);
+  for (const [
+    charIndex,
+    operation,
+    primitive,
+    originCharIndex,
+  ] of expectedOrigins) {
+    const step = await traverseAndGetLastStep(tracking, charIndex);
+    expect([
+      step.operationLog.operation,
+      step.operationLog.result.primitive,
+      step.charIndex,
+    ]).toEqual([operation, primitive, originCharIndex]);
+  }
+}
+
+describe("String methods", () => {
+  it("Can traverse padStart", async () => {
+    await expectOrigins(`return "7".padStart(3, "0")`, "007", [
+      [0, "stringLiteral", "0", 0],
+      [2, "stringLiteral", "7", 0],
+    ]);
+  });
+  it("Can traverse padEnd", async () => {
+    await expectOrigins(`return "ab".padEnd(5, "xy")`, "abxyx", [
+      [1, "stringLiteral", "ab", 1],
+      [3, "stringLiteral", "xy", 1],
+      [4, "stringLiteral", "xy", 0],
+    ]);
+  });
+  it("Can traverse repeat", async () => {
+    await expectOrigins(`return "ab".repeat(3)`, "ababab", [
+      [5, "stringLiteral", "ab", 1],
+    ]);
+  });
+  it("Can traverse at", async () => {
+    await expectOrigins(`return "abc".at(-1) + "abc".at(1)`, "cb", [
+      [0, "stringLiteral", "abc", 2],
+      [1, "stringLiteral", "abc", 1],
+    ]);
+  });
+  it("Can traverse charCodeAt", async () => {
+    await expectOrigins(`return "abc".charCodeAt(1)`, 98, [
+      [0, "stringLiteral", "abc", 1],
+    ]);
+  });
+  it("Can traverse concat", async () => {
+    await expectOrigins(`return "a".concat("bc", 5)`, "abc5", [
+      [0, "stringLiteral", "a", 0],
+      [2, "stringLiteral", "bc", 1],
+      [3, "numericLiteral", 5, 0],
+    ]);
+  });
+  it("Can traverse trimStart and trimEnd", async () => {
+    await expectOrigins(
+      `return "  ab ".trimStart() + "  cd ".trimEnd()`,
+      "ab   cd",
+      [
+        [0, "stringLiteral", "  ab ", 2],
+        [5, "stringLiteral", "  cd ", 2],
+      ]
+    );
+  });
+  it("Can traverse replaceAll", async () => {
+    await expectOrigins(`return "a-b-c".replaceAll("-", "+")`, "a+b+c", [
+      [3, "stringLiteral", "+", 0],
+      [4, "stringLiteral", "a-b-c", 4],
+    ]);
+  });
+  it("Can traverse normalize and toLocaleUpperCase", async () => {
+    await expectOrigins(
+      `return "abc".normalize() + "de".toLocaleUpperCase()`,
+      "abcDE",
+      [
+        [1, "stringLiteral", "abc", 1],
+        [4, "stringLiteral", "de", 1],
+      ]
+    );
+  });
+  it("Can traverse String.raw", async () => {
+    await expectOrigins(
+      `
+      const name = "Bob"
+      return String.raw\`Hi\\n\${name}!\`
+      `,
+      "Hi\\nBob!",
+      [
+        [2, "stringLiteral", "Hi\\n", 2],
+        [5, "stringLiteral", "Bob", 1],
+        [7, "stringLiteral", "!", 0],
+      ]
+    );
+  });
+  it("Can traverse String.fromCharCode", async () => {
+    await expectOrigins(`return String.fromCharCode(104, 105)`, "hi", [
+      [1, "numericLiteral", 105, 0],
+    ]);
+  });
+});
+
+describe("Map and Set", () => {
+  it("Can traverse values read with Map.prototype.get", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+      const translations = new Map()
+      translations.set("title", "Hello")
+      return translations.get("title")
+    `);
+    expect(normal).toBe("Hello");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    expect(t[0].operationLog.args.function.result.knownValue).toBe(
+      "Map.prototype.get"
+    );
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.operation).toBe("stringLiteral");
+    expect(lastStep.operationLog.result.primitive).toBe("Hello");
+  });
+  it("Can traverse values passed to the Map constructor", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+      const obj = {greeting: "Hi"}
+      const map = new Map(Object.entries(obj))
+      return map.get("greeting")
+    `);
+    expect(normal).toBe("Hi");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    expect(t[t.length - 1].operationLog.result.primitive).toBe("Hi");
+  });
+  it("Can traverse keys and values when iterating over a Map", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+      const map = new Map([["a", "x"]])
+      let str = ""
+      map.forEach((value, key) => { str += key + value })
+      for (const [key, value] of map) {
+        str += key + value
+      }
+      return str + [...map.values()][0]
+    `);
+    expect(normal).toBe("axaxx");
+
+    const stepsByCharIndex = await Promise.all(
+      [0, 1, 2, 3, 4].map(async (charIndex) => {
+        const t = await traverse({ operationLog: tracking, charIndex });
+        return t[t.length - 1].operationLog;
+      })
+    );
+    expect(stepsByCharIndex.map((log) => log.operation)).toEqual([
+      "stringLiteral",
+      "stringLiteral",
+      "stringLiteral",
+      "stringLiteral",
+      "stringLiteral",
+    ]);
+    expect(stepsByCharIndex.map((log) => log.result.primitive)).toEqual([
+      "a",
+      "x",
+      "a",
+      "x",
+      "x",
+    ]);
+  });
+  it("Can traverse values stored in a Set", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+      const set = new Set(["a"])
+      set.add("b")
+      let str = ""
+      set.forEach(value => { str += value })
+      return str
+    `);
+    expect(normal).toBe("ab");
+
+    const t1 = await traverse({ operationLog: tracking, charIndex: 0 });
+    const t2 = await traverse({ operationLog: tracking, charIndex: 1 });
+    expect(t1[t1.length - 1].operationLog.operation).toBe("stringLiteral");
+    expect(t2[t2.length - 1].operationLog.operation).toBe("stringLiteral");
+    expect(t2[t2.length - 1].operationLog.result.primitive).toBe("b");
+  });
+  it("Matches iterated items to their Map entry", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+      class ReversedMap extends Map {
+        *[Symbol.iterator]() {
+          yield* Array.from(this.entries()).reverse()
+        }
+      }
+      const map = new ReversedMap()
+      map.set("a", "x").set("b", "y").set("c", "z")
+      const values = map.values()
+      values.next()
+      let str = ""
+      for (const [key, value] of map) {
+        str += key + value
+      }
+      const remainingValues = Array.from(values)
+      return str + remainingValues[0] + remainingValues[1]
+    `);
+    expect(normal).toBe("czbyaxyz");
+
+    const primitives = await Promise.all(
+      [0, 1, 2, 3, 6, 7].map(async (charIndex) => {
+        const step = await traverseAndGetLastStep(tracking, charIndex);
+        return step.operationLog.result.primitive;
+      })
+    );
+    expect(primitives).toEqual(["c", "z", "b", "y", "y", "z"]);
+  });
+});
+
+describe("Optional chaining and nullish coalescing", () => {
+  it("Can traverse optional member expressions", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+      const data = { user: { name: "Alice" } }
+      return data?.user?.name ?? "Guest"
+    `);
+    expect(normal).toBe("Alice");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.operation).toBe("stringLiteral");
+    expect(lastStep.operationLog.result.primitive).toBe("Alice");
+    expect(getStepTypeList(t)).toContain("optionalMemberExpression");
+  });
+  it("Can traverse the fallback of a nullish coalescing expression", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+      const data = null
+      return data?.user?.name ?? "Guest"
+    `);
+    expect(normal).toBe("Guest");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.operation).toBe("stringLiteral");
+    expect(lastStep.operationLog.result.primitive).toBe("Guest");
+  });
+  it("Can traverse && expressions", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+      return ("a" && "b") + ("" && "c")
+    `);
+    expect(normal).toBe("b");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    expect(t[t.length - 1].operationLog.result.primitive).toBe("b");
+  });
+  it("Can traverse optional calls", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+      const obj = {
+        name: "obj",
+        getName() { return this.name }
+      }
+      return obj.getName?.()
+    `);
+    expect(normal).toBe("obj");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    expect(t[0].operationLog.operation).toBe("optionalCallExpression");
+    expect(t[t.length - 1].operationLog.result.primitive).toBe("obj");
+  });
+  it("Can traverse logical assignments", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+      const obj = {}
+      obj.title ??= "Untitled"
+      return obj.title
+    `);
+    expect(normal).toBe("Untitled");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.operation).toBe("stringLiteral");
+    expect(lastStep.operationLog.result.primitive).toBe("Untitled");
+  });
+});
+
+describe("ES modules", () => {
+  it("Traverses values imported from another module", async () => {
+    const { normal, tracking } = await instrumentAndRunModules({
+      "greeting.js": `
+        export const greeting = "Hello " + "World"
+        export default "!"
+      `,
+      "main.js": `
+        import exclamationMark, { greeting as g } from "./greeting.js"
+        export const result = g + exclamationMark
+      `,
+    });
+    expect(normal).toBe("Hello World!");
+
+    let step = await traverseAndGetLastStep(tracking, "Hello W".length);
+    expect(step.operationLog.operation).toBe("stringLiteral");
+    expect(step.operationLog.result.primitive).toBe("World");
+    expect(step.charIndex).toBe(1);
+
+    step = await traverseAndGetLastStep(tracking, "Hello World".length);
+    expect(step.operationLog.operation).toBe("stringLiteral");
+    expect(step.operationLog.result.primitive).toBe("!");
+  });
+});
+
+describe("Web Workers", () => {
+  beforeAll(() => {
+    global["Worker"] = EchoWorker;
+  });
+  afterAll(() => {
+    delete global["Worker"];
+  });
+
+  it("Tracks data sent to and received from a worker", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      const worker = new Worker("echo.js")
+      function onMessage(data) {
+        finishAsyncTest(data)
+      }
+      worker.addEventListener("message", function(e) {
+        onMessage(e.data)
+      })
+      // Messages sent before the worker has started aren't tracked
+      setTimeout(() => worker.postMessage("Hello" + "!"))
+    `);
+    expect(normal).toBe("Hello!");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    expect(getStepTypeList(t)).toContain("messageData");
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.operation).toBe("stringLiteral");
+    expect(lastStep.operationLog.result.primitive).toBe("Hello");
+  });
+
+  it("Tracks nested properties of message data", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      const worker = new Worker("echo.js")
+      function onMessage(name) {
+        finishAsyncTest(name)
+      }
+      worker.addEventListener("message", function(e) {
+        onMessage(e.data.user.names[1])
+      })
+      setTimeout(() => {
+        worker.postMessage({ user: { names: ["Alice", "B" + "ob"] } })
+      })
+    `);
+    expect(normal).toBe("Bob");
+
+    const step = await traverseAndGetLastStep(tracking, 1);
+    expect(step.operationLog.operation).toBe("stringLiteral");
+    expect(step.operationLog.result.primitive).toBe("ob");
+    expect(step.charIndex).toBe(0);
+  });
+
+  it("Doesn't deliver the tracking messages to the inspected code", async () => {
+    const { normal } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      const worker = new Worker("echo.js")
+      const received = []
+      worker.addEventListener("message", function(e) {
+        received.push(e.data)
+        if (received.length === 2) {
+          finishAsyncTest(received)
+        }
+      })
+      setTimeout(() => {
+        worker.postMessage("a")
+        worker.postMessage({ b: 1 })
+      })
+    `);
+    expect(normal).toEqual(["a", { b: 1 }]);
+  });
+
+  it("Doesn't send tracking messages to workers that aren't instrumented", async () => {
+    const { normal } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      const worker = new Worker("uninstrumented.js")
+      worker.addEventListener("message", function(e) {
+        finishAsyncTest(worker.receivedMessages)
+      })
+      setTimeout(() => worker.postMessage("a" + "b"))
+    `);
+    expect(normal).toEqual(["ab"]);
+  });
+
+  it("Discards the tracking values if the message can't be sent", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      const worker = new Worker("echo.js")
+      function onMessage(data) {
+        finishAsyncTest(data)
+      }
+      worker.addEventListener("message", function(e) {
+        onMessage(e.data)
+      })
+      setTimeout(() => {
+        try {
+          worker.postMessage(function() {})
+        } catch (err) {}
+        worker.postMessage("Hi")
+      })
+    `);
+    expect(normal).toBe("Hi");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    expect(getStepTypeList(t)).toContain("messageData");
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.operation).toBe("stringLiteral");
+    expect(lastStep.operationLog.result.primitive).toBe("Hi");
+  });
+});
+
+describe("Cross-window messages", () => {
+  it("Tracks data sent with window.postMessage", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      function onMessage(message) {
+        finishAsyncTest(message)
+      }
+      window.addEventListener("message", function(e) {
+        if (e.data.type === "greeting") {
+          onMessage(e.data.text)
+        }
+      })
+      window.postMessage({ type: "greeting", text: "Hi " + "there" }, "*")
+    `);
+    expect(normal).toBe("Hi there");
+
+    const step = await traverseAndGetLastStep(tracking, 3);
+    expect(step.operationLog.operation).toBe("stringLiteral");
+    expect(step.operationLog.result.primitive).toBe("there");
+    expect(step.charIndex).toBe(0);
+  });
+
+  it("Doesn't send tracking messages to iframes that aren't instrumented", async () => {
+    const { normal } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      const iframe = document.createElement("iframe")
+      document.body.appendChild(iframe)
+      const received = []
+      iframe.contentWindow.addEventListener("message", function(e) {
+        received.push(e.data)
+        iframe.remove()
+        finishAsyncTest(received)
+      })
+      iframe.contentWindow.postMessage({ text: "a" + "b" }, "*")
+    `);
+    expect(normal).toEqual([{ text: "ab" }]);
+  });
+});
+
+describe("Message channels", () => {
+  // jsdom doesn't support them, but Node's versions work the same way
+  beforeAll(() => {
+    global["MessageChannel"] = workerThreads.MessageChannel;
+    global["MessagePort"] = workerThreads.MessagePort;
+    // Missing from the installed Node types
+    global["BroadcastChannel"] = (workerThreads as any).BroadcastChannel;
+  });
+  afterAll(() => {
+    delete global["MessageChannel"];
+    delete global["MessagePort"];
+    delete global["BroadcastChannel"];
+  });
+
+  it("Tracks data sent through a MessageChannel", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      const { port1, port2 } = new MessageChannel()
+      function onMessage(text) {
+        port1.close()
+        finishAsyncTest(text)
+      }
+      port2.addEventListener("message", function(e) {
+        onMessage(e.data.text)
+      })
+      port1.postMessage({ text: "Hello " + "world" })
+    `);
+    expect(normal).toBe("Hello world");
+
+    const step = await traverseAndGetLastStep(tracking, 6);
+    expect(step.operationLog.operation).toBe("stringLiteral");
+    expect(step.operationLog.result.primitive).toBe("world");
+    expect(step.charIndex).toBe(0);
+  });
+
+  it("Tracks data sent through a BroadcastChannel", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      const sender = new BroadcastChannel("test")
+      const receiver = new BroadcastChannel("test")
+      function onMessage(data) {
+        sender.close()
+        receiver.close()
+        finishAsyncTest(data)
+      }
+      receiver.addEventListener("message", function(e) {
+        onMessage(e.data)
+      })
+      sender.postMessage("Hi " + "there")
+    `);
+    expect(normal).toBe("Hi there");
+
+    const step = await traverseAndGetLastStep(tracking, 3);
+    expect(step.operationLog.operation).toBe("stringLiteral");
+    expect(step.operationLog.result.primitive).toBe("there");
+    expect(step.charIndex).toBe(0);
+  });
+});
+
+describe("DOM mutation APIs", () => {
+  it("Inserts nodes from other frames instead of their text", async () => {
+    const { normal } = await instrumentAndRun(`
+      const iframe = document.createElement("iframe")
+      document.body.appendChild(iframe)
+      const span = iframe.contentDocument.createElement("span")
+      const div = document.createElement("div")
+      div.append(span, "a" + "b")
+      iframe.remove()
+      return div.innerHTML
+    `);
+    expect(normal).toBe("<span></span>ab");
+  });
+
+  it("Traverses strings passed to append, before and after", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const ul = document.createElement("ul")
+      const li = document.createElement("li")
+      ul.append(li)
+      li.append("Item " + "one")
+      li.before("Before")
+      li.after("After")
+      return ul.textContent
+    `);
+    expect(normal).toBe("BeforeItem oneAfter");
+
+    let step = await traverseAndGetLastStep(tracking, "BeforeItem ".length);
+    expect(step.operationLog.result.primitive).toBe("one");
+    expect(step.charIndex).toBe(0);
+
+    step = await traverseAndGetLastStep(tracking, "BeforeItem oneA".length);
+    expect(step.operationLog.result.primitive).toBe("After");
+    expect(step.charIndex).toBe(1);
+  });
+
+  it("Traverses insertAdjacentText and insertAdjacentHTML", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const parent = document.createElement("div")
+      const div = document.createElement("div")
+      parent.append(div)
+      div.insertAdjacentText("beforeend", "Hi " + "there")
+      div.insertAdjacentHTML("afterend", "<b>Bold " + "text</b>")
+      return parent.textContent
+    `);
+    expect(normal).toBe("Hi thereBold text");
+
+    let step = await traverseAndGetLastStep(tracking, "Hi ".length);
+    expect(step.operationLog.result.primitive).toBe("there");
+    expect(step.charIndex).toBe(0);
+
+    step = await traverseAndGetLastStep(tracking, "Hi thereBold t".length);
+    expect(step.operationLog.result.primitive).toBe("text</b>");
+    expect(step.charIndex).toBe(1);
+  });
+
+  it("Traverses elements created by assigning outerHTML", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const parent = document.createElement("div")
+      const span = document.createElement("span")
+      parent.append(span)
+      span.outerHTML = "<em>New " + "content</em>"
+      return parent.textContent
+    `);
+    expect(normal).toBe("New content");
+
+    const step = await traverseAndGetLastStep(tracking, "New c".length);
+    expect(step.operationLog.result.primitive).toBe("content</em>");
+    expect(step.charIndex).toBe(1);
+  });
+
+  it("Traverses content cloned from a template", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const template = document.createElement("template")
+      template.innerHTML = "<li>Template " + "item</li>"
+      const ul = document.createElement("ul")
+      ul.append(template.content.cloneNode(true))
+      return ul.textContent
+    `);
+    expect(normal).toBe("Template item");
+
+    const step = await traverseAndGetLastStep(tracking, "Template ".length);
+    expect(step.operationLog.result.primitive).toBe("item</li>");
+    expect(step.charIndex).toBe(0);
+  });
+});
+
+describe("Shadow DOM", () => {
+  it("Traverses content assigned to a shadow root's innerHTML", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const host = document.createElement("div")
+      const shadow = host.attachShadow({ mode: "open" })
+      shadow.innerHTML = "<p>Shadow " + "text</p>"
+      return shadow.querySelector("p").textContent
+    `);
+    expect(normal).toBe("Shadow text");
+
+    const step = await traverseAndGetLastStep(tracking, "Shadow ".length);
+    expect(step.operationLog.result.primitive).toBe("text</p>");
+    expect(step.charIndex).toBe(0);
+  });
+
+  it("Includes closed shadow roots in the element mapping", async () => {
+    const { normal } = await instrumentAndRun(`
+      const host = document.createElement("div")
+      host.attachShadow({ mode: "closed" }).innerHTML = "<slot></slot>"
+      host.innerHTML = "<b>Light</b>"
+      const mapping = __getHtmlNodeOperationLogMapping(host)
+      const templateOrigin = mapping.getOriginAtCharacterIndex("<div><".length).origin
+      return mapping.getHtml() + " " + typeof templateOrigin.trackingValue
+    `);
+    expect(normal).toBe(
+      '<div><template shadowrootmode="closed"><slot></slot></template><b>Light</b></div> number'
+    );
+  });
+
+  it("Checks the element mapping against outerHTML without shadow roots", async () => {
+    const warn = jest.spyOn(console, "warn");
+    const { normal } = await instrumentAndRun(`
+      const host = document.createElement("div")
+      host.attachShadow({ mode: "open" }).innerHTML = "<p>Shadow</p>"
+      host.innerHTML = "<b>Light</b>"
+      return __getHtmlNodeOperationLogMapping(host).getHtml()
+    `);
+    expect(normal).toBe(
+      '<div><template shadowrootmode="open"><p>Shadow</p></template><b>Light</b></div>'
+    );
+    expect(warn).not.toHaveBeenCalledWith(
+      "OuterHTML is missing something for mapping"
+    );
+    warn.mockRestore();
+  });
+});
+
+describe("CSSOM and class provenance", () => {
+  it("Traverses classes added with classList to the class name", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const div = document.createElement("div")
+      div.className = "card"
+      div.classList.add("is-" + "active")
+      return div.className
+    `);
+    expect(normal).toBe("card is-active");
+
+    const step = await traverseAndGetLastStep(tracking, "card is-".length);
+    expect(step.operationLog.result.primitive).toBe("active");
+    expect(step.charIndex).toBe(0);
+
+    const previousStep = await traverseAndGetLastStep(tracking, 1);
+    expect(previousStep.operationLog.result.primitive).toBe("card");
+    expect(previousStep.charIndex).toBe(1);
+  });
+
+  it("Traverses the replacement class of classList.replace", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const div = document.createElement("div")
+      div.innerHTML = '<span class="old other"></span>'
+      const span = div.children[0]
+      span.classList.replace("old", "n" + "ew")
+      return span.getAttribute("class")
+    `);
+    expect(normal).toBe("new other");
+
+    const step = await traverseAndGetLastStep(tracking, 1);
+    expect(step.operationLog.result.primitive).toBe("ew");
+    expect(step.charIndex).toBe(0);
+  });
+
+  it("Traverses custom properties set with style.setProperty", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const div = document.createElement("div")
+      div.style.setProperty("--brand-color", "r" + "ed")
+      return div.getAttribute("style")
+    `);
+    expect(normal).toBe("--brand-color: red;");
+
+    const t = await traverse({
+      operationLog: tracking,
+      charIndex: "--brand-color: r".length,
+    });
+    expect(
+      t.find((step) => step.operationLog.operation === "attributeChange")!
+        .operationLog.runtimeArgs.name
+    ).toBe("style.setProperty on <div>");
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.result.primitive).toBe("ed");
+    expect(lastStep.charIndex).toBe(0);
+
+    const nameStep = await traverseAndGetLastStep(tracking, 2);
+    expect(nameStep.operationLog.result.primitive).toBe("--brand-color");
+    expect(nameStep.charIndex).toBe(2);
+  });
+
+  it("Traverses style properties and keeps earlier declarations", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const div = document.createElement("div")
+      div.style.color = "bl" + "ue"
+      div.style.marginTop = "4px"
+      return div.style.cssText
+    `);
+    expect(normal).toBe("color: blue; margin-top: 4px;");
+
+    const step = await traverseAndGetLastStep(tracking, "color: bl".length);
+    expect(step.operationLog.result.primitive).toBe("ue");
+    expect(step.charIndex).toBe(0);
+
+    const marginStep = await traverseAndGetLastStep(
+      tracking,
+      "color: blue; margin-top: ".length
+    );
+    expect(marginStep.operationLog.result.primitive).toBe("4px");
+    expect(marginStep.charIndex).toBe(0);
+  });
+
+  it("Traverses rules added with insertRule", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const style = document.createElement("style")
+      document.head.appendChild(style)
+      style.sheet.insertRule(".card" + " { color: red; }", 0)
+      return style.sheet.cssRules[0].cssText
+    `);
+    expect(normal).toBe(".card {color: red;}");
+
+    const step = await traverseAndGetLastStep(tracking, 1);
+    expect(step.operationLog.result.primitive).toBe(".card");
+    expect(step.charIndex).toBe(1);
+  });
+
+  it("Traces inserted rules from the element they style", async () => {
+    const { normal } = await instrumentAndRun(`
+      const style = document.createElement("style")
+      document.head.appendChild(style)
+      style.sheet.insertRule(".card" + " { color: red; }", 0)
+      style.sheet.insertRule(".other { color: blue; }", 1)
+      const div = document.createElement("div")
+      div.className = "card"
+      document.body.appendChild(div)
+      return JSON.stringify(__getHtmlNodeOperationLogMapping(div).parts)
+    `);
+    const mapping = new HtmlToOperationLogMapping(JSON.parse(normal));
+    const html = '<div class="card"></div>\n<style>.card {color: red;}</style>';
+    expect(mapping.getHtml()).toBe(html);
+
+    const start = getDomCharTraversalStart(
+      mapping,
+      html.indexOf(".card {") + 1
+    );
+    const step = await traverseAndGetLastStep(
+      await server.loadLogAwaitable(start!.logId, 0),
+      start!.charIndex
+    );
+    expect(step.operationLog.result.primitive).toBe(".card");
+    expect(step.charIndex).toBe(1);
+  });
+
+  it("Traverses the float style property", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const div = document.createElement("div")
+      div.style.cssFloat = "le" + "ft"
+      return div.getAttribute("style")
+    `);
+    expect(normal).toBe("float: left;");
+
+    const step = await traverseAndGetLastStep(tracking, "float: le".length);
+    expect(step.operationLog.result.primitive).toBe("ft");
+    expect(step.charIndex).toBe(0);
+  });
+});
+
+describe("DOM reads", () => {
+  it("Traverses dataset values to the attribute value", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const li = document.createElement("li")
+      li.setAttribute("data-user-id", "user-" + "42")
+      return "Selected " + li.dataset.userId
+    `);
+    expect(normal).toBe("Selected user-42");
+
+    const t = await traverse({
+      operationLog: tracking,
+      charIndex: "Selected user-".length,
+    });
+    const domReadStep = t.find(
+      (step) => step.operationLog.operation === "domRead"
+    );
+    expect(domReadStep!.operationLog.runtimeArgs.name).toBe(
+      "attribute data-user-id of <li>"
+    );
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.operation).toBe("stringLiteral");
+    expect(lastStep.operationLog.result.primitive).toBe("42");
+    expect(lastStep.charIndex).toBe(0);
+  });
+
+  it("Traverses getAttribute to the HTML that set the attribute", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const div = document.createElement("div")
+      div.innerHTML = '<a title="Get ' + 'help">Help</a>'
+      return div.children[0].getAttribute("title")
+    `);
+    expect(normal).toBe("Get help");
+
+    const step = await traverseAndGetLastStep(tracking, "Get h".length);
+    expect(step.operationLog.operation).toBe("stringLiteral");
+    expect(step.operationLog.result.primitive).toBe('help">Help</a>');
+    expect(step.charIndex).toBe(1);
+  });
+
+  it("Traverses textContent of an element with several text nodes", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const h1 = document.createElement("h1")
+      h1.innerHTML = "Hello <b>" + "World</b>"
+      return h1.textContent
+    `);
+    expect(normal).toBe("Hello World");
+
+    const step = await traverseAndGetLastStep(tracking, "Hello W".length);
+    expect(step.operationLog.operation).toBe("stringLiteral");
+    expect(step.operationLog.result.primitive).toBe("World</b>");
+    expect(step.charIndex).toBe(1);
+  });
+
+  it("Stores the tracking value and offsets instead of the element origin", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const h1 = document.createElement("h1")
+      h1.innerHTML = "<b>Hi</b> " + "there"
+      return h1.textContent
+    `);
+    expect(normal).toBe("Hi there");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 4 });
+    const domReadStep = t.find(
+      (step) => step.operationLog.operation === "domRead"
+    );
+    const parts = domReadStep!.operationLog.runtimeArgs.parts;
+    expect(parts.length).toBe(2);
+    expect(parts[1].origin).toBe(undefined);
+    expect(parts[1].originCharIndex).toBe("<b>Hi</b>".length);
+
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.result.primitive).toBe("there");
+    expect(lastStep.charIndex).toBe(1);
+  });
+
+  it("Doesn't map text reads of big subtrees", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const ul = document.createElement("ul")
+      for (let i = 0; i < 600; i++) {
+        const li = document.createElement("li")
+        li.textContent = "item"
+        ul.appendChild(li)
+      }
+      return ul.textContent
+    `);
+    expect(normal).toBe("item".repeat(600));
+
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    expect(t.find((step) => step.operationLog.operation === "domRead")).toBe(
+      undefined
+    );
+  });
+
+  it("Doesn't map HTML reads of big subtrees", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const ul = document.createElement("ul")
+      for (let i = 0; i < 150; i++) {
+        ul.appendChild(document.createElement("li"))
+      }
+      return ul.innerHTML
+    `);
+    expect(normal).toBe("<li></li>".repeat(150));
+
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    expect(t.find((step) => step.operationLog.operation === "domRead")).toBe(
+      undefined
+    );
+  });
+
+  it("Traverses classList items and el.href", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const a = document.createElement("a")
+      a.className = "link " + "active"
+      a.setAttribute("href", "/docs")
+      return a.classList[1] + " " + a.href
+    `);
+    expect(normal).toBe("active http://localhost/docs");
+
+    let step = await traverseAndGetLastStep(tracking, 1);
+    expect(step.operationLog.result.primitive).toBe("active");
+    expect(step.charIndex).toBe(1);
+
+    step = await traverseAndGetLastStep(tracking, normal.length - 1);
+    expect(step.operationLog.result.primitive).toBe("/docs");
+    expect(step.charIndex).toBe(4);
+  });
+
+  it("Traverses FormData values to the value attribute", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const form = document.createElement("form")
+      form.innerHTML = '<input name="q" value="' + 'shoes">'
+      return new FormData(form).get("q")
+    `);
+    expect(normal).toBe("shoes");
+
+    const step = await traverseAndGetLastStep(tracking, 0);
+    expect(step.operationLog.operation).toBe("stringLiteral");
+    expect(step.operationLog.result.primitive).toBe('shoes">');
+    expect(step.charIndex).toBe(0);
+  });
+});
+
+describe("Browser storage", () => {
+  it("Traverses sessionStorage values into the code that stored them", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      sessionStorage.setItem("storageTestGreeting", "Hi " + "there")
+      return sessionStorage.getItem("storageTestGreeting")
+    `);
+    expect(normal).toBe("Hi there");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 3 });
+    const storageStep = t.find(
+      (step) => step.operationLog.operation === "storageValue"
+    );
+    expect(storageStep!.operationLog.runtimeArgs).toEqual({
+      storage: "sessionStorage",
+      key: "storageTestGreeting",
+    });
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.operation).toBe("stringLiteral");
+    expect(lastStep.operationLog.result.primitive).toBe("there");
+    expect(lastStep.charIndex).toBe(0);
+  });
+
+  it("Tracks localStorage values read as properties", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      localStorage.storageTestName = "Al" + "ice"
+      return localStorage.storageTestName
+    `);
+    expect(normal).toBe("Alice");
+
+    const step = await traverseAndGetLastStep(tracking, 3);
+    expect(step.operationLog.operation).toBe("stringLiteral");
+    expect(step.operationLog.result.primitive).toBe("ice");
+    expect(step.charIndex).toBe(1);
+  });
+
+  it("Stops at values that weren't stored in this page session", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      // Bound functions aren't known values, so the write isn't recorded
+      const setItem = sessionStorage.setItem.bind(sessionStorage)
+      setItem("storageTestOld", "old")
+      return sessionStorage.getItem("storageTestOld")
+    `);
+    expect(normal).toBe("old");
+
+    const step = await traverseAndGetLastStep(tracking, 0);
+    expect(step.operationLog.operation).toBe("storageValue");
+  });
+
+  it("Maps characters of document.cookie to the cookie assignment", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      document.cookie = "storageTestA=" + "1; path=/"
+      document.cookie = "storageTestTheme=" + "dark; path=/"
+      return document.cookie
+    `);
+    const valueIndex = normal.indexOf("storageTestTheme=dark");
+    expect(valueIndex).not.toBe(-1);
+
+    const step = await traverseAndGetLastStep(
+      tracking,
+      valueIndex + "storageTestTheme=d".length
+    );
+    expect(step.operationLog.operation).toBe("stringLiteral");
+    expect(step.operationLog.result.primitive).toBe("dark; path=/");
+    expect(step.charIndex).toBe(1);
+  });
+});
+
+describe("Network sources", () => {
+  beforeAll(() => {
+    global["WebSocket"] = FakeWebSocket;
+    global["EventSource"] = FakeEventSource;
+    global["fetch"] = fakeFetch;
+    global["Response"] = FakeResponse;
+    Blob.prototype["text"] = blobText;
+  });
+  afterAll(() => {
+    delete global["WebSocket"];
+    delete global["EventSource"];
+    delete global["fetch"];
+    delete global["Response"];
+    delete Blob.prototype["text"];
+  });
+
+  it("Records which WebSocket message a value came from", async () => {
+    FakeWebSocket.messages = ['{"price":"10"}', '{"price":"12.50"}'];
+    const { normal, tracking } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      function onPrice(price) {
+        finishAsyncTest(price)
+      }
+      const socket = new WebSocket("wss://example.com/prices")
+      let messageCount = 0
+      socket.addEventListener("message", function(e) {
+        messageCount++
+        if (messageCount === 2) {
+          onPrice(JSON.parse(e.data).price)
+        }
+      })
+    `);
+    expect(normal).toBe("12.50");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.operation).toBe("webSocketMessage");
+    expect(lastStep.operationLog.runtimeArgs).toEqual({
+      url: "wss://example.com/prices",
+      messageNumber: 2,
+    });
+    expect(describeOrigin(t).detail).toBe(
+      "message #2 on wss://example.com/prices $.price"
+    );
+  });
+
+  it("Traverses text read with FileReader into the Blob parts", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      function onLoad(text) {
+        finishAsyncTest(text)
+      }
+      const blob = new Blob(["Hello ", "W" + "orld"], { type: "text/plain" })
+      const reader = new FileReader()
+      reader.onload = function() {
+        onLoad(reader.result)
+      }
+      reader.readAsText(blob)
+    `);
+    expect(normal).toBe("Hello World");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 8 });
+    expect(getStepTypeList(t)).toContain("blobText");
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.operation).toBe("stringLiteral");
+    expect(lastStep.operationLog.result.primitive).toBe("orld");
+    expect(lastStep.charIndex).toBe(1);
+  });
+
+  it("Records which EventSource message a value came from", async () => {
+    FakeEventSource.messages = ["Welcome"];
+    const { normal, tracking } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      function onUpdate(update) {
+        finishAsyncTest(update)
+      }
+      const source = new EventSource("https://example.com/updates")
+      source.addEventListener("message", function(e) {
+        onUpdate(e.data)
+      })
+    `);
+    expect(normal).toBe("Welcome");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.operation).toBe("eventSourceMessage");
+    expect(lastStep.operationLog.runtimeArgs).toEqual({
+      url: "https://example.com/updates",
+      messageNumber: 1,
+      eventType: "message",
+      lastEventId: "",
+    });
+  });
+
+  it("Traverses XMLHttpRequest JSON responses", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      function onName(name) {
+        finishAsyncTest(name)
+      }
+      const xhr = new XMLHttpRequest()
+      xhr.open("GET", 'data:application/json,{"user":{"name":"Alice"}}')
+      xhr.responseType = "json"
+      xhr.onload = function() {
+        onName(xhr.response.user.name)
+      }
+      xhr.send()
+    `);
+    expect(normal).toBe("Alice");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 1 });
+    expect(getStepTypeList(t)).toContain("jsonParseResult");
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.operation).toBe("XMLHttpRequest.responseText");
+    expect(lastStep.operationLog.runtimeArgs.responseType).toBe("json");
+    expect(lastStep.charIndex).toBe('{"user":{"name":"A'.length);
+    expect(describeOrigin(t).detail).toBe(
+      'data:application/json,{"user":{"name":"Alice"}} $.user.name'
+    );
+  });
+
+  it("Traverses blob.text() into the Blob parts", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      const blob = new Blob(["Hello ", "W" + "orld"])
+      blob.text().then(function(text) {
+        finishAsyncTest(text)
+      })
+    `);
+    expect(normal).toBe("Hello World");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 8 });
+    expect(getStepTypeList(t)).toContain("blobText");
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.result.primitive).toBe("orld");
+    expect(lastStep.charIndex).toBe(1);
+  });
+
+  it("Records the URL of blobs from fetch responses", async () => {
+    FakeResponse.responses = { "https://example.com/notes.txt": "Notes" };
+    const { normal, tracking } = await instrumentAndRun(`
+      let finishAsyncTest = asyncTest()
+      fetch("https://example.com/notes.txt")
+        .then(function(res) {
+          return res.blob()
+        })
+        .then(function(blob) {
+          return blob.text()
+        })
+        .then(function(text) {
+          finishAsyncTest(text)
+        })
+    `);
+    expect(normal).toBe("Notes");
+
+    const t = await traverse({ operationLog: tracking, charIndex: 0 });
+    const lastStep = t[t.length - 1];
+    expect(lastStep.operationLog.operation).toBe("blobText");
+    expect(lastStep.operationLog.runtimeArgs.url).toBe(
+      "https://example.com/notes.txt"
+    );
+  });
+});
+
+describe("traverseRange", () => {
+  test("Splits a string into runs with the same origin", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const data = JSON.parse('{"user":{"name":"Alice"}}')
+      const items = [1, 2, 3]
+      return "Hello, " + data.user.name + " (" + items.length + " new)"
+    `);
+    expect(normal).toBe("Hello, Alice (3 new)");
+    const runs = await traverseRange(
+      (charIndex) => traverse({ operationLog: tracking, charIndex }),
+      normal,
+      0,
+      normal.length
+    );
+    expect(
+      runs.map(({ text, operation, detail }) => ({ text, operation, detail }))
+    ).toEqual([
+      { text: "Hello, ", operation: "stringLiteral", detail: null },
+      { text: "Alice", operation: "stringLiteral", detail: "$.user.name" },
+      { text: " (", operation: "stringLiteral", detail: null },
+      { text: "3", operation: "memberExpression", detail: ".length" },
+      { text: " new)", operation: "stringLiteral", detail: null },
+    ]);
+  });
+
+  test("Only traverses the given range", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      return "ab" + "cd"
+    `);
+    const runs = await traverseRange(
+      (charIndex) => traverse({ operationLog: tracking, charIndex }),
+      normal,
+      1,
+      3
+    );
+    expect(runs.map((run) => [run.text, run.start, run.end])).toEqual([
+      ["b", 1, 2],
+      ["c", 2, 3],
+    ]);
+    expect(runs[0].charIndex).toBe(1);
+  });
+
+  test("Doesn't skip over characters with a different origin", async () => {
+    // Every character comes from log 1 except for the one at index 5
+    const traverseChar = async (charIndex) => [
+      {
+        operationLog: {
+          index: charIndex === 5 ? 2 : 1,
+          operation: "stringLiteral",
+        },
+        charIndex,
+      },
+    ];
+    const runs = await traverseRange(traverseChar as any, "abcdeXgh", 0, 8);
+    expect(runs.map((run) => run.text)).toEqual(["abcde", "X", "gh"]);
+  });
+
+  test("Describes origins of cached traversals", async () => {
+    const { normal, tracking } = await instrumentAndRun(`
+      const items = [1, 2, 3]
+      return "Items: " + items.length
+    `);
+    const cacheDirectory = fs.mkdtempSync(
+      path.join(os.tmpdir(), "fromjs-traversal-cache-")
+    );
+    const traversalCache = new TraversalCache(cacheDirectory);
+    const traverseChar = (charIndex) =>
+      traversalCache.getOrTraverse(tracking as any, charIndex, {}, () =>
+        traverse({ operationLog: tracking, charIndex })
+      );
+
+    const runs = await traverseRange(traverseChar, normal, 0, normal.length);
+    const cachedRuns = await traverseRange(
+      traverseChar,
+      normal,
+      0,
+      normal.length
+    );
+    expect(cachedRuns).toEqual(runs);
+    expect(cachedRuns[1].detail).toBe(".length");
+
+    await new Promise((resolve) => traversalCache.db.close(resolve));
+    require("rimraf").sync(cacheDirectory);
+  });
+});
@@ -7,6 +7,8 @@ export interface TraversalStep {
   // Optimistic steps are taken when the string value is modified, but
   // we still feel confident the user is interested in one particular argument
   isOptimistic?: boolean;
+  // Set by the backend, the page, iframe or worker the log was created in
+  frameUrl?: string | null;
 }
 
 export async function traverse(
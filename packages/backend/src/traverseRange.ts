@@ -0,0 +1,147 @@
+import { TraversalStep } from "./traverse";
+
+export interface OriginRun {
+  // Character range in the inspected string, end is exclusive
+  start: number;
+  end: number;
+  text: string;
+  // Where the characters came from, i.e. the last traversal step
+  logIndex: number;
+  charIndex: number;
+  operation: string;
+  detail: string | null;
+}
+
+type TraverseChar = (charIndex: number) => Promise<TraversalStep[]>;
+
+function getJsonPath(keyPath: string[]) {
+  return (
+    "$" +
+    keyPath
+      .map((key) => (/^\d+$/.test(key) ? "[" + key + "]" : "." + key))
+      .join("")
+  );
+}
+
+export function describeOrigin(steps: TraversalStep[]) {
+  const lastStep = steps[steps.length - 1];
+  const operationLog = lastStep.operationLog as any;
+  const details: string[] = [];
+
+  const { runtimeArgs = {}, args = {} } = operationLog;
+  if (operationLog.operation === "urlPart") {
+    // e.g. "URL query parameter q"
+    details.push(runtimeArgs.name);
+  } else if (runtimeArgs.url && runtimeArgs.messageNumber) {
+    // WebSocket and EventSource messages
+    details.push(
+      "message #" + runtimeArgs.messageNumber + " on " + runtimeArgs.url
+    );
+  } else if (runtimeArgs.url) {
+    details.push(runtimeArgs.url);
+  } else if (runtimeArgs.fileName) {
+    details.push(runtimeArgs.fileName);
+  } else if (runtimeArgs.storage) {
+    details.push(runtimeArgs.storage + '["' + runtimeArgs.key + '"]');
+  } else if (runtimeArgs.objectStore) {
+    details.push(
+      runtimeArgs.objectStore + " " + JSON.stringify(runtimeArgs.key)
+    );
+  } else if (runtimeArgs.path || runtimeArgs.filePath) {
+    details.push(runtimeArgs.path || runtimeArgs.filePath);
+  } else if (
+    ["memberExpression", "optionalMemberExpression"].includes(
+      operationLog.operation
+    ) &&
+    args.propName
+  ) {
+    details.push("." + args.propName.result.primitive);
+  } else if (
+    ["callExpression", "optionalCallExpression"].includes(
+      operationLog.operation
+    ) &&
+    args.function
+  ) {
+    const { knownValue } = args.function.result;
+    if (knownValue) {
+      details.push(knownValue);
+    }
+  }
+
+  const jsonParseStep = steps.find(
+    (step) =>
+      step.operationLog.operation === "jsonParseResult" &&
+      step.operationLog.runtimeArgs.keyPath
+  );
+  if (jsonParseStep) {
+    details.push(getJsonPath(jsonParseStep.operationLog.runtimeArgs.keyPath));
+  }
+
+  return {
+    logIndex: operationLog.index,
+    charIndex: lastStep.charIndex,
+    operation: operationLog.operation,
+    detail: details.length > 0 ? details.join(" ") : null,
+  };
+}
+
+// Splits str[start, end) into runs of characters that have the same origin.
+// Traversing every character would be slow for long strings, so runs are
+// extended by checking characters further ahead: if both ends and the middle
+// of a range map to consecutive characters of the same log the other
+// characters in between are assumed to come from there too.
+export async function traverseRange(
+  traverseChar: TraverseChar,
+  str: string,
+  start: number,
+  end: number
+) {
+  const originCache = new Map<number, Promise<any>>();
+  function getOrigin(charIndex: number) {
+    if (!originCache.has(charIndex)) {
+      originCache.set(
+        charIndex,
+        traverseChar(charIndex).then((steps) => describeOrigin(steps))
+      );
+    }
+    return originCache.get(charIndex)!;
+  }
+
+  const runs: OriginRun[] = [];
+  let runStart = start;
+  while (runStart < end) {
+    const origin = await getOrigin(runStart);
+    const continuesRun = (o, charIndex) =>
+      o.logIndex === origin.logIndex &&
+      o.charIndex - origin.charIndex === charIndex - runStart;
+
+    let runEnd = runStart + 1;
+    let stepSize = 1;
+    while (runEnd < end) {
+      const candidate = Math.min(end - 1, runEnd - 1 + stepSize);
+      // e.g. "aba" and "aXa" have the same ends
+      const middle = Math.floor((runEnd + candidate) / 2);
+      if (
+        continuesRun(await getOrigin(candidate), candidate) &&
+        continuesRun(await getOrigin(middle), middle)
+      ) {
+        runEnd = candidate + 1;
+        stepSize *= 2;
+      } else if (stepSize > 1) {
+        stepSize = 1;
+      } else {
+        break;
+      }
+    }
+
+    runs.push({
+      ...origin,
+      start: runStart,
+      end: runEnd,
+      text: str.slice(runStart, runEnd),
+    });
+    runStart = runEnd;
+  }
+
+  return runs;
+}
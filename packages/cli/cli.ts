@@ -3,6 +3,10 @@ import Backend, { openBrowser } from "@fromjs/backend";
 import * as process from "process";
 import { BackendOptions } from "@fromjs/backend";
 import * as path from "path";
+import { runTrace, redirectConsoleLogToStderr, TraceOptions } from "./trace";
+import { compileAndRunNodeApp, NodeOptions } from "./node";
+import { loadProjectConfig } from "./projectConfig";
+import { runSessionCommand } from "./session";
 
 const list = (val) => val.split(",");
 
@@ -23,19 +27,36 @@ if (!maxOldSpaceSizeArg) {
   const childWithMoreMemory = fork(process.argv[1], process.argv.slice(2), {
     execArgv,
   });
-  childWithMoreMemory.on("exit", function () {
-    process.exit();
+  // The child decides how to exit on Ctrl+C, e.g. `fromjs node --run` exits
+  // with the exit code of the Node app
+  process.on("SIGINT", () => {});
+  childWithMoreMemory.on("exit", function (code, signal) {
+    if (signal) {
+      process.removeAllListeners("SIGINT");
+      process.kill(process.pid, signal);
+      return;
+    }
+    process.exit(code);
   });
   process["titl" + "e"] =
     "FromJS (launched CLI process with too low memory limit)";
 } else {
+  let traceOptions = null as TraceOptions | null;
+  let nodeOptions = null as NodeOptions | null;
+  let sessionCommand = null as {
+    action: string;
+    archive?: string;
+    before?: string;
+    url?: string;
+  } | null;
+
   commander
-    .option("--openBrowser <shouldOpen>", "yes|no|only", "yes")
-    .option("-p, --port <port>", "Server port", 7000)
+    // Defaults are set after merging in the project config
+    .option("--openBrowser <shouldOpen>", "yes|no|only (default: yes)")
+    .option("-p, --port <port>", "Server port (default: 7000)")
     .option(
       "-s, --sessionDirectory <sessionDirectory>",
-      "Where to store tracking data",
-      "fromjs-session"
+      "Where to store tracking data (default: fromjs-session)"
     )
     .option(
       "-d, --dontTrack <urlParts>",
@@ -53,23 +74,192 @@ if (!maxOldSpaceSizeArg) {
       "--disableDefaultBlockList",
       "Disable blocking JS files from analytics providers etc"
     )
-    // .version(require("../package.json").version)
-    .parse(process.argv);
+    .option(
+      "--expose [hostname]",
+      "Listen on all network interfaces instead of just localhost, anyone who can reach the port can then view the tracking data. Pass the hostname used to reach this machine if it's not its IP address or os.hostname()"
+    )
+    .option(
+      "--allowOrigin <origins>",
+      "Comma separated origins that can use the backend API in addition to the inspector UI, e.g. http://localhost:3000",
+      list,
+      []
+    );
+  // .version(require("../package.json").version)
 
-  let bePort = parseFloat(commander.port);
+  commander
+    .command("trace <url>")
+    .description(
+      "Load the page in a headless browser and print the origins of the matching DOM elements as JSON"
+    )
+    .option("--selector <css>", "CSS selector for the elements to trace")
+    .option("-o, --output <file>", "Write JSON to this file instead of stdout")
+    .option(
+      "--charIndex <charIndex>",
+      "Character in the element HTML to trace, defaults to the first text character",
+      parseFloat
+    )
+    .option(
+      "--waitFor <ms>",
+      "How long to wait after the page has loaded before reading the DOM",
+      parseFloat,
+      1000
+    )
+    .option(
+      "--timeout <ms>",
+      "How long to wait for the instrumented page to load and send its logs",
+      parseFloat,
+      60000
+    )
+    .action(function (url, cmd) {
+      if (!cmd.selector) {
+        console.error("Please pass in a --selector for the elements to trace");
+        process.exit(1);
+      }
+      traceOptions = {
+        url,
+        selector: cmd.selector,
+        output: cmd.output,
+        charIndex: cmd.charIndex,
+        waitFor: cmd.waitFor,
+        timeout: cmd.timeout,
+      };
+    });
+
+  commander
+    .command("node <directory> <entry>")
+    .description(
+      "Instrument the Node app in the directory, entry is the path of the main file inside the directory"
+    )
+    .option(
+      "-o, --outdir <outdir>",
+      "Where to write the instrumented code",
+      "fromjs-node-compiled"
+    )
+    .option(
+      "--include <pattern>",
+      "Only instrument files whose path matches this regular expression"
+    )
+    .option(
+      "--ignore <pattern>",
+      "Don't instrument files whose path matches this regular expression"
+    )
+    .option(
+      "--run",
+      "Run the instrumented entry file and then keep the backend running to inspect the result"
+    )
+    .option(
+      "--reuseCompiled",
+      "Don't instrument files again if they already exist in the outdir"
+    )
+    .action(function (directory, entry, cmd) {
+      nodeOptions = {
+        directory,
+        entry,
+        outdir: cmd.outdir,
+        includeFilePattern: cmd.include ? new RegExp(cmd.include) : undefined,
+        ignoreFilePattern: cmd.ignore ? new RegExp(cmd.ignore) : undefined,
+        run: !!cmd.run,
+        reuseCompiled: !!cmd.reuseCompiled,
+      };
+    });
+
+  commander
+    .command("session <action> [archive]")
+    .description(
+      "Manage the session directory, action is one of list|info|prune|export|import"
+    )
+    .option("--before <date>", "prune: delete logs older than this date")
+    .option(
+      "--url <urlPart>",
+      "prune: delete logs from code at URLs that don't contain urlPart"
+    )
+    .action(function (action, archive, cmd) {
+      sessionCommand = {
+        action,
+        archive,
+        before: cmd.before,
+        url: cmd.url,
+      };
+    });
+
+  commander.parse(process.argv);
+
+  if (traceOptions && !traceOptions.output) {
+    redirectConsoleLogToStderr();
+  }
+
+  const { config: projectConfig, configPath } = loadProjectConfig(
+    process.cwd()
+  );
+  if (configPath) {
+    console.log("Using config file " + configPath);
+  }
+
+  const openBrowserOption =
+    commander.openBrowser || projectConfig.openBrowser || "yes";
+
+  let bePort = parseFloat(commander.port || projectConfig.port || 7000);
   let proxyPort = bePort + 1;
 
   process["titl" + "e"] = "FromJS - CLI (" + bePort + ")";
 
+  const sessionDirectory =
+    commander.sessionDirectory ||
+    projectConfig.sessionDirectory ||
+    "fromjs-session";
+
   const backendOptions = new BackendOptions({
     bePort,
     proxyPort,
-    dontTrack: commander.dontTrack,
-    block: commander.block,
-    sessionDirectory: commander.sessionDirectory,
-    disableDefaultBlockList: !!commander.disableDefaultBlockList,
-    onReady: async function () {
-      if (commander.openBrowser === "yes") {
+    dontTrack: [...(projectConfig.dontTrack || []), ...commander.dontTrack],
+    block: [...(projectConfig.block || []), ...commander.block],
+    sessionDirectory,
+    disableDefaultBlockList: !!(
+      commander.disableDefaultBlockList || projectConfig.disableDefaultBlockList
+    ),
+    defaultBlockList: projectConfig.defaultBlockList,
+    logPerf: projectConfig.logPerf,
+    generateDerived: projectConfig.generateDerived,
+    expose: !!commander.expose,
+    exposedHostname:
+      typeof commander.expose === "string" ? commander.expose : null,
+    allowedOrigins: [
+      ...(projectConfig.allowedOrigins || []),
+      ...commander.allowOrigin,
+    ],
+    onReady: async function ({ requestHandler }) {
+      if (nodeOptions) {
+        let runResult;
+        try {
+          runResult = await compileAndRunNodeApp(
+            backend,
+            requestHandler,
+            nodeOptions
+          );
+        } catch (err) {
+          console.error("Node command failed", err.message);
+          process.exit(1);
+        }
+        if (!runResult) {
+          process.exit(0);
+        }
+        // The backend keeps running for the inspector, the CLI exits with the
+        // app's exit code once it's stopped
+        process.once("SIGINT", () => process.exit(runResult.exitCode));
+        const inspectorUrl = `http://localhost:${bePort}/?pageSessionId=${runResult.pageSessionId}`;
+        console.log("Inspect values passed to fromJSInspect: " + inspectorUrl);
+        if (openBrowserOption === "yes") {
+          openB(inspectorUrl);
+        }
+      } else if (traceOptions) {
+        try {
+          await runTrace(backend, bePort, traceOptions);
+          process.exit(0);
+        } catch (err) {
+          console.error("Trace failed", err);
+          process.exit(1);
+        }
+      } else if (openBrowserOption === "yes") {
         openB();
       }
     },
@@ -77,22 +267,31 @@ if (!maxOldSpaceSizeArg) {
       process.env.BACKEND_ORIGIN_WITHOUT_PORT || "http://localhost",
   });
 
-  function openB() {
+  function openB(redirectUrl = `http://localhost:${bePort}/start/`) {
     openBrowser({
       userDataDir: backendOptions.getChromeUserDataDirectory(),
       extraArgs: [],
       config: {
         backendPort: bePort,
-        redirectUrl: `http://localhost:${bePort}/start/`,
+        redirectUrl,
       },
     });
   }
 
-  if (commander.openBrowser === "only") {
+  let backend: Backend;
+  if (sessionCommand) {
+    runSessionCommand({ ...sessionCommand, sessionDirectory }).then(
+      () => process.exit(0),
+      (err) => {
+        console.error(err.message);
+        process.exit(1);
+      }
+    );
+  } else if (openBrowserOption === "only" && !traceOptions && !nodeOptions) {
     process["titl" + "e"] = "FromJS - CLI (browser only)";
     // console.log("Only opening browser with proxy port set to", proxyPort);
     openB();
   } else {
-    const backend = new Backend(backendOptions);
+    backend = new Backend(backendOptions);
   }
 }
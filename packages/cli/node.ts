@@ -0,0 +1,89 @@
+import Backend, { compileNodeApp, runCompiledNodeApp } from "@fromjs/backend";
+import * as fs from "fs";
+import * as path from "path";
+
+export interface NodeOptions {
+  directory: string;
+  entry: string;
+  outdir: string;
+  includeFilePattern?: RegExp;
+  ignoreFilePattern?: RegExp;
+  run: boolean;
+  reuseCompiled: boolean;
+}
+
+// Written into the outdir, so we only ever delete directories the CLI created
+const OUTDIR_MARKER_FILE = ".fromjs-node-compiled";
+
+function isSameOrParentDirectory(directory: string, otherDirectory: string) {
+  const relativePath = path.relative(directory, otherDirectory);
+  return (
+    relativePath === "" ||
+    (!relativePath.startsWith("..") && !path.isAbsolute(relativePath))
+  );
+}
+
+// The outdir can be inside the app directory, compileNodeApp skips it
+function prepareOutdir(outdir: string, options: NodeOptions) {
+  const directory = path.resolve(options.directory);
+  if (
+    isSameOrParentDirectory(outdir, directory) ||
+    isSameOrParentDirectory(outdir, process.cwd())
+  ) {
+    throw Error(
+      "The --outdir " + outdir + " can't contain the app or current directory"
+    );
+  }
+
+  if (fs.existsSync(outdir) && !options.reuseCompiled) {
+    if (!fs.existsSync(path.resolve(outdir, OUTDIR_MARKER_FILE))) {
+      throw Error(
+        outdir +
+          " already exists and wasn't created by fromjs node, delete it or choose a different --outdir"
+      );
+    }
+    // compileNodeApp skips files that already exist in the outdir
+    fs.rmdirSync(outdir, { recursive: true });
+  }
+
+  if (!fs.existsSync(outdir)) {
+    fs.mkdirSync(outdir, { recursive: true });
+    fs.writeFileSync(path.resolve(outdir, OUTDIR_MARKER_FILE), "");
+  }
+}
+
+export async function compileAndRunNodeApp(
+  backend: Backend,
+  requestHandler,
+  options: NodeOptions
+) {
+  const outdir = path.resolve(options.outdir);
+  prepareOutdir(outdir, options);
+
+  await compileNodeApp({
+    directory: path.resolve(options.directory),
+    requestHandler,
+    outdir,
+    includeFilePattern: options.includeFilePattern,
+    ignoreFilePattern: options.ignoreFilePattern,
+  });
+
+  const entryPath = path.resolve(outdir, options.entry);
+  if (!options.run) {
+    console.log("Compiled " + options.directory + " into " + outdir);
+    return null;
+  }
+
+  const pageSessionId = "node" + new Date().valueOf();
+  const { code } = await runCompiledNodeApp(entryPath, {
+    env: { FROMJS_PAGE_SESSION_ID: pageSessionId },
+  });
+  console.log("Node app exited with code " + code);
+
+  // Instrumented Node code can't make async requests to the backend
+  // before exiting, so it writes them to the request queue instead
+  await backend.processRequestQueue();
+
+  // null if the app was killed by a signal
+  return { pageSessionId, exitCode: code === null ? 1 : code };
+}
@@ -0,0 +1,67 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { loadProjectConfig } from "./projectConfig";
+
+let projectDirectory: string;
+
+beforeEach(() => {
+  projectDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "fromjs-config-"));
+});
+
+afterEach(() => {
+  require("rimraf").sync(projectDirectory);
+});
+
+describe("loadProjectConfig", () => {
+  it("Loads .fromjsrc.json", () => {
+    fs.writeFileSync(
+      projectDirectory + "/.fromjsrc.json",
+      JSON.stringify({ port: 8000, dontTrack: ["/vendor/"] })
+    );
+    expect(loadProjectConfig(projectDirectory)).toEqual({
+      config: { port: 8000, dontTrack: ["/vendor/"] },
+      configPath: path.resolve(projectDirectory, ".fromjsrc.json"),
+    });
+  });
+
+  it("Loads fromjs.config.js", () => {
+    fs.writeFileSync(
+      projectDirectory + "/fromjs.config.js",
+      "module.exports = { sessionDirectory: 'sessions/' + 'main' }"
+    );
+    const { config } = loadProjectConfig(projectDirectory);
+    expect(config).toEqual({ sessionDirectory: "sessions/main" });
+  });
+
+  it("Prefers fromjs.config.js over .fromjsrc.json", () => {
+    fs.writeFileSync(
+      projectDirectory + "/fromjs.config.js",
+      "module.exports = { port: 8000 }"
+    );
+    fs.writeFileSync(
+      projectDirectory + "/.fromjsrc.json",
+      JSON.stringify({ port: 9000 })
+    );
+    const { config, configPath } = loadProjectConfig(projectDirectory);
+    expect(config).toEqual({ port: 8000 });
+    expect(configPath).toBe(path.resolve(projectDirectory, "fromjs.config.js"));
+  });
+
+  it("Returns an empty config if there's no config file", () => {
+    expect(loadProjectConfig(projectDirectory)).toEqual({
+      config: {},
+      configPath: null,
+    });
+  });
+
+  it("Throws on unknown options", () => {
+    fs.writeFileSync(
+      projectDirectory + "/.fromjsrc.json",
+      JSON.stringify({ prot: 8000 })
+    );
+    expect(() => loadProjectConfig(projectDirectory)).toThrow(
+      'Unknown option "prot"'
+    );
+  });
+});
@@ -0,0 +1,60 @@
+import * as fs from "fs";
+import * as path from "path";
+
+// Settings that can be checked into a repo, command line arguments take
+// precedence over them (except for lists, which are combined)
+export interface ProjectConfig {
+  port?: number;
+  sessionDirectory?: string;
+  openBrowser?: "yes" | "no" | "only";
+  dontTrack?: string[];
+  block?: string[];
+  disableDefaultBlockList?: boolean;
+  defaultBlockList?: string[];
+  logPerf?: boolean;
+  generateDerived?: boolean;
+  allowedOrigins?: string[];
+}
+
+const configFileNames = ["fromjs.config.js", ".fromjsrc.json"];
+
+const configKeys = [
+  "port",
+  "sessionDirectory",
+  "openBrowser",
+  "dontTrack",
+  "block",
+  "disableDefaultBlockList",
+  "defaultBlockList",
+  "logPerf",
+  "generateDerived",
+  "allowedOrigins",
+];
+
+export function loadProjectConfig(
+  directory: string
+): { config: ProjectConfig; configPath: string | null } {
+  for (const fileName of configFileNames) {
+    const configPath = path.resolve(directory, fileName);
+    if (!fs.existsSync(configPath)) {
+      continue;
+    }
+
+    const config = fileName.endsWith(".json")
+      ? JSON.parse(fs.readFileSync(configPath, "utf-8"))
+      : require(configPath);
+
+    Object.keys(config).forEach((key) => {
+      if (!configKeys.includes(key)) {
+        throw Error(
+          `Unknown option "${key}" in ${configPath}, supported options are: ` +
+            configKeys.join(", ")
+        );
+      }
+    });
+
+    return { config, configPath };
+  }
+
+  return { config: {}, configPath: null };
+}
@@ -0,0 +1,98 @@
+import {
+  listSessions,
+  getSessionInfo,
+  pruneSession,
+  exportSession,
+  importSession,
+} from "@fromjs/backend";
+
+export interface SessionCommandOptions {
+  action: string;
+  archive?: string;
+  sessionDirectory: string;
+  before?: string;
+  url?: string;
+}
+
+function formatBytes(bytes: number) {
+  const units = ["B", "KB", "MB", "GB"];
+  let unitIndex = 0;
+  while (bytes >= 1000 && unitIndex < units.length - 1) {
+    bytes /= 1000;
+    unitIndex++;
+  }
+  return (unitIndex === 0 ? bytes : bytes.toFixed(1)) + " " + units[unitIndex];
+}
+
+export async function runSessionCommand(options: SessionCommandOptions) {
+  const { action, sessionDirectory } = options;
+
+  if (action === "list") {
+    const sessions = listSessions(process.cwd());
+    if (sessions.length === 0) {
+      console.log("No sessions found in " + process.cwd());
+    }
+    sessions.forEach((session) => {
+      console.log(
+        session.sessionDirectory + "  " + formatBytes(session.diskUsage)
+      );
+    });
+  } else if (action === "info") {
+    const info = await getSessionInfo(sessionDirectory);
+    console.log("Session: " + info.sessionDirectory);
+    console.log(
+      `Files: ${info.fileCount} (${info.urlCount} URLs), events: ${info.eventCount}, lucky matches: ${info.luckyMatchCount}`
+    );
+    console.log("Logs: " + info.logCount);
+    Object.keys(info.logCountsByOperation)
+      .sort(
+        (a, b) => info.logCountsByOperation[b] - info.logCountsByOperation[a]
+      )
+      .forEach((operation) => {
+        console.log(
+          "  " + operation + ": " + info.logCountsByOperation[operation]
+        );
+      });
+    console.log("Disk usage:");
+    Object.keys(info.diskUsage).forEach((entry) => {
+      console.log("  " + entry + ": " + formatBytes(info.diskUsage[entry]));
+    });
+  } else if (action === "prune") {
+    if (!options.before && !options.url) {
+      throw Error("Pass in --before <date> and/or --url <url> to prune");
+    }
+    let before: Date | undefined;
+    if (options.before) {
+      before = new Date(options.before);
+      if (isNaN(before.valueOf())) {
+        throw Error("Invalid date: " + options.before);
+      }
+    }
+    const result = await pruneSession(sessionDirectory, {
+      before,
+      url: options.url,
+    });
+    console.log(
+      `Deleted ${result.deletedLogCount} logs, ${result.keptLogCount} logs left. Deleted ${result.deletedFileCount} files and ${result.deletedLocCount} locs`
+    );
+  } else if (action === "export" || action === "import") {
+    if (!options.archive) {
+      throw Error("Pass in the path of the session archive");
+    }
+    if (action === "export") {
+      const result = await exportSession(sessionDirectory, options.archive);
+      console.log(
+        `Exported ${result.fileCount} files from ${sessionDirectory} to ${options.archive}`
+      );
+    } else {
+      const result = await importSession(options.archive, sessionDirectory);
+      console.log(
+        `Imported ${result.fileCount} files from ${options.archive} into ${sessionDirectory}`
+      );
+    }
+  } else {
+    throw Error(
+      `Unknown session action "${action}", supported actions are: list, info, prune, export, import`
+    );
+  }
+}
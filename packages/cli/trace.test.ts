@@ -0,0 +1,106 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+const mockBrowser = {
+  pages: jest.fn(),
+  close: jest.fn(),
+};
+// Loading the real backend would start Chrome
+jest.mock("@fromjs/backend", () => ({
+  openBrowser: jest.fn(async () => mockBrowser),
+}));
+
+import { openBrowser } from "@fromjs/backend";
+import { runTrace, TraceOptions } from "./trace";
+
+function createPage(elementParts: any[][]) {
+  return {
+    waitForFunction: jest.fn(async () => {}),
+    waitFor: jest.fn(async () => {}),
+    evaluate: jest.fn(async () => elementParts.map((parts) => ({ parts }))),
+  };
+}
+
+function createBackend() {
+  return {
+    traverseDomElement: jest.fn(async (parts, charIndex) => ({
+      html: parts.map((part) => part[0]).join(""),
+      charIndex,
+    })),
+  };
+}
+
+const traceOptions: TraceOptions = {
+  url: "http://example.com",
+  selector: "h1",
+  waitFor: 500,
+  timeout: 90000,
+};
+
+describe("runTrace", () => {
+  let outputDirectory: string;
+  beforeEach(() => {
+    outputDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "fromjs-trace-"));
+    mockBrowser.close.mockClear();
+  });
+  afterEach(() => {
+    require("rimraf").sync(outputDirectory);
+  });
+
+  it("Traverses each matching element and writes the result to the output file", async () => {
+    const page = createPage([[["<h1>", 1]], [["<h1>", 2]]]);
+    mockBrowser.pages.mockResolvedValue([page]);
+    const backend = createBackend();
+    const output = outputDirectory + "/origins.json";
+
+    await runTrace(backend as any, 7000, {
+      ...traceOptions,
+      output,
+      charIndex: 2,
+    });
+
+    expect((openBrowser as jest.Mock).mock.calls[0][0]).toMatchObject({
+      headless: true,
+      config: { backendPort: 7000, redirectUrl: "http://example.com" },
+    });
+    expect(page.evaluate.mock.calls[0][1]).toBe("h1");
+    expect(backend.traverseDomElement).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(fs.readFileSync(output, "utf-8"))).toEqual({
+      url: "http://example.com",
+      selector: "h1",
+      elements: [
+        { html: "<h1>", charIndex: 2 },
+        { html: "<h1>", charIndex: 2 },
+      ],
+    });
+    expect(mockBrowser.close).toHaveBeenCalled();
+  });
+
+  it("Uses the timeout option while waiting for the page", async () => {
+    const page = createPage([]);
+    mockBrowser.pages.mockResolvedValue([page]);
+
+    await runTrace(createBackend() as any, 7000, {
+      ...traceOptions,
+      output: outputDirectory + "/origins.json",
+    });
+
+    expect(page.waitForFunction).toHaveBeenCalledTimes(2);
+    page.waitForFunction.mock.calls.forEach((call: any[]) => {
+      expect(call[1]).toEqual({ timeout: 90000 });
+    });
+    expect(page.waitFor).toHaveBeenCalledWith(500);
+  });
+
+  it("Closes the browser if the page doesn't load", async () => {
+    const page = createPage([]);
+    page.waitForFunction.mockRejectedValue(Error("Timeout"));
+    mockBrowser.pages.mockResolvedValue([page]);
+
+    await expect(
+      runTrace(createBackend() as any, 7000, traceOptions)
+    ).rejects.toThrow("Timeout");
+    expect(mockBrowser.close).toHaveBeenCalled();
+  });
+});
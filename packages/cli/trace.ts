@@ -0,0 +1,88 @@
+import Backend, { openBrowser } from "@fromjs/backend";
+import * as fs from "fs";
+import * as util from "util";
+
+export interface TraceOptions {
+  url: string;
+  selector: string;
+  output?: string;
+  charIndex?: number;
+  waitFor: number;
+  // How long to wait for the page to load and send its logs, in ms
+  timeout: number;
+}
+
+// The trace result is written to stdout, so anything the backend logs
+// needs to go somewhere else
+export function redirectConsoleLogToStderr() {
+  console.log = function (message?: any, ...args) {
+    process.stderr.write(util.format(message, ...args) + "\n");
+  };
+}
+
+export async function runTrace(
+  backend: Backend,
+  backendPort: number,
+  options: TraceOptions
+) {
+  const browser = await openBrowser({
+    userDataDir: undefined,
+    extraArgs: [],
+    headless: true,
+    config: {
+      backendPort,
+      redirectUrl: options.url,
+    },
+  });
+
+  let results;
+  try {
+    // The extension navigates the first tab to the traced URL
+    const [page] = await browser.pages();
+    await page.waitForFunction(
+      () =>
+        document.readyState === "complete" &&
+        !!window["__getHtmlNodeOperationLogMapping"],
+      { timeout: options.timeout }
+    );
+    await page.waitFor(options.waitFor);
+    // Make sure the page has sent its logs, the backend will still wait
+    // a bit for them to be saved when traversing
+    await page.waitForFunction(
+      () => window["__debugFromJSLogQueue"]().length === 0,
+      { timeout: options.timeout }
+    );
+
+    const elements = await page.evaluate((selector) => {
+      return Array.from(document.querySelectorAll(selector)).map((el) => {
+        return {
+          parts: window["__getHtmlNodeOperationLogMapping"](el).parts,
+        };
+      });
+    }, options.selector);
+
+    results = [];
+    for (const element of elements) {
+      results.push(
+        await backend.traverseDomElement(element.parts, options.charIndex)
+      );
+    }
+  } finally {
+    await browser.close();
+  }
+
+  const json = JSON.stringify(
+    {
+      url: options.url,
+      selector: options.selector,
+      elements: results,
+    },
+    null,
+    2
+  );
+  if (options.output) {
+    fs.writeFileSync(options.output, json);
+  } else {
+    process.stdout.write(json + "\n");
+  }
+}
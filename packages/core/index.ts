@@ -13,6 +13,9 @@ import { traverseDomOrigin } from "./src/traverseDomOrigin";
 import * as config from "./src/config";
 import { adjustColumnForEscapeSequences } from "./src/adjustColumnForEscapeSequences";
 import { traverseObject } from "./src/traverseObject";
+import { getLongOperationName } from "./src/names";
+import { LogIndexes } from "./src/LogServer/LogIndexes";
+import { TraversalCache } from "./src/TraversalCache";
 
 export {
   babelPlugin,
@@ -29,5 +32,8 @@ export {
   config,
   LocLogs,
   adjustColumnForEscapeSequences,
-  traverseObject
+  traverseObject,
+  getLongOperationName,
+  LogIndexes,
+  TraversalCache
 };
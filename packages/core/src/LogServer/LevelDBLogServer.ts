@@ -4,17 +4,20 @@ import OperationLog from "../helperFunctions/OperationLog";
 import { LogServer } from "./LogServer";
 import { LocStore } from "../LocStore";
 import { cacheLevelDBGet } from "../cacheLevelDBGet";
+import { LogIndexes, LogIndexEntry, LogIndexQuery } from "./LogIndexes";
 
 export default class LevelDBLogServer extends LogServer {
   db: any;
   levelDownDb: any;
   _getCached: any;
+  indexes: LogIndexes | null;
 
-  constructor(dbPath: string, locStore: LocStore) {
+  constructor(dbPath: string, locStore: LocStore, indexesPath?: string) {
     super(locStore);
     this.levelDownDb = leveldown(dbPath);
     this.db = levelup(this.levelDownDb);
     this._getCached = cacheLevelDBGet(this.db);
+    this.indexes = indexesPath ? new LogIndexes(indexesPath) : null;
   }
   storeLog(logIndex, logString) {
     this.db.put(logIndex.toString(), logString, function(err) {
@@ -65,4 +68,48 @@ export default class LevelDBLogServer extends LogServer {
       fn(null, value);
     });
   }
+
+  storeLogIndexEntries(entries: LogIndexEntry[]) {
+    if (!this.indexes) {
+      return Promise.resolve();
+    }
+    return this.indexes.addEntries(entries);
+  }
+
+  // Uses the secondary indexes to find logs without iterating over all of them,
+  // e.g. {operation: "fetchResponse", pageSessionId} for the fetch responses
+  // of one page load
+  findLogIndices(query: LogIndexQuery) {
+    if (!this.indexes) {
+      throw Error("Log server was created without indexes");
+    }
+    return this.indexes.findLogIndices(query);
+  }
+
+  findLogUses(logIndex: string) {
+    if (!this.indexes) {
+      throw Error("Log server was created without indexes");
+    }
+    return this.indexes.findLogUses(logIndex);
+  }
+
+  // Null for logs without an index entry, e.g. from older sessions
+  findLogPageSessionId(logIndex: string) {
+    if (!this.indexes) {
+      return Promise.resolve(null);
+    }
+    return this.indexes.findLogPageSessionId(logIndex);
+  }
+
+  async deleteLogs(logIndices: string[]) {
+    await new Promise((resolve, reject) => {
+      this.db.batch(
+        logIndices.map(key => ({ type: "del", key })),
+        err => (err ? reject(err) : resolve())
+      );
+    });
+    if (this.indexes) {
+      await this.indexes.removeEntries(logIndices);
+    }
+  }
 }
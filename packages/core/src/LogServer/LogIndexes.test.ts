@@ -0,0 +1,71 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { LogIndexes, LogIndexEntry } from "./LogIndexes";
+
+let dbDirectory: string;
+let indexes: LogIndexes;
+
+function createIndexes() {
+  dbDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "fromjs-log-indexes-"));
+  indexes = new LogIndexes(dbDirectory);
+  return indexes;
+}
+
+afterEach(async () => {
+  await new Promise(resolve => indexes.db.close(resolve));
+  require("rimraf").sync(dbDirectory);
+});
+
+function createEntry(logIndex: string, extra = {}): LogIndexEntry {
+  return {
+    logIndex,
+    operation: "stringLiteral",
+    url: "http://example.com/app.js",
+    pageSessionId: "session1",
+    time: 1000,
+    ...extra
+  };
+}
+
+it("Finds logs matching all conditions of a query", async () => {
+  const indexes = createIndexes();
+  await indexes.addEntries([
+    createEntry("1"),
+    createEntry("2", { operation: "fetchResponse" }),
+    createEntry("3", { pageSessionId: "session2", time: 3000 })
+  ]);
+
+  expect(await indexes.findLogIndices({ operation: "stringLiteral" })).toEqual([
+    "1",
+    "3"
+  ]);
+  expect(
+    await indexes.findLogIndices({
+      operation: "stringLiteral",
+      pageSessionId: "session1"
+    })
+  ).toEqual(["1"]);
+  expect(await indexes.findLogIndices({ from: 2000 })).toEqual(["3"]);
+});
+
+it("Finds logs that used a log as an argument", async () => {
+  const indexes = createIndexes();
+  await indexes.addEntries([
+    createEntry("1"),
+    createEntry("2", { operation: "binaryExpression", argLogIndices: ["1"] })
+  ]);
+
+  expect(await indexes.findLogUses("1")).toEqual(["2"]);
+  await indexes.removeEntries(["2"]);
+  expect(await indexes.findLogUses("1")).toEqual([]);
+});
+
+it("Rejects if the entries can't be written", async () => {
+  const indexes = createIndexes();
+  indexes.db.batch = (ops, cb) => cb(new Error("IO error"));
+
+  await expect(indexes.addEntries([createEntry("1")])).rejects.toThrow(
+    "IO error"
+  );
+});
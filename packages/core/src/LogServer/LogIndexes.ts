@@ -0,0 +1,215 @@
+import * as levelup from "levelup";
+import * as leveldown from "leveldown";
+
+// Index keys look like "operation\0stringLiteral\0<logIndex>", so all logs for
+// one value can be found with a range scan. \0 can't appear in URLs.
+const SEPARATOR = "\x00";
+const KEY_END = "\xff";
+// Set once every stored log has operation and url entries
+const COMPLETE_KEY = "meta" + SEPARATOR + "complete";
+
+export interface LogIndexEntry {
+  logIndex: string;
+  operation: string;
+  url: string | null;
+  // Logs stored before the indexes were added don't have a page session
+  // or time
+  pageSessionId: string | null;
+  time: number | null;
+  // Logs that were passed into this operation as arguments, they're indexed
+  // so data can be followed forward from a source to where it's used
+  argLogIndices?: string[];
+}
+
+export interface LogIndexQuery {
+  operation?: string;
+  url?: string;
+  pageSessionId?: string;
+  // Range of insertion times, in ms
+  from?: number;
+  to?: number;
+}
+
+function padTime(time: number) {
+  return ("000000000000000" + time).slice(-15);
+}
+
+function getIndexKeys(entry: LogIndexEntry) {
+  const keys = [["operation", entry.operation, entry.logIndex].join(SEPARATOR)];
+  if (entry.url) {
+    keys.push(["url", entry.url, entry.logIndex].join(SEPARATOR));
+  }
+  if (entry.pageSessionId) {
+    keys.push(
+      ["pageSession", entry.pageSessionId, entry.logIndex].join(SEPARATOR)
+    );
+  }
+  if (entry.time !== null) {
+    keys.push(["time", padTime(entry.time), entry.logIndex].join(SEPARATOR));
+  }
+  (entry.argLogIndices || []).forEach(argLogIndex => {
+    keys.push(["use", argLogIndex, entry.logIndex].join(SEPARATOR));
+  });
+  return keys;
+}
+
+function getLogKey(logIndex: string) {
+  return "log" + SEPARATOR + logIndex;
+}
+
+export class LogIndexes {
+  db: any;
+
+  constructor(dbPath: string) {
+    this.db = levelup(leveldown(dbPath));
+  }
+
+  addEntries(entries: LogIndexEntry[]) {
+    const ops: any[] = [];
+    entries.forEach(entry => {
+      const keys = getIndexKeys(entry);
+      keys.forEach(key => {
+        ops.push({ type: "put", key, value: entry.logIndex });
+      });
+      // Remember the keys of each log, so they can be removed with the log
+      ops.push({
+        type: "put",
+        key: getLogKey(entry.logIndex),
+        value: JSON.stringify(keys)
+      });
+    });
+
+    return new Promise((resolve, reject) =>
+      this.db.batch(ops, err => {
+        if (err) {
+          console.log("Ooops!  - level db error (indexes)", err);
+          reject(err);
+          return;
+        }
+        resolve();
+      })
+    );
+  }
+
+  async removeEntries(logIndices: string[]) {
+    const ops: any[] = [];
+    for (const logIndex of logIndices) {
+      const keys = await this._get(getLogKey(logIndex));
+      if (!keys) {
+        continue;
+      }
+      JSON.parse(keys).forEach(key => ops.push({ type: "del", key }));
+      ops.push({ type: "del", key: getLogKey(logIndex) });
+    }
+    await new Promise((resolve, reject) =>
+      this.db.batch(ops, err => (err ? reject(err) : resolve()))
+    );
+  }
+
+  async hasEntry(logIndex: string) {
+    return !!(await this._get(getLogKey(logIndex)));
+  }
+
+  async isComplete() {
+    return !!(await this._get(COMPLETE_KEY));
+  }
+
+  markComplete() {
+    return new Promise((resolve, reject) =>
+      this.db.put(COMPLETE_KEY, "true", err => (err ? reject(err) : resolve()))
+    );
+  }
+
+  // Returns log indices in the same order as the keys of the tracking data db
+  async findLogIndices(query: LogIndexQuery) {
+    const scans: Promise<string[]>[] = [];
+    if (query.operation) {
+      scans.push(this._scanPrefix("operation", query.operation));
+    }
+    if (query.url) {
+      scans.push(this._scanPrefix("url", query.url));
+    }
+    if (query.pageSessionId) {
+      scans.push(this._scanPrefix("pageSession", query.pageSessionId));
+    }
+    if (query.from !== undefined || query.to !== undefined) {
+      const prefix = "time" + SEPARATOR;
+      scans.push(
+        this._scan({
+          gte: prefix + padTime(query.from || 0),
+          lt:
+            query.to === undefined
+              ? prefix + KEY_END
+              : prefix + padTime(query.to) + KEY_END
+        })
+      );
+    }
+    if (scans.length === 0) {
+      throw Error("Log index query needs at least one condition");
+    }
+
+    const [first, ...rest] = await Promise.all(scans);
+    const restSets = rest.map(logIndices => new Set(logIndices));
+    return first
+      .filter(logIndex => restSets.every(set => set.has(logIndex)))
+      .sort();
+  }
+
+  // Logs that were created using the given log as an argument
+  findLogUses(logIndex: string) {
+    return this._scanPrefix("use", logIndex);
+  }
+
+  async findLogPageSessionId(logIndex: string) {
+    const keys = await this._get(getLogKey(logIndex));
+    const pageSessionPrefix = "pageSession" + SEPARATOR;
+    const pageSessionKey =
+      keys &&
+      (JSON.parse(keys) as string[]).find(key =>
+        key.startsWith(pageSessionPrefix)
+      );
+    if (!pageSessionKey) {
+      return null;
+    }
+    return pageSessionKey.split(SEPARATOR)[1];
+  }
+
+  _scanPrefix(indexName: string, value: string) {
+    const prefix = indexName + SEPARATOR + value + SEPARATOR;
+    return this._scan({ gt: prefix, lt: prefix + KEY_END });
+  }
+
+  _scan(range): Promise<string[]> {
+    return new Promise((resolve, reject) => {
+      const logIndices: string[] = [];
+      const i = this.db.iterator({ ...range, keys: false });
+      function iterate(error, key, value) {
+        if (error) {
+          i.end(() => reject(error));
+          return;
+        }
+        if (value === undefined) {
+          i.end(() => resolve(logIndices));
+          return;
+        }
+        logIndices.push(value.toString());
+        i.next(iterate);
+      }
+      i.next(iterate);
+    });
+  }
+
+  _get(key: string): Promise<string | null> {
+    return new Promise((resolve, reject) => {
+      this.db.get(key, (err, value) => {
+        if (err && err.notFound) {
+          resolve(null);
+        } else if (err) {
+          reject(err);
+        } else {
+          resolve(value.toString());
+        }
+      });
+    });
+  }
+}
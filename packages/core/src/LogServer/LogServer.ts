@@ -248,7 +248,10 @@ export class LogServer {
           tryGetResult(log.args.value);
         } else if (log.operation === "returnStatement") {
           tryGetResult(log.args.returnValue);
-        } else if (log.operation === "memberExpression") {
+        } else if (
+          log.operation === "memberExpression" ||
+          log.operation === "optionalMemberExpression"
+        ) {
           tryGetResult(log.extraArgs.propertyValue);
         } else if (log.operation === "memexpAsLeftAssExp") {
           tryGetResult(log.extraArgs.propertyValue);
@@ -1,4 +1,5 @@
 export const lastAssignmentExpressionArgument = "lAEA";
 export const lastConditionalExpressionTest = "lCET";
 export const lastConditionalExpressionResult = "lCER";
-export const lastOrLogicalExpressionResult = "lOLER";
+export const lastLogicalExpressionLeft = "lLEL";
+export const lastOptionalChainObject = "lOCO";
@@ -5,8 +5,10 @@ export const stringLiteral = "stringLiteral";
 export const identifier = "identifier";
 export const returnStatement = "returnStatement";
 export const memberExpression = "memberExpression";
+export const optionalMemberExpression = "optionalMemberExpression";
 export const objectExpression = "objectExpression";
 export const callExpression = "callExpression";
+export const optionalCallExpression = "optionalCallExpression";
 export const newExpression = "newExpression";
 export const assignmentExpression = "assignmentExpression";
 export const arrayExpression = "arrayExpression";
@@ -34,10 +36,24 @@ export const objectAssignResult = "objectAssignResult";
 export const arraySlice = "arraySlice";
 export const arraySplice = "arraySplice";
 export const arrayConcat = "arrayConcat";
+export const arraySort = "arraySort";
+export const arrayReverse = "arrayReverse";
+export const arrayFlat = "arrayFlat";
+export const arrayFrom = "arrayFrom";
+export const messageData = "messageData";
 export const matchResult = "matchResult";
 export const execResult = "execResult";
 export const fetchResponse = "fetchResponse";
 export const XMLHttpRequestResponse = "XMLHttpRequest.responseText";
+export const storageValue = "storageValue";
+export const documentCookie = "documentCookie";
+export const indexedDBValue = "indexedDBValue";
+export const webSocketMessage = "webSocketMessage";
+export const eventSourceMessage = "eventSourceMessage";
+export const blobText = "blobText";
+export const urlPart = "urlPart";
+export const domRead = "domRead";
+export const attributeChange = "attributeChange";
 export const styleAssignment = "styleAssignment";
 export const fn = "fn";
 export const awaitExpression = "awaitExpression";
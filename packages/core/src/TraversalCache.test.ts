@@ -0,0 +1,99 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { TraversalCache } from "./TraversalCache";
+import OperationLog from "./helperFunctions/OperationLog";
+
+let dbDirectory: string;
+let cache: TraversalCache;
+
+function createCache() {
+  dbDirectory = fs.mkdtempSync(
+    path.join(os.tmpdir(), "fromjs-traversal-cache-")
+  );
+  cache = new TraversalCache(dbDirectory);
+  return cache;
+}
+
+afterEach(async () => {
+  await new Promise(resolve => cache.db.close(resolve));
+  require("rimraf").sync(dbDirectory);
+});
+
+function createSteps() {
+  const propName = new OperationLog(<any>{
+    operation: "stringLiteral",
+    _result: "length",
+    args: {},
+    index: 2
+  });
+  return [
+    {
+      charIndex: 0,
+      operationLog: new OperationLog(<any>{
+        operation: "memberExpression",
+        _result: 3,
+        args: { propName, object: null },
+        index: 1
+      })
+    }
+  ];
+}
+
+it("Returns cached steps with OperationLog instances", async () => {
+  const cache = createCache();
+  const traverse = jest.fn(async () => createSteps());
+
+  await cache.getOrTraverse(1, 0, {}, traverse);
+  const steps = await cache.getOrTraverse(1, 0, {}, traverse);
+
+  expect(traverse).toHaveBeenCalledTimes(1);
+  expect(steps[0].operationLog).toBeInstanceOf(OperationLog);
+  expect(steps[0].operationLog.result.primitive).toBe(3);
+  expect(steps[0].operationLog.args.propName.result.primitive).toBe("length");
+  expect(steps[0].operationLog.args.object).toBe(null);
+});
+
+it("Doesn't store traversal errors", async () => {
+  const cache = createCache();
+  const traverse = jest.fn(async () => ({ err: "Log not found" }));
+
+  await cache.getOrTraverse(1, 0, {}, traverse);
+  await cache.getOrTraverse(1, 0, {}, traverse);
+
+  expect(traverse).toHaveBeenCalledTimes(2);
+});
+
+it("Doesn't store results computed before an invalidation", async () => {
+  const cache = createCache();
+  let invalidation;
+  const traverse = jest.fn(async () => {
+    invalidation = cache.invalidate();
+    return createSteps();
+  });
+
+  await cache.getOrTraverse(1, 0, {}, traverse);
+  await invalidation;
+
+  expect(await cache.get(cache.getKey(1, 0, {}))).toBe(null);
+});
+
+it("Clears the cache when it's invalidated", async () => {
+  const cache = createCache();
+  await cache.getOrTraverse(1, 0, {}, async () => createSteps());
+
+  await cache.invalidate();
+
+  expect(await cache.get(cache.getKey(1, 0, {}))).toBe(null);
+});
+
+it("Stops using the cache if it can't be cleared", async () => {
+  const cache = createCache();
+  await cache.getOrTraverse(1, 0, {}, async () => createSteps());
+  cache.db.clear = cb => cb(new Error("IO error"));
+
+  await cache.invalidate();
+
+  expect(cache.isDisabled).toBe(true);
+  expect(await cache.get(cache.getKey(1, 0, {}))).toBe(null);
+});
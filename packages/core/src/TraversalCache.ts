@@ -0,0 +1,114 @@
+import * as levelup from "levelup";
+import * as leveldown from "leveldown";
+import OperationLog from "./helperFunctions/OperationLog";
+
+// Traversal results only change when the backend learns something new about
+// where values come from, i.e. when lucky matches are registered. New code
+// files don't change them, since a log can only exist once its code has been
+// processed.
+export class TraversalCache {
+  db: any;
+  // Results computed before the last invalidation mustn't be stored
+  generation = 0;
+  // If clearing fails the cache may contain stale results, so it isn't used
+  // for the rest of the session
+  isDisabled = false;
+
+  constructor(dbPath: string) {
+    this.db = levelup(leveldown(dbPath));
+  }
+
+  getKey(logId: number, charIndex: number, options: object) {
+    return JSON.stringify([logId, charIndex, options]);
+  }
+
+  get(key: string): Promise<any | null> {
+    if (this.isDisabled) {
+      return Promise.resolve(null);
+    }
+    return new Promise(resolve => {
+      this.db.get(key, (err, value) => {
+        if (err) {
+          resolve(null);
+          return;
+        }
+        const steps = JSON.parse(value.toString());
+        steps.forEach(step => {
+          step.operationLog = makeOperationLog(step.operationLog);
+        });
+        resolve(steps);
+      });
+    });
+  }
+
+  set(key: string, steps: any, generation: number) {
+    if (generation !== this.generation || this.isDisabled) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      this.db.put(key, JSON.stringify(steps), err => {
+        if (err) console.log("Ooops!  - level db error (traversal cache)", err);
+        resolve();
+      });
+    });
+  }
+
+  async getOrTraverse(
+    logId: number,
+    charIndex: number,
+    options: object,
+    traverse: () => Promise<any>
+  ) {
+    const key = this.getKey(logId, charIndex, options);
+    const cachedSteps = await this.get(key);
+    if (cachedSteps) {
+      return cachedSteps;
+    }
+
+    const generation = this.generation;
+    const steps = await traverse();
+    if (!steps.err) {
+      await this.set(key, steps, generation);
+    }
+    return steps;
+  }
+
+  invalidate() {
+    this.generation++;
+    return new Promise(resolve => {
+      this.db.clear(err => {
+        if (err) {
+          console.log("Ooops!  - level db error (traversal cache)", err);
+          this.isDisabled = true;
+        }
+        resolve();
+      });
+    });
+  }
+}
+
+// JSON.stringify only keeps _result, OperationLog.result is a getter
+function makeOperationLog(log) {
+  if (!log || typeof log !== "object") {
+    return log;
+  }
+  ["args", "extraArgs"].forEach(argsKey => {
+    const args = log[argsKey];
+    if (args && typeof args === "object") {
+      Object.keys(args).forEach(argName => {
+        args[argName] = makeOperationLogOrArray(args[argName]);
+      });
+    }
+  });
+  return new OperationLog(log);
+}
+
+function makeOperationLogOrArray(value) {
+  if (Array.isArray(value)) {
+    return value.map(makeOperationLogOrArray);
+  }
+  if (value && typeof value === "object" && "operation" in value) {
+    return makeOperationLog(value);
+  }
+  return value;
+}
@@ -18,7 +18,9 @@ import {
   addLoc,
   skipPath,
   getTrackingIdentifier,
-  getLocObjectASTNode
+  getLocObjectASTNode,
+  addImportNamespaces,
+  addTrackingValueExports
 } from "./babelPluginHelpers";
 
 import helperCodeLoaded from "../helperFunctions";
@@ -199,6 +201,43 @@ function plugin(babel) {
       handleFunction(path);
     },
 
+    TaggedTemplateExpression(path) {
+      const { tag, quasi } = path.node;
+      const isStringRaw =
+        tag.type === "MemberExpression" &&
+        !tag.computed &&
+        tag.object.type === "Identifier" &&
+        tag.object.name === "String" &&
+        tag.property.name === "raw";
+      if (!isStringRaw) {
+        return;
+      }
+      // String.raw`a${b}` => String.raw({raw: ["a", ""]}, b)
+      // String.raw doesn't care if the template object is reused, and this way
+      // the call and the raw strings are tracked like normal code
+      const rawStrings = quasi.quasis.map(q =>
+        addLoc(t.stringLiteral(q.value.raw), q.loc)
+      );
+      const templateObject = addLoc(
+        t.objectExpression([
+          addLoc(
+            t.objectProperty(
+              addLoc(t.identifier("raw"), quasi.loc),
+              addLoc(t.arrayExpression(rawStrings), quasi.loc)
+            ),
+            quasi.loc
+          )
+        ]),
+        quasi.loc
+      );
+      path.replaceWith(
+        addLoc(
+          t.callExpression(tag, [templateObject, ...quasi.expressions]),
+          path.node.loc
+        )
+      );
+    },
+
     ObjectPattern(path) {
       // debugger;
       const newProperties: any[] = [];
@@ -708,8 +747,13 @@ function plugin(babel) {
   });
 
   visitors["Program"] = {
+    enter(path) {
+      addImportNamespaces(path);
+    },
     // Run on exit so injected code isn't processed by other babel plugins
     exit: function(path) {
+      addTrackingValueExports(path.node);
+
       const babelPluginOptions = plugin["babelPluginOptions"];
       let usableHelperCode;
 
@@ -324,6 +324,23 @@ export function createGetMemoTrackingValue(key) {
   );
 }
 
+// Optional chains evaluate the object of an optional link before checking if
+// it's nullish, the rest of the chain then reads it from a memo value
+export function createOptionalChainObject(memoKey, originalObject) {
+  const node = createGetMemoValue(memoKey);
+  node.optionalChainMemoKey = memoKey;
+  node.optionalChainOriginalType = originalObject.type;
+  node.loc = originalObject.loc;
+  return node;
+}
+
+export function getObjectTrackingValue(objectNode) {
+  if (objectNode.optionalChainMemoKey) {
+    return createGetMemoTrackingValue(objectNode.optionalChainMemoKey);
+  }
+  return getLastOperationTrackingResultCall();
+}
+
 export const getLastOpValueCall = () =>
   ignoredCallExpression(FunctionNames.getLastOperationValueResult, []);
 
@@ -333,7 +350,31 @@ function scopeHasIdentifierWithTrackingIdentifier(scope, identifierName) {
   return binding && ["var", "let", "const", "param"].includes(binding.kind);
 }
 
+// Imported bindings are live, so rather than copying the tracking value into
+// a local variable we read it from the namespace object of the imported module
+// every time, e.g. _fromJSImport.value___tv
+function getImportedTrackingValue(identifierName, scope) {
+  const binding = scope.getBinding(identifierName);
+  if (!binding || binding.kind !== "module") {
+    return null;
+  }
+  const { trackingNamespace, importedName } = binding.path.node;
+  if (!trackingNamespace) {
+    return null;
+  }
+  return ignoreNode(
+    t.memberExpression(
+      ignoredIdentifier(trackingNamespace),
+      getTrackingIdentifier(importedName)
+    )
+  );
+}
+
 export const safelyGetVariableTrackingValue = (identifierName, scope) => {
+  const importedTrackingValue = getImportedTrackingValue(identifierName, scope);
+  if (importedTrackingValue) {
+    return importedTrackingValue;
+  }
   if (scopeHasIdentifierWithTrackingIdentifier(scope, identifierName)) {
     return getTrackingIdentifier(identifierName);
   } else {
@@ -345,6 +386,125 @@ export const safelyGetVariableTrackingValue = (identifierName, scope) => {
   }
 };
 
+// Adds `import * as _fromJSImport from "..."` for every import declaration
+// with named or default imports, the namespace is used to look up the tracking
+// values the imported module exports
+export function addImportNamespaces(programPath) {
+  const body = programPath.node.body;
+  for (let i = 0; i < body.length; i++) {
+    const statement = body[i];
+    if (statement.type !== "ImportDeclaration") {
+      continue;
+    }
+    const specifiers = statement.specifiers.filter(
+      specifier => specifier.type !== "ImportNamespaceSpecifier"
+    );
+    if (specifiers.length === 0) {
+      continue;
+    }
+    const namespace = programPath.scope.generateUidIdentifier("fromJSImport");
+    specifiers.forEach(specifier => {
+      specifier.trackingNamespace = namespace.name;
+      specifier.importedName =
+        specifier.type === "ImportDefaultSpecifier"
+          ? "default"
+          : specifier.imported.name;
+    });
+    body.splice(
+      i + 1,
+      0,
+      ignoreNode(
+        t.importDeclaration(
+          [t.importNamespaceSpecifier(ignoreNode(namespace))],
+          statement.source
+        )
+      )
+    );
+    i++;
+  }
+}
+
+// Exports value___tv alongside each exported variable, so modules importing
+// the value can read its tracking value.
+// Re-exports like `export { a } from "..."` aren't handled, since importing
+// a___tv fails to link if the other module isn't instrumented.
+export function addTrackingValueExports(programNode) {
+  const body = programNode.body;
+  const declaredNames = {};
+  body.forEach(statement => {
+    const declaration =
+      statement.type === "ExportNamedDeclaration"
+        ? statement.declaration
+        : statement;
+    if (declaration && declaration.type === "VariableDeclaration") {
+      declaration.declarations.forEach(declarator => {
+        Object.assign(declaredNames, t.getBindingIdentifiers(declarator.id));
+      });
+    }
+  });
+
+  const exportedNames: any[] = [];
+  const exportTrackingValue = (localName, exportedName) => {
+    if (declaredNames[getTrackingVarName(localName)]) {
+      exportedNames.push([localName, exportedName]);
+    }
+  };
+
+  for (let i = 0; i < body.length; i++) {
+    const statement = body[i];
+    if (statement.type === "ExportNamedDeclaration" && !statement.source) {
+      // Exported variable declarations already include the tracking variables
+      if (
+        statement.declaration &&
+        statement.declaration.type !== "VariableDeclaration"
+      ) {
+        Object.keys(t.getBindingIdentifiers(statement.declaration)).forEach(
+          name => exportTrackingValue(name, name)
+        );
+      }
+      statement.specifiers.forEach(specifier => {
+        exportTrackingValue(specifier.local.name, specifier.exported.name);
+      });
+    } else if (
+      statement.type === "ExportDefaultDeclaration" &&
+      !["FunctionDeclaration", "ClassDeclaration"].includes(
+        statement.declaration.type
+      )
+    ) {
+      // The default export is an expression without a variable, so we
+      // export the tracking value of the expression result right after it
+      body.splice(
+        i + 1,
+        0,
+        t.exportNamedDeclaration(
+          t.variableDeclaration("var", [
+            t.variableDeclarator(
+              getTrackingIdentifier("default"),
+              getLastOperationTrackingResultCall()
+            )
+          ]),
+          []
+        )
+      );
+      i++;
+    }
+  }
+
+  if (exportedNames.length > 0) {
+    body.push(
+      t.exportNamedDeclaration(
+        null,
+        exportedNames.map(([localName, exportedName]) =>
+          t.exportSpecifier(
+            getTrackingIdentifier(localName),
+            getTrackingIdentifier(exportedName)
+          )
+        )
+      )
+    );
+  }
+}
+
 export const getGetGlobalCall = () => {
   return ignoredCallExpression(FunctionNames.getGlobal, []);
 };
@@ -2,11 +2,14 @@ import babelPlugin from "./babelPlugin";
 import handleEvalScript from "./handleEvalScript";
 import getBabelOptions, { getAndResetLocs } from "./getBabelOptions";
 
-var Babel = window["Babel"];
-delete window["__core-js_shared__"]; // Added by babel standalone, but breaks some lodash tests
+// Also loaded into instrumented Blob URL workers, where there's no window
+var global = Function("return this")();
+
+var Babel = global["Babel"];
+delete global["__core-js_shared__"]; // Added by babel standalone, but breaks some lodash tests
 
 let evalFn;
-window["__fromJSEvalSetEvalFn"] = function(fn) {
+global["__fromJSEvalSetEvalFn"] = function(fn) {
   evalFn = fn;
 };
 
@@ -21,34 +24,34 @@ function getEvalFn() {
   return ret;
 }
 
-window["fromJSEval"] = function(code) {
-  return window["__callExpression"](
+global["fromJSEval"] = function(code) {
+  return global["__callExpression"](
     [[eval, null], [undefined, null], [[code]]],
     {},
     null
   );
 };
 
-window["__fromJSEval"] = function(code) {
-  function compile(code, url, done) {
-    if (code.includes("__didInitializeDataFlowTracking")) {
-      // Code is already instrumented...
-      // this can happen for example if a JS file is fetched via ajax and then
-      // eval'd
-      done({
-        code,
-        locs: []
-      });
-      return;
-    }
-    const babelResult = Babel.transform(
+function compile(code, url, done) {
+  if (code.includes("__didInitializeDataFlowTracking")) {
+    // Code is already instrumented...
+    // this can happen for example if a JS file is fetched via ajax and then
+    // eval'd
+    done({
       code,
-      getBabelOptions(babelPlugin, {}, url)
-    );
-    babelResult.locs = getAndResetLocs();
-    done(babelResult);
+      locs: []
+    });
+    return;
   }
+  const babelResult = Babel.transform(
+    code,
+    getBabelOptions(babelPlugin, {}, url)
+  );
+  babelResult.locs = getAndResetLocs();
+  done(babelResult);
+}
 
+global["__fromJSEval"] = function(code) {
   let returnValue;
   // handle eval script is sync because compile is sync!
   handleEvalScript(code, compile, {}, evalScript => {
@@ -60,3 +63,25 @@ window["__fromJSEval"] = function(code) {
 
   return returnValue;
 };
+
+// Called by the bootstrap script from createInstrumentedWorkerUrl
+global["__fromJSRunWorkerScript"] = function(scriptUrl, babelPluginOptions) {
+  // Workers don't contain any other instrumented code, so the helper code
+  // added to the worker script needs the backend details
+  babelPlugin["babelPluginOptions"] = babelPluginOptions;
+
+  const xhr = new XMLHttpRequest();
+  xhr.open("GET", scriptUrl, false);
+  xhr.send();
+
+  handleEvalScript(
+    xhr.responseText,
+    compile,
+    { type: "worker" },
+    evalScript => {
+      // Indirect eval, so the script runs in the global scope
+      (0, eval)(evalScript.instrumentedCode);
+      global["__fromJSRegisterEvalScript"](evalScript);
+    }
+  );
+};
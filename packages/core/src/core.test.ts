@@ -1,6 +1,7 @@
 import * as OperationTypes from "./OperationTypes";
 import { instrumentAndRun, server } from "./testHelpers";
 import { compileSync } from "./compile";
+import * as babylon from "@babel/parser";
 
 test("adds 1 + 2 to equal 3", done => {
   instrumentAndRun("return 1 + 2").then(({ normal, tracking }) => {
@@ -1052,6 +1053,293 @@ describe("Logical Expressions", () => {
       `);
     expect(normal).toBe(2);
   });
+  it("Supports nullish coalescing", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        return [null ?? "a", undefined ?? "b", 0 ?? "c", "" ?? "d"]
+      `);
+    expect(normal).toEqual(["a", "b", 0, ""]);
+  });
+  it("Doesn't evaluate the right side if the expression short-circuits", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        let calls = 0
+        function fn() { calls++ }
+        true || fn()
+        false && fn()
+        "a" ?? fn()
+        return calls
+      `);
+    expect(normal).toBe(0);
+  });
+  it("Supports logical assignment", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        let a = null
+        let b = 1
+        let c = 0
+        a ??= "a"
+        b &&= "b"
+        c ||= "c"
+        const obj = { x: "x" }
+        obj.x ??= "y"
+        obj["z"] ||= "z"
+        return [a, b, c, obj.x, obj.z]
+      `);
+    expect(normal).toEqual(["a", "b", "c", "x", "z"]);
+  });
+  it("Only evaluates the object of a logical assignment once", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        let calls = 0
+        const obj = {}
+        function getObj() {
+          calls++
+          return obj
+        }
+        getObj().value ||= "v"
+        getObj()["val" + "ue"] &&= "w"
+        return [calls, obj.value]
+      `);
+    expect(normal).toEqual([2, "w"]);
+  });
+  it("Supports logical assignment to super properties", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        class Base {}
+        Base.prototype.value = null
+        class Child extends Base {
+          setValue() {
+            super.value ??= "v"
+            return this.value
+          }
+        }
+        return new Child().setValue()
+      `);
+    expect(normal).toBe("v");
+  });
+});
+
+describe("String methods", () => {
+  it("Doesn't break String.raw or other tagged templates", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        function tag(strings, ...values) {
+          return strings.raw.join("|") + values.join(",")
+        }
+        const a = 1
+        return [String.raw\`a\\n\${a}b\`, tag\`x\${a}y\${2}\`]
+      `);
+    expect(normal).toEqual(["a\\n1b", "x|y|1,2"]);
+  });
+  it("Doesn't break replaceAll", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        return [
+          "a-b-c".replaceAll("-", "$&$&"),
+          "a-b".replaceAll(/-/g, "+"),
+          "a-b".replaceAll("-", () => "*")
+        ]
+      `);
+    expect(normal).toEqual(["a--b--c", "a+b", "a*b"]);
+  });
+});
+
+describe("ES modules", () => {
+  function compileModule(code) {
+    const compiledCode = compileSync(code).code;
+    // Throws if the instrumented code isn't a valid module
+    babylon.parse(compiledCode, {
+      sourceType: "module",
+      plugins: ["topLevelAwait", "importMeta"]
+    });
+    return compiledCode.split("* HELPER_FUNCTIONS_END */")[1];
+  }
+
+  it("Keeps import and export declarations valid", () => {
+    const code = compileModule(`
+      import def, { a, b as c } from "./a.js";
+      import * as ns from "./b.js";
+      export const x = a + c;
+      export class C {}
+      export { def as d, x as y };
+      export * from "./c.js";
+      export { z } from "./d.js";
+      export default x + ns.value + import.meta.url;
+    `);
+    expect(code).toContain('import def, { a, b as c } from "./a.js"');
+    expect(code).toContain('export { z } from "./d.js"');
+    expect(code).toContain("export var default___tv");
+    expect(code).toContain("export { C___tv, x___tv as y___tv }");
+  });
+  it("Reads the tracking values of imported bindings from the module namespace", () => {
+    const code = compileModule(`
+      import def, { a as b } from "./a.js";
+      console.log(b + def);
+    `);
+    expect(code).toContain('import * as _fromJSImport from "./a.js"');
+    expect(code).toContain("_fromJSImport.a___tv");
+    expect(code).toContain("_fromJSImport.default___tv");
+  });
+  it("Supports top-level await, dynamic import and new.target", () => {
+    const code = compileModule(`
+      const m = await import("./a.js");
+      function F() { return new.target }
+    `);
+    expect(code).toContain("import(");
+    expect(code).toContain("new.target");
+  });
+});
+
+describe("Array methods", () => {
+  it("Doesn't break sort", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        const people = [
+          { name: "a", age: 30 },
+          { name: "b", age: 20 },
+          { name: "c", age: 30 }
+        ]
+        const byAge = people.sort((x, y) => x.age - y.age)
+        return [
+          byAge === people,
+          people.map(p => p.name).join(""),
+          [10, 9, undefined, 1].sort(),
+          ["b", , "a"].sort(),
+          [3, 1].sort(undefined)
+        ]
+      `);
+    expect(normal).toEqual([
+      true,
+      "bac",
+      [1, 10, 9, undefined],
+      ["a", "b", undefined],
+      [1, 3]
+    ]);
+  });
+  it("Doesn't break toSorted, toReversed, flat, fill and Array.from", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        const arr = ["b", "a"]
+        return [
+          arr.toSorted(),
+          arr.toReversed(),
+          arr,
+          [1, [2, [3]]].flat(Infinity),
+          [1, 2].flatMap(n => [n, n * 2]),
+          [1, 2, 3].fill(0, 1, 2),
+          Array.from({ length: 2 }, (v, i) => i * 2),
+          Array.from(new Map([["k", "v"]]).keys()),
+          [1, 2, 3].findLastIndex(n => n < 3)
+        ]
+      `);
+    expect(normal).toEqual([
+      ["a", "b"],
+      ["a", "b"],
+      ["b", "a"],
+      [1, 2, 3],
+      [1, 2, 2, 4],
+      [1, 0, 3],
+      [0, 2],
+      ["k"],
+      1
+    ]);
+  });
+});
+
+describe("Map and Set", () => {
+  it("Doesn't break Map and Set methods", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        const map = new Map([["a", 1]])
+        map.set("b", 2).set("c", 3)
+        map.delete("c")
+        const set = new Set([1, 1, 2])
+        set.add(3)
+        set.delete(1)
+        const forEachResults = []
+        map.forEach(function(value, key) { forEachResults.push(this.prefix + key + value) }, { prefix: "-" })
+        return [map.get("b"), map.size, [...map.keys()], [...set], Array.from(set.entries()), forEachResults]
+      `);
+    expect(normal).toEqual([
+      2,
+      2,
+      ["a", "b"],
+      [2, 3],
+      [[2, 2], [3, 3]],
+      ["-a1", "-b2"]
+    ]);
+  });
+  it("Doesn't break partly consumed Map iterators", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        const map = new Map([["a", 1], ["b", 2], ["c", 3]])
+        const values = map.values()
+        values.next()
+        return [...values]
+      `);
+    expect(normal).toEqual([2, 3]);
+  });
+});
+
+describe("Optional chaining", () => {
+  it("Returns undefined if the object is null or undefined", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        const data = null
+        const obj = { a: undefined }
+        return [data?.user, data?.user.name, obj.a?.b.c, data?.[0], data?.fn()]
+      `);
+    expect(normal).toEqual([
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined
+    ]);
+  });
+  it("Reads properties if the object exists", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        const data = { user: { name: "Alice" } }
+        return data?.user?.name ?? "Guest"
+      `);
+    expect(normal).toBe("Alice");
+  });
+  it("Doesn't evaluate property keys or call arguments after short-circuiting", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        let calls = 0
+        function fn() { calls++; return "a" }
+        const data = null
+        data?.[fn()]
+        data?.method(fn())
+        data?.a.b(fn())
+        return calls
+      `);
+    expect(normal).toBe(0);
+  });
+  it("Keeps the this value for optional calls", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        const obj = {
+          name: "obj",
+          getName() { return this.name }
+        }
+        return [obj.getName?.(), obj?.getName(), obj.missing?.()]
+      `);
+    expect(normal).toEqual(["obj", "obj", undefined]);
+  });
+  it("Only evaluates the object once", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        let calls = 0
+        function getObj() { calls++; return { a: "a" } }
+        return [getObj()?.a, calls]
+      `);
+    expect(normal).toEqual(["a", 1]);
+  });
+  it("Supports optional chains in the arguments of optional calls", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        const a = { b: value => "got " + value }
+        const c = { d: "d" }
+        const empty = null
+        return [a?.b(c?.d), a?.b(empty?.d), empty?.b(c?.d)]
+      `);
+    expect(normal).toEqual(["got d", "got undefined", undefined]);
+  });
+  it("Doesn't break delete on optional chains", async () => {
+    const { normal, tracking, code } = await instrumentAndRun(`
+        const obj = { a: 1 }
+        delete obj?.a
+        return "a" in obj
+      `);
+    expect(normal).toBe(false);
+  });
 });
 
 it("Can handle nested conditional operators", async () => {
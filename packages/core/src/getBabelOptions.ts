@@ -48,7 +48,8 @@ export default function getBabelOptions(plugin, extraBabelOptions = {}, url) {
     sourceMaps: false,
     sourceFileName: url + "?dontprocess",
     parserOpts: {
-      strictMode: false
+      strictMode: false,
+      plugins: <any[]>["logicalAssignment", "topLevelAwait", "importMeta"]
     },
     // prevent code from not being pretty after instrumentation:
     // `[BABEL] Note: The code generator has deoptimised the styling of "unknown" as it exceeds the max of "500KB"`
@@ -24,6 +24,26 @@ export interface ExecContext {
     trackingValue: number | null
   ) => void;
   getPromiseResolutionTrackingValue: (promise: any) => number | null;
+  trackCollectionEntry: (
+    collection: Map<any, any> | Set<any>,
+    key: any,
+    valueTrackingValue: number | null,
+    keyTrackingValue?: number | null
+  ) => void;
+  getCollectionEntryTrackingValues: (
+    collection: Map<any, any> | Set<any>,
+    key: any
+  ) => { value: number | null; name: number | null } | undefined;
+  untrackCollectionEntries: (
+    collection: Map<any, any> | Set<any>,
+    key?: any
+  ) => void;
+  trackCollectionIterator: (
+    iterator: any,
+    collection: Map<any, any> | Set<any>,
+    kind: "entries" | "keys" | "values"
+  ) => void;
+  iterableToTrackedArray: (iterable: any) => any[];
   hasInstrumentationFunction: boolean;
   operationTypes: any;
   argTrackingInfo: any;
@@ -44,4 +64,14 @@ export interface ExecContext {
   readonly lastOpTrackingResult: any;
   readonly lastOperationType: string;
   countOperations(fn: () => any): number;
+  enableWorkerMessageTracking(worker: any, isInstrumented: boolean): void;
+  enableMessageChannelTracking(channel: any): void;
+  enableBroadcastChannelTracking(channel: any): void;
+  postMessageWithTrackingValues(
+    target: any,
+    postMessageArgs: any[],
+    dataTrackingValue: number | null,
+    postMessage: () => any
+  ): any;
+  createInstrumentedWorkerUrl(scriptUrl: string): string;
 }
@@ -6,6 +6,14 @@ if (global["fromJSIsNode"]) {
   nodeRequire = eval("require");
 }
 
+function isNativeFunction(fn) {
+  try {
+    return Function.prototype.toString.call(fn).includes("[native code]");
+  } catch (err) {
+    return false;
+  }
+}
+
 export default class KnownValues {
   _knownValues: any = {};
   _knownValuesMap = new Map();
@@ -33,6 +41,32 @@ export default class KnownValues {
       "Array.prototype.concat": Array.prototype.concat,
       "Array.prototype.shift": Array.prototype.shift,
       "Array.prototype.unshift": Array.prototype.unshift,
+      "Array.prototype.find": Array.prototype.find,
+      "Array.prototype.findIndex": Array.prototype.findIndex,
+      "Array.prototype.sort": Array.prototype.sort,
+      "Array.prototype.reverse": Array.prototype.reverse,
+      "Array.prototype.fill": Array.prototype.fill,
+      "Array.from": Array.from,
+      "Array.of": Array.of,
+      Map: Map,
+      "Map.prototype.get": Map.prototype.get,
+      "Map.prototype.set": Map.prototype.set,
+      "Map.prototype.delete": Map.prototype.delete,
+      "Map.prototype.clear": Map.prototype.clear,
+      "Map.prototype.forEach": Map.prototype.forEach,
+      "Map.prototype.entries": Map.prototype.entries,
+      "Map.prototype.keys": Map.prototype.keys,
+      "Map.prototype.values": Map.prototype.values,
+      Set: Set,
+      "Set.prototype.add": Set.prototype.add,
+      "Set.prototype.delete": Set.prototype.delete,
+      "Set.prototype.clear": Set.prototype.clear,
+      "Set.prototype.forEach": Set.prototype.forEach,
+      "Set.prototype.entries": Set.prototype.entries,
+      // Set.prototype.keys is the same function
+      "Set.prototype.values": Set.prototype.values,
+      "String.raw": String.raw,
+      "String.fromCharCode": String.fromCharCode,
       parseFloat: parseFloat,
       Date: Date,
       "JSON.parse": JSON.parse,
@@ -57,7 +91,24 @@ export default class KnownValues {
       "console.warn": console.warn,
       "console.count": console.count,
       "console.error": console.error,
-      URL: URL
+      URL: URL,
+      URLSearchParams: URLSearchParams,
+      "URLSearchParams.prototype.get": URLSearchParams.prototype.get,
+      "URLSearchParams.prototype.getAll": URLSearchParams.prototype.getAll
+    });
+
+    // Newer array methods that not every browser supports
+    [
+      "findLast",
+      "findLastIndex",
+      "flat",
+      "flatMap",
+      "toSorted",
+      "toReversed"
+    ].forEach(name => {
+      if (Array.prototype[name]) {
+        this._knownValues["Array.prototype." + name] = Array.prototype[name];
+      }
     });
 
     if (global.fromJSIsNode) {
@@ -110,17 +161,61 @@ export default class KnownValues {
       if (global["localStorage"]) {
         Object.assign(this._knownValues, {
           localStorage: global.localStorage,
-          "localStorage.getItem": global.localStorage.getItem
+          // Shared with sessionStorage, they're both Storage.prototype methods
+          "localStorage.getItem": global.localStorage.getItem,
+          "localStorage.setItem": global.localStorage.setItem
         });
       }
     } catch (err) {
       // e.g. on about:blank just trying to access local storage failes I think
     }
+    try {
+      if (global["sessionStorage"]) {
+        Object.assign(this._knownValues, {
+          sessionStorage: global.sessionStorage
+        });
+      }
+    } catch (err) {}
+    if (global["IDBObjectStore"]) {
+      Object.assign(this._knownValues, {
+        "IDBObjectStore.prototype.get": IDBObjectStore.prototype.get,
+        "IDBObjectStore.prototype.put": IDBObjectStore.prototype.put,
+        "IDBObjectStore.prototype.add": IDBObjectStore.prototype.add,
+        "IDBIndex.prototype.get": IDBIndex.prototype.get
+      });
+    }
     if (global["fetch"]) {
       Object.assign(this._knownValues, {
         fetch: fetch,
         "Response.prototype.json": Response.prototype.json,
-        "Response.prototype.text": Response.prototype.text
+        "Response.prototype.text": Response.prototype.text,
+        "Response.prototype.blob": Response.prototype.blob
+      });
+    }
+    if (global["Blob"]) {
+      Object.assign(this._knownValues, {
+        Blob: global.Blob
+      });
+      if (global.Blob.prototype.text) {
+        Object.assign(this._knownValues, {
+          "Blob.prototype.text": global.Blob.prototype.text
+        });
+      }
+    }
+    if (global["FileReader"]) {
+      Object.assign(this._knownValues, {
+        "FileReader.prototype.readAsText":
+          global.FileReader.prototype.readAsText
+      });
+    }
+    if (global["WebSocket"]) {
+      Object.assign(this._knownValues, {
+        WebSocket: global.WebSocket
+      });
+    }
+    if (global["EventSource"]) {
+      Object.assign(this._knownValues, {
+        EventSource: global.EventSource
       });
     }
     if (global["XMLHttpRequest"]) {
@@ -128,6 +223,36 @@ export default class KnownValues {
         "XMLHttpRequest.prototype.open": XMLHttpRequest.prototype.open
       });
     }
+    if (global["Worker"]) {
+      Object.assign(this._knownValues, {
+        Worker: Worker,
+        "Worker.prototype.postMessage": Worker.prototype.postMessage
+      });
+    }
+    if (global["MessageChannel"]) {
+      Object.assign(this._knownValues, {
+        MessageChannel: MessageChannel,
+        "MessagePort.prototype.postMessage": MessagePort.prototype.postMessage
+      });
+    }
+    if (global["BroadcastChannel"]) {
+      Object.assign(this._knownValues, {
+        BroadcastChannel: global.BroadcastChannel,
+        "BroadcastChannel.prototype.postMessage":
+          global.BroadcastChannel.prototype.postMessage
+      });
+    }
+    if (global.window === global && global.postMessage) {
+      Object.assign(this._knownValues, {
+        "window.postMessage": global.postMessage
+      });
+    }
+    if (global["DedicatedWorkerGlobalScope"]) {
+      Object.assign(this._knownValues, {
+        "DedicatedWorkerGlobalScope.prototype.postMessage":
+          global.DedicatedWorkerGlobalScope.prototype.postMessage
+      });
+    }
     if (global["location"]) {
       Object.assign(this._knownValues, {
         location: location
@@ -148,8 +273,16 @@ export default class KnownValues {
         "document.importNode": document.importNode,
         "HTMLElement.prototype.setAttribute":
           HTMLElement.prototype.setAttribute,
+        "HTMLElement.prototype.getAttribute":
+          HTMLElement.prototype.getAttribute,
+        FormData: FormData,
+        "FormData.prototype.get": FormData.prototype.get,
         "HTMLElement.prototype.insertAdjacentHTML":
           HTMLElement.prototype.insertAdjacentHTML,
+        "HTMLElement.prototype.insertAdjacentText":
+          HTMLElement.prototype.insertAdjacentText,
+        "document.write": document.write,
+        "document.writeln": document.writeln,
         "HTMLElement.prototype.cloneNode": HTMLElement.prototype.cloneNode,
         "DOMParser.prototype.parseFromString":
           DOMParser.prototype.parseFromString,
@@ -163,6 +296,50 @@ export default class KnownValues {
         "HTMLElement.prototype.getClientRects":
           HTMLElement.prototype.getClientRects
       });
+      // Methods that turn string arguments into text nodes, not all browsers
+      // support all of them
+      ["append", "prepend", "before", "after", "replaceWith", "replaceChildren"]
+        .filter(methodName => Element.prototype[methodName])
+        .forEach(methodName => {
+          this._knownValues["Element.prototype." + methodName] =
+            Element.prototype[methodName];
+        });
+      ["append", "prepend"]
+        .filter(methodName => DocumentFragment.prototype[methodName])
+        .forEach(methodName => {
+          this._knownValues["DocumentFragment.prototype." + methodName] =
+            DocumentFragment.prototype[methodName];
+        });
+      if (HTMLElement.prototype.attachShadow) {
+        Object.assign(this._knownValues, {
+          "HTMLElement.prototype.attachShadow":
+            HTMLElement.prototype.attachShadow
+        });
+      }
+      // classList and CSSOM changes
+      ["add", "remove", "toggle", "replace"]
+        .filter(methodName => DOMTokenList.prototype[methodName])
+        .forEach(methodName => {
+          this._knownValues["DOMTokenList.prototype." + methodName] =
+            DOMTokenList.prototype[methodName];
+        });
+      Object.assign(this._knownValues, {
+        "CSSStyleDeclaration.prototype.setProperty":
+          CSSStyleDeclaration.prototype.setProperty,
+        "CSSStyleSheet.prototype.insertRule": CSSStyleSheet.prototype.insertRule
+      });
+      ["replaceSync", "replace"]
+        .filter(methodName => CSSStyleSheet.prototype[methodName])
+        .forEach(methodName => {
+          this._knownValues["CSSStyleSheet.prototype." + methodName] =
+            CSSStyleSheet.prototype[methodName];
+        });
+      if (global["Range"]) {
+        Object.assign(this._knownValues, {
+          "Range.prototype.createContextualFragment":
+            global.Range.prototype.createContextualFragment
+        });
+      }
     }
 
     Object.keys(this._knownValues).forEach(key => {
@@ -187,6 +364,16 @@ export default class KnownValues {
     ) {
       knownValue = "require";
     }
+    // Every window has its own postMessage function, e.g. when calling
+    // iframe.contentWindow.postMessage
+    if (
+      !knownValue &&
+      typeof value === "function" &&
+      value.name === "postMessage" &&
+      isNativeFunction(value)
+    ) {
+      knownValue = "window.postMessage";
+    }
     return knownValue;
   }
 
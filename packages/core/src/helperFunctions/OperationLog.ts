@@ -55,6 +55,7 @@ type StoredSerializedValue = SerializedValueData | string | number | boolean;
 
 let HtmlInputElement = global["HTMLInputElement"];
 let IntlNumberFormat = Intl.NumberFormat;
+let IntlDateTimeFormat = Intl.DateTimeFormat;
 
 export function getSerializedValueObject(
   value,
@@ -86,6 +87,9 @@ export function getSerializedValueObject(
     // when is the NumberFormat instance is created
     knownTypes = [];
     knownTypes.push("Intl.NumberFormat");
+  } else if (value instanceof IntlDateTimeFormat) {
+    knownTypes = [];
+    knownTypes.push("Intl.DateTimeFormat");
   }
   try {
     if (
@@ -0,0 +1,42 @@
+import { trackStyleSheetText, createCssRuleTextLog } from "./cssRuleTracking";
+
+const ctx: any = {
+  operationTypes: { genericOperation: "genericOperation" },
+  // Returns the log args instead of an index, so tests can check them
+  createOperationLog: args => args
+};
+
+function getRuleCharOffsets(cssText: string, ruleTexts: string[]) {
+  const sheet = {
+    cssRules: ruleTexts.map(ruleText => ({ cssText: ruleText }))
+  };
+  trackStyleSheetText(sheet, cssText, 5, "replaceSync");
+  return sheet.cssRules.map(rule => {
+    const log: any = createCssRuleTextLog(ctx, rule, rule.cssText, null);
+    return log.runtimeArgs.adjustCharIndex;
+  });
+}
+
+it("Finds the start of each rule in the CSS text", () => {
+  const cssText = ".a { color: red }\n.b { color: blue }";
+  expect(
+    getRuleCharOffsets(cssText, [".a {color: red;}", ".b {color: blue;}"])
+  ).toEqual([0, cssText.indexOf(".b")]);
+});
+
+it("Doesn't match selectors inside earlier rule bodies", () => {
+  const cssText = 'a { content: "b {" } /* b { */ b { color: red }';
+  expect(
+    getRuleCharOffsets(cssText, ['a {content: "b {";}', "b {color: red;}"])
+  ).toEqual([0, cssText.lastIndexOf("b {")]);
+});
+
+it("Skips over nested rules", () => {
+  const cssText = "@media print { a { color: red } } a { color: blue }";
+  expect(
+    getRuleCharOffsets(cssText, [
+      "@media print {\n  a {color: red;}\n}",
+      "a {color: blue;}"
+    ])
+  ).toEqual([0, cssText.lastIndexOf("a {")]);
+});
@@ -0,0 +1,156 @@
+import { ExecContext } from "./ExecContext";
+
+// CSS rules added with insertRule, or with replaceSync/replace on constructable
+// stylesheets, remember the CSS text they were parsed from, so reading
+// rule.cssText can be traced back to the code that created the rule
+
+// CSSRule => { action, trackingValue, charOffset }
+const cssRuleOrigins = new WeakMap();
+
+// Called after sheet.insertRule(ruleText, index)
+export function trackInsertedCssRule(sheet, index, trackingValue) {
+  const rule = sheet.cssRules[index];
+  if (rule) {
+    cssRuleOrigins.set(rule, {
+      action: "insertRule",
+      trackingValue,
+      charOffset: 0
+    });
+  }
+}
+
+// Start index of each top-level rule in the CSS text, skipping over comments,
+// strings and rule bodies
+function getRuleStartIndices(text: string) {
+  const starts: number[] = [];
+  let depth = 0;
+  let isInRule = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "/" && text[i + 1] === "*") {
+      const commentEnd = text.indexOf("*/", i + 2);
+      i = commentEnd === -1 ? text.length : commentEnd + 1;
+    } else if (char === '"' || char === "'") {
+      i++;
+      while (i < text.length && text[i] !== char) {
+        i += text[i] === "\\" ? 2 : 1;
+      }
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}") {
+      depth = Math.max(0, depth - 1);
+      isInRule = depth > 0;
+    } else if (char === ";" && depth === 0) {
+      isInRule = false;
+    } else if (!isInRule && /\S/.test(char)) {
+      starts.push(i);
+      isInRule = true;
+    }
+  }
+  return starts;
+}
+
+// The browser normalizes the CSS text, so we find each rule by its selector
+// (or @-rule prelude) and only map characters from there. Only the start of
+// a rule is checked, so a prelude doesn't match inside an earlier rule body.
+export function trackStyleSheetText(
+  sheet,
+  text,
+  trackingValue,
+  action: string
+) {
+  if (typeof text !== "string") {
+    return;
+  }
+  const ruleStarts = getRuleStartIndices(text);
+  let nextRuleStartIndex = 0;
+  Array.from<CSSRule>(sheet.cssRules).forEach(rule => {
+    const bodyStart = rule.cssText.indexOf("{");
+    const prelude = rule.cssText.slice(0, bodyStart).trim();
+    if (bodyStart === -1 || !prelude) {
+      return;
+    }
+    for (let i = nextRuleStartIndex; i < ruleStarts.length; i++) {
+      if (text.startsWith(prelude, ruleStarts[i])) {
+        cssRuleOrigins.set(rule, {
+          action,
+          trackingValue,
+          charOffset: ruleStarts[i]
+        });
+        nextRuleStartIndex = i + 1;
+        return;
+      }
+    }
+  });
+}
+
+export function isTrackedCssRule(rule) {
+  return cssRuleOrigins.has(rule);
+}
+
+// Called when rule.cssText is read
+export function createCssRuleTextLog(ctx: ExecContext, rule, value, loc) {
+  const origin = cssRuleOrigins.get(rule);
+  return ctx.createOperationLog({
+    operation: ctx.operationTypes.genericOperation,
+    args: {},
+    astArgs: {},
+    result: value,
+    runtimeArgs: {
+      name: "CSS rule from " + origin.action,
+      next: origin.trackingValue,
+      adjustCharIndex: origin.charOffset
+    },
+    loc
+  });
+}
+
+function elementMatches(el, selector: string) {
+  try {
+    return el.matches(selector);
+  } catch (err) {
+    // e.g. selectors with vendor prefixed pseudo classes
+    return false;
+  }
+}
+
+// [cssText, origin] parts for the tracked rules that style the element, so the
+// DOM inspector can trace e.g. a color back to the insertRule call
+export function getMatchingCssRuleParts(el) {
+  const root = el.getRootNode();
+  const sheets = [
+    ...Array.from<CSSStyleSheet>(root.styleSheets || []),
+    ...(root.adoptedStyleSheets || [])
+  ];
+  const parts: any[][] = [];
+  sheets.forEach(sheet => {
+    let rules;
+    try {
+      rules = Array.from(sheet.cssRules);
+    } catch (err) {
+      // Cross-origin stylesheet
+      return;
+    }
+    rules.forEach(rule => {
+      const origin = cssRuleOrigins.get(rule);
+      if (
+        !origin ||
+        !rule.selectorText ||
+        !elementMatches(el, rule.selectorText)
+      ) {
+        return;
+      }
+      parts.push(["\n<style>", undefined]);
+      parts.push([
+        rule.cssText,
+        {
+          trackingValue: origin.trackingValue,
+          inputValuesCharacterIndex: [origin.charOffset],
+          extraCharsAdded: 0
+        }
+      ]);
+      parts.push(["</style>", undefined]);
+    });
+  });
+  return parts;
+}
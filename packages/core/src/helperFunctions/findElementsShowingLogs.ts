@@ -0,0 +1,55 @@
+const MAX_RESULTS = 200;
+
+function getSelector(el: Element) {
+  const parts: string[] = [];
+  let current: Element | null = el;
+  while (current && current !== document.documentElement) {
+    const parent = current.parentElement;
+    if (!parent) {
+      break;
+    }
+    const index = Array.prototype.indexOf.call(parent.children, current) + 1;
+    parts.unshift(current.tagName.toLowerCase() + ":nth-child(" + index + ")");
+    current = parent;
+  }
+  return ["html", ...parts].join(" > ");
+}
+
+// Looks at the origin of each element part (tag name, attributes, text) to
+// find out where the given logs ended up in the DOM
+export default function findElementsShowingLogs(logIndices: number[]) {
+  const logIndexSet = new Set(logIndices);
+  const results: { selector: string; part: string; logIndex: number }[] = [];
+
+  const walker = document.createTreeWalker(
+    document.documentElement,
+    NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT
+  );
+  let node: Node | null = walker.currentNode;
+  while (node && results.length < MAX_RESULTS) {
+    const origin = node["__elOrigin"];
+    if (origin) {
+      const el =
+        node.nodeType === Node.TEXT_NODE
+          ? node.parentElement
+          : (node as Element);
+      Object.keys(origin).forEach(part => {
+        // contents just lists the child nodes, they're visited separately
+        if (part === "contents" || !origin[part]) {
+          return;
+        }
+        const { trackingValue } = origin[part];
+        if (el && logIndexSet.has(trackingValue)) {
+          results.push({
+            selector: getSelector(el),
+            part,
+            logIndex: trackingValue
+          });
+        }
+      });
+    }
+    node = walker.nextNode();
+  }
+
+  return results.slice(0, MAX_RESULTS);
+}
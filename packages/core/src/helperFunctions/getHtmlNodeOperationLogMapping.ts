@@ -1,21 +1,38 @@
 import HtmlToOperationLogMapping from "./HtmlToOperationLogMapping";
 import { consoleLog } from "./logging";
+import { getShadowRoot } from "../operations/domHelpers/addElOrigin";
+import { getMatchingCssRuleParts } from "./cssRuleTracking";
 
+// DOM reads get the HTML parts of every element, so don't create a new
+// element for each of them
+const tagTypeHasClosingTagCache = {};
 function tagTypeHasClosingTag(tagName) {
-  return document.createElement(tagName).outerHTML.indexOf("></") !== -1;
+  if (!(tagName in tagTypeHasClosingTagCache)) {
+    tagTypeHasClosingTagCache[tagName] =
+      document.createElement(tagName).outerHTML.indexOf("></") !== -1;
+  }
+  return tagTypeHasClosingTagCache[tagName];
+}
+
+// [html, elOrigin] pairs that make up the node's outerHTML. Shadow roots are
+// included like in declarative shadow DOM, as a <template> in the host.
+export function getNodeHtmlParts(node: Node, includeShadowRoots = false) {
+  const parts: any[][] = [];
+  addNodeHtmlParts(node, includeShadowRoots, parts);
+  return parts;
 }
 
-function getNodeHtmlParts(node: Node) {
+// shadowRootPartRanges collects the [start, end) part indices of each
+// shadow root <template>
+function addNodeHtmlParts(
+  node: Node,
+  includeShadowRoots: boolean,
+  parts,
+  shadowRootPartRanges: number[][] = []
+) {
   const origin = node["__elOrigin"] || {};
-  let parts = [];
   if (node.nodeType === Node.ELEMENT_NODE) {
     var el = node as HTMLElement;
-    var innerHTML = el.innerHTML;
-    // var { openingTag, closingTag } = getOpeningAndClosingTags(
-    //   el.outerHTML,
-    //   el.innerHTML
-    // );
-
     const tagName = el.tagName.toLowerCase();
 
     parts.push(["<" + tagName, origin.openingTagStart]);
@@ -23,16 +40,40 @@ function getNodeHtmlParts(node: Node) {
     for (var i = 0; i < el.attributes.length; i++) {
       const attr = el.attributes[i];
       parts.push([" " + attr.name, origin["attribute_" + attr.name + "_name"]]);
-      parts.push([
-        '="' + attr.textContent + '"',
-        origin["attribute_" + attr.name + "_value"]
-      ]);
+      const valueOrigin = origin["attribute_" + attr.name + "_value"];
+      if (valueOrigin && !valueOrigin.mapsSerializedAttribute) {
+        // e.g. from setAttribute, the origin only covers the value itself
+        parts.push(['="', undefined]);
+        parts.push([attr.textContent, valueOrigin]);
+        parts.push(['"', undefined]);
+      } else {
+        parts.push(['="' + attr.textContent + '"', valueOrigin]);
+      }
     }
 
     parts.push([">", origin.openingTagEnd]);
 
+    const shadowRoot = includeShadowRoots && getShadowRoot(el);
+    if (shadowRoot) {
+      const shadowRootStart = parts.length;
+      parts.push([
+        '<template shadowrootmode="' + shadowRoot.mode + '">',
+        origin.shadowRoot
+      ]);
+      shadowRoot.childNodes.forEach(child => {
+        addNodeHtmlParts(
+          child,
+          includeShadowRoots,
+          parts,
+          shadowRootPartRanges
+        );
+      });
+      parts.push(["</template>", origin.shadowRoot]);
+      shadowRootPartRanges.push([shadowRootStart, parts.length]);
+    }
+
     el.childNodes.forEach(child => {
-      parts = [...parts, ...getNodeHtmlParts(child)];
+      addNodeHtmlParts(child, includeShadowRoots, parts, shadowRootPartRanges);
     });
 
     if (tagTypeHasClosingTag(tagName)) {
@@ -47,12 +88,28 @@ function getNodeHtmlParts(node: Node) {
   } else {
     consoleLog("TODO unknown node type");
   }
-  return parts;
 }
 
+// Used by the DOM inspector, tracked CSS rules that style the element are
+// shown after its HTML
 export default function getHtmlNodeOperationLogMapping(node) {
-  const htmlParts = getNodeHtmlParts(node);
-  const outerHTML = htmlParts.map(p => p[0]).join("");
+  const htmlParts: any[][] = [];
+  const shadowRootPartRanges: number[][] = [];
+  addNodeHtmlParts(node, true, htmlParts, shadowRootPartRanges);
+
+  // node.outerHTML doesn't include shadow roots
+  const isShadowRootPart = new Array(htmlParts.length).fill(false);
+  shadowRootPartRanges.forEach(([start, end]) =>
+    isShadowRootPart.fill(true, start, end)
+  );
+  const outerHTML = htmlParts
+    .filter((part, i) => !isShadowRootPart[i])
+    .map(p => p[0])
+    .join("");
+
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    htmlParts.push(...getMatchingCssRuleParts(node));
+  }
 
   if (node["outerHTML"] !== undefined && outerHTML !== node["outerHTML"]) {
     console.warn("OuterHTML is missing something for mapping");
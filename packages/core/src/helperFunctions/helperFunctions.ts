@@ -16,6 +16,14 @@ import { CreateOperationLogArgs, ValueTrackingValuePair } from "../types";
 import { traverseObject } from "../traverseObject";
 import * as objectPath from "object-path";
 import { getShortOperationName } from "../names";
+import {
+  initWorkerMessageTracking,
+  enableWorkerMessageTracking,
+  initWindowMessageTracking,
+  enableMessageChannelTracking,
+  enableBroadcastChannelTracking,
+  postMessageWithTrackingValues
+} from "./messageTracking";
 
 const accessToken = "ACCESS_TOKEN_PLACEHOLDER";
 
@@ -173,7 +181,9 @@ function makePostToBE({ accessToken, fetch }) {
     let bodyIsString = typeof body === "string";
     if (!bodyIsString) {
       console.time("stringify");
-      data.pageSessionId = global["fromJSPageSessionId"];
+      // Set in iframes while the top frame's DOM inspector is enabled
+      data.pageSessionId =
+        global["fromJSInspectorPageSessionId"] || global["fromJSPageSessionId"];
       body = JSON.stringify(data);
       console.timeEnd("stringify");
     }
@@ -248,6 +258,13 @@ async function sendLogsToServer() {
 
   let data = "";
 
+  data += JSON.stringify({
+    pageSessionId: global["fromJSPageSessionId"],
+    // Each iframe and worker has its own page session, so traversal steps
+    // can show which frame they're from
+    frameUrl: global.location ? global.location.href : null
+  });
+  data += "\n";
   data += JSON.stringify(evalScriptQueue);
   data += "\n";
   data += JSON.stringify(eventQueue);
@@ -282,11 +299,18 @@ async function sendLogsToServer() {
     inProgressSendLogsRequests--;
   }
 }
+// In Node the timers mustn't keep the process running, the remaining logs
+// are sent by __fromJSWaitForSendLogsAndExitNodeProcess
+function unrefTimer(timer) {
+  if (timer && typeof timer.unref === "function") {
+    timer.unref();
+  }
+}
 // If page laods quickly try to send data to BE soon, later on wait
 // 1s between requests
-setTimeout(sendLogsToServer, 200);
-setTimeout(sendLogsToServer, 400);
-setInterval(sendLogsToServer, 1000);
+unrefTimer(setTimeout(sendLogsToServer, 200));
+unrefTimer(setTimeout(sendLogsToServer, 400));
+unrefTimer(setInterval(sendLogsToServer, 1000));
 function remotelyStoreLog(logIndex, logString) {
   logQueue.push([logIndex, logString]);
 }
@@ -426,11 +450,16 @@ initDomInspectionUI(backendPort, backendOriginWithoutPort);
 
 global["__getHtmlNodeOperationLogMapping"] = getHtmlNodeOperationLogMapping;
 
-global["fromJSPageSessionId"] = (
-  Math.random().toString() +
-  "_" +
-  Math.random().toString()
-).replace(/\./g, "");
+// The CLI picks the session ID when running a Node app, so it can link
+// to the inspector afterwards
+const nodePageSessionId =
+  global.fromJSIsNode && eval("process").env.FROMJS_PAGE_SESSION_ID;
+global["fromJSPageSessionId"] =
+  nodePageSessionId ||
+  (Math.random().toString() + "_" + Math.random().toString()).replace(
+    /\./g,
+    ""
+  );
 global.fromJSInspect = function(value: any, charIndex: number) {
   let logId;
   if (!argTrackingInfo && typeof value === "number") {
@@ -438,7 +467,8 @@ global.fromJSInspect = function(value: any, charIndex: number) {
       throw Error("Not supported yet");
     }
     logId = value;
-  } else if (value instanceof Node) {
+  } else if (value && typeof value.nodeType === "number") {
+    // Not using instanceof Node, since the element can be in an iframe
     const mapping = getHtmlNodeOperationLogMapping(value);
     consoleLog({ mapping });
     postToBE("/inspectDOM", { ...mapping, charIndex });
@@ -448,8 +478,9 @@ global.fromJSInspect = function(value: any, charIndex: number) {
     }
     logId = argTrackingInfo[0];
   }
-  if (window["onFromJSInspect"]) {
-    window["onFromJSInspect"]();
+  // window isn't defined in Node
+  if (global["onFromJSInspect"]) {
+    global["onFromJSInspect"]();
   }
 
   return postToBE("/inspect", {
@@ -536,10 +567,25 @@ function getObjectPropertyTrackingValues(obj, propName) {
   return trackingValues;
 }
 
+// Instrumented modules export value___tv for each exported value, so we can
+// find the tracking value when reading from a module namespace object, e.g.
+// after import("./module.js")
+function getModuleExportTrackingValue(obj, propName) {
+  if (
+    obj &&
+    typeof obj === "object" &&
+    obj[Symbol.toStringTag] === "Module" &&
+    typeof propName === "string"
+  ) {
+    return obj[propName + "___tv"];
+  }
+  return undefined;
+}
+
 function getObjectPropertyValueTrackingValue(obj, propName) {
   const trackingValues = getObjectPropertyTrackingValues(obj, propName);
   if (trackingValues === undefined) {
-    return undefined;
+    return getModuleExportTrackingValue(obj, propName);
   }
   return trackingValues.value;
 }
@@ -557,6 +603,137 @@ global[
   FunctionNames.getObjectPropertyNameTrackingValue
 ] = getObjectPropertyNameTrackingValue;
 
+// Map and Set entries are tracked separately from object properties because
+// their keys can be any value, e.g. objects or numbers that aren't indices
+const collectionTrackingMap = new WeakMap();
+function trackCollectionEntry(
+  collection,
+  key,
+  valueTrackingValue,
+  keyTrackingValue = null
+) {
+  let entries = collectionTrackingMap.get(collection);
+  if (!entries) {
+    entries = new Map();
+    collectionTrackingMap.set(collection, entries);
+  }
+  entries.set(key, { value: valueTrackingValue, name: keyTrackingValue });
+}
+
+function getCollectionEntryTrackingValues(collection, key) {
+  const entries = collectionTrackingMap.get(collection);
+  if (!entries) {
+    return undefined;
+  }
+  return entries.get(key);
+}
+
+function untrackCollectionEntries(collection, key?) {
+  const entries = collectionTrackingMap.get(collection);
+  if (!entries) {
+    return;
+  }
+  if (arguments.length > 1) {
+    entries.delete(key);
+  } else {
+    entries.clear();
+  }
+}
+
+// Iterators returned by e.g. map.values() don't reference the Map they came from
+const collectionIteratorSources = new WeakMap();
+function trackCollectionIterator(iterator, collection, kind) {
+  collectionIteratorSources.set(iterator, { collection, kind });
+}
+
+function getCollectionIterationSource(iterable) {
+  if (iterable instanceof Map) {
+    return { collection: iterable, kind: "entries" };
+  }
+  if (iterable instanceof Set) {
+    return { collection: iterable, kind: "values" };
+  }
+  return collectionIteratorSources.get(iterable);
+}
+
+function isSameValueZero(a, b) {
+  return a === b || (a !== a && b !== b);
+}
+
+// Collection key of each iterated item, or NO_KEY if it doesn't match a
+// current entry, e.g. because the collection was changed or a subclass
+// iterates over something else
+const NO_KEY = {};
+function getIteratedCollectionKeys(collection, kind, arr) {
+  const isMap = collection instanceof Map;
+  if (kind === "values" && isMap) {
+    // Values don't identify their key. Match them to the entries from the
+    // end, since a partly consumed iterator only yields the last entries.
+    const entries = Array.from(collection.entries());
+    let entryIndex = entries.length - 1;
+    const keys: any[] = [];
+    for (let i = arr.length - 1; i >= 0; i--) {
+      while (
+        entryIndex >= 0 &&
+        !isSameValueZero(entries[entryIndex][1], arr[i])
+      ) {
+        entryIndex--;
+      }
+      keys[i] = entryIndex >= 0 ? entries[entryIndex--][0] : NO_KEY;
+    }
+    return keys;
+  }
+
+  return arr.map(item => {
+    if (kind === "entries" && !Array.isArray(item)) {
+      return NO_KEY;
+    }
+    const key = kind === "entries" ? item[0] : item;
+    if (!collection.has(key)) {
+      return NO_KEY;
+    }
+    if (
+      isMap &&
+      kind === "entries" &&
+      !isSameValueZero(collection.get(key), item[1])
+    ) {
+      return NO_KEY;
+    }
+    return key;
+  });
+}
+
+// Like Array.from, but if the iterable is a Map or Set (or one of their
+// iterators) the array items get the tracking values of the collection entries
+function iterableToTrackedArray(iterable) {
+  const arr = Array.from(iterable);
+  const source = getCollectionIterationSource(iterable);
+  if (!source || arr.length === 0) {
+    return arr;
+  }
+  const { collection, kind } = source;
+  const keys = getIteratedCollectionKeys(collection, kind, arr);
+  arr.forEach((item, i) => {
+    const trackingValues =
+      keys[i] !== NO_KEY &&
+      getCollectionEntryTrackingValues(collection, keys[i]);
+    if (!trackingValues) {
+      return;
+    }
+    if (kind === "entries") {
+      trackObjectPropertyAssignment(item, 0, trackingValues.name);
+      trackObjectPropertyAssignment(item, 1, trackingValues.value);
+    } else {
+      trackObjectPropertyAssignment(
+        arr,
+        i,
+        kind === "keys" ? trackingValues.name : trackingValues.value
+      );
+    }
+  });
+  return arr;
+}
+
 var lastMemberExpressionObjectValue = null;
 var lastMemberExpressionObjectTrackingValue = null;
 global[FunctionNames.getLastMemberExpressionObject] = function() {
@@ -593,7 +770,7 @@ global[FunctionNames.expandArrayForArrayPattern] = function(
 ) {
   if (!Array.isArray(arr)) {
     // e.g. Maps or arguments objects
-    arr = Array.from(arr);
+    arr = iterableToTrackedArray(arr);
   }
 
   if (type === "forOf") {
@@ -649,7 +826,7 @@ global[FunctionNames.expandArrayForArrayPattern] = function(
 global[FunctionNames.expandArrayForSpreadElement] = function(arr) {
   if (!Array.isArray(arr)) {
     // Map or arguments object
-    arr = Array.from(arr);
+    arr = iterableToTrackedArray(arr);
   }
   return arr.map((elem, i) => {
     return [elem, ctx.getObjectPropertyTrackingValue(arr, i)];
@@ -702,6 +879,11 @@ const ctx: ExecContext = {
   trackObjectPropertyAssignment,
   trackPromiseResolutionValue,
   getPromiseResolutionTrackingValue,
+  trackCollectionEntry,
+  getCollectionEntryTrackingValues,
+  untrackCollectionEntries,
+  trackCollectionIterator,
+  iterableToTrackedArray,
   hasInstrumentationFunction: typeof global["__fromJSEval"] === "function",
   createOperationLog: function(args) {
     let index = getOperationIndex();
@@ -772,9 +954,67 @@ const ctx: ExecContext = {
     let before = opExecCount;
     fn();
     return opExecCount - before;
+  },
+  enableWorkerMessageTracking(worker, isInstrumented) {
+    enableWorkerMessageTracking(ctx, worker, isInstrumented);
+  },
+  enableMessageChannelTracking(channel) {
+    enableMessageChannelTracking(ctx, channel);
+  },
+  enableBroadcastChannelTracking(channel) {
+    enableBroadcastChannelTracking(ctx, channel);
+  },
+  postMessageWithTrackingValues(
+    target,
+    postMessageArgs,
+    dataTrackingValue,
+    postMessage
+  ) {
+    return postMessageWithTrackingValues(
+      ctx,
+      target,
+      postMessageArgs,
+      dataTrackingValue,
+      postMessage
+    );
+  },
+  createInstrumentedWorkerUrl(scriptUrl) {
+    // Blob URL workers don't go through the proxy, so the worker loads
+    // Babel and compiles its script itself
+    const jsFilesUrl =
+      backendOriginWithoutPort + ":" + backendPort + "/jsFiles/";
+    const babelPluginOptions = {
+      accessToken,
+      backendPort,
+      backendOriginWithoutPort
+    };
+    const bootstrapCode =
+      "importScripts(" +
+      JSON.stringify(jsFilesUrl + "babel-standalone.js") +
+      "," +
+      JSON.stringify(jsFilesUrl + "compileInBrowser.js") +
+      ");" +
+      "__fromJSRunWorkerScript(" +
+      JSON.stringify(scriptUrl) +
+      "," +
+      JSON.stringify(babelPluginOptions) +
+      ");";
+    return global.URL.createObjectURL(
+      new global.Blob([bootstrapCode], { type: "text/javascript" })
+    );
   }
 };
 
+// Messages from the parent page arrive on the worker global scope
+if (
+  global["DedicatedWorkerGlobalScope"] &&
+  global instanceof global["DedicatedWorkerGlobalScope"]
+) {
+  initWorkerMessageTracking(ctx, global);
+} else if (global.window === global) {
+  initWindowMessageTracking(ctx, global);
+}
+
 var lastOpValueResult = null;
 var lastOpTrackingResult = null;
 let lastOpTrackingResultWithoutResetting = null;
@@ -1014,6 +1254,12 @@ global["__fromJSCallFunctionWithTrackingChainInterruption"] = function(fn) {
   return ret;
 };
 
+// Used by compileInBrowser when running an instrumented worker script, since
+// the helper functions only exist after the script has run
+global["__fromJSRegisterEvalScript"] = function(evalScript) {
+  ctx.registerEvalScript(evalScript);
+};
+
 global["__fromJSRegisterLuckyMatch"] = function(value) {
   let valueTv = global[FunctionNames.getFunctionArgTrackingInfo](0);
   luckyMatchQueue.push({
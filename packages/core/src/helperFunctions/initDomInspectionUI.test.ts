@@ -0,0 +1,68 @@
+import initDomInspectionUI from "./initDomInspectionUI";
+
+jest.useFakeTimers();
+
+beforeAll(() => {
+  initDomInspectionUI(7000, "http://localhost");
+});
+
+it("Only lets child frames open the inspector", () => {
+  const onFromJSInspect = jest.fn();
+  window["onFromJSInspect"] = onFromJSInspect;
+  const iframe = document.createElement("iframe");
+  document.body.appendChild(iframe);
+  const data = { type: "fromJSFrameElementSelected" };
+
+  window.dispatchEvent(new MessageEvent("message", { data, source: null }));
+  expect(onFromJSInspect).not.toHaveBeenCalled();
+
+  window.dispatchEvent(
+    new MessageEvent("message", { data, source: iframe.contentWindow })
+  );
+  expect(onFromJSInspect).toHaveBeenCalled();
+});
+
+it("Only sends inspector messages to frames that are instrumented", () => {
+  window["fromJSPageSessionId"] = "session1";
+  // Waits for the body before adding the inspector button
+  jest.advanceTimersByTime(1000);
+  const [instrumentedFrame, otherFrame] = [0, 1].map(() => {
+    const iframe = document.createElement("iframe");
+    document.body.appendChild(iframe);
+    // Not cross-origin in the test, but handled like instrumented frames
+    iframe.contentWindow!["__didInitializeDataFlowTracking"] = true;
+    iframe.contentWindow!.postMessage = jest.fn();
+    return iframe.contentWindow!;
+  });
+  window.dispatchEvent(
+    new MessageEvent("message", {
+      data: { type: "fromJSInspectableFrame" },
+      source: instrumentedFrame,
+      origin: "http://frame.example.com"
+    })
+  );
+
+  const toggleButton = document.getElementById("fromjs-inspect-dom-button")!;
+  toggleButton.click();
+  toggleButton.click();
+
+  expect(instrumentedFrame.postMessage["mock"].calls).toEqual([
+    [
+      {
+        type: "fromJSSetFrameInspectorEnabled",
+        enabled: true,
+        pageSessionId: "session1"
+      },
+      "http://frame.example.com"
+    ],
+    [
+      {
+        type: "fromJSSetFrameInspectorEnabled",
+        enabled: false,
+        pageSessionId: undefined
+      },
+      "http://frame.example.com"
+    ]
+  ]);
+  expect(otherFrame.postMessage).not.toHaveBeenCalled();
+});
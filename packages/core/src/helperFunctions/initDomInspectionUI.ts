@@ -1,3 +1,5 @@
+import findElementsShowingLogs from "./findElementsShowingLogs";
+
 const inspectorWidth = "50vw";
 
 export default function initDomInspectionUI(
@@ -8,7 +10,17 @@ export default function initDomInspectionUI(
     return;
   }
   var global = Function("return this")();
+  // Instrumented iframes don't show their own inspector, the top frame asks
+  // them to let the user select elements
+  const isChildFrame = global.top !== global;
   let showDomInspector = false;
+  // The body of this frame and of same-origin iframes without their own
+  // instrumentation, e.g. about:blank frames the page writes into
+  let documentsWithSelectionListeners: Document[] = [];
+  // Instrumented child frames announce themselves, other frames could be any
+  // website and never get inspector messages. Posting to the announced origin
+  // means the message is dropped if the frame navigates elsewhere.
+  const inspectableFrameOrigins = new WeakMap<Window, string>();
   let openedInNewTab = false;
   const toggleInspectDomButton = document.createElement("div");
   let selectedElement = null;
@@ -23,6 +35,10 @@ export default function initDomInspectionUI(
     resolve => (waitForInitResolveFunction = resolve)
   );
   window["onFromJSInspect"] = function() {
+    if (isChildFrame) {
+      global.parent.postMessage({ type: "fromJSFrameElementSelected" }, "*");
+      return;
+    }
     waitForInit.then(() => {
       showInspectorUI();
     });
@@ -40,8 +56,28 @@ export default function initDomInspectionUI(
   }
   global["fromJSDomInspectorInspect"] = handleClickElement;
 
+  // Events from inside open shadow roots are retargeted to the host, but we
+  // want the element that was actually clicked
+  function getEventTarget(e) {
+    const path = e.composedPath ? e.composedPath() : [];
+    return path[0] || e.target;
+  }
+
+  // Follows the rendered tree, so slotted elements go to their <slot> and the
+  // top level elements of a shadow root go to the host
+  function getRenderedParentElement(el) {
+    if (el.assignedSlot) {
+      return el.assignedSlot;
+    }
+    if (el.parentElement) {
+      return el.parentElement;
+    }
+    const parentNode = el.parentNode;
+    return parentNode && parentNode.host ? parentNode.host : null;
+  }
+
   function onSelectionEvent(e) {
-    const el = e.target;
+    const el = getEventTarget(e);
     if (el === toggleInspectDomButton) {
       return;
     }
@@ -82,6 +118,11 @@ export default function initDomInspectionUI(
   function addHighlight(element, highlightReason: "selected" | "previewed") {
     const rect = element.getBoundingClientRect();
     let marker = getMarkerElementFromHighlightReason(highlightReason);
+    // The rect is relative to the element's frame, so show the marker there
+    const document = element.ownerDocument;
+    if (marker.ownerDocument !== document || !marker.parentNode) {
+      document.body.appendChild(marker);
+    }
 
     const color = highlightReason === "selected" ? "#236fb1" : "#3a94e2";
     const backgroundColor =
@@ -117,20 +158,100 @@ export default function initDomInspectionUI(
     marker.style.display = "none";
   }
 
+  function addSelectionListeners(doc: Document) {
+    documentsWithSelectionListeners.push(doc);
+    doc.body.addEventListener("click", onSelectionEvent, true);
+    doc.body.addEventListener("mouseenter", onSelectionEvent, true);
+    doc.body.addEventListener("mouseleave", onSelectionEvent, true);
+
+    Array.from(doc.querySelectorAll("iframe")).forEach(iframe => {
+      if (iframe.closest(".fromjs-inspector-container")) {
+        return;
+      }
+      let frameDocument: Document | null = null;
+      try {
+        if (!iframe.contentWindow!["__didInitializeDataFlowTracking"]) {
+          frameDocument = iframe.contentDocument;
+        }
+      } catch (err) {
+        // Cross-origin iframe
+      }
+      if (frameDocument && frameDocument.body) {
+        addSelectionListeners(frameDocument);
+      } else if (iframe.contentWindow) {
+        setFrameInspectorEnabled(iframe.contentWindow, true);
+      }
+    });
+  }
+
+  function removeSelectionListeners() {
+    documentsWithSelectionListeners.forEach(doc => {
+      doc.body.removeEventListener("click", onSelectionEvent, true);
+      doc.body.removeEventListener("mouseenter", onSelectionEvent, true);
+      doc.body.removeEventListener("mouseleave", onSelectionEvent, true);
+      Array.from(doc.querySelectorAll("iframe")).forEach(iframe => {
+        if (
+          iframe.contentWindow &&
+          !iframe.closest(".fromjs-inspector-container")
+        ) {
+          setFrameInspectorEnabled(iframe.contentWindow, false);
+        }
+      });
+    });
+    documentsWithSelectionListeners = [];
+  }
+
+  function setFrameInspectorEnabled(frameWindow: Window, enabled: boolean) {
+    const origin = inspectableFrameOrigins.get(frameWindow);
+    if (!origin) {
+      return;
+    }
+    // Sandboxed frames have an opaque origin, so anyone could receive the
+    // message and the frame uses its own page session instead
+    const targetOrigin = origin === "null" ? "*" : origin;
+    frameWindow.postMessage(
+      {
+        type: "fromJSSetFrameInspectorEnabled",
+        enabled,
+        pageSessionId:
+          enabled && targetOrigin !== "*"
+            ? getInspectorPageSessionId()
+            : undefined
+      },
+      targetOrigin
+    );
+  }
+
+  // Other windows mustn't be able to open the inspector
+  function isChildFrameWindow(source) {
+    for (let i = 0; i < global.frames.length; i++) {
+      if (global.frames[i] === source) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Iframes have their own page session, but the inspector shows the values
+  // of the top frame's session
+  function getInspectorPageSessionId() {
+    return (
+      global["fromJSInspectorPageSessionId"] || global["fromJSPageSessionId"]
+    );
+  }
+
   function toggleDomInspector() {
     if (showDomInspector) {
       selectedElementMarker.remove();
       previewedElementMarker.remove();
-      document.body.removeEventListener("click", onSelectionEvent, true);
-      document.body.removeEventListener("mouseenter", onSelectionEvent, true);
-      document.body.removeEventListener("mouseleave", onSelectionEvent, true);
-      hideInspectorUI();
+      removeSelectionListeners();
+      if (!isChildFrame) {
+        hideInspectorUI();
+      }
     } else {
       document.body.appendChild(selectedElementMarker);
       document.body.appendChild(previewedElementMarker);
-      document.body.addEventListener("click", onSelectionEvent, true);
-      document.body.addEventListener("mouseenter", onSelectionEvent, true);
-      document.body.addEventListener("mouseleave", onSelectionEvent, true);
+      addSelectionListeners(document);
     }
     showDomInspector = !showDomInspector;
   }
@@ -257,7 +378,30 @@ export default function initDomInspectionUI(
           hideInspectorUI();
         }
         if (data.type === "inspectParent") {
-          setSelectedElement(selectedElement.parentElement);
+          const parentElement = getRenderedParentElement(selectedElement);
+          if (parentElement) {
+            setSelectedElement(parentElement);
+          }
+        }
+        // These expose page content, so only answer the inspector itself
+        if (e.origin !== backendOriginWithoutPort + ":" + backendPort) {
+          return;
+        }
+        if (data.type === "findElementsShowingLogs") {
+          (e.source as Window).postMessage(
+            {
+              type: "elementsShowingLogs",
+              requestId: data.requestId,
+              elements: findElementsShowingLogs(data.logIndices)
+            },
+            e.origin
+          );
+        }
+        if (data.type === "inspectElement") {
+          const el = document.querySelector(data.selector);
+          if (el) {
+            setSelectedElement(el);
+          }
         }
       },
       false
@@ -268,6 +412,47 @@ export default function initDomInspectionUI(
     return inspectorUI;
   }
 
+  window.addEventListener("message", function(e) {
+    const { data } = e;
+    if (!data || typeof data !== "object") {
+      return;
+    }
+    // Don't let the inspected page handle the inspector's messages
+    if (
+      data.type === "fromJSInspectableFrame" &&
+      isChildFrameWindow(e.source)
+    ) {
+      e.stopImmediatePropagation();
+      inspectableFrameOrigins.set(e.source as Window, e.origin);
+      if (showDomInspector) {
+        setFrameInspectorEnabled(e.source as Window, true);
+      }
+    }
+    if (
+      data.type === "fromJSFrameElementSelected" &&
+      isChildFrameWindow(e.source)
+    ) {
+      e.stopImmediatePropagation();
+      window["onFromJSInspect"]();
+    }
+    if (
+      data.type === "fromJSSetFrameInspectorEnabled" &&
+      isChildFrame &&
+      e.source === global.parent
+    ) {
+      e.stopImmediatePropagation();
+      global["fromJSInspectorPageSessionId"] = data.pageSessionId;
+      if (data.enabled !== showDomInspector && document.body) {
+        toggleDomInspector();
+      }
+    }
+  });
+
+  if (isChildFrame) {
+    global.parent.postMessage({ type: "fromJSInspectableFrame" }, "*");
+    return;
+  }
+
   if (global["document"]) {
     const interval = setInterval(function() {
       // Wait for HTML body
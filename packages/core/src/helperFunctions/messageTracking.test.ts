@@ -0,0 +1,67 @@
+import { initWindowMessageTracking } from "./messageTracking";
+
+const ENABLE_MESSAGE = { __fromJSEnableMessageTracking: true };
+
+function createWindow(extraProperties = {}) {
+  const win: any = new EventTarget();
+  win.window = win;
+  win.location = { origin: "http://example.com" };
+  win.postMessage = jest.fn();
+  return Object.assign(win, extraProperties);
+}
+
+function createCrossOriginWindow() {
+  const win = createWindow();
+  Object.defineProperty(win, "__didInitializeDataFlowTracking", {
+    get() {
+      throw Error("Blocked a frame from accessing a cross-origin frame");
+    }
+  });
+  return win;
+}
+
+function dispatchMessage(target, data, source, origin) {
+  const event: any = new Event("message");
+  Object.assign(event, { data, source, origin, ports: [] });
+  target.dispatchEvent(event);
+}
+
+const ctx: any = {};
+
+it("Sends the enable message to instrumented same-origin parent windows", () => {
+  const parent = createWindow({ __didInitializeDataFlowTracking: true });
+  const child = createWindow({ parent });
+
+  initWindowMessageTracking(ctx, child);
+
+  expect(parent.postMessage).toHaveBeenCalledWith(
+    ENABLE_MESSAGE,
+    "http://example.com"
+  );
+});
+
+it("Doesn't send messages to cross-origin or uninstrumented windows", () => {
+  const parent = createCrossOriginWindow();
+  const opener = createWindow();
+  const child = createWindow({ parent, opener });
+
+  initWindowMessageTracking(ctx, child);
+
+  expect(parent.postMessage).not.toHaveBeenCalled();
+  expect(opener.postMessage).not.toHaveBeenCalled();
+});
+
+it("Answers enable messages from other windows with their origin", () => {
+  const parent = createWindow();
+  initWindowMessageTracking(ctx, parent);
+  const iframeWindow = createCrossOriginWindow();
+
+  dispatchMessage(parent, ENABLE_MESSAGE, iframeWindow, "https://other.com");
+  dispatchMessage(parent, ENABLE_MESSAGE, iframeWindow, "https://other.com");
+
+  expect(iframeWindow.postMessage).toHaveBeenCalledTimes(1);
+  expect(iframeWindow.postMessage).toHaveBeenCalledWith(
+    ENABLE_MESSAGE,
+    "https://other.com"
+  );
+});
@@ -0,0 +1,315 @@
+import { ExecContext } from "./ExecContext";
+
+// Messages are structured-cloned, so the tracking values of the message data
+// and its properties are lost on the way. We send them in a separate message
+// just before the actual message, and the receiving context applies them to
+// the cloned data before any other message listener runs. If the actual
+// message can't be sent the receiver is told to discard them again.
+// Only targets we know are instrumented get these extra messages. The side
+// that starts later sends ENABLE_TRACKING_KEY, and the other side answers.
+const TRACKING_VALUES_KEY = "__fromJSMessageTrackingValues";
+const DISCARD_TRACKING_VALUES_KEY = "__fromJSDiscardMessageTrackingValues";
+const ENABLE_TRACKING_KEY = "__fromJSEnableMessageTracking";
+
+// Walking big messages is slow, e.g. a list with thousands of items
+const MAX_TRACKED_PROPERTIES = 1000;
+
+const targetsWithMessageTracking = new WeakSet();
+const targetsSentEnableMessage = new WeakSet();
+const targetsWithListener = new WeakSet();
+// port1 <-> port2 of message channels created in this context
+const entangledPorts = new WeakMap();
+
+function isTrackingMessage(data, key) {
+  return !!data && typeof data === "object" && key in data;
+}
+
+// Also works for cross-origin windows
+function isWindow(target) {
+  try {
+    return !!target && target.window === target;
+  } catch (err) {
+    return false;
+  }
+}
+
+function postToTarget(target, message, targetOrigin) {
+  if (isWindow(target)) {
+    target.postMessage(message, targetOrigin);
+  } else {
+    target.postMessage(message);
+  }
+}
+
+// Also used for values that are stored and read back, e.g. in IndexedDB
+export function getPropertyTrackingValues(ctx: ExecContext, data) {
+  const properties: any[] = [];
+  const visitedObjects = new Set();
+  let visitedPropertyCount = 0;
+  function collect(value, keyPath) {
+    if (
+      !value ||
+      typeof value !== "object" ||
+      visitedObjects.has(value) ||
+      ArrayBuffer.isView(value)
+    ) {
+      return;
+    }
+    visitedObjects.add(value);
+    for (const key of Object.keys(value)) {
+      visitedPropertyCount++;
+      if (visitedPropertyCount > MAX_TRACKED_PROPERTIES) {
+        return;
+      }
+      const childKeyPath = keyPath.concat(key);
+      const valueTrackingValue = ctx.getObjectPropertyTrackingValue(value, key);
+      const nameTrackingValue = ctx.getObjectPropertyNameTrackingValue(
+        value,
+        key
+      );
+      if (valueTrackingValue || nameTrackingValue) {
+        properties.push([
+          childKeyPath,
+          valueTrackingValue || null,
+          nameTrackingValue || null
+        ]);
+      }
+      collect(value[key], childKeyPath);
+    }
+  }
+  collect(data, []);
+  return properties;
+}
+
+function createMessageDataLog(ctx: ExecContext, trackingValue, result) {
+  if (!trackingValue) {
+    return null;
+  }
+  return ctx.createOperationLog({
+    operation: ctx.operationTypes.messageData,
+    args: {
+      value: [null, trackingValue]
+    },
+    result,
+    loc: null
+  });
+}
+
+// createLog wraps the tracking values from the other context, so the copied
+// value gets its own log
+export function applyPropertyTrackingValues(
+  ctx: ExecContext,
+  data,
+  properties,
+  createLog: (trackingValue, result) => number | null
+) {
+  properties.forEach(([keyPath, valueTrackingValue, nameTrackingValue]) => {
+    let parent = data;
+    keyPath.slice(0, -1).forEach(key => {
+      parent = parent && parent[key];
+    });
+    if (!parent || typeof parent !== "object") {
+      return;
+    }
+    const key = keyPath[keyPath.length - 1];
+    ctx.trackObjectPropertyAssignment(
+      parent,
+      key,
+      createLog(valueTrackingValue, parent[key]),
+      createLog(nameTrackingValue, key)
+    );
+  });
+}
+
+function applyTrackingValues(ctx: ExecContext, event, trackingValues) {
+  const data = event.data;
+  const createLog = (trackingValue, result) =>
+    createMessageDataLog(ctx, trackingValue, result);
+  ctx.trackObjectPropertyAssignment(
+    event,
+    "data",
+    createLog(trackingValues.value, data)
+  );
+  applyPropertyTrackingValues(ctx, data, trackingValues.properties, createLog);
+}
+
+function sendEnableMessage(target, targetOrigin) {
+  targetsSentEnableMessage.add(target);
+  postToTarget(target, { [ENABLE_TRACKING_KEY]: true }, targetOrigin);
+}
+
+function enableTrackingForSender(target, origin) {
+  enableMessageTracking(target);
+  if (!targetsSentEnableMessage.has(target)) {
+    // Let the sender know we're instrumented too. Opaque origins can only be
+    // targeted with "*", but the sender has just shown it's instrumented.
+    sendEnableMessage(target, origin && origin !== "null" ? origin : "*");
+  }
+}
+
+// Cross-origin windows could be any website, so they never receive our
+// messages unless they send ENABLE_TRACKING_KEY first
+function isInstrumentedSameOriginWindow(otherWindow) {
+  try {
+    return !!otherWindow["__didInitializeDataFlowTracking"];
+  } catch (err) {
+    return false;
+  }
+}
+
+// Has to be called before the inspected code adds its own message listeners
+export function listenForMessageTrackingValues(ctx: ExecContext, target) {
+  if (targetsWithListener.has(target)) {
+    return;
+  }
+  targetsWithListener.add(target);
+
+  // Messages from different windows can arrive in between each other
+  const pendingTrackingValuesBySender = new Map();
+  target.addEventListener("message", function(event) {
+    const data = event.data;
+    // Workers and ports don't set event.source, they are the sender
+    const sender = event.source || target;
+    if (isTrackingMessage(data, TRACKING_VALUES_KEY)) {
+      event.stopImmediatePropagation();
+      pendingTrackingValuesBySender.set(sender, data[TRACKING_VALUES_KEY]);
+    } else if (isTrackingMessage(data, DISCARD_TRACKING_VALUES_KEY)) {
+      event.stopImmediatePropagation();
+      pendingTrackingValuesBySender.delete(sender);
+    } else if (isTrackingMessage(data, ENABLE_TRACKING_KEY)) {
+      event.stopImmediatePropagation();
+      enableTrackingForSender(sender, event.origin);
+    } else if (pendingTrackingValuesBySender.has(sender)) {
+      applyTrackingValues(
+        ctx,
+        event,
+        pendingTrackingValuesBySender.get(sender)
+      );
+      pendingTrackingValuesBySender.delete(sender);
+      // The sender is instrumented, so whoever has the other end of the
+      // transferred ports probably is too
+      Array.from<any>(event.ports || []).forEach(port => {
+        listenForMessageTrackingValues(ctx, port);
+        sendEnableMessage(port, null);
+      });
+    }
+  });
+}
+
+export function enableMessageTracking(target) {
+  targetsWithMessageTracking.add(target);
+}
+
+// Otherwise tracking is enabled once the worker sends ENABLE_TRACKING_KEY,
+// messages posted before the worker has started aren't tracked
+export function enableWorkerMessageTracking(
+  ctx: ExecContext,
+  worker,
+  isInstrumented: boolean
+) {
+  listenForMessageTrackingValues(ctx, worker);
+  if (isInstrumented) {
+    enableMessageTracking(worker);
+  }
+}
+
+export function initWorkerMessageTracking(ctx: ExecContext, global) {
+  listenForMessageTrackingValues(ctx, global);
+  sendEnableMessage(global, null);
+}
+
+export function initWindowMessageTracking(ctx: ExecContext, global) {
+  listenForMessageTrackingValues(ctx, global);
+  // E.g. window.postMessage is sometimes used to schedule callbacks
+  enableMessageTracking(global);
+  [global.parent, global.opener].forEach(otherWindow => {
+    if (
+      otherWindow &&
+      otherWindow !== global &&
+      isInstrumentedSameOriginWindow(otherWindow)
+    ) {
+      sendEnableMessage(otherWindow, global.location.origin);
+    }
+  });
+}
+
+export function enableMessageChannelTracking(ctx: ExecContext, channel) {
+  const { port1, port2 } = channel;
+  entangledPorts.set(port1, port2);
+  entangledPorts.set(port2, port1);
+  [port1, port2].forEach(port => {
+    listenForMessageTrackingValues(ctx, port);
+    enableMessageTracking(port);
+  });
+}
+
+// Broadcast channels only reach contexts with the same origin, which are
+// loaded through the proxy, so there's no handshake
+export function enableBroadcastChannelTracking(ctx: ExecContext, channel) {
+  listenForMessageTrackingValues(ctx, channel);
+  enableMessageTracking(channel);
+}
+
+function getPostMessageOptions(target, postMessageArgs) {
+  const [, options, windowTransfer] = postMessageArgs;
+  if (isWindow(target)) {
+    // postMessage(data, targetOrigin, transfer) or postMessage(data, options)
+    return typeof options === "string"
+      ? { targetOrigin: options, transfer: windowTransfer }
+      : {
+          targetOrigin: (options && options.targetOrigin) || "/",
+          transfer: options && options.transfer
+        };
+  }
+  return {
+    targetOrigin: null,
+    transfer: Array.isArray(options) ? options : options && options.transfer
+  };
+}
+
+// postMessage calls the actual postMessage(...postMessageArgs) on the target
+export function postMessageWithTrackingValues(
+  ctx: ExecContext,
+  target,
+  postMessageArgs,
+  dataTrackingValue,
+  postMessage: () => any
+) {
+  const { targetOrigin, transfer } = getPostMessageOptions(
+    target,
+    postMessageArgs
+  );
+
+  // The other end of a transferred port might not be instrumented, it
+  // enables tracking again when it is
+  Array.from<any>(transfer || []).forEach(transferable => {
+    const otherPort = entangledPorts.get(transferable);
+    if (otherPort) {
+      targetsWithMessageTracking.delete(otherPort);
+      targetsSentEnableMessage.delete(otherPort);
+    }
+  });
+
+  if (!targetsWithMessageTracking.has(target)) {
+    return postMessage();
+  }
+  const data = postMessageArgs[0];
+  postToTarget(
+    target,
+    {
+      [TRACKING_VALUES_KEY]: {
+        value: dataTrackingValue || null,
+        properties: getPropertyTrackingValues(ctx, data)
+      }
+    },
+    targetOrigin
+  );
+  try {
+    return postMessage();
+  } catch (err) {
+    // E.g. the data can't be cloned, otherwise the tracking values would be
+    // applied to the next message
+    postToTarget(target, { [DISCARD_TRACKING_VALUES_KEY]: true }, targetOrigin);
+    throw err;
+  }
+}
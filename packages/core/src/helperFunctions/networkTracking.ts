@@ -0,0 +1,124 @@
+import { ExecContext } from "./ExecContext";
+
+// Sources for data that arrives over the network without going through
+// fetch, and for text read from blobs
+
+// WebSocket or EventSource => { messageCount }
+const messageSources = new WeakMap();
+// MessageEvent => message number, starting at 1
+const messageNumbers = new WeakMap();
+// MessageEvent => tracking value of event.data
+const messageDataLogs = new WeakMap();
+// Blob => { url, parts }
+const blobOrigins = new WeakMap();
+// FileReader => Blob
+const fileReaderBlobs = new WeakMap();
+
+// Called when the WebSocket or EventSource is created, before the page can
+// add its own listeners
+export function trackMessageSource(source) {
+  const sourceInfo = { messageCount: 0 };
+  messageSources.set(source, sourceInfo);
+  source.addEventListener("message", function(event) {
+    sourceInfo.messageCount++;
+    messageNumbers.set(event, sourceInfo.messageCount);
+    if (typeof Blob !== "undefined" && event.data instanceof Blob) {
+      trackBlobOrigin(event.data, { url: source.url });
+    }
+  });
+}
+
+export function isNetworkMessageEvent(event) {
+  try {
+    return !!event && messageSources.has(event.target);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Called when event.data is read
+export function getNetworkMessageDataLog(ctx: ExecContext, event, loc) {
+  if (typeof event.data !== "string") {
+    return null;
+  }
+  if (messageDataLogs.has(event)) {
+    return messageDataLogs.get(event);
+  }
+  const source = event.target;
+  const isWebSocket =
+    typeof WebSocket !== "undefined" && source instanceof WebSocket;
+  const log = ctx.createOperationLog({
+    operation: isWebSocket
+      ? ctx.operationTypes.webSocketMessage
+      : ctx.operationTypes.eventSourceMessage,
+    args: {},
+    astArgs: {},
+    result: event.data,
+    runtimeArgs: isWebSocket
+      ? {
+          url: source.url,
+          messageNumber: messageNumbers.get(event)
+        }
+      : {
+          url: source.url,
+          // Named events don't go to our message listener
+          messageNumber: messageNumbers.get(event),
+          eventType: event.type,
+          lastEventId: event.lastEventId
+        },
+    loc
+  });
+  messageDataLogs.set(event, log);
+  return log;
+}
+
+export function trackBlobOrigin(blob, origin: { url?: string; parts?: any[] }) {
+  blobOrigins.set(blob, origin);
+}
+
+// new Blob(["Hello ", name]), we can only map characters if all parts are
+// strings
+export function trackBlobParts(ctx: ExecContext, blob, parts) {
+  if (!Array.isArray(parts) || !parts.every(part => typeof part === "string")) {
+    return;
+  }
+  let start = 0;
+  trackBlobOrigin(blob, {
+    parts: parts.map((part, i) => {
+      const blobPart = {
+        start,
+        length: part.length,
+        trackingValue: ctx.getObjectPropertyTrackingValue(parts, i)
+      };
+      start += part.length;
+      return blobPart;
+    })
+  });
+}
+
+export function trackFileReaderBlob(reader, blob) {
+  fileReaderBlobs.set(reader, blob);
+}
+
+export function getFileReaderBlob(reader) {
+  return fileReaderBlobs.get(reader);
+}
+
+// Text from blob.text() or FileReader.readAsText
+export function createBlobTextLog(ctx: ExecContext, blob, text, loc) {
+  const origin = blobOrigins.get(blob) || {};
+  return ctx.createOperationLog({
+    operation: ctx.operationTypes.blobText,
+    args: {},
+    astArgs: {},
+    result: text,
+    runtimeArgs: {
+      url: origin.url,
+      // Files selected by the user
+      fileName: typeof blob.name === "string" ? blob.name : undefined,
+      type: blob.type,
+      parts: origin.parts || []
+    },
+    loc
+  });
+}
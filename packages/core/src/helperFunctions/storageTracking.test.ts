@@ -0,0 +1,50 @@
+import {
+  recordIndexedDBWrite,
+  trackIndexedDBRequest,
+  createIndexedDBValueLog
+} from "./storageTracking";
+
+const ctx: any = {
+  operationTypes: { indexedDBValue: "indexedDBValue" },
+  // Returns the log args instead of an index, so tests can check them
+  createOperationLog: args => args,
+  getObjectPropertyTrackingValue: () => null,
+  getObjectPropertyNameTrackingValue: () => null,
+  trackObjectPropertyAssignment: () => {}
+};
+
+function createObjectStore(name, keyPath: string | null): any {
+  return { name, keyPath, transaction: { db: { name: "app" } } };
+}
+
+function getWriteTrackingValue(objectStore, requestKey, result) {
+  const request: any = { result };
+  trackIndexedDBRequest(request, objectStore, requestKey);
+  const log: any = createIndexedDBValueLog(ctx, request, null);
+  return log.args.value[1];
+}
+
+it("Finds the write of values with inline keys", () => {
+  const objectStore = createObjectStore("inlineKeys", "id");
+  recordIndexedDBWrite(ctx, objectStore, { id: 1 }, undefined, 5);
+
+  expect(getWriteTrackingValue(objectStore, 1, { id: 1 })).toBe(5);
+  expect(getWriteTrackingValue(objectStore, undefined, { id: 1 })).toBe(5);
+  expect(getWriteTrackingValue(objectStore, 2, { id: 2 })).toBe(null);
+});
+
+it("Doesn't match values if the primary key is unknown", () => {
+  // Auto-increment key, or index.get on an object store without a key path
+  const objectStore = createObjectStore("outOfLineKeys", null);
+  recordIndexedDBWrite(ctx, objectStore, "first", undefined, 5);
+
+  expect(getWriteTrackingValue(objectStore, undefined, "second")).toBe(null);
+});
+
+it("Doesn't match key ranges or binary keys", () => {
+  const objectStore = createObjectStore("binaryKeys", null);
+  recordIndexedDBWrite(ctx, objectStore, "value", new ArrayBuffer(1), 5);
+
+  const keyRange = Object.create({ lower: 1, upper: 2 });
+  expect(getWriteTrackingValue(objectStore, keyRange, "value")).toBe(null);
+});
@@ -0,0 +1,249 @@
+import { ExecContext } from "./ExecContext";
+import {
+  getPropertyTrackingValues,
+  applyPropertyTrackingValues
+} from "./messageTracking";
+
+// Values read from localStorage, sessionStorage, cookies or IndexedDB are
+// sources, like fetch responses. If the value was written in the same page
+// session we remember the tracking value of the write, so traversal can
+// continue into the code that wrote it.
+
+// "localStorage:key" => { value, trackingValue }
+const storageWrites = new Map();
+// cookie name => { pair, trackingValue, charOffset }
+const cookieWrites = new Map();
+// JSON of [database, objectStore, key] => { trackingValue, properties }
+const indexedDBWrites = new Map();
+// IDBRequest => { objectStore, key }, key is undefined for index lookups
+const indexedDBRequests = new WeakMap();
+const indexedDBResultsWithTrackingValues = new WeakSet();
+
+export function getStorageName(ctx: ExecContext, storage) {
+  if (typeof Storage === "undefined" || !(storage instanceof Storage)) {
+    return null;
+  }
+  try {
+    if (storage === ctx.global.localStorage) {
+      return "localStorage";
+    }
+    if (storage === ctx.global.sessionStorage) {
+      return "sessionStorage";
+    }
+  } catch (err) {
+    // Accessing storage throws e.g. in sandboxed iframes
+  }
+  return null;
+}
+
+export function recordStorageWrite(
+  storageName: string,
+  key,
+  value,
+  trackingValue
+) {
+  storageWrites.set(storageName + ":" + key, {
+    value: String(value),
+    trackingValue
+  });
+}
+
+export function createStorageValueLog(
+  ctx: ExecContext,
+  storageName: string,
+  key,
+  value,
+  loc
+) {
+  const write = storageWrites.get(storageName + ":" + key);
+  // Another tab or an earlier page session might have changed the value
+  const writeTrackingValue =
+    write && write.value === value ? write.trackingValue : null;
+  return ctx.createOperationLog({
+    operation: ctx.operationTypes.storageValue,
+    args: {
+      value: [value, writeTrackingValue]
+    },
+    astArgs: {},
+    result: value,
+    runtimeArgs: {
+      storage: storageName,
+      key: String(key)
+    },
+    loc
+  });
+}
+
+// e.g. document.cookie = " theme=dark; path=/"
+export function recordCookieWrite(cookieString, trackingValue) {
+  if (typeof cookieString !== "string") {
+    return;
+  }
+  const rawPair = cookieString.split(";")[0];
+  const pair = rawPair.trim();
+  const name = pair.includes("=")
+    ? pair.slice(0, pair.indexOf("=")).trim()
+    : "";
+  cookieWrites.set(name, {
+    pair,
+    trackingValue,
+    charOffset: rawPair.indexOf(pair)
+  });
+}
+
+// document.cookie contains all cookies, e.g. "theme=dark; lang=en", so we
+// remember where each cookie that was written on the page starts
+export function createDocumentCookieLog(ctx: ExecContext, cookieString, loc) {
+  const cookies: any[] = [];
+  let start = 0;
+  cookieString.split("; ").forEach(pair => {
+    const name = pair.includes("=") ? pair.slice(0, pair.indexOf("=")) : "";
+    const write = cookieWrites.get(name);
+    if (write && write.pair === pair) {
+      cookies.push({
+        name,
+        start,
+        length: pair.length,
+        trackingValue: write.trackingValue,
+        charOffset: write.charOffset
+      });
+    }
+    start += pair.length + "; ".length;
+  });
+
+  return ctx.createOperationLog({
+    operation: ctx.operationTypes.documentCookie,
+    args: {},
+    astArgs: {},
+    result: cookieString,
+    runtimeArgs: {
+      cookies
+    },
+    loc
+  });
+}
+
+function getInlineKey(keyPath, value) {
+  if (Array.isArray(keyPath)) {
+    return keyPath.map(path => getInlineKey(path, value));
+  }
+  return keyPath.split(".").reduce((obj, key) => obj && obj[key], value);
+}
+
+function getPrimaryKey(objectStore: IDBObjectStore, value, key) {
+  if (key === undefined && objectStore.keyPath !== null && value) {
+    return getInlineKey(objectStore.keyPath, value);
+  }
+  return key;
+}
+
+// E.g. the key is undefined for auto-increment or out-of-line keys we don't
+// know, and IDBKeyRange or binary keys would all be serialized as {}. Dates
+// are left out too, since they'd match string keys.
+function isKnownKey(key) {
+  if (typeof key === "number") {
+    return !isNaN(key);
+  }
+  if (typeof key === "string") {
+    return true;
+  }
+  return Array.isArray(key) && key.every(isKnownKey);
+}
+
+function getIndexedDBWriteKey(objectStore: IDBObjectStore, key) {
+  if (!isKnownKey(key)) {
+    return null;
+  }
+  try {
+    return JSON.stringify([
+      objectStore.transaction.db.name,
+      objectStore.name,
+      key
+    ]);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Called before objectStore.put(value, key) or objectStore.add(value, key)
+export function recordIndexedDBWrite(
+  ctx: ExecContext,
+  objectStore: IDBObjectStore,
+  value,
+  key,
+  trackingValue
+) {
+  const writeKey = getIndexedDBWriteKey(
+    objectStore,
+    getPrimaryKey(objectStore, value, key)
+  );
+  if (writeKey === null) {
+    return;
+  }
+  // The value is structured-cloned, so we need the property tracking values
+  // as they are now
+  indexedDBWrites.set(writeKey, {
+    trackingValue,
+    properties: getPropertyTrackingValues(ctx, value)
+  });
+}
+
+// Called after objectStore.get(key) or index.get(indexKey)
+export function trackIndexedDBRequest(
+  request: IDBRequest,
+  objectStore: IDBObjectStore,
+  key
+) {
+  indexedDBRequests.set(request, { objectStore, key });
+}
+
+export function isTrackedIndexedDBRequest(request) {
+  return indexedDBRequests.has(request);
+}
+
+// Called when request.result is read
+export function createIndexedDBValueLog(
+  ctx: ExecContext,
+  request: IDBRequest,
+  loc
+) {
+  const { objectStore, key: requestKey } = indexedDBRequests.get(request);
+  const result = request.result;
+  const key = getPrimaryKey(objectStore, result, requestKey);
+  const writeKey = getIndexedDBWriteKey(objectStore, key);
+  const write = writeKey !== null && indexedDBWrites.get(writeKey);
+
+  const createLog = (trackingValue, value) =>
+    ctx.createOperationLog({
+      operation: ctx.operationTypes.indexedDBValue,
+      args: {
+        value: [value, trackingValue]
+      },
+      astArgs: {},
+      result: value,
+      runtimeArgs: {
+        database: objectStore.transaction.db.name,
+        objectStore: objectStore.name,
+        key
+      },
+      loc
+    });
+
+  if (
+    write &&
+    result &&
+    typeof result === "object" &&
+    !indexedDBResultsWithTrackingValues.has(result)
+  ) {
+    indexedDBResultsWithTrackingValues.add(result);
+    applyPropertyTrackingValues(
+      ctx,
+      result,
+      write.properties,
+      (trackingValue, value) =>
+        trackingValue ? createLog(trackingValue, value) : null
+    );
+  }
+
+  return createLog(write ? write.trackingValue : null, result);
+}
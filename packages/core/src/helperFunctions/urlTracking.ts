@@ -0,0 +1,213 @@
+import { ExecContext } from "./ExecContext";
+
+// Parts of the page URL, and of URL objects, are sources that remember where
+// in the full URL they start. If the URL was created from a tracked string,
+// e.g. new URL(apiBase + "/items?page=2"), traversal continues into it.
+
+const URL_PARTS = [
+  "href",
+  "origin",
+  "protocol",
+  "host",
+  "hostname",
+  "port",
+  "pathname",
+  "search",
+  "hash"
+];
+
+// URL => { input, trackingValue }
+const urlInputs = new WeakMap();
+// URLSearchParams => { url, start, end, next }, the query string is
+// url.slice(start, end)
+const searchParamsSources = new WeakMap();
+
+function isLocation(ctx: ExecContext, object) {
+  return !!ctx.global.location && object === ctx.global.location;
+}
+
+export function isUrlPart(ctx: ExecContext, object, propertyName) {
+  return (
+    URL_PARTS.includes(propertyName) &&
+    (isLocation(ctx, object) ||
+      (typeof URL !== "undefined" && object instanceof URL))
+  );
+}
+
+function getUrlPartStart(url, part) {
+  const { href, hash, search, pathname } = url;
+  switch (part) {
+    case "pathname":
+      return href.length - hash.length - search.length - pathname.length;
+    case "search":
+      return href.length - hash.length - search.length;
+    case "hash":
+      return href.length - hash.length;
+    case "host":
+    case "hostname":
+      return href.indexOf(url[part], url.protocol.length);
+    case "port":
+      return href.indexOf(":" + url.port, url.protocol.length) + 1;
+    default:
+      // href, origin and protocol
+      return 0;
+  }
+}
+
+// Strings with the page URL are treated like location, so traversal ends at
+// e.g. the query parameter instead of at location.href
+function getUrlStringTrackingValue(ctx: ExecContext, str, trackingValue) {
+  const location = ctx.global.location;
+  return location && str === location.href ? null : trackingValue;
+}
+
+// Called after new URL(input)
+export function trackUrlInput(
+  ctx: ExecContext,
+  url: URL,
+  input,
+  trackingValue
+) {
+  if (typeof input !== "string") {
+    return;
+  }
+  urlInputs.set(url, {
+    input,
+    trackingValue: getUrlStringTrackingValue(ctx, input, trackingValue)
+  });
+}
+
+// The URL parser normalizes URLs, e.g. by adding a trailing slash, so we can
+// only map characters if the input is a prefix of the href
+function getUrlInputTrackingValue(url) {
+  const urlInput = urlInputs.get(url);
+  if (!urlInput || !url.href.startsWith(urlInput.input)) {
+    return null;
+  }
+  return urlInput.trackingValue;
+}
+
+// Called when e.g. location.search or url.pathname is read
+export function createUrlPartLog(
+  ctx: ExecContext,
+  url,
+  part: string,
+  value,
+  loc
+) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const start = getUrlPartStart(url, part);
+  return ctx.createOperationLog({
+    operation: ctx.operationTypes.urlPart,
+    args: {},
+    astArgs: {},
+    result: value,
+    runtimeArgs: {
+      name: (isLocation(ctx, url) ? "location." : "URL.") + part,
+      url: url.href,
+      start,
+      end: start + value.length,
+      next: isLocation(ctx, url) ? null : getUrlInputTrackingValue(url)
+    },
+    loc
+  });
+}
+
+// Called when url.searchParams is read
+export function trackUrlSearchParams(url: URL, searchParams) {
+  if (searchParamsSources.has(searchParams)) {
+    return;
+  }
+  const searchStart = getUrlPartStart(url, "search");
+  searchParamsSources.set(searchParams, {
+    url: url.href,
+    // Without the "?"
+    start: searchStart + 1,
+    end: searchStart + url.search.length,
+    next: getUrlInputTrackingValue(url)
+  });
+}
+
+// Called after new URLSearchParams(init)
+export function trackSearchParamsInit(
+  ctx: ExecContext,
+  searchParams,
+  init,
+  trackingValue
+) {
+  if (typeof init !== "string") {
+    return;
+  }
+  const location = ctx.global.location;
+  const search = location ? location.search : "";
+  if (search && (init === search || "?" + init === search)) {
+    // new URLSearchParams(location.search)
+    trackUrlSearchParams(location, searchParams);
+    return;
+  }
+  searchParamsSources.set(searchParams, {
+    url: init,
+    start: init.startsWith("?") ? 1 : 0,
+    end: init.length,
+    next: trackingValue
+  });
+}
+
+function decodeQueryComponent(str: string) {
+  try {
+    return decodeURIComponent(str.replace(/\+/g, " "));
+  } catch (err) {
+    return str;
+  }
+}
+
+// Called after searchParams.get(name), or for each value of getAll(name)
+export function createSearchParamLog(
+  ctx: ExecContext,
+  searchParams,
+  name: string,
+  value: string,
+  occurrence: number,
+  loc
+) {
+  const source = searchParamsSources.get(searchParams);
+  if (!source) {
+    return null;
+  }
+  let pairStart = source.start;
+  let occurrenceCount = 0;
+  for (const pair of source.url.slice(source.start, source.end).split("&")) {
+    const equalsIndex = pair.indexOf("=");
+    const rawName = equalsIndex === -1 ? pair : pair.slice(0, equalsIndex);
+    const rawValue = equalsIndex === -1 ? "" : pair.slice(equalsIndex + 1);
+    if (decodeQueryComponent(rawName) === name) {
+      if (occurrenceCount === occurrence) {
+        if (decodeQueryComponent(rawValue) !== value) {
+          // Changed with searchParams.set etc.
+          return null;
+        }
+        const start = pairStart + rawName.length + 1;
+        return ctx.createOperationLog({
+          operation: ctx.operationTypes.urlPart,
+          args: {},
+          astArgs: {},
+          result: value,
+          runtimeArgs: {
+            name: "URL query parameter " + name,
+            url: source.url,
+            start,
+            end: start + rawValue.length,
+            isDecoded: true,
+            next: source.next
+          },
+          loc
+        });
+      }
+      occurrenceCount++;
+    }
+    pairStart += pair.length + "&".length;
+  }
+  return null;
+}
@@ -32,11 +32,16 @@ import { ExecContext } from "./helperFunctions/ExecContext";
 import { getJSONPathOffset } from "./getJSONPathOffset";
 import CallExpression from "./operations/CallExpression";
 import { MemberExpression } from "./operations/MemberExpression";
+import {
+  OptionalMemberExpression,
+  OptionalCallExpression
+} from "./operations/OptionalChain";
 import ObjectExpression from "./operations/ObjectExpression";
 import AssignmentExpression from "./operations/AssignmentExpression";
 import traverseConcat from "./traverseConcat";
 import * as MemoValueNames from "./MemoValueNames";
-import { traverseDomOrigin } from "./traverseDomOrigin";
+import { traverseDomOrigin, traverseDomOriginPart } from "./traverseDomOrigin";
+import traverseUrlPart from "./traverseUrlPart";
 import { VERIFY } from "./config";
 import { getElAttributeValueOrigin } from "./operations/domHelpers/addElOrigin";
 import { safelyReadProperty, nullOnError } from "./util";
@@ -44,6 +49,26 @@ import * as FunctionNames from "./FunctionNames";
 import * as sortBy from "lodash.sortby";
 import { getShortExtraArgName, getShortArgName } from "./names";
 
+// Parts are {start, length} ranges of the result
+function findPartAtCharIndex(parts, charIndex) {
+  return parts.find(
+    part => charIndex >= part.start && charIndex < part.start + part.length
+  );
+}
+
+// Parts either have the tracking value of that range or were created by
+// getDomOriginPart
+function traverseDomOriginParts(operationLog, charIndex) {
+  const part = findPartAtCharIndex(operationLog.runtimeArgs.parts, charIndex);
+  if (!part) {
+    return;
+  }
+  return {
+    operationLog: part.trackingValue,
+    charIndex: traverseDomOriginPart(part, charIndex)
+  };
+}
+
 function identifyTraverseFunction(operationLog, charIndex) {
   return {
     operationLog: operationLog.args.value,
@@ -99,6 +124,8 @@ const rightArgName = getShortArgName("right");
 
 const operations: Operations = {
   memberExpression: MemberExpression,
+  optionalMemberExpression: OptionalMemberExpression,
+  optionalCallExpression: OptionalCallExpression,
   binaryExpression: {
     canInferResult: function(args) {
       const left = args[leftArgName];
@@ -220,63 +247,80 @@ const operations: Operations = {
   },
   logicalExpression: {
     visitor(path) {
-      if (path.node.operator === "||") {
-        return this.createNode!(
-          {
-            // always execute the left side
-            [leftArgName]: ignoreNode(
-              t.sequenceExpression([
-                createSetMemoValue(
-                  MemoValueNames.lastOrLogicalExpressionResult,
-                  path.node.left,
-                  getLastOperationTrackingResultCall()
-                ),
-                createGetMemoArray(MemoValueNames.lastOrLogicalExpressionResult)
-              ])
-            ),
-            // only execute the right side if left side is falsy
-            [rightArgName]: ignoreNode(
-              t.logicalExpression(
-                "&&",
-                ignoreNode(
-                  t.unaryExpression(
-                    "!",
-                    createGetMemoValue(
-                      MemoValueNames.lastOrLogicalExpressionResult
-                    )
-                  )
-                ),
-                ignoredArrayExpression([
-                  path.node.right,
-                  getLastOperationTrackingResultCall()
-                ])
-              )
-            )
-          },
-          { operator: ignoredStringLiteral(path.node.operator) },
-          path.node.loc
+      const { operator } = path.node;
+      const leftValue = createGetMemoValue(
+        MemoValueNames.lastLogicalExpressionLeft
+      );
+      // Whether the right side needs to be evaluated, as a boolean, so the
+      // right argument is always false if it's skipped
+      let evaluateRight;
+      if (operator === "||") {
+        evaluateRight = t.unaryExpression("!", leftValue);
+      } else if (operator === "&&") {
+        evaluateRight = t.unaryExpression(
+          "!",
+          ignoreNode(t.unaryExpression("!", leftValue))
+        );
+      } else if (operator === "??") {
+        evaluateRight = t.binaryExpression(
+          "==",
+          leftValue,
+          ignoreNode(t.nullLiteral())
         );
+      } else {
+        return;
       }
+
+      return this.createNode!(
+        {
+          // always execute the left side
+          [leftArgName]: ignoreNode(
+            t.sequenceExpression([
+              createSetMemoValue(
+                MemoValueNames.lastLogicalExpressionLeft,
+                path.node.left,
+                getLastOperationTrackingResultCall()
+              ),
+              createGetMemoArray(MemoValueNames.lastLogicalExpressionLeft)
+            ])
+          ),
+          // only execute the right side if the left side doesn't decide the result
+          [rightArgName]: ignoreNode(
+            t.logicalExpression(
+              "&&",
+              ignoreNode(evaluateRight),
+              ignoredArrayExpression([
+                path.node.right,
+                getLastOperationTrackingResultCall()
+              ])
+            )
+          )
+        },
+        { operator: ignoredStringLiteral(operator) },
+        path.node.loc
+      );
     },
     traverse(operationLog, charIndex, options?) {
       const { operator } = operationLog.astArgs;
       const { left, right } = operationLog.args;
 
+      let resultIsLeft;
       if (operator === "||") {
-        if (left.result.isTruthy()) {
-          return {
-            operationLog: left,
-            charIndex
-          };
-        } else {
-          return {
-            operationLog: right,
-            charIndex
-          };
-        }
+        resultIsLeft = left.result.isTruthy();
+      } else if (operator === "&&") {
+        resultIsLeft = !left.result.isTruthy();
+      } else if (operator === "??") {
+        resultIsLeft = !operationLog.runtimeArgs.leftIsNullish;
+      } else {
+        return;
       }
+
+      return {
+        operationLog: resultIsLeft ? left : right,
+        charIndex
+      };
     },
-    exec: (args, astArgs, ctx: ExecContext) => {
+    exec: (args, astArgs, ctx: ExecContext, logData) => {
       const l = args[leftArgName];
       const r = args[rightArgName];
 
@@ -290,6 +334,14 @@ const operations: Operations = {
       var { operator } = astArgs;
       if (operator === "||") {
         ret = left || right;
+      } else if (operator === "&&") {
+        ret = left && right;
+      } else if (operator === "??") {
+        // The serialized result doesn't tell null apart from objects, so
+        // remember which side was used for traversal
+        const leftIsNullish = left === null || left === undefined;
+        logData.runtimeArgs = { leftIsNullish };
+        ret = leftIsNullish ? right : left;
       } else {
         throw Error("unknown logical exp operator: " + operator);
       }
@@ -446,6 +498,16 @@ const operations: Operations = {
       if (path.parent.type === "ObjectProperty") {
         return;
       }
+      if (
+        [
+          "ImportDeclaration",
+          "ExportNamedDeclaration",
+          "ExportAllDeclaration"
+        ].includes(path.parent.type)
+      ) {
+        // Module specifiers have to be string literals
+        return;
+      }
       const value = path.node.value;
       // Store on loc so it can be looked up later
       path.node.loc.value = value;
@@ -657,6 +719,9 @@ const operations: Operations = {
           // Deleting a global like this: delete someGlobal
           propName = addLoc(ignoredStringLiteral(arg.name), arg.loc);
           object = getGetGlobalCall();
+        } else if (arg.type === "OptionalMemberExpression") {
+          // delete a?.b does nothing if a is nullish, leave it as it is
+          return;
         } else {
           console.log("unknown delete argument type: " + arg.type);
           return;
@@ -945,27 +1010,87 @@ const operations: Operations = {
   arrayConcat: {
     traverse: identifyTraverseFunction
   },
+  arraySort: { traverse: identifyTraverseFunction },
+  arrayReverse: { traverse: identifyTraverseFunction },
+  arrayFlat: { traverse: identifyTraverseFunction },
+  arrayFrom: {
+    traverse(operationLog, charIndex) {
+      // Array.from("abc") creates one item per character
+      const { runtimeArgs } = operationLog;
+      return {
+        operationLog: operationLog.args.value,
+        charIndex: charIndex + ((runtimeArgs && runtimeArgs.charIndex) || 0)
+      };
+    }
+  },
+  // Value received with postMessage, args.value is from the sending context
+  messageData: { traverse: identifyTraverseFunction },
+  // args.value is only set if the value was stored in the same page session
+  storageValue: { traverse: identifyTraverseFunction },
+  indexedDBValue: { traverse: identifyTraverseFunction },
+  documentCookie: {
+    traverse(operationLog, charIndex) {
+      const cookie = findPartAtCharIndex(
+        operationLog.runtimeArgs.cookies,
+        charIndex
+      );
+      if (!cookie) {
+        return;
+      }
+      // The assigned string also contains attributes like "; path=/"
+      return {
+        operationLog: cookie.trackingValue,
+        charIndex: charIndex - cookie.start + cookie.charOffset
+      };
+    }
+  },
+  // e.g. location.search or a URL query parameter
+  urlPart: { traverse: traverseUrlPart },
+  // Text read from a blob, parts are set for blobs created on the page
+  blobText: {
+    traverse(operationLog, charIndex) {
+      const part = findPartAtCharIndex(
+        operationLog.runtimeArgs.parts,
+        charIndex
+      );
+      if (!part) {
+        return;
+      }
+      return {
+        operationLog: part.trackingValue,
+        charIndex: charIndex - part.start
+      };
+    }
+  },
+  // Result is e.g. "background-color: red", which is also how the
+  // declaration appears in the style attribute
   styleAssignment: {
     traverse: (operationLog, charIndex) => {
       const styleName = operationLog.args.styleName.result.primitive;
-      const styleNamePrefix = '="';
-      const styleNameText = styleNamePrefix + styleName + ": ";
-      if (charIndex < styleNameText.length) {
+      const valueStart =
+        operationLog.result.primitive.indexOf(": ") + ": ".length;
+      if (charIndex < valueStart) {
         return {
           operationLog: operationLog.args.styleName,
-          charIndex: Math.min(
-            Math.max(charIndex - styleNamePrefix.length, 0),
-            styleName.length
-          )
+          charIndex: Math.min(charIndex, styleName.length - 1)
         };
       } else {
         return {
           operationLog: operationLog.args.styleValue,
-          charIndex: charIndex - styleNameText.length
+          charIndex: charIndex - valueStart
         };
       }
     }
   },
+  // Value read from the DOM, the parts point to __elOrigin data
+  domRead: {
+    traverse: traverseDomOriginParts
+  },
+  // Class or style attribute after classList or style changes, parts either
+  // have the tracking value of the new value or point to the old attribute
+  attributeChange: {
+    traverse: traverseDomOriginParts
+  },
   htmlAdapter: {
     traverse: (operationLog, charIndex) => {
       return {
@@ -1070,6 +1195,7 @@ export function shouldSkipIdentifier(path) {
       "FunctionDeclaration",
       "ArrowFunctionExpression",
       "MemberExpression",
+      "OptionalMemberExpression",
       "ObjectProperty",
       "CatchClause",
       "ForOfStatement",
@@ -1087,7 +1213,14 @@ export function shouldSkipIdentifier(path) {
       "ClassExpression",
       "AssignmentPattern",
       "ArrayPattern",
-      "RestElement"
+      "RestElement",
+      "MetaProperty",
+      "ImportSpecifier",
+      "ImportDefaultSpecifier",
+      "ImportNamespaceSpecifier",
+      "ExportSpecifier",
+      "ExportNamespaceSpecifier",
+      "ExportDefaultSpecifier"
     ].includes(path.parent.type)
   ) {
     return true;
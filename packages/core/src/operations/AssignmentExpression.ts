@@ -12,23 +12,105 @@ import {
   createSetMemoValue,
   getLastOperationTrackingResultWithoutResettingCall,
   getTrackingIdentifier,
-  runIfTrackingIdentifierExists
+  runIfTrackingIdentifierExists,
+  addLoc,
+  getBabelTypes
 } from "../babelPluginHelpers";
 import traverseConcat from "../traverseConcat";
 import mapInnerHTMLAssignment from "./domHelpers/mapInnerHTMLAssignment";
+import getDomWrite from "./domHelpers/getDomWrite";
+import {
+  getReplacedNodeRange,
+  getInsertedNodes,
+  mapInsertedHtml
+} from "./domHelpers/mapInsertedNodes";
 import addElOrigin, {
   addElAttributeValueOrigin,
-  addElAttributeNameOrigin,
-  trackSetElementStyle
+  addElAttributeNameOrigin
 } from "./domHelpers/addElOrigin";
+import { trackStyleChange } from "./domHelpers/trackAttributeChanges";
 import * as MemoValueNames from "../MemoValueNames";
 import { consoleLog } from "../helperFunctions/logging";
 import { safelyReadProperty } from "../util";
 import * as OperationTypes from "../OperationTypes";
 import { getShortOperationName, getShortExtraArgName } from "../names";
+import {
+  getStorageName,
+  recordStorageWrite,
+  recordCookieWrite
+} from "../helperFunctions/storageTracking";
 
 const propertyValueExtraArgName = getShortExtraArgName("propertyValue");
 
+const LOGICAL_ASSIGNMENT_OPERATORS = ["||=", "&&=", "??="];
+
+// super can't be stored in a variable, but like this it's always the same
+function needsTemporaryVariable(node) {
+  return ![
+    "Identifier",
+    "ThisExpression",
+    "Super",
+    "StringLiteral",
+    "NumericLiteral"
+  ].includes(node.type);
+}
+
+// a.b ||= c => a.b || (a.b = c)
+// The assignment only happens if the logical expression doesn't short-circuit,
+// and the logical expression and assignment visitors handle tracking from there.
+// Objects and computed keys are stored in a temporary variable so they're only
+// evaluated once, like in the original code
+function convertLogicalAssignment(path) {
+  const t = getBabelTypes();
+  const { left, right, loc } = path.node;
+  const operator = path.node.operator.slice(0, -1);
+
+  let readLeft = left;
+  let writeLeft = t.cloneNode(left);
+  if (left.type === "MemberExpression") {
+    let object = left.object;
+    let objectForWrite = object;
+    if (needsTemporaryVariable(object)) {
+      const id = path.scope.generateUidIdentifier("object");
+      path.scope.push({ id });
+      object = addLoc(t.assignmentExpression("=", id, object), object.loc);
+      objectForWrite = addLoc(t.identifier(id.name), object.loc);
+    }
+
+    let property = left.property;
+    let propertyForWrite = property;
+    if (left.computed && needsTemporaryVariable(property)) {
+      const id = path.scope.generateUidIdentifier("key");
+      path.scope.push({ id });
+      property = addLoc(
+        t.assignmentExpression("=", id, property),
+        property.loc
+      );
+      propertyForWrite = addLoc(t.identifier(id.name), property.loc);
+    } else if (!left.computed) {
+      propertyForWrite = addLoc(t.identifier(property.name), property.loc);
+    }
+
+    readLeft = addLoc(
+      t.memberExpression(object, property, left.computed),
+      left.loc
+    );
+    writeLeft = addLoc(
+      t.memberExpression(objectForWrite, propertyForWrite, left.computed),
+      left.loc
+    );
+  }
+
+  return addLoc(
+    t.logicalExpression(
+      operator,
+      readLeft,
+      addLoc(t.assignmentExpression("=", writeLeft, right), loc)
+    ),
+    loc
+  );
+}
+
 export default <any>{
   argNames: log => {
     if (log.astArgs.assignmentType === "MemberExpression") {
@@ -138,6 +220,22 @@ export default <any>{
         default:
           throw Error("unknown operator " + operator);
       }
+      // outerHTML replaces the element, so we need to know where it was
+      const outerHTMLRange =
+        propName === "outerHTML" &&
+        typeof newValue === "string" &&
+        typeof Node !== "undefined" &&
+        safelyReadProperty(obj, "nodeType") === Node.ELEMENT_NODE
+          ? getReplacedNodeRange(obj)
+          : null;
+      const styleElement =
+        typeof CSSStyleDeclaration !== "undefined" &&
+        obj instanceof CSSStyleDeclaration
+          ? obj["__element"]
+          : null;
+      const oldStyleValue = styleElement
+        ? styleElement.getAttribute("style")
+        : null;
       obj[propName] = newValue;
       ret = newValue;
 
@@ -161,9 +259,26 @@ export default <any>{
       logData.runtimeArgs = { assignment: assignmentExpressionT };
 
       const objIsHTMLNode = typeof Node !== "undefined" && obj instanceof Node;
-      if (objIsHTMLNode) {
-        if (propName === "innerHTML") {
+      const storageName = getStorageName(ctx, obj);
+      if (storageName) {
+        recordStorageWrite(storageName, propName, newValue, argumentArg[1]);
+      } else if (objIsHTMLNode) {
+        const isCookieWrite =
+          propName === "cookie" && obj === ctx.global.document;
+        if (!isCookieWrite) {
+          logData.runtimeArgs.domWrite = getDomWrite(obj, String(propName));
+        }
+        if (isCookieWrite) {
+          recordCookieWrite(newValue, argumentArg[1]);
+        } else if (propName === "innerHTML") {
           mapInnerHTMLAssignment(obj, argumentArg, "assignInnerHTML", 0);
+        } else if (outerHTMLRange) {
+          mapInsertedHtml(
+            getInsertedNodes(outerHTMLRange),
+            newValue,
+            argumentArg[1],
+            "assignOuterHTML"
+          );
         } else if (["text", "textContent", "nodeValue"].includes(propName)) {
           if (obj.nodeType === Node.TEXT_NODE) {
             addElOrigin(obj, "textValue", {
@@ -194,24 +309,26 @@ export default <any>{
           });
           addElAttributeNameOrigin(obj, attrName, { trackingValue: propNameT });
         }
-      } else if (
-        typeof CSSStyleDeclaration !== "undefined" &&
-        obj instanceof CSSStyleDeclaration &&
-        obj["__element"]
-      ) {
-        trackSetElementStyle(
-          obj["__element"],
-          propName,
-          ctx.createOperationLog({
-            operation: OperationTypes.styleAssignment,
-            loc: logData.loc,
-            args: {
-              styleName: [null, propNameT],
-              styleValue: argumentArg
-            },
-            result: propName + ": " + newValue
-          })
+      } else if (styleElement) {
+        logData.runtimeArgs.domWrite = getDomWrite(
+          styleElement,
+          "style." + propName
         );
+        if (propName === "cssText") {
+          addElAttributeValueOrigin(styleElement, "style", {
+            trackingValue: argumentArg[1]
+          });
+        } else {
+          trackStyleChange(
+            ctx,
+            styleElement,
+            "style." + propName,
+            oldStyleValue,
+            [propName, propNameT],
+            [newValue, argumentArg[1]],
+            logData.loc
+          );
+        }
       }
     } else if (assignmentType === "Identifier") {
       const [currentValueArg, newValueArg, argumentArg] = args;
@@ -245,6 +362,10 @@ export default <any>{
     }
   },
   visitor(path) {
+    if (LOGICAL_ASSIGNMENT_OPERATORS.includes(path.node.operator)) {
+      return convertLogicalAssignment(path);
+    }
+
     path.node.ignore = true;
 
     const type = path.node.left.type;
@@ -253,6 +374,10 @@ export default <any>{
     let trackingAssignment: any = null;
 
     if (path.node.left.type === "MemberExpression") {
+      if (path.node.left.object.type === "Super") {
+        // super can't be passed into a function
+        return;
+      }
       var property;
       if (path.node.left.computed === true) {
         property = path.node.left.property;
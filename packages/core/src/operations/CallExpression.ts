@@ -5,7 +5,8 @@ import {
   ignoredArrayExpression,
   ignoredCallExpression,
   skipPath,
-  ignoredNumericLiteral
+  ignoredNumericLiteral,
+  getObjectTrackingValue
 } from "../babelPluginHelpers";
 
 import { ExecContext } from "../helperFunctions/ExecContext";
@@ -25,6 +26,7 @@ import {
   traverseKnownFunction,
   knownFnProcessors,
   FnProcessorArgs,
+  newExpressionPreProcessors,
   newExpressionPostProcessors
 } from "./CallExpressionSpecialCases";
 import { ValueTrackingValuePair } from "../types";
@@ -145,7 +147,9 @@ const CallExpression = <any>{
     } else if (
       fnKnownValue &&
       specialCasesWhereWeDontCallTheOriginalFunction[fnKnownValue] &&
-      (fnKnownValue !== "String.prototype.replace" ||
+      (!["String.prototype.replace", "String.prototype.replaceAll"].includes(
+        fnKnownValue
+      ) ||
         ["string", "number"].includes(typeof fnArgValues[1]))
     ) {
       [ret, retT] = specialCasesWhereWeDontCallTheOriginalFunction[
@@ -314,6 +318,7 @@ const CallExpression = <any>{
       }
 
       const fnProcessorArgs: FnProcessorArgs = {
+        fn,
         extraState,
         setArgValuesForApply,
         fnArgValues,
@@ -364,18 +369,20 @@ const CallExpression = <any>{
       );
     }
 
+    const contextKnownTypes =
+      operationLog.args.context && operationLog.args.context.result.knownTypes;
+    if (!knownFunction && contextKnownTypes) {
+      // let's just assume it's the format function, it's bound to the
+      // formatter instance so it's not a known value
+      if (contextKnownTypes.includes("Intl.NumberFormat")) {
+        knownFunction = "Intl.NumberFormat.prototype.format";
+      } else if (contextKnownTypes.includes("Intl.DateTimeFormat")) {
+        knownFunction = "Intl.DateTimeFormat.prototype.format";
+      }
+    }
+
     if (knownFunction) {
       return traverseKnownFunction({ operationLog, charIndex, knownFunction });
-    } else if (
-      operationLog.args.context &&
-      operationLog.args.context.result.knownTypes &&
-      operationLog.args.context.result.knownTypes.includes("Intl.NumberFormat")
-    ) {
-      // let's just assume it's the
-      return {
-        operationLog: operationLog.args.arg0,
-        charIndex: charIndex
-      };
     } else {
       return {
         operationLog: operationLog.extraArgs.returnValue,
@@ -386,7 +393,14 @@ const CallExpression = <any>{
   visitor(path, isNewExpression = false) {
     const { callee } = path.node;
 
-    var isMemberExpressionCall = callee.type === "MemberExpression";
+    const memberExpressionTypes = [
+      "MemberExpression",
+      "OptionalMemberExpression"
+    ];
+    // For optional calls like a.b?.() the callee is read from a memo value
+    var isMemberExpressionCall =
+      memberExpressionTypes.includes(callee.type) ||
+      memberExpressionTypes.includes(callee.optionalChainOriginalType);
 
     const astArgs: any = {};
 
@@ -411,6 +425,10 @@ const CallExpression = <any>{
       // Prevent syntax error: super' keyword unexpected here
       return;
     }
+    if (calleeType === "Import") {
+      // import() isn't a function, so it can't be passed to the call helper
+      return;
+    }
     if (calleeType === "Identifier") {
       const functionIdentifier = path.node.callee.name;
       if (functionIdentifier === "eval") {
@@ -427,7 +445,7 @@ const CallExpression = <any>{
     }
 
     if (isMemberExpressionCall) {
-      if (callee.object.type === "Super") {
+      if (callee.object && callee.object.type === "Super") {
         // super is not transformed by member expression visitor,
         // so get last member expression object is not updated
         contextArg = ignoredArrayExpression([this.t.thisExpression()]);
@@ -441,12 +459,7 @@ const CallExpression = <any>{
       ];
     }
 
-    const fn = [
-      path.node.callee,
-      isMemberExpressionCall
-        ? getLastOperationTrackingResultCall()
-        : getLastOperationTrackingResultCall()
-    ];
+    const fn = [path.node.callee, getObjectTrackingValue(path.node.callee)];
 
     var fnArgs = [fn, contextArg, args];
 
@@ -561,10 +574,17 @@ function handleNewExpression({
       ];
     }
 
+    let constructorArgValues = fnArgValues;
+    const preProcessor =
+      fnKnownValue && newExpressionPreProcessors[fnKnownValue];
+    if (preProcessor) {
+      constructorArgValues = preProcessor({ ctx, fnArgValues });
+    }
+
     let thisValue = null; // overwritten inside new()
     ret = new (Function.prototype.bind.apply(fn, [
       thisValue,
-      ...fnArgValues
+      ...constructorArgValues
     ]))();
 
     if (doTrackPromiseResolutionValue) {
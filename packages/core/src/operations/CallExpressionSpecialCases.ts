@@ -18,9 +18,30 @@ import addElOrigin, {
   addElAttributeValueOrigin,
   getElAttributeNameOrigin,
   getElAttributeValueOrigin,
-  processClonedNode
+  processClonedNode,
+  addShadowRootOrigin
 } from "./domHelpers/addElOrigin";
-import mapInnerHTMLAssignment from "./domHelpers/mapInnerHTMLAssignment";
+import {
+  getAdjacentInsertionRange,
+  getInsertedNodes,
+  mapInsertedHtml,
+  createTrackedTextNode
+} from "./domHelpers/mapInsertedNodes";
+import {
+  createAttributeReadLog,
+  createFormDataReadLog,
+  trackFormData,
+  getDomCollectionElement
+} from "./domHelpers/trackDomReads";
+import {
+  trackClassListChange,
+  trackStyleChange
+} from "./domHelpers/trackAttributeChanges";
+import getDomWrite from "./domHelpers/getDomWrite";
+import {
+  trackInsertedCssRule,
+  trackStyleSheetText
+} from "../helperFunctions/cssRuleTracking";
 import * as cloneRegExp from "clone-regexp";
 import { doOperation } from "../FunctionNames";
 import * as jsonToAst from "json-to-ast";
@@ -34,6 +55,25 @@ import {
   getShortKnownValueName
 } from "../names";
 import { url } from "inspector";
+import {
+  getStorageName,
+  recordStorageWrite,
+  createStorageValueLog,
+  recordIndexedDBWrite,
+  trackIndexedDBRequest
+} from "../helperFunctions/storageTracking";
+import {
+  trackMessageSource,
+  trackBlobOrigin,
+  trackBlobParts,
+  trackFileReaderBlob,
+  createBlobTextLog
+} from "../helperFunctions/networkTracking";
+import {
+  trackUrlInput,
+  trackSearchParamsInit,
+  createSearchParamLog
+} from "../helperFunctions/urlTracking";
 
 function getFnArg(args, index) {
   return args[2][index];
@@ -89,7 +129,7 @@ const writeFile = ({
   return [ret, null];
 };
 
-function addJsonParseResultTrackingValues(
+export function addJsonParseResultTrackingValues(
   parsed,
   jsonString,
   jsonStringValueAndTrackingValueArray,
@@ -154,6 +194,260 @@ function addJsonParseResultTrackingValues(
   return [parsed, ctx.getEmptyTrackingInfo("JSON.parse result", logData.loc)];
 }
 
+const deleteCollectionEntry = ({ object, fnArgValues, ret, ctx }) => {
+  if (ret) {
+    ctx.untrackCollectionEntries(object, fnArgValues[0]);
+  }
+};
+
+const clearCollection = ({ object, ctx }) => {
+  ctx.untrackCollectionEntries(object);
+};
+
+const trackCollectionIterator = kind => ({ object, ret, ctx }) => {
+  ctx.trackCollectionIterator(ret, object, kind);
+};
+
+function getArrayItemTrackingValues(ctx: ExecContext, array) {
+  const trackingValues: any[] = [];
+  for (let i = 0; i < array.length; i++) {
+    trackingValues.push(ctx.getObjectPropertyTrackingValue(array, i));
+  }
+  return trackingValues;
+}
+
+// For array methods that put existing items into a new position, so the call
+// becomes part of the item history like for slice
+function trackArrayItem(
+  ctx: ExecContext,
+  array,
+  index,
+  operation,
+  valueTrackingValue,
+  logData,
+  runtimeArgs?
+) {
+  ctx.trackObjectPropertyAssignment(
+    array,
+    index.toString(),
+    valueTrackingValue
+      ? ctx.createOperationLog({
+          operation,
+          args: {
+            value: [null, valueTrackingValue],
+            call: [null, logData.index]
+          },
+          runtimeArgs,
+          result: array[index],
+          loc: logData.loc
+        })
+      : null,
+    ctx.createArrayIndexOperationLog(index, logData.loc)
+  );
+}
+
+function arrayHasHoles(array) {
+  for (let i = 0; i < array.length; i++) {
+    if (!(i in array)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// undefined goes last, everything else is compared as strings
+function compareArrayItemsByDefault(a, b) {
+  if (a === undefined) {
+    return b === undefined ? 0 : 1;
+  }
+  if (b === undefined) {
+    return -1;
+  }
+  const aString = String(a);
+  const bString = String(b);
+  return aString < bString ? -1 : aString > bString ? 1 : 0;
+}
+
+// We sort the item indices instead of the items, so we know where each item
+// came from. Sorting is stable, so the order is the same as when sorting the
+// items directly.
+const arraySort = (returnsCopy: boolean) => ({
+  fn,
+  object,
+  fnArgValues,
+  ctx,
+  logData
+}: SpecialCaseArgs) => {
+  const array = object;
+  const compareFn = fnArgValues[0];
+  if (
+    !Array.isArray(array) ||
+    (compareFn !== undefined && typeof compareFn !== "function") ||
+    arrayHasHoles(array)
+  ) {
+    return [fn.apply(array, fnArgValues), null];
+  }
+
+  const trackingValues = getArrayItemTrackingValues(ctx, array);
+  const indices = array.map((item, i) => i);
+  indices.sort((a, b) => {
+    if (!compareFn) {
+      return compareArrayItemsByDefault(array[a], array[b]);
+    }
+    return ctx.global[doOperation](
+      "callExpression",
+      [
+        [compareFn, null],
+        [undefined, null],
+        [[array[a], trackingValues[a]], [array[b], trackingValues[b]]]
+      ],
+      {},
+      logData.loc
+    );
+  });
+
+  const sortedItems = indices.map(i => array[i]);
+  const result = returnsCopy ? [] : array;
+  sortedItems.forEach((item, i) => {
+    result[i] = item;
+    trackArrayItem(
+      ctx,
+      result,
+      i,
+      ctx.operationTypes.arraySort,
+      trackingValues[indices[i]],
+      logData
+    );
+  });
+  return [result, null];
+};
+
+const arrayReverse = ({ object, ret, ctx, logData }) => {
+  // For reverse() the tracking values haven't been updated yet, so this
+  // is still the order before the call
+  const trackingValues = getArrayItemTrackingValues(ctx, object);
+  for (let i = 0; i < ret.length; i++) {
+    trackArrayItem(
+      ctx,
+      ret,
+      i,
+      ctx.operationTypes.arrayReverse,
+      trackingValues[ret.length - 1 - i],
+      logData
+    );
+  }
+};
+
+const arrayFind = ({ extraState, object, ctx }) => {
+  if (extraState.foundIndex === undefined) {
+    return null;
+  }
+  return ctx.getObjectPropertyTrackingValue(object, extraState.foundIndex);
+};
+
+const arrayFindIndex = ({ extraState, object, ctx }) => {
+  if (extraState.foundIndex === undefined) {
+    return null;
+  }
+  return ctx.getObjectPropertyNameTrackingValue(object, extraState.foundIndex);
+};
+
+// Used for replaceAll too, the replacement function is called for every match
+const stringReplace = ({
+  ctx,
+  object,
+  fnArgValues,
+  args,
+  extraTrackingValues,
+  logData,
+  fnKnownValue
+}: SpecialCaseArgs) => {
+  let index = 0;
+  var ret = ctx.knownValues
+    .getValue(fnKnownValue!)
+    .call(object, fnArgValues[0], function() {
+      var argumentsArray = Array.prototype.slice.apply(arguments, []);
+      var match = argumentsArray[0];
+      var submatches = argumentsArray.slice(1, argumentsArray.length - 2);
+      var offset = argumentsArray[argumentsArray.length - 2];
+      var string = argumentsArray[argumentsArray.length - 1];
+
+      var newArgsArray = [match, ...submatches, offset, string];
+      let replacement;
+      let replacementParameter = fnArgValues[1];
+      if (["string", "number"].includes(typeof replacementParameter)) {
+        let replacementValue = replacementParameter.toString();
+        replacementValue = replacementValue.replace(
+          new RegExp(
+            // I'm using fromCharCode because the string escaping for helperCode
+            // doesn't work properly... if it's fixed we can just uses backtick directly
+            "\\$([0-9]{1,2}|[$" +
+            String.fromCharCode(96) /* backtick */ +
+              "&'])",
+            "g"
+          ),
+          function(dollarMatch, dollarSubmatch) {
+            var submatchIndex = parseFloat(dollarSubmatch);
+            if (!isNaN(submatchIndex)) {
+              var submatch = submatches[submatchIndex - 1]; // $n is one-based, array is zero-based
+              if (submatch === undefined) {
+                var maxSubmatchIndex = countGroupsInRegExp(getFnArg(args, 0));
+
+                var submatchIsDefinedInRegExp =
+                  submatchIndex < maxSubmatchIndex;
+
+                // handle cases like where part of the number isn't for the submatch
+                // e.g. here the match is $1 and 234 should be kept
+                // "".replace(/(a-z)/, "$1234")
+                let submatchIndexStr = submatchIndex + "";
+                let firstDigit = parseFloat(submatchIndexStr[0]);
+                if (submatchIndex >= 10) {
+                  return submatches[firstDigit - 1] + submatchIndexStr.slice(1);
+                }
+
+                if (submatchIsDefinedInRegExp) {
+                  submatch = "";
+                } else {
+                  submatch = "$" + dollarSubmatch;
+                }
+              }
+              return submatch;
+            } else if (dollarSubmatch === "&") {
+              return match;
+            } else {
+              throw "not handled!!";
+            }
+          }
+        );
+        replacement = replacementValue;
+      } else {
+        throw Error("unhandled replacement param type");
+      }
+
+      extraTrackingValues[getShortExtraArgName("replacement" + index)] = [
+        null,
+        ctx.createOperationLog({
+          operation: ctx.operationTypes.stringReplacement,
+          args: {
+            value: getFnArg(args, 1)
+          },
+          astArgs: {},
+          result: replacement,
+          loc: logData.loc,
+          runtimeArgs: {
+            start: offset,
+            end: offset + match.length
+          }
+        })
+      ];
+
+      index++;
+      return replacement;
+    });
+  var retT = null;
+  return [ret, retT];
+};
+
 export const specialCasesWhereWeDontCallTheOriginalFunction: {
   [knownValueName: string]: (args: SpecialCaseArgs) => any;
 } = {
@@ -228,101 +522,10 @@ export const specialCasesWhereWeDontCallTheOriginalFunction: {
 
     return [ret, null];
   },
-  [getShortKnownValueName("String.prototype.replace")]: ({
-    ctx,
-    object,
-    fnArgValues,
-    args,
-    extraTrackingValues,
-    logData
-  }) => {
-    let index = 0;
-    var ret = ctx.knownValues
-      .getValue("String.prototype.replace")
-      .call(object, fnArgValues[0], function() {
-        var argumentsArray = Array.prototype.slice.apply(arguments, []);
-        var match = argumentsArray[0];
-        var submatches = argumentsArray.slice(1, argumentsArray.length - 2);
-        var offset = argumentsArray[argumentsArray.length - 2];
-        var string = argumentsArray[argumentsArray.length - 1];
-
-        var newArgsArray = [match, ...submatches, offset, string];
-        let replacement;
-        let replacementParameter = fnArgValues[1];
-        if (["string", "number"].includes(typeof replacementParameter)) {
-          let replacementValue = replacementParameter.toString();
-          replacementValue = replacementValue.replace(
-            new RegExp(
-              // I'm using fromCharCode because the string escaping for helperCode
-              // doesn't work properly... if it's fixed we can just uses backtick directly
-              "\\$([0-9]{1,2}|[$" +
-              String.fromCharCode(96) /* backtick */ +
-                "&'])",
-              "g"
-            ),
-            function(dollarMatch, dollarSubmatch) {
-              var submatchIndex = parseFloat(dollarSubmatch);
-              if (!isNaN(submatchIndex)) {
-                var submatch = submatches[submatchIndex - 1]; // $n is one-based, array is zero-based
-                if (submatch === undefined) {
-                  var maxSubmatchIndex = countGroupsInRegExp(getFnArg(args, 0));
-
-                  var submatchIsDefinedInRegExp =
-                    submatchIndex < maxSubmatchIndex;
-
-                  // handle cases like where part of the number isn't for the submatch
-                  // e.g. here the match is $1 and 234 should be kept
-                  // "".replace(/(a-z)/, "$1234")
-                  let submatchIndexStr = submatchIndex + "";
-                  let firstDigit = parseFloat(submatchIndexStr[0]);
-                  if (submatchIndex >= 10) {
-                    return (
-                      submatches[firstDigit - 1] + submatchIndexStr.slice(1)
-                    );
-                  }
-
-                  if (submatchIsDefinedInRegExp) {
-                    submatch = "";
-                  } else {
-                    submatch = "$" + dollarSubmatch;
-                  }
-                }
-                return submatch;
-              } else if (dollarSubmatch === "&") {
-                return match;
-              } else {
-                throw "not handled!!";
-              }
-            }
-          );
-          replacement = replacementValue;
-        } else {
-          throw Error("unhandled replacement param type");
-        }
-
-        extraTrackingValues[getShortExtraArgName("replacement" + index)] = [
-          null,
-          ctx.createOperationLog({
-            operation: ctx.operationTypes.stringReplacement,
-            args: {
-              value: getFnArg(args, 1)
-            },
-            astArgs: {},
-            result: replacement,
-            loc: logData.loc,
-            runtimeArgs: {
-              start: offset,
-              end: offset + match.length
-            }
-          })
-        ];
-
-        index++;
-        return replacement;
-      });
-    var retT = null;
-    return [ret, retT];
-  },
+  [getShortKnownValueName("Array.prototype.sort")]: arraySort(false),
+  [getShortKnownValueName("Array.prototype.toSorted")]: arraySort(true),
+  [getShortKnownValueName("String.prototype.replace")]: stringReplace,
+  [getShortKnownValueName("String.prototype.replaceAll")]: stringReplace,
   [getShortKnownValueName("JSON.parse")]: ({
     fn,
     ctx,
@@ -437,6 +640,71 @@ export const specialCasesWhereWeDontCallTheOriginalFunction: {
   [getShortKnownValueName("fs.writeFile")]: writeFile
 };
 
+function mapInsertedHtmlInRange(
+  insertionRange,
+  html,
+  htmlTrackingValue,
+  actionName: string
+) {
+  if (!insertionRange || typeof html !== "string") {
+    return;
+  }
+  mapInsertedHtml(
+    getInsertedNodes(insertionRange),
+    html,
+    htmlTrackingValue,
+    actionName
+  );
+}
+
+// While the page is loading document.write inserts the HTML after the
+// current script, later on it replaces the document and we don't track it
+function documentWritePostProcessor(actionName: string) {
+  return ({
+    object,
+    extraState,
+    fnArgValues,
+    fnArgTrackingValues,
+    runtimeArgs
+  }: SpecialCaseArgs) => {
+    if (fnArgValues.length !== 1) {
+      consoleLog("Not tracking " + actionName + " with several arguments");
+      return;
+    }
+    runtimeArgs.domWrite = getDomWrite(object, actionName);
+    const html =
+      fnArgValues[0] + (actionName === "document.writeln" ? "\n" : "");
+    mapInsertedHtmlInRange(
+      extraState.insertionRange,
+      html,
+      fnArgTrackingValues[0],
+      actionName
+    );
+  };
+}
+
+// addedArgIndexes are the arguments that can add a class name, by default
+// all of them
+function classListPostProcessor(
+  methodName: string,
+  addedArgIndexes?: number[]
+) {
+  return ({ ctx, extraState, fnArgValues, fnArgTrackingValues, logData }) => {
+    if (!extraState.classListElement) {
+      return;
+    }
+    const argIndexes = addedArgIndexes || fnArgValues.map((arg, i) => i);
+    trackClassListChange(
+      ctx,
+      extraState.classListElement,
+      "classList." + methodName,
+      extraState.oldClassValue,
+      argIndexes.map(i => [fnArgValues[i], fnArgTrackingValues[i]]),
+      logData.loc
+    );
+  };
+}
+
 // add tracking values to returned objects
 export const specialValuesForPostprocessing: {
   [knownValueName: string]: (args: SpecialCaseArgs) => any;
@@ -479,6 +747,104 @@ export const specialValuesForPostprocessing: {
       });
     }
   },
+  [getShortKnownValueName("HTMLElement.prototype.getAttribute")]: ({
+    object,
+    ctx,
+    logData,
+    fnArgValues,
+    ret
+  }) => {
+    if (ret === null) {
+      return null;
+    }
+    return createAttributeReadLog(
+      ctx,
+      object,
+      String(fnArgValues[0]).toLowerCase(),
+      ret,
+      logData.loc
+    );
+  },
+  [getShortKnownValueName("FormData.prototype.get")]: ({
+    object,
+    ctx,
+    logData,
+    fnArgValues,
+    ret
+  }) => {
+    return createFormDataReadLog(ctx, object, fnArgValues[0], ret, logData.loc);
+  },
+  [getShortKnownValueName("URLSearchParams.prototype.get")]: ({
+    object,
+    ctx,
+    logData,
+    fnArgValues,
+    ret
+  }) => {
+    if (ret === null) {
+      return null;
+    }
+    return createSearchParamLog(
+      ctx,
+      object,
+      String(fnArgValues[0]),
+      ret,
+      0,
+      logData.loc
+    );
+  },
+  [getShortKnownValueName("URLSearchParams.prototype.getAll")]: ({
+    object,
+    ctx,
+    logData,
+    fnArgValues,
+    ret
+  }) => {
+    ret.forEach((value, i) => {
+      ctx.trackObjectPropertyAssignment(
+        ret,
+        i,
+        createSearchParamLog(
+          ctx,
+          object,
+          String(fnArgValues[0]),
+          value,
+          i,
+          logData.loc
+        )
+      );
+    });
+  },
+  [getShortKnownValueName("localStorage.getItem")]: ({
+    object,
+    ctx,
+    logData,
+    fnArgValues,
+    ret
+  }) => {
+    const storageName = getStorageName(ctx, object);
+    if (!storageName || ret === null) {
+      return null;
+    }
+    return createStorageValueLog(
+      ctx,
+      storageName,
+      fnArgValues[0],
+      ret,
+      logData.loc
+    );
+  },
+  [getShortKnownValueName("IDBObjectStore.prototype.get")]: ({
+    object,
+    fnArgValues,
+    ret
+  }) => {
+    trackIndexedDBRequest(ret, object, fnArgValues[0]);
+  },
+  [getShortKnownValueName("IDBIndex.prototype.get")]: ({ object, ret }) => {
+    // We only know the index key, the primary key is read from the result
+    trackIndexedDBRequest(ret, object.objectStore, undefined);
+  },
   [getShortKnownValueName("Promise.resolve")]: ({
     object,
     ctx,
@@ -1092,37 +1458,277 @@ export const specialValuesForPostprocessing: {
       }
     });
   },
-  [getShortKnownValueName("document.createElement")]: ({
+  [getShortKnownValueName("Array.prototype.reverse")]: arrayReverse,
+  [getShortKnownValueName("Array.prototype.toReversed")]: arrayReverse,
+  [getShortKnownValueName("Array.prototype.find")]: arrayFind,
+  [getShortKnownValueName("Array.prototype.findLast")]: arrayFind,
+  [getShortKnownValueName("Array.prototype.findIndex")]: arrayFindIndex,
+  [getShortKnownValueName("Array.prototype.findLastIndex")]: arrayFindIndex,
+  [getShortKnownValueName("Array.prototype.fill")]: ({
+    object,
+    fnArgValues,
     fnArgTrackingValues,
-    ret
+    ctx,
+    logData
   }) => {
-    addOriginInfoToCreatedElement(
-      ret,
-      fnArgTrackingValues[0],
-      "document.createElement"
-    );
+    const length = object.length;
+    function getIndex(value, defaultIndex) {
+      if (value === undefined) {
+        return defaultIndex;
+      }
+      const index = Math.trunc(Number(value)) || 0;
+      return index < 0 ? Math.max(length + index, 0) : Math.min(index, length);
+    }
+    const start = getIndex(fnArgValues[1], 0);
+    const end = getIndex(fnArgValues[2], length);
+    for (let i = start; i < end; i++) {
+      ctx.trackObjectPropertyAssignment(
+        object,
+        i.toString(),
+        fnArgTrackingValues[0],
+        ctx.createArrayIndexOperationLog(i, logData.loc)
+      );
+    }
   },
-  [getShortKnownValueName("document.createTextNode")]: ({
-    fnArgTrackingValues,
-    ret
+  [getShortKnownValueName("Array.prototype.flat")]: ({
+    object,
+    fnArgValues,
+    ret,
+    ctx,
+    logData
   }) => {
-    addElOrigin(ret, "textValue", {
-      trackingValue: fnArgTrackingValues[0]
+    const depth =
+      fnArgValues[0] === undefined ? 1 : Math.trunc(Number(fnArgValues[0]));
+    const trackingValues: any[] = [];
+    function collectTrackingValues(array, depth) {
+      // forEach skips empty slots, like flat does
+      Array.prototype.forEach.call(array, (item, i) => {
+        if (Array.isArray(item) && depth >= 1) {
+          collectTrackingValues(item, depth - 1);
+        } else {
+          trackingValues.push(ctx.getObjectPropertyTrackingValue(array, i));
+        }
+      });
+    }
+    collectTrackingValues(object, depth);
+    ret.forEach((item, i) => {
+      trackArrayItem(
+        ctx,
+        ret,
+        i,
+        ctx.operationTypes.arrayFlat,
+        trackingValues[i],
+        logData
+      );
     });
   },
-  [getShortKnownValueName("document.createComment")]: ({
-    fnArgTrackingValues,
-    ret
+  [getShortKnownValueName("Array.prototype.flatMap")]: ({
+    extraState,
+    ret,
+    ctx,
+    logData
   }) => {
-    addElOrigin(ret, "textValue", {
-      trackingValue: fnArgTrackingValues[0]
+    const trackingValues: any[] = [];
+    extraState.mapResults.forEach(({ value, trackingValue }) => {
+      if (Array.isArray(value)) {
+        value.forEach((item, i) => {
+          trackingValues.push(ctx.getObjectPropertyTrackingValue(value, i));
+        });
+      } else {
+        trackingValues.push(trackingValue);
+      }
+    });
+    ret.forEach((item, i) => {
+      trackArrayItem(
+        ctx,
+        ret,
+        i,
+        ctx.operationTypes.arrayFlat,
+        trackingValues[i],
+        logData
+      );
     });
   },
-  [getShortKnownValueName("HTMLElement.prototype.cloneNode")]: ({
+  [getShortKnownValueName("Array.from")]: ({
+    extraState,
     ret,
-    object,
-    fnArgTrackingValues,
-    fnArgValues
+    ctx,
+    logData,
+    fnArgTrackingValues
+  }) => {
+    if (!Array.isArray(ret)) {
+      return;
+    }
+    const { items, mapResultTrackingValues } = extraState;
+    let charIndex = 0;
+    ret.forEach((item, i) => {
+      if (mapResultTrackingValues) {
+        ctx.trackObjectPropertyAssignment(
+          ret,
+          i.toString(),
+          mapResultTrackingValues[i],
+          ctx.createArrayIndexOperationLog(i, logData.loc)
+        );
+      } else if (typeof items === "string") {
+        // One item per code point, so some items have two characters
+        trackArrayItem(
+          ctx,
+          ret,
+          i,
+          ctx.operationTypes.arrayFrom,
+          fnArgTrackingValues[0],
+          logData,
+          { charIndex }
+        );
+        charIndex += item.length;
+      } else {
+        trackArrayItem(
+          ctx,
+          ret,
+          i,
+          ctx.operationTypes.arrayFrom,
+          ctx.getObjectPropertyTrackingValue(items, i),
+          logData
+        );
+      }
+    });
+  },
+  [getShortKnownValueName("Array.of")]: ({
+    ret,
+    ctx,
+    logData,
+    fnArgTrackingValues
+  }) => {
+    fnArgTrackingValues.forEach((trackingValue, i) => {
+      ctx.trackObjectPropertyAssignment(
+        ret,
+        i.toString(),
+        trackingValue,
+        ctx.createArrayIndexOperationLog(i, logData.loc)
+      );
+    });
+  },
+  [getShortKnownValueName("String.prototype.concat")]: ({
+    object,
+    fnArgValues,
+    runtimeArgs
+  }) => {
+    runtimeArgs.partLengths = [object, ...fnArgValues].map(
+      value => String(value).length
+    );
+  },
+  [getShortKnownValueName("String.raw")]: ({
+    fnArgValues,
+    runtimeArgs,
+    extraTrackingValues,
+    ctx
+  }) => {
+    const [{ raw }, ...substitutions] = fnArgValues;
+    // raw strings and substitutions alternate: raw0 sub0 raw1 sub1 ... rawN
+    const partLengths: number[] = [];
+    for (let i = 0; i < raw.length; i++) {
+      partLengths.push(String(raw[i]).length);
+      extraTrackingValues["rawString" + i] = [
+        null,
+        ctx.getObjectPropertyTrackingValue(raw, i)
+      ];
+      if (i < raw.length - 1) {
+        partLengths.push(
+          i < substitutions.length ? String(substitutions[i]).length : 0
+        );
+      }
+    }
+    runtimeArgs.partLengths = partLengths;
+  },
+  [getShortKnownValueName("Map.prototype.set")]: ({
+    object,
+    fnArgValues,
+    fnArgTrackingValues,
+    ctx
+  }) => {
+    ctx.trackCollectionEntry(
+      object,
+      fnArgValues[0],
+      fnArgTrackingValues[1],
+      fnArgTrackingValues[0]
+    );
+  },
+  [getShortKnownValueName("Map.prototype.get")]: ({
+    object,
+    fnArgValues,
+    ctx
+  }) => {
+    const trackingValues = ctx.getCollectionEntryTrackingValues(
+      object,
+      fnArgValues[0]
+    );
+    return trackingValues && trackingValues.value;
+  },
+  [getShortKnownValueName("Set.prototype.add")]: ({
+    object,
+    fnArgValues,
+    fnArgTrackingValues,
+    ctx
+  }) => {
+    if (!ctx.getCollectionEntryTrackingValues(object, fnArgValues[0])) {
+      ctx.trackCollectionEntry(
+        object,
+        fnArgValues[0],
+        fnArgTrackingValues[0],
+        fnArgTrackingValues[0]
+      );
+    }
+  },
+  [getShortKnownValueName("Map.prototype.delete")]: deleteCollectionEntry,
+  [getShortKnownValueName("Set.prototype.delete")]: deleteCollectionEntry,
+  [getShortKnownValueName("Map.prototype.clear")]: clearCollection,
+  [getShortKnownValueName("Set.prototype.clear")]: clearCollection,
+  [getShortKnownValueName("Map.prototype.entries")]: trackCollectionIterator(
+    "entries"
+  ),
+  [getShortKnownValueName("Map.prototype.keys")]: trackCollectionIterator(
+    "keys"
+  ),
+  [getShortKnownValueName("Map.prototype.values")]: trackCollectionIterator(
+    "values"
+  ),
+  [getShortKnownValueName("Set.prototype.entries")]: trackCollectionIterator(
+    "entries"
+  ),
+  [getShortKnownValueName("Set.prototype.values")]: trackCollectionIterator(
+    "values"
+  ),
+  [getShortKnownValueName("document.createElement")]: ({
+    fnArgTrackingValues,
+    ret
+  }) => {
+    addOriginInfoToCreatedElement(
+      ret,
+      fnArgTrackingValues[0],
+      "document.createElement"
+    );
+  },
+  [getShortKnownValueName("document.createTextNode")]: ({
+    fnArgTrackingValues,
+    ret
+  }) => {
+    addElOrigin(ret, "textValue", {
+      trackingValue: fnArgTrackingValues[0]
+    });
+  },
+  [getShortKnownValueName("document.createComment")]: ({
+    fnArgTrackingValues,
+    ret
+  }) => {
+    addElOrigin(ret, "textValue", {
+      trackingValue: fnArgTrackingValues[0]
+    });
+  },
+  [getShortKnownValueName("HTMLElement.prototype.cloneNode")]: ({
+    ret,
+    object,
+    fnArgTrackingValues,
+    fnArgValues
   }) => {
     const isDeep = !!fnArgValues[0];
     processClonedNode(ret, object, { isDeep });
@@ -1137,13 +1743,22 @@ export const specialValuesForPostprocessing: {
     const isDeep = !!fnArgValues[1];
     processClonedNode(ret, importedNode, { isDeep });
   },
+  [getShortKnownValueName("HTMLElement.prototype.attachShadow")]: ({
+    object,
+    logData,
+    ret
+  }) => {
+    addShadowRootOrigin(object, ret, logData.index);
+  },
   [getShortKnownValueName("HTMLElement.prototype.setAttribute")]: ({
     object,
     fnArgTrackingValues,
-    fnArgValues
+    fnArgValues,
+    runtimeArgs
   }) => {
     const [attrNameArg, attrValueArg] = fnArgTrackingValues;
     let attrName = fnArgValues[0];
+    runtimeArgs.domWrite = getDomWrite(object, String(attrName));
     addElAttributeNameOrigin(object, attrName, {
       trackingValue: attrNameArg
     });
@@ -1153,31 +1768,130 @@ export const specialValuesForPostprocessing: {
   },
   [getShortKnownValueName("HTMLElement.prototype.insertAdjacentHTML")]: ({
     object,
+    extraState,
     fnArgTrackingValues,
-    fnArgValues
+    fnArgValues,
+    runtimeArgs
   }) => {
-    const position = fnArgValues[0].toLowerCase();
-    if (position !== "afterbegin") {
-      consoleLog("Not tracking insertAdjacentHTML at", position);
+    runtimeArgs.domWrite = getDomWrite(object, "insertAdjacentHTML");
+    mapInsertedHtmlInRange(
+      extraState.insertionRange,
+      fnArgValues[1],
+      fnArgTrackingValues[1],
+      "insertAdjacentHTML"
+    );
+  },
+  [getShortKnownValueName("HTMLElement.prototype.insertAdjacentText")]: ({
+    object,
+    extraState,
+    fnArgTrackingValues,
+    runtimeArgs
+  }) => {
+    runtimeArgs.domWrite = getDomWrite(object, "insertAdjacentText");
+    if (!extraState.insertionRange) {
       return;
     }
-
-    var el = object;
-
-    const html = fnArgValues[1];
-
-    const helperDiv = document.createElement("div");
-    helperDiv.innerHTML = html;
-    const nodeAddedCount = helperDiv.childNodes.length;
-    var childNodesBefore = Array.from(el.childNodes).slice(nodeAddedCount);
-
-    mapInnerHTMLAssignment(
-      el,
-      [html, fnArgTrackingValues[1]],
-      "insertAdjacentHTML",
-      undefined,
-      undefined,
-      childNodesBefore
+    const [textNode] = getInsertedNodes(extraState.insertionRange);
+    if (textNode && textNode.nodeType === Node.TEXT_NODE) {
+      addElOrigin(textNode, "textValue", {
+        trackingValue: fnArgTrackingValues[1]
+      });
+    }
+  },
+  [getShortKnownValueName("Range.prototype.createContextualFragment")]: ({
+    fnArgTrackingValues,
+    fnArgValues,
+    ret
+  }) => {
+    if (typeof fnArgValues[0] !== "string") {
+      return;
+    }
+    mapInsertedHtml(
+      Array.from(ret.childNodes),
+      fnArgValues[0],
+      fnArgTrackingValues[0],
+      "createContextualFragment"
+    );
+  },
+  [getShortKnownValueName("document.write")]: documentWritePostProcessor(
+    "document.write"
+  ),
+  [getShortKnownValueName("document.writeln")]: documentWritePostProcessor(
+    "document.writeln"
+  ),
+  [getShortKnownValueName(
+    "DOMTokenList.prototype.add"
+  )]: classListPostProcessor("add"),
+  [getShortKnownValueName(
+    "DOMTokenList.prototype.remove"
+  )]: classListPostProcessor("remove", []),
+  [getShortKnownValueName(
+    "DOMTokenList.prototype.toggle"
+  )]: classListPostProcessor("toggle", [0]),
+  [getShortKnownValueName(
+    "DOMTokenList.prototype.replace"
+  )]: classListPostProcessor("replace", [1]),
+  [getShortKnownValueName("CSSStyleDeclaration.prototype.setProperty")]: ({
+    ctx,
+    object,
+    extraState,
+    fnArgValues,
+    fnArgTrackingValues,
+    logData
+  }) => {
+    if (!object["__element"]) {
+      return;
+    }
+    trackStyleChange(
+      ctx,
+      object["__element"],
+      "style.setProperty",
+      extraState.oldStyleValue,
+      [fnArgValues[0], fnArgTrackingValues[0]],
+      [fnArgValues[1], fnArgTrackingValues[1]],
+      logData.loc
+    );
+  },
+  [getShortKnownValueName("CSSStyleSheet.prototype.insertRule")]: ({
+    object,
+    fnArgTrackingValues,
+    ret
+  }) => {
+    trackInsertedCssRule(object, ret, fnArgTrackingValues[0]);
+  },
+  [getShortKnownValueName("CSSStyleSheet.prototype.replaceSync")]: ({
+    object,
+    fnArgValues,
+    fnArgTrackingValues
+  }) => {
+    trackStyleSheetText(
+      object,
+      fnArgValues[0],
+      fnArgTrackingValues[0],
+      "replaceSync"
+    );
+  },
+  [getShortKnownValueName("CSSStyleSheet.prototype.replace")]: ({
+    ctx,
+    object,
+    fnArgValues,
+    fnArgTrackingValues,
+    ret
+  }) => {
+    let then = ctx.knownValues.getValue("Promise.prototype.then");
+    // Runs before any handlers the page adds
+    then.call(
+      ret,
+      () => {
+        trackStyleSheetText(
+          object,
+          fnArgValues[0],
+          fnArgTrackingValues[0],
+          "replace"
+        );
+      },
+      // The page handles the rejection of ret itself
+      () => {}
     );
   },
   [getShortKnownValueName("DOMParser.prototype.parseFromString")]: ({
@@ -1255,6 +1969,73 @@ export const specialValuesForPostprocessing: {
   }
 };
 
+function getArgPrimitive(operationLog, argIndex) {
+  const arg = operationLog.args["arg" + argIndex];
+  return arg ? arg.result.primitive : undefined;
+}
+
+// For strings that were put together from several parts
+function getPartAtCharIndex(partLengths: number[], charIndex: number) {
+  let partStart = 0;
+  for (let partIndex = 0; partIndex < partLengths.length; partIndex++) {
+    if (charIndex < partStart + partLengths[partIndex]) {
+      return { partIndex, charIndex: charIndex - partStart };
+    }
+    partStart += partLengths[partIndex];
+  }
+  return null;
+}
+
+// Formatted numbers like "$1,234.50" have extra characters, so we match up
+// the digits of the formatted string with the digits of the number
+function getNumberCharIndex(formatted, number, charIndex) {
+  if (typeof formatted !== "string" || typeof number !== "number") {
+    return charIndex;
+  }
+  const isDigit = char => char >= "0" && char <= "9";
+  let digitIndex = -1;
+  for (let i = 0; i <= charIndex && i < formatted.length; i++) {
+    if (isDigit(formatted[i])) {
+      digitIndex++;
+    }
+  }
+  if (digitIndex === -1) {
+    // e.g. a currency symbol
+    return 0;
+  }
+
+  const numberString = String(number);
+  let numberDigitIndex = -1;
+  let lastDigitCharIndex = 0;
+  for (let i = 0; i < numberString.length; i++) {
+    if (isDigit(numberString[i])) {
+      numberDigitIndex++;
+      lastDigitCharIndex = i;
+      if (numberDigitIndex === digitIndex) {
+        return i;
+      }
+    }
+  }
+  // Padding zeros, e.g. from toFixed
+  return lastDigitCharIndex;
+}
+
+// Dates can be formatted in lots of ways, so we only keep the character index
+// if the date was created from a string that looks the same, e.g. with
+// new Date(isoString).toISOString()
+function getDateCharIndex(formattedLog, dateLog, charIndex) {
+  const dateArg =
+    dateLog && typeof dateLog.args === "object" && dateLog.args.arg0;
+  if (
+    dateArg &&
+    dateArg.result &&
+    dateArg.result.primitive === formattedLog.result.primitive
+  ) {
+    return charIndex;
+  }
+  return 0;
+}
+
 export function traverseKnownFunction({
   operationLog,
   knownFunction,
@@ -1262,6 +2043,7 @@ export function traverseKnownFunction({
 }) {
   switch (knownFunction) {
     case "String.prototype.toString":
+    case "String.prototype.valueOf":
       return {
         operationLog: operationLog.args.context,
         charIndex
@@ -1338,6 +2120,8 @@ export function traverseKnownFunction({
       return m.getAtResultIndex(charIndex, true);
 
     case "String.prototype.trim":
+    case "String.prototype.trimStart":
+    case "String.prototype.trimLeft":
       let str = operationLog.args.context.result.primitive;
       let whitespaceAtStart = str.match(/^\s*/)[0].length;
       return {
@@ -1388,6 +2172,7 @@ export function traverseKnownFunction({
       };
 
     case "String.prototype.replace":
+    case "String.prototype.replaceAll":
       // I'm not 100% confident about this code, but it works for now
 
       let matchingReplacement = null;
@@ -1469,15 +2254,56 @@ export function traverseKnownFunction({
         charIndex: charIndex - closestLoc.index
       };
     case "Number.prototype.toString":
-    case "Number.prototype.toFixed":
       return {
         operationLog: operationLog.args.context,
         charIndex: charIndex
       };
+    case "Number.prototype.toFixed":
     case "Number.prototype.toPrecision":
+    case "Number.prototype.toExponential":
+    case "Number.prototype.toLocaleString":
       return {
         operationLog: operationLog.args.context,
-        charIndex: charIndex
+        charIndex: getNumberCharIndex(
+          operationLog.result.primitive,
+          operationLog.args.context.result.primitive,
+          charIndex
+        )
+      };
+    case "Intl.NumberFormat.prototype.format":
+      return {
+        operationLog: operationLog.args.arg0,
+        charIndex: getNumberCharIndex(
+          operationLog.result.primitive,
+          getArgPrimitive(operationLog, 0),
+          charIndex
+        )
+      };
+    case "Date.prototype.toISOString":
+    case "Date.prototype.toJSON":
+    case "Date.prototype.toString":
+    case "Date.prototype.toDateString":
+    case "Date.prototype.toTimeString":
+    case "Date.prototype.toUTCString":
+    case "Date.prototype.toLocaleString":
+    case "Date.prototype.toLocaleDateString":
+    case "Date.prototype.toLocaleTimeString":
+      return {
+        operationLog: operationLog.args.context,
+        charIndex: getDateCharIndex(
+          operationLog,
+          operationLog.args.context,
+          charIndex
+        )
+      };
+    case "Intl.DateTimeFormat.prototype.format":
+      return {
+        operationLog: operationLog.args.arg0,
+        charIndex: getDateCharIndex(
+          operationLog,
+          operationLog.args.arg0,
+          charIndex
+        )
       };
     case "Number.prototype.constructor":
       return {
@@ -1494,6 +2320,94 @@ export function traverseKnownFunction({
         operationLog: operationLog.args.context,
         charIndex: charIndex + operationLog.args.arg0.result.primitive
       };
+    case "String.prototype.at": {
+      const str = operationLog.args.context.result.primitive;
+      let index = Math.trunc(getArgPrimitive(operationLog, 0)) || 0;
+      if (index < 0) {
+        index += str.length;
+      }
+      return {
+        operationLog: operationLog.args.context,
+        charIndex: charIndex + index
+      };
+    }
+    case "String.prototype.charCodeAt":
+    case "String.prototype.codePointAt":
+      // The result is a number, go to the character it's for
+      return {
+        operationLog: operationLog.args.context,
+        charIndex: Math.trunc(getArgPrimitive(operationLog, 0)) || 0
+      };
+    case "String.prototype.padStart":
+    case "String.prototype.padEnd": {
+      const str = operationLog.args.context.result.primitive;
+      const paddingLength = operationLog.result.primitive.length - str.length;
+      const paddingIsAtStart = knownFunction === "String.prototype.padStart";
+      const paddingStart = paddingIsAtStart ? 0 : str.length;
+      if (
+        charIndex < paddingStart ||
+        charIndex >= paddingStart + paddingLength
+      ) {
+        return {
+          operationLog: operationLog.args.context,
+          charIndex: paddingIsAtStart ? charIndex - paddingLength : charIndex
+        };
+      }
+      const padStringArg = operationLog.args.arg1;
+      if (!padStringArg) {
+        // Padded with the default " "
+        return null;
+      }
+      // The pad string is repeated as often as needed
+      const padString = String(padStringArg.result.primitive);
+      return {
+        operationLog: padStringArg,
+        charIndex: (charIndex - paddingStart) % padString.length
+      };
+    }
+    case "String.prototype.repeat":
+      return {
+        operationLog: operationLog.args.context,
+        charIndex: charIndex % operationLog.args.context.result.primitive.length
+      };
+    case "String.prototype.concat": {
+      const part = getPartAtCharIndex(
+        operationLog.runtimeArgs.partLengths,
+        charIndex
+      );
+      if (!part) {
+        return null;
+      }
+      return {
+        operationLog:
+          part.partIndex === 0
+            ? operationLog.args.context
+            : operationLog.args["arg" + (part.partIndex - 1)],
+        charIndex: part.charIndex
+      };
+    }
+    case "String.raw": {
+      const part = getPartAtCharIndex(
+        operationLog.runtimeArgs.partLengths,
+        charIndex
+      );
+      if (!part) {
+        return null;
+      }
+      const isRawString = part.partIndex % 2 === 0;
+      return {
+        operationLog: isRawString
+          ? operationLog.extraArgs["rawString" + part.partIndex / 2]
+          : operationLog.args["arg" + (part.partIndex + 1) / 2],
+        charIndex: part.charIndex
+      };
+    }
+    case "String.fromCharCode":
+      // Each argument is one character code
+      return {
+        operationLog: operationLog.args["arg" + charIndex],
+        charIndex: 0
+      };
     case "Math.round":
       return {
         operationLog: operationLog.args.arg0,
@@ -1536,6 +2450,12 @@ export function traverseKnownFunction({
     case "Date.prototype.valueOf":
     case "String.prototype.toLowerCase":
     case "String.prototype.toUpperCase":
+    case "String.prototype.toLocaleLowerCase":
+    case "String.prototype.toLocaleUpperCase":
+    case "String.prototype.trimEnd":
+    case "String.prototype.trimRight":
+    case "String.prototype.normalize":
+    case "String.prototype.toWellFormed":
       return {
         operationLog: operationLog.args.context,
         charIndex
@@ -1556,6 +2476,9 @@ export function traverseKnownFunction({
 }
 
 export interface FnProcessorArgs {
+  // The function that's about to be called, e.g. Function.prototype.call
+  // for postMessage.call(target, data)
+  fn: any;
   extraState: any;
   setArgValuesForApply: (vals: any) => void;
   fnArgValues: any[];
@@ -1573,7 +2496,217 @@ export interface FnProcessorArgs {
   fnArgTrackingValuesAtInvocation: any[];
 }
 
+// Remembers which item the find/findIndex predicate matched first
+const arrayFindProcessor = ({
+  extraState,
+  getFnArgForApply,
+  setFnArgForApply,
+  ctx,
+  logData
+}: FnProcessorArgs) => {
+  const originalPredicate = getFnArgForApply(0);
+  setFnArgForApply(0, function(this: any, item, index, array) {
+    const ret = ctx.global[doOperation](
+      "callExpression",
+      [
+        [originalPredicate, null],
+        [this, null],
+        [
+          [item, ctx.getObjectPropertyTrackingValue(array, index)],
+          [index, null],
+          [array, null]
+        ]
+      ],
+      {},
+      logData.loc
+    );
+    if (ret && extraState.foundIndex === undefined) {
+      extraState.foundIndex = index;
+    }
+    return ret;
+  });
+};
+
+// The forEach callback is called with (value, key, collection), for Sets
+// the key is the value
+const collectionForEach = ({
+  getFnArgForApply,
+  setFnArgForApply,
+  ctx,
+  logData
+}: FnProcessorArgs) => {
+  const originalCallback = getFnArgForApply(0);
+  setFnArgForApply(0, function(this: any, value, key, collection) {
+    const trackingValues =
+      ctx.getCollectionEntryTrackingValues(collection, key) || <any>{};
+    return ctx.global[doOperation](
+      "callExpression",
+      [
+        [originalCallback, null],
+        [this, null],
+        [
+          [value, trackingValues.value],
+          [key, trackingValues.name],
+          [collection, null]
+        ]
+      ],
+      {},
+      logData.loc
+    );
+  });
+};
+
+function postMessageProcessor({
+  ctx,
+  fn,
+  object,
+  setFunction,
+  fnArgValuesAtInvocation,
+  fnArgTrackingValuesAtInvocation
+}: FnProcessorArgs) {
+  setFunction(function(this: any, ...args) {
+    // Just postMessage(data) inside a worker or window, so there's no object
+    return ctx.postMessageWithTrackingValues(
+      object || ctx.global,
+      fnArgValuesAtInvocation,
+      fnArgTrackingValuesAtInvocation[0],
+      () => fn.apply(this, args)
+    );
+  });
+}
+
+function indexedDBWrite({
+  ctx,
+  object,
+  fnArgValuesAtInvocation,
+  fnArgTrackingValuesAtInvocation
+}: FnProcessorArgs) {
+  recordIndexedDBWrite(
+    ctx,
+    object,
+    fnArgValuesAtInvocation[0],
+    fnArgValuesAtInvocation[1],
+    fnArgTrackingValuesAtInvocation[0]
+  );
+}
+
+// Strings passed to el.append() etc. would be turned into text nodes without
+// an origin
+function insertNodesWithTrackedText(knownValueName: string) {
+  return ({
+    ctx,
+    setFunction,
+    fnArgTrackingValuesAtInvocation
+  }: FnProcessorArgs) => {
+    setFunction(function(this: Node, ...args) {
+      const doc = this.ownerDocument || ctx.global.document;
+      return ctx.knownValues.getValue(knownValueName).apply(
+        this,
+        args.map(
+          (arg, i) =>
+            // Not using instanceof Node, since the node can be from an iframe
+            typeof arg === "object" && arg && typeof arg.nodeType === "number"
+              ? arg
+              : createTrackedTextNode(
+                  doc,
+                  String(arg),
+                  fnArgTrackingValuesAtInvocation[i]
+                )
+        )
+      );
+    });
+  };
+}
+
+function recordAdjacentInsertionRange({
+  extraState,
+  object,
+  fnArgValuesAtInvocation
+}: FnProcessorArgs) {
+  extraState.insertionRange = getAdjacentInsertionRange(
+    object,
+    fnArgValuesAtInvocation[0]
+  );
+}
+
+function recordDocumentWriteInsertionRange({
+  ctx,
+  extraState
+}: FnProcessorArgs) {
+  const currentScript = ctx.global.document.currentScript;
+  if (!currentScript) {
+    consoleLog("Not tracking document.write after the page has loaded");
+    return;
+  }
+  extraState.insertionRange = getAdjacentInsertionRange(
+    currentScript,
+    "afterend"
+  );
+}
+
+// classList and style changes re-serialize the attribute, so we need its
+// value from before the change
+function recordOldClassValue({ extraState, object }: FnProcessorArgs) {
+  const el = getDomCollectionElement(object);
+  if (el) {
+    extraState.classListElement = el;
+    extraState.oldClassValue = el.getAttribute("class");
+  }
+}
+
 export const knownFnProcessors = {
+  [getShortKnownValueName("DOMTokenList.prototype.add")]: recordOldClassValue,
+  [getShortKnownValueName(
+    "DOMTokenList.prototype.remove"
+  )]: recordOldClassValue,
+  [getShortKnownValueName(
+    "DOMTokenList.prototype.toggle"
+  )]: recordOldClassValue,
+  [getShortKnownValueName(
+    "DOMTokenList.prototype.replace"
+  )]: recordOldClassValue,
+  [getShortKnownValueName("CSSStyleDeclaration.prototype.setProperty")]: ({
+    extraState,
+    object
+  }: FnProcessorArgs) => {
+    if (object["__element"]) {
+      extraState.oldStyleValue = object["__element"].getAttribute("style");
+    }
+  },
+  [getShortKnownValueName(
+    "Element.prototype.append"
+  )]: insertNodesWithTrackedText("Element.prototype.append"),
+  [getShortKnownValueName(
+    "Element.prototype.prepend"
+  )]: insertNodesWithTrackedText("Element.prototype.prepend"),
+  [getShortKnownValueName(
+    "Element.prototype.before"
+  )]: insertNodesWithTrackedText("Element.prototype.before"),
+  [getShortKnownValueName(
+    "Element.prototype.after"
+  )]: insertNodesWithTrackedText("Element.prototype.after"),
+  [getShortKnownValueName(
+    "Element.prototype.replaceWith"
+  )]: insertNodesWithTrackedText("Element.prototype.replaceWith"),
+  [getShortKnownValueName(
+    "Element.prototype.replaceChildren"
+  )]: insertNodesWithTrackedText("Element.prototype.replaceChildren"),
+  [getShortKnownValueName(
+    "DocumentFragment.prototype.append"
+  )]: insertNodesWithTrackedText("DocumentFragment.prototype.append"),
+  [getShortKnownValueName(
+    "DocumentFragment.prototype.prepend"
+  )]: insertNodesWithTrackedText("DocumentFragment.prototype.prepend"),
+  [getShortKnownValueName(
+    "HTMLElement.prototype.insertAdjacentHTML"
+  )]: recordAdjacentInsertionRange,
+  [getShortKnownValueName(
+    "HTMLElement.prototype.insertAdjacentText"
+  )]: recordAdjacentInsertionRange,
+  [getShortKnownValueName("document.write")]: recordDocumentWriteInsertionRange,
+  [getShortKnownValueName(
+    "document.writeln"
+  )]: recordDocumentWriteInsertionRange,
   [getShortKnownValueName("EventEmitter.prototype.emit")]: ({
     extraState,
     setArgValuesForApply,
@@ -1711,6 +2844,87 @@ export const knownFnProcessors = {
       return ret;
     });
   },
+  [getShortKnownValueName("Array.prototype.find")]: arrayFindProcessor,
+  [getShortKnownValueName("Array.prototype.findIndex")]: arrayFindProcessor,
+  [getShortKnownValueName("Array.prototype.findLast")]: arrayFindProcessor,
+  [getShortKnownValueName("Array.prototype.findLastIndex")]: arrayFindProcessor,
+  [getShortKnownValueName("Array.prototype.flatMap")]: ({
+    extraState,
+    getFnArgForApply,
+    setFnArgForApply,
+    ctx,
+    logData
+  }: FnProcessorArgs) => {
+    extraState.mapResults = [];
+    const originalCallback = getFnArgForApply(0);
+    setFnArgForApply(0, function(this: any, item, index, array) {
+      const ret = ctx.global[doOperation](
+        "callExpression",
+        [
+          [originalCallback, null],
+          [this, null],
+          [
+            [item, ctx.getObjectPropertyTrackingValue(array, index)],
+            [index, null],
+            [array, null]
+          ]
+        ],
+        {},
+        logData.loc
+      );
+      extraState.mapResults.push({
+        value: ret,
+        trackingValue: ctx.lastOpTrackingResult
+      });
+      return ret;
+    });
+  },
+  [getShortKnownValueName("Array.from")]: ({
+    extraState,
+    getFnArgForApply,
+    setFnArgForApply,
+    ctx,
+    logData
+  }: FnProcessorArgs) => {
+    let items = getFnArgForApply(0);
+    if (items && typeof items === "object" && !Array.isArray(items)) {
+      // Converting iterators here means they're only read once, and Map
+      // and Set entries get their tracking values
+      items = ctx.iterableToTrackedArray(items);
+      setFnArgForApply(0, items);
+    }
+    extraState.items = items;
+
+    const mapFn = getFnArgForApply(1);
+    if (typeof mapFn !== "function") {
+      return;
+    }
+    extraState.mapResultTrackingValues = [];
+    setFnArgForApply(1, function(this: any, value, index) {
+      const ret = ctx.global[doOperation](
+        "callExpression",
+        [
+          [mapFn, null],
+          [this, null],
+          [
+            [
+              value,
+              Array.isArray(items)
+                ? ctx.getObjectPropertyTrackingValue(items, index)
+                : null
+            ],
+            [index, null]
+          ]
+        ],
+        {},
+        logData.loc
+      );
+      extraState.mapResultTrackingValues.push(ctx.lastOpTrackingResult);
+      return ret;
+    });
+  },
+  [getShortKnownValueName("Map.prototype.forEach")]: collectionForEach,
+  [getShortKnownValueName("Set.prototype.forEach")]: collectionForEach,
   [getShortKnownValueName("Array.prototype.pop")]: ({
     extraState,
     ctx,
@@ -1737,6 +2951,24 @@ export const knownFnProcessors = {
       );
     }
   },
+  [getShortKnownValueName("localStorage.setItem")]: ({
+    ctx,
+    object,
+    fnArgValuesAtInvocation,
+    fnArgTrackingValuesAtInvocation
+  }: FnProcessorArgs) => {
+    const storageName = getStorageName(ctx, object);
+    if (storageName) {
+      recordStorageWrite(
+        storageName,
+        fnArgValuesAtInvocation[0],
+        fnArgValuesAtInvocation[1],
+        fnArgTrackingValuesAtInvocation[1]
+      );
+    }
+  },
+  [getShortKnownValueName("IDBObjectStore.prototype.put")]: indexedDBWrite,
+  [getShortKnownValueName("IDBObjectStore.prototype.add")]: indexedDBWrite,
   [getShortKnownValueName("Response.prototype.json")]: ({
     setFunction,
     ctx,
@@ -1777,6 +3009,47 @@ export const knownFnProcessors = {
       });
     });
   },
+  [getShortKnownValueName("Response.prototype.blob")]: ({
+    setFunction,
+    ctx
+  }: FnProcessorArgs) => {
+    setFunction(function(this: Response) {
+      const response: Response = this;
+      let then = ctx.knownValues.getValue("Promise.prototype.then");
+      const p = ctx.knownValues
+        .getValue("Response.prototype.blob")
+        .apply(response);
+      return then.call(p, function(blob) {
+        trackBlobOrigin(blob, { url: response.url });
+        return blob;
+      });
+    });
+  },
+  [getShortKnownValueName("Blob.prototype.text")]: ({
+    setFunction,
+    ctx,
+    logData
+  }: FnProcessorArgs) => {
+    setFunction(function(this: Blob) {
+      const blob: Blob = this;
+      let then = ctx.knownValues.getValue("Promise.prototype.then");
+      const p = ctx.knownValues.getValue("Blob.prototype.text").apply(blob);
+      // Runs before any handlers the page adds
+      then.call(p, function(text) {
+        ctx.trackPromiseResolutionValue(
+          p,
+          createBlobTextLog(ctx, blob, text, logData.loc)
+        );
+      });
+      return p;
+    });
+  },
+  [getShortKnownValueName("FileReader.prototype.readAsText")]: ({
+    object,
+    fnArgValuesAtInvocation
+  }: FnProcessorArgs) => {
+    trackFileReaderBlob(object, fnArgValuesAtInvocation[0]);
+  },
   [getShortKnownValueName("fetch")]: ({
     ctx,
     logData,
@@ -1805,7 +3078,20 @@ export const knownFnProcessors = {
     let url = fnArgValues[1];
     url = getFullUrl(url);
     ctx.global["__xmlHttpRequests"][url] = logData.index;
-  }
+  },
+  [getShortKnownValueName(
+    "Worker.prototype.postMessage"
+  )]: postMessageProcessor,
+  [getShortKnownValueName(
+    "DedicatedWorkerGlobalScope.prototype.postMessage"
+  )]: postMessageProcessor,
+  [getShortKnownValueName("window.postMessage")]: postMessageProcessor,
+  [getShortKnownValueName(
+    "MessagePort.prototype.postMessage"
+  )]: postMessageProcessor,
+  [getShortKnownValueName(
+    "BroadcastChannel.prototype.postMessage"
+  )]: postMessageProcessor
 };
 
 function allArgs(operationLog, fn) {
@@ -1816,35 +3102,115 @@ function allArgs(operationLog, fn) {
   }
 }
 
+// Blob and data URLs don't go through the proxy
+function isProxiedWorkerScript(fnArgValues) {
+  return !/^(blob|data):/.test(String(fnArgValues[0]));
+}
+
+function isInstrumentedWorkerScript(ctx: ExecContext, fnArgValues) {
+  if (isProxiedWorkerScript(fnArgValues)) {
+    return true;
+  }
+  const options = fnArgValues[1];
+  const isModuleWorker = !!options && options.type === "module";
+  // importScripts isn't available in module workers
+  return ctx.hasInstrumentationFunction && !isModuleWorker;
+}
+
+// Return the argument values that are passed into the constructor
+export const newExpressionPreProcessors = {
+  [getShortKnownValueName("Worker")]: ({ ctx, fnArgValues }) => {
+    if (
+      isProxiedWorkerScript(fnArgValues) ||
+      !isInstrumentedWorkerScript(ctx, fnArgValues)
+    ) {
+      return fnArgValues;
+    }
+    return [
+      ctx.createInstrumentedWorkerUrl(String(fnArgValues[0])),
+      ...fnArgValues.slice(1)
+    ];
+  }
+};
+
 export const newExpressionPostProcessors = {
-  // Would maybe be better to store the constructor args in some way and then
-  // link to that when the property is accessed?? Then during traversal
-  // you could see that URL.proto.href is accessed, reference the constructor data
-  // and then link to it?
-  // But this works for now.
   [getShortKnownValueName("URL")]: ({
     ctx,
     ret,
-    fnArgTrackingValues,
-    logData
+    fnArgValues,
+    fnArgTrackingValues
   }) => {
-    let urlTv = fnArgTrackingValues[0];
-    ctx.trackObjectPropertyAssignment(ret, "href", urlTv);
-    ctx.trackObjectPropertyAssignment(
+    trackUrlInput(ctx, ret, fnArgValues[0], fnArgTrackingValues[0]);
+  },
+  [getShortKnownValueName("URLSearchParams")]: ({
+    ctx,
+    ret,
+    fnArgValues,
+    fnArgTrackingValues
+  }) => {
+    trackSearchParamsInit(ctx, ret, fnArgValues[0], fnArgTrackingValues[0]);
+  },
+  [getShortKnownValueName("Worker")]: ({ ctx, ret, fnArgValues }) => {
+    // We know blob workers are instrumented because we bootstrap them, a
+    // proxied script could be block-listed
+    ctx.enableWorkerMessageTracking(
       ret,
-      "pathname",
-      ctx.createOperationLog({
-        operation: ctx.operationTypes.genericOperation,
-        runtimeArgs: {
-          name: "URL.pathname",
-          next: urlTv,
-          adjustCharIndex: ret.href.indexOf(ret.pathname)
-        },
-        args: {},
-        loc: logData.loc,
-        result: ret.pathname
-      })
+      !isProxiedWorkerScript(fnArgValues) &&
+        isInstrumentedWorkerScript(ctx, fnArgValues)
     );
-    ctx.trackObjectPropertyAssignment(ret, "origin", urlTv);
+  },
+  [getShortKnownValueName("FormData")]: ({ ret, fnArgValues }) => {
+    trackFormData(ret, fnArgValues[0]);
+  },
+  [getShortKnownValueName("WebSocket")]: ({ ret }) => {
+    trackMessageSource(ret);
+  },
+  [getShortKnownValueName("EventSource")]: ({ ret }) => {
+    trackMessageSource(ret);
+  },
+  [getShortKnownValueName("Blob")]: ({ ctx, ret, fnArgValues }) => {
+    trackBlobParts(ctx, ret, fnArgValues[0]);
+  },
+  [getShortKnownValueName("MessageChannel")]: ({ ctx, ret }) => {
+    ctx.enableMessageChannelTracking(ret);
+  },
+  [getShortKnownValueName("BroadcastChannel")]: ({ ctx, ret }) => {
+    ctx.enableBroadcastChannelTracking(ret);
+  },
+  [getShortKnownValueName("Map")]: ({ ctx, ret, fnArgValues }) => {
+    const entries = getIterableArgumentItems(ctx, fnArgValues[0]);
+    entries.forEach(entry => {
+      if (!entry) {
+        return;
+      }
+      ctx.trackCollectionEntry(
+        ret,
+        entry[0],
+        ctx.getObjectPropertyTrackingValue(entry, 1),
+        ctx.getObjectPropertyTrackingValue(entry, 0)
+      );
+    });
+  },
+  [getShortKnownValueName("Set")]: ({ ctx, ret, fnArgValues }) => {
+    const values = getIterableArgumentItems(ctx, fnArgValues[0]);
+    values.forEach((value, i) => {
+      if (ctx.getCollectionEntryTrackingValues(ret, value)) {
+        // Duplicate value, the Set keeps the first one
+        return;
+      }
+      const trackingValue = ctx.getObjectPropertyTrackingValue(values, i);
+      ctx.trackCollectionEntry(ret, value, trackingValue, trackingValue);
+    });
   }
 };
+
+// Arrays are used as they are, since copying them would lose the
+// tracking values of their items
+function getIterableArgumentItems(ctx: ExecContext, iterable) {
+  if (iterable === undefined || iterable === null) {
+    return [];
+  }
+  return Array.isArray(iterable)
+    ? iterable
+    : ctx.iterableToTrackedArray(iterable);
+}
@@ -3,17 +3,47 @@ import {
   ignoredArrayExpression,
   getLastOperationTrackingResultCall,
   isInLeftPartOfAssignmentExpression,
-  getBabelTypes
+  getBabelTypes,
+  getObjectTrackingValue
 } from "../babelPluginHelpers";
 import { ExecContext } from "../helperFunctions/ExecContext";
-import { nullOnError, safelyReadProperty } from "../util";
+import { safelyReadProperty } from "../util";
 import {
-  getElAttributeValueOrigin,
-  trackSetElementStyle
-} from "./domHelpers/addElOrigin";
+  createAttributeReadLog,
+  createTextReadLog,
+  createHtmlReadLog,
+  createValueReadLog,
+  createDomCollectionReadLog,
+  getReflectedAttributeName,
+  trackDomCollection
+} from "./domHelpers/trackDomReads";
 import { htmlAdapter } from "../OperationTypes";
 import { ValueTrackingValuePair } from "../types";
 import { getShortExtraArgName } from "../names";
+import {
+  getStorageName,
+  createStorageValueLog,
+  createDocumentCookieLog,
+  isTrackedIndexedDBRequest,
+  createIndexedDBValueLog
+} from "../helperFunctions/storageTracking";
+import {
+  isNetworkMessageEvent,
+  getNetworkMessageDataLog,
+  trackBlobOrigin,
+  getFileReaderBlob,
+  createBlobTextLog
+} from "../helperFunctions/networkTracking";
+import { addJsonParseResultTrackingValues } from "./CallExpressionSpecialCases";
+import {
+  isUrlPart,
+  createUrlPartLog,
+  trackUrlSearchParams
+} from "../helperFunctions/urlTracking";
+import {
+  isTrackedCssRule,
+  createCssRuleTextLog
+} from "../helperFunctions/cssRuleTracking";
 
 const propertyValueExtraArgName = getShortExtraArgName("propertyValue");
 
@@ -66,7 +96,17 @@ export const MemberExpression = <any>{
 
     const isInBrowser = typeof HTMLElement !== "undefined";
 
-    if (isInBrowser) {
+    if (isUrlPart(ctx, object, propertyName)) {
+      trackingValue =
+        createUrlPartLog(ctx, object, propertyName, ret, logData.loc) ||
+        trackingValue;
+    } else if (
+      propertyName === "searchParams" &&
+      typeof URL !== "undefined" &&
+      object instanceof URL
+    ) {
+      trackUrlSearchParams(object, ret);
+    } else if (isInBrowser) {
       if (propertyName === "responseText" && object instanceof XMLHttpRequest) {
         trackingValue = getAjaxResponseTextTrackingValue(
           trackingValue,
@@ -75,6 +115,60 @@ export const MemberExpression = <any>{
           object,
           logData
         );
+      } else if (
+        propertyName === "response" &&
+        object instanceof XMLHttpRequest
+      ) {
+        trackingValue = getAjaxResponseTrackingValue(
+          trackingValue,
+          ctx,
+          ret,
+          object,
+          logData
+        );
+      } else if (propertyName === "data" && isNetworkMessageEvent(object)) {
+        trackingValue =
+          getNetworkMessageDataLog(ctx, object, logData.loc) || trackingValue;
+      } else if (
+        propertyName === "result" &&
+        typeof ret === "string" &&
+        typeof FileReader !== "undefined" &&
+        object instanceof FileReader &&
+        getFileReaderBlob(object)
+      ) {
+        trackingValue = createBlobTextLog(
+          ctx,
+          getFileReaderBlob(object),
+          ret,
+          logData.loc
+        );
+      } else if (propertyName === "cookie" && object === ctx.global.document) {
+        trackingValue = createDocumentCookieLog(ctx, ret, logData.loc);
+      } else if (
+        propertyName === "result" &&
+        isTrackedIndexedDBRequest(object)
+      ) {
+        trackingValue = createIndexedDBValueLog(ctx, object, logData.loc);
+      } else if (typeof ret === "string" && getStorageName(ctx, object)) {
+        // e.g. localStorage.prop instead of localStorage.getItem("prop")
+        trackingValue = createStorageValueLog(
+          ctx,
+          getStorageName(ctx, object)!,
+          propertyName,
+          ret,
+          logData.loc
+        );
+      } else if (propertyName === "cssText" && isTrackedCssRule(object)) {
+        trackingValue = createCssRuleTextLog(ctx, object, ret, logData.loc);
+      } else if (propertyName === "cssText" && object["__element"]) {
+        // el.style.cssText is the same as the style attribute
+        trackingValue = createAttributeReadLog(
+          ctx,
+          object["__element"],
+          "style",
+          ret,
+          logData.loc
+        );
       } else if (
         // !trackingValue &&
         object instanceof Node &&
@@ -85,8 +179,19 @@ export const MemberExpression = <any>{
           propertyName,
           trackingValue,
           ctx,
-          ret
+          ret,
+          logData.loc
         );
+      } else if (typeof object === "object") {
+        // e.g. el.dataset.userId
+        trackingValue =
+          createDomCollectionReadLog(
+            ctx,
+            object,
+            propertyName,
+            ret,
+            logData.loc
+          ) || trackingValue;
       }
     }
 
@@ -143,7 +248,7 @@ export const MemberExpression = <any>{
 
     const op = this.createNode!(
       [
-        [path.node.object, getLastOperationTrackingResultCall()],
+        [path.node.object, getObjectTrackingValue(path.node.object)],
         [property, getLastOperationTrackingResultCall()]
       ],
       {},
@@ -172,19 +277,67 @@ function getAjaxResponseTextTrackingValue(
     astArgs: {},
     result: ret,
     runtimeArgs: {
-      url: object.responseURL
+      url: object.responseURL,
+      responseType: object.responseType || undefined
     },
     loc: logData.loc
   });
   return trackingValue;
 }
 
+const ajaxJsonResponseTrackingValues = new WeakMap();
+
+// xhr.response depends on xhr.responseType
+function getAjaxResponseTrackingValue(
+  trackingValue: any,
+  ctx: ExecContext,
+  ret: any,
+  object: XMLHttpRequest,
+  logData: any
+) {
+  const { responseType } = object;
+  if (responseType === "" || responseType === "text") {
+    return getAjaxResponseTextTrackingValue(
+      trackingValue,
+      ctx,
+      ret,
+      object,
+      logData
+    );
+  } else if (responseType === "blob" && ret) {
+    trackBlobOrigin(ret, { url: object.responseURL });
+  } else if (responseType === "json" && ret !== null) {
+    if (!ajaxJsonResponseTrackingValues.has(object)) {
+      // The response text isn't available any more, so we serialize the
+      // parsed value again and pretend that's what the server sent
+      const json = JSON.stringify(ret);
+      const jsonTrackingValue = getAjaxResponseTextTrackingValue(
+        trackingValue,
+        ctx,
+        json,
+        object,
+        logData
+      );
+      const [, parsedTrackingValue] = addJsonParseResultTrackingValues(
+        ret,
+        json,
+        [json, jsonTrackingValue],
+        { ctx, logData }
+      );
+      ajaxJsonResponseTrackingValues.set(object, parsedTrackingValue);
+    }
+    return ajaxJsonResponseTrackingValues.get(object);
+  }
+  return trackingValue;
+}
+
 function getTrackingValueFromDOMNodeAndDoOtherStuff(
   object: Node,
   propertyName: any,
   trackingValue: any,
   ctx: ExecContext,
-  ret: any
+  ret: any,
+  loc: any
 ) {
   if (
     typeof HTMLScriptElement !== "undefined" &&
@@ -204,31 +357,39 @@ function getTrackingValueFromDOMNodeAndDoOtherStuff(
         }
       });
     }
+  } else if (
+    ["textContent", "innerText"].includes(propertyName) &&
+    safelyReadProperty(object, "nodeType") === Node.ELEMENT_NODE
+  ) {
+    trackingValue =
+      createTextReadLog(ctx, object, propertyName, ret, loc) || trackingValue;
+  } else if (
+    ["innerHTML", "outerHTML"].includes(propertyName) &&
+    safelyReadProperty(object, "nodeType") === Node.ELEMENT_NODE
+  ) {
+    trackingValue =
+      createHtmlReadLog(ctx, object, propertyName, ret, loc) || trackingValue;
+  } else if (["dataset", "classList"].includes(propertyName)) {
+    trackDomCollection(ret, object);
+  } else if (propertyName === "value" && object instanceof HTMLElement) {
+    // Input values lose the relationship to the value attribute when the user
+    // types, so while sometimes the value from the HTML might give a better
+    // origin we'll stop traversal at el.value instead. Options and selects
+    // aren't edited directly though.
+    trackingValue = createValueReadLog(ctx, object, ret, loc) || trackingValue;
   } else if (
     object instanceof HTMLElement &&
-    // object.getAttribute() is illegal invocation on youtube somehow
-    nullOnError(() => object.getAttribute(propertyName)) !== null &&
-    // A bit icky, but it seems like a reasonable decision
-    // Normally we want to see where a value was set, e.g. as part of some html
-    // But input values lose that relationship when the user interacts with them (e.g. types
-    // into text field) so the value attribute from DOM mapping may be different from
-    // the actual property value
-    // So while sometimes the value from the HTML might give a better origin we'll always
-    // stop traversal at el.value instead
-    propertyName !== "value"
+    getReflectedAttributeName(object, propertyName)
   ) {
-    if (object["__elOrigin"]) {
-      const origin = getElAttributeValueOrigin(object, propertyName);
-      if (origin) {
-        trackingValue = ctx.createOperationLog({
-          operation: htmlAdapter,
-          runtimeArgs: origin,
-          args: {
-            html: [null, origin.trackingValue]
-          }
-        });
-      }
-    }
+    // e.g. el.id, el.title or el.className
+    trackingValue =
+      createAttributeReadLog(
+        ctx,
+        object,
+        getReflectedAttributeName(object, propertyName)!,
+        ret,
+        loc
+      ) || trackingValue;
   } else if (
     safelyReadProperty(object, "nodeType") === Node.TEXT_NODE &&
     ["textContent", "nodeValue"].includes(propertyName)
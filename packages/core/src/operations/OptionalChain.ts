@@ -0,0 +1,111 @@
+import {
+  ignoreNode,
+  ignoredNumericLiteral,
+  createSetMemoValue,
+  createGetMemoValue,
+  getLastOperationTrackingResultCall,
+  createOptionalChainObject,
+  getBabelTypes
+} from "../babelPluginHelpers";
+import * as MemoValueNames from "../MemoValueNames";
+import { MemberExpression } from "./MemberExpression";
+import CallExpression from "./CallExpression";
+
+function isChainLink(node) {
+  return (
+    node.type === "OptionalMemberExpression" ||
+    node.type === "OptionalCallExpression"
+  );
+}
+
+function getChainLinkObjectKey(node) {
+  return node.type === "OptionalCallExpression" ? "callee" : "object";
+}
+
+// The ?. closest to the end of the chain, e.g. ?.b in a?.b.c
+function getOutermostOptionalLink(node) {
+  let link = node;
+  while (isChainLink(link)) {
+    if (link.optional) {
+      return link;
+    }
+    link = link[getChainLinkObjectKey(link)];
+  }
+  return null;
+}
+
+// If the object of the outermost ?. is nullish the whole chain evaluates to
+// undefined, and nothing after the ?. (property names, call arguments) runs:
+//   a?.b.c => (memo = a, memo == null) ? undefined : memo.b.c
+// The links after the ?. are then instrumented like normal member expressions
+// and calls, since they can't be optional any more
+function wrapOptionalChain(path) {
+  const t = getBabelTypes();
+  const link = getOutermostOptionalLink(path.node);
+  if (!link) {
+    return null;
+  }
+  const objectKey = getChainLinkObjectKey(link);
+  const object = link[objectKey];
+  const memoKey = MemoValueNames.lastOptionalChainObject;
+
+  link.optional = false;
+  link[objectKey] = createOptionalChainObject(memoKey, object);
+
+  return ignoreNode(
+    t.conditionalExpression(
+      ignoreNode(
+        t.sequenceExpression([
+          createSetMemoValue(
+            memoKey,
+            object,
+            getLastOperationTrackingResultCall()
+          ),
+          ignoreNode(
+            t.binaryExpression(
+              "==",
+              createGetMemoValue(memoKey),
+              ignoreNode(t.nullLiteral())
+            )
+          )
+        ])
+      ),
+      ignoreNode(t.unaryExpression("void", ignoredNumericLiteral(0))),
+      path.node
+    )
+  );
+}
+
+function isDeleteArgument(path) {
+  return (
+    path.parent.type === "UnaryExpression" && path.parent.operator === "delete"
+  );
+}
+
+export const OptionalMemberExpression = <any>{
+  argNames: MemberExpression.argNames,
+  canInferResult: MemberExpression.canInferResult,
+  exec: MemberExpression.exec,
+  traverse: MemberExpression.traverse,
+  visitor(path) {
+    if (isDeleteArgument(path)) {
+      return;
+    }
+    return wrapOptionalChain(path) || MemberExpression.visitor.call(this, path);
+  }
+};
+
+export const OptionalCallExpression = <any>{
+  argNames: CallExpression.argNames,
+  argIsArray: CallExpression.argIsArray,
+  exec: CallExpression.exec,
+  traverse: CallExpression.traverse,
+  visitor(path) {
+    const { callee } = path.node;
+    if (callee.object && callee.object.type === "Super") {
+      // The context would be lost when reading super.fn from a memo value
+      return;
+    }
+    return wrapOptionalChain(path) || CallExpression.visitor.call(this, path);
+  }
+};
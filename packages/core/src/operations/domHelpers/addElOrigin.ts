@@ -15,6 +15,8 @@ export default function addElOrigin(
     child?;
     children?;
     trackingValue?;
+    // Attribute value origins from parsed HTML map the ="value" string
+    mapsSerializedAttribute?;
   }
 ) {
   const {
@@ -26,7 +28,8 @@ export default function addElOrigin(
     // error,
     child,
     children,
-    trackingValue // aka inputValue
+    trackingValue, // aka inputValue
+    mapsSerializedAttribute
   } = origin;
 
   if (!el) {
@@ -63,7 +66,8 @@ export default function addElOrigin(
       trackingValue,
       inputValuesCharacterIndex: inputValuesCharacterIndex || [0],
       extraCharsAdded: extraCharsAdded || 0,
-      offsetAtCharIndex
+      offsetAtCharIndex,
+      mapsSerializedAttribute
     };
   }
 }
@@ -101,6 +105,24 @@ export function getElAttributeValueOrigin(el, attrName) {
   return el.__elOrigin && el.__elOrigin["attribute_" + attrName + "_value"];
 }
 
+// Skips the =" before the value if the attribute was set with innerHTML
+export function getElAttributeValueOriginOffset(origin) {
+  return origin && origin.mapsSerializedAttribute ? '="'.length : 0;
+}
+
+// Closed shadow roots aren't available as host.shadowRoot
+const shadowRoots = new WeakMap();
+
+// Called after el.attachShadow(), the origin points to the call
+export function addShadowRootOrigin(host, shadowRoot, trackingValue) {
+  shadowRoots.set(host, shadowRoot);
+  addElOrigin(host, "shadowRoot", { trackingValue });
+}
+
+export function getShadowRoot(host) {
+  return shadowRoots.get(host) || host.shadowRoot || null;
+}
+
 export function processClonedNode(
   cloneResult,
   sourceNode,
@@ -158,12 +180,3 @@ export function processClonedNode(
     }
   }
 }
-
-export function trackSetElementStyle(element, styleName, trackingValue) {
-  // for now just assume there's only ever one style
-  // for more correct mapping maybe see FromJS v1 code
-  addElAttributeValueOrigin(element, "style", {
-    action: "assignStyle",
-    trackingValue
-  });
-}
@@ -0,0 +1,39 @@
+// Stored in the runtimeArgs of operations that write a value into the DOM, so
+// the backend can tell which element shows a value without access to the page
+export interface DomWrite {
+  // e.g. "div#main.card"
+  element: string;
+  // Attribute or property name, or the method that inserted the value
+  part: string;
+}
+
+const TEXT_NODE = 3;
+const DOCUMENT_NODE = 9;
+
+function getElementDescription(node) {
+  if (node.nodeType === DOCUMENT_NODE) {
+    return "document";
+  }
+  const el = node.nodeType === TEXT_NODE ? node.parentElement : node;
+  if (!el || typeof el.tagName !== "string") {
+    return String(node.nodeName).toLowerCase();
+  }
+  let description = el.tagName.toLowerCase();
+  if (el.id) {
+    description += "#" + el.id;
+  }
+  const className = el.getAttribute("class");
+  if (className && className.trim()) {
+    description +=
+      "." +
+      className
+        .trim()
+        .split(/\s+/)
+        .join(".");
+  }
+  return description;
+}
+
+export default function getDomWrite(node, part: string): DomWrite {
+  return { element: getElementDescription(node), part };
+}
@@ -401,7 +401,8 @@ export default function mapInnerHTMLAssignment(
             ],
             extraCharsAdded: charsAddedInSerializedHtml,
             offsetAtCharIndex: offsetAtCharIndex,
-            error: error
+            error: error,
+            mapsSerializedAttribute: true
           });
 
           charsAddedInSerializedHtml += extraCharsAddedHere;
@@ -0,0 +1,96 @@
+import addElOrigin, { processClonedNode } from "./addElOrigin";
+import mapInnerHTMLAssignment from "./mapInnerHTMLAssignment";
+import { consoleLog } from "../../helperFunctions/logging";
+
+// mapInnerHTMLAssignment maps all children of an element, but APIs like
+// insertAdjacentHTML or outerHTML put new nodes next to existing ones. We
+// remember the siblings around the insertion point before the call, then
+// parse the HTML again in a template and copy the origins to the new nodes.
+
+type InsertionRange = {
+  parent: Node;
+  previousSibling: Node | null;
+  nextSibling: Node | null;
+};
+
+// Where insertAdjacentHTML and insertAdjacentText put new nodes
+export function getAdjacentInsertionRange(el, position): InsertionRange | null {
+  const range = getReplacedNodeRange(el);
+  switch (String(position).toLowerCase()) {
+    case "beforebegin":
+      return range && { ...range, nextSibling: el };
+    case "afterbegin":
+      return { parent: el, previousSibling: null, nextSibling: el.firstChild };
+    case "beforeend":
+      return { parent: el, previousSibling: el.lastChild, nextSibling: null };
+    case "afterend":
+      return range && { ...range, previousSibling: el };
+    default:
+      return null;
+  }
+}
+
+// e.g. the element before el.outerHTML = html
+export function getReplacedNodeRange(node): InsertionRange | null {
+  if (!node.parentNode) {
+    return null;
+  }
+  return {
+    parent: node.parentNode,
+    previousSibling: node.previousSibling,
+    nextSibling: node.nextSibling
+  };
+}
+
+export function getInsertedNodes(range: InsertionRange) {
+  const { parent, previousSibling, nextSibling } = range;
+  const nodes: Node[] = [];
+  if (previousSibling && previousSibling.parentNode !== parent) {
+    return nodes;
+  }
+  let node = previousSibling ? previousSibling.nextSibling : parent.firstChild;
+  while (node && node !== nextSibling) {
+    nodes.push(node);
+    node = node.nextSibling;
+  }
+  return nodes;
+}
+
+function getNodeHtml(node) {
+  return node.nodeName + ":" + (node.outerHTML || node.textContent);
+}
+
+export function mapInsertedHtml(
+  nodes: Node[],
+  html: string,
+  htmlTrackingValue,
+  actionName: string
+) {
+  // A template parses tags like <tr> that aren't allowed in a div
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  mapInnerHTMLAssignment(template, [html, htmlTrackingValue], actionName, 0);
+
+  const parsedNodes = Array.from(template.content.childNodes);
+  if (
+    parsedNodes.length !== nodes.length ||
+    parsedNodes.some((node, i) => getNodeHtml(node) !== getNodeHtml(nodes[i]))
+  ) {
+    // e.g. the parser fixed up the HTML differently in its real context
+    consoleLog("Can't map inserted HTML to the new nodes", actionName);
+    return;
+  }
+  nodes.forEach((node, i) => {
+    processClonedNode(node, parsedNodes[i], { isDeep: true });
+  });
+}
+
+// Strings passed to el.append() etc. are turned into text nodes, so we create
+// the text node ourselves to give it an origin
+export function createTrackedTextNode(doc: Document, text, trackingValue) {
+  const textNode = doc.createTextNode(text);
+  addElOrigin(textNode, "textValue", {
+    trackingValue
+  });
+  return textNode;
+}
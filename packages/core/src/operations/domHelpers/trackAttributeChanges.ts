@@ -0,0 +1,150 @@
+import { ExecContext } from "../../helperFunctions/ExecContext";
+import {
+  addElAttributeValueOrigin,
+  getElAttributeValueOrigin,
+  getElAttributeValueOriginOffset
+} from "./addElOrigin";
+import { getDomOriginPart } from "../../traverseDomOrigin";
+
+// classList and style changes re-serialize the whole attribute. The new
+// attribute origin maps each class name or style declaration either to the
+// value that was just set, or to where it was in the previous attribute value.
+
+const TOKEN_REGEXPS = {
+  class: /\S+/g,
+  // "color: red" in "color: red; --brand-color: blue;"
+  style: /[^\s;][^;]*/g
+};
+
+function getTokens(value: string, attrName: "class" | "style") {
+  const regExp = new RegExp(TOKEN_REGEXPS[attrName]);
+  const tokens: { text: string; start: number }[] = [];
+  let match;
+  while ((match = regExp.exec(value))) {
+    tokens.push({ text: match[0], start: match.index });
+  }
+  return tokens;
+}
+
+function addAttributeChangeOrigin(
+  ctx: ExecContext,
+  el,
+  attrName: "class" | "style",
+  action: string,
+  oldValue: string | null,
+  getChangedTrackingValue: (token: string) => any,
+  loc
+) {
+  const newValue = el.getAttribute(attrName);
+  if (newValue === null) {
+    return;
+  }
+  const oldOrigin = getElAttributeValueOrigin(el, attrName);
+  const oldTokens = getTokens(oldValue || "", attrName);
+
+  const parts: any[] = [];
+  getTokens(newValue, attrName).forEach(({ text, start }) => {
+    const trackingValue = getChangedTrackingValue(text);
+    if (trackingValue) {
+      parts.push({ start, length: text.length, trackingValue });
+      return;
+    }
+    const oldToken = oldOrigin && oldTokens.find(token => token.text === text);
+    if (oldToken) {
+      parts.push(
+        getDomOriginPart(
+          oldOrigin,
+          start,
+          text.length,
+          getElAttributeValueOriginOffset(oldOrigin) + oldToken.start
+        )
+      );
+    }
+  });
+
+  addElAttributeValueOrigin(el, attrName, {
+    trackingValue: ctx.createOperationLog({
+      operation: ctx.operationTypes.attributeChange,
+      args: {},
+      astArgs: {},
+      result: newValue,
+      runtimeArgs: {
+        name: action + " on <" + el.tagName.toLowerCase() + ">",
+        parts
+      },
+      loc
+    })
+  });
+}
+
+// Called after classList.add/remove/toggle/replace, addedTokens are the
+// [className, trackingValue] pairs passed in
+export function trackClassListChange(
+  ctx: ExecContext,
+  el,
+  action: string,
+  oldValue: string | null,
+  addedTokens: any[][],
+  loc
+) {
+  addAttributeChangeOrigin(
+    ctx,
+    el,
+    "class",
+    action,
+    oldValue,
+    token => {
+      const addedToken = addedTokens.find(([className]) => className === token);
+      return addedToken && addedToken[1];
+    },
+    loc
+  );
+}
+
+// e.g. backgroundColor => background-color
+export function getCssPropertyName(propertyName: string) {
+  if (propertyName.startsWith("--")) {
+    // Custom properties are case sensitive
+    return propertyName;
+  }
+  if (propertyName === "cssFloat") {
+    // float is a reserved word, so the style property has a different name
+    return "float";
+  }
+  if (/^webkit[A-Z]/.test(propertyName)) {
+    // webkitTransform => -webkit-transform
+    propertyName = "W" + propertyName.slice(1);
+  }
+  return propertyName.replace(/[A-Z]/g, c => "-" + c.toLowerCase());
+}
+
+// Called after el.style.x = value or el.style.setProperty(name, value)
+export function trackStyleChange(
+  ctx: ExecContext,
+  el,
+  action: string,
+  oldValue: string | null,
+  propertyNameArg,
+  valueArg,
+  loc
+) {
+  const cssPropertyName = getCssPropertyName(String(propertyNameArg[0]));
+  const styleAssignment = ctx.createOperationLog({
+    operation: ctx.operationTypes.styleAssignment,
+    loc,
+    args: {
+      styleName: [null, propertyNameArg[1]],
+      styleValue: valueArg
+    },
+    result: cssPropertyName + ": " + valueArg[0]
+  });
+  addAttributeChangeOrigin(
+    ctx,
+    el,
+    "style",
+    action,
+    oldValue,
+    token => (token.startsWith(cssPropertyName + ":") ? styleAssignment : null),
+    loc
+  );
+}
@@ -0,0 +1,330 @@
+import { ExecContext } from "../../helperFunctions/ExecContext";
+import { getNodeHtmlParts } from "../../helperFunctions/getHtmlNodeOperationLogMapping";
+import {
+  getElAttributeValueOrigin,
+  getElAttributeValueOriginOffset
+} from "./addElOrigin";
+import { safelyReadProperty } from "../../util";
+import { getDomOriginPart } from "../../traverseDomOrigin";
+
+// Values read from the DOM get a domRead log that points to the __elOrigin
+// data of the nodes they were read from, so traversal continues into the code
+// that created the element or set the attribute
+
+const REFLECTED_ATTRIBUTE_NAMES = {
+  className: "class",
+  htmlFor: "for"
+};
+
+// Reading the text or HTML of a big subtree would otherwise create a huge log
+const MAX_DOM_READ_PARTS = 500;
+// innerHTML and outerHTML are read often, e.g. by templating libraries, and
+// collecting the parts walks every attribute of the subtree
+const MAX_HTML_READ_ELEMENTS = 100;
+
+// el.dataset or el.classList => el
+const domCollectionElements = new WeakMap();
+// FormData => form
+const formDataForms = new WeakMap();
+
+function describeElement(el) {
+  return "<" + el.tagName.toLowerCase() + ">";
+}
+
+// Parts are [text, elOrigin, offset in the origin value] lists, the texts
+// have to add up to the value that was read. The log only stores the
+// tracking values and offsets of the parts, not the origins themselves
+function createDomReadLog(
+  ctx: ExecContext,
+  name: string,
+  parts: any[][] | null,
+  value,
+  loc
+) {
+  if (
+    !parts ||
+    parts.length > MAX_DOM_READ_PARTS ||
+    parts.map(part => part[0]).join("") !== value
+  ) {
+    return null;
+  }
+  const trackedParts: any[] = [];
+  let start = 0;
+  parts.forEach(([text, origin, originOffset]) => {
+    if (origin && origin.trackingValue) {
+      trackedParts.push(
+        getDomOriginPart(origin, start, text.length, originOffset || 0)
+      );
+    }
+    start += text.length;
+  });
+  if (trackedParts.length === 0) {
+    return null;
+  }
+  return ctx.createOperationLog({
+    operation: ctx.operationTypes.domRead,
+    args: {},
+    astArgs: {},
+    result: value,
+    runtimeArgs: {
+      name,
+      parts: trackedParts
+    },
+    loc
+  });
+}
+
+function getAttributeReadParts(el, attrName, value) {
+  const attrValue = el.getAttribute(attrName);
+  if (typeof value !== "string" || attrValue === null) {
+    return null;
+  }
+  const origin = getElAttributeValueOrigin(el, attrName);
+  const originOffset = getElAttributeValueOriginOffset(origin);
+  if (value === attrValue) {
+    return [[value, origin, originOffset]];
+  }
+  // e.g. el.href is the absolute version of the href attribute
+  if (attrValue !== "" && value.endsWith(attrValue)) {
+    return [
+      [value.slice(0, -attrValue.length), null],
+      [attrValue, origin, originOffset]
+    ];
+  }
+  return null;
+}
+
+export function createAttributeReadLog(
+  ctx: ExecContext,
+  el,
+  attrName: string,
+  value,
+  loc
+) {
+  return createDomReadLog(
+    ctx,
+    "attribute " + attrName + " of " + describeElement(el),
+    getAttributeReadParts(el, attrName, value),
+    value,
+    loc
+  );
+}
+
+export function getReflectedAttributeName(el, propertyName) {
+  const attrName = REFLECTED_ATTRIBUTE_NAMES[propertyName] || propertyName;
+  // object.getAttribute() is illegal invocation on youtube somehow
+  try {
+    return el.hasAttribute(attrName) ? attrName : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Returns null if there are more than MAX_DOM_READ_PARTS text nodes
+function getTextParts(node, parts: any[][] = []) {
+  const childNodes = node.childNodes;
+  for (let i = 0; i < childNodes.length; i++) {
+    const child = childNodes[i];
+    const nodeType = safelyReadProperty(child, "nodeType");
+    if (nodeType === Node.TEXT_NODE) {
+      if (parts.length === MAX_DOM_READ_PARTS) {
+        return null;
+      }
+      parts.push([
+        child.textContent,
+        child.__elOrigin && child.__elOrigin.textValue
+      ]);
+    } else if (nodeType === Node.ELEMENT_NODE) {
+      if (!getTextParts(child, parts)) {
+        return null;
+      }
+    }
+  }
+  return parts;
+}
+
+// el.textContent or el.innerText, innerText is only mapped if it's the same
+// as textContent, since it depends on styles
+export function createTextReadLog(
+  ctx: ExecContext,
+  el,
+  propertyName: string,
+  value,
+  loc
+) {
+  return createDomReadLog(
+    ctx,
+    propertyName + " of " + describeElement(el),
+    getTextParts(el),
+    value,
+    loc
+  );
+}
+
+export function createHtmlReadLog(
+  ctx: ExecContext,
+  el,
+  propertyName: "innerHTML" | "outerHTML",
+  value,
+  loc
+) {
+  if (el.getElementsByTagName("*").length > MAX_HTML_READ_ELEMENTS) {
+    return null;
+  }
+  let parts;
+  if (propertyName === "outerHTML") {
+    parts = getNodeHtmlParts(el);
+  } else {
+    parts = [];
+    el.childNodes.forEach(child => {
+      parts.push(...getNodeHtmlParts(child));
+    });
+  }
+  return createDomReadLog(
+    ctx,
+    propertyName + " of " + describeElement(el),
+    parts,
+    value,
+    loc
+  );
+}
+
+// Inputs lose the relationship to the value attribute when the user types,
+// so we only map values that still match the HTML
+function createFormControlValueReadLog(ctx: ExecContext, control, value, loc) {
+  if (
+    typeof HTMLSelectElement !== "undefined" &&
+    control instanceof HTMLSelectElement
+  ) {
+    const option = Array.from<any>(control.selectedOptions).find(
+      option => option.value === value
+    );
+    return option && createOptionValueReadLog(ctx, option, value, loc);
+  }
+  if (
+    typeof HTMLTextAreaElement !== "undefined" &&
+    control instanceof HTMLTextAreaElement
+  ) {
+    return createTextReadLog(ctx, control, "value", value, loc);
+  }
+  return createAttributeReadLog(ctx, control, "value", value, loc);
+}
+
+// Options without a value attribute use their text
+function createOptionValueReadLog(ctx: ExecContext, option, value, loc) {
+  if (option.hasAttribute("value")) {
+    return createAttributeReadLog(ctx, option, "value", value, loc);
+  }
+  return createTextReadLog(ctx, option, "value", value, loc);
+}
+
+export function createValueReadLog(ctx: ExecContext, el, value, loc) {
+  if (
+    typeof HTMLOptionElement !== "undefined" &&
+    el instanceof HTMLOptionElement
+  ) {
+    return createOptionValueReadLog(ctx, el, value, loc);
+  }
+  if (
+    typeof HTMLSelectElement !== "undefined" &&
+    el instanceof HTMLSelectElement
+  ) {
+    return createFormControlValueReadLog(ctx, el, value, loc);
+  }
+  return null;
+}
+
+// Called when el.dataset or el.classList is read
+export function trackDomCollection(collection, el) {
+  if (collection && typeof collection === "object") {
+    domCollectionElements.set(collection, el);
+  }
+}
+
+export function getDomCollectionElement(collection) {
+  return domCollectionElements.get(collection);
+}
+
+function getClassListTokenParts(el, index) {
+  const classAttr = el.getAttribute("class") || "";
+  const origin = getElAttributeValueOrigin(el, "class");
+  const originOffset = getElAttributeValueOriginOffset(origin);
+  const tokenRegExp = /\S+/g;
+  let match;
+  let tokenIndex = 0;
+  while ((match = tokenRegExp.exec(classAttr))) {
+    if (tokenIndex === index) {
+      return [[match[0], origin, originOffset + match.index]];
+    }
+    tokenIndex++;
+  }
+  return null;
+}
+
+// e.g. el.dataset.userId or el.classList[0]
+export function createDomCollectionReadLog(
+  ctx: ExecContext,
+  collection,
+  propertyName,
+  value,
+  loc
+) {
+  const el = domCollectionElements.get(collection);
+  if (!el || typeof propertyName === "symbol") {
+    return null;
+  }
+  // classList[0] has a numeric property name
+  propertyName = String(propertyName);
+  if (
+    typeof DOMStringMap !== "undefined" &&
+    collection instanceof DOMStringMap
+  ) {
+    const attrName =
+      "data-" + propertyName.replace(/[A-Z]/g, c => "-" + c.toLowerCase());
+    return createAttributeReadLog(ctx, el, attrName, value, loc);
+  }
+  if (propertyName === "value") {
+    return createAttributeReadLog(ctx, el, "class", value, loc);
+  }
+  if (/^\d+$/.test(propertyName)) {
+    return createDomReadLog(
+      ctx,
+      "attribute class of " + describeElement(el),
+      getClassListTokenParts(el, parseFloat(propertyName)),
+      value,
+      loc
+    );
+  }
+  return null;
+}
+
+// Called after new FormData(form)
+export function trackFormData(formData, form) {
+  if (form && typeof form === "object") {
+    formDataForms.set(formData, form);
+  }
+}
+
+// formData.get(name), for file inputs and checkboxes without a value there's
+// nothing to map
+export function createFormDataReadLog(
+  ctx: ExecContext,
+  formData,
+  name,
+  value,
+  loc
+) {
+  const form = formDataForms.get(formData);
+  if (!form || typeof value !== "string") {
+    return null;
+  }
+  const control = Array.from<any>(form.elements).find(
+    control =>
+      control.name === name &&
+      control.value === value &&
+      (!["radio", "checkbox"].includes(control.type) || control.checked)
+  );
+  return control
+    ? createFormControlValueReadLog(ctx, control, value, loc)
+    : null;
+}
@@ -1,4 +1,5 @@
-import compile, { CompilationResult } from "./compile";
+import compile, { CompilationResult, compileSync } from "./compile";
+import * as babel from "@babel/core";
 import InMemoryLogServer from "./LogServer/InMemoryLogServer";
 import OperationLog from "./helperFunctions/OperationLog";
 import * as prettier from "prettier";
@@ -111,4 +112,62 @@ export function instrumentAndRun(
   });
 }
 
+// Runs main.js, which has to export a `result` value. Jest can't run ES
+// modules, so the instrumented modules are converted to CommonJS and import
+// each other with require
+export function instrumentAndRunModules(modules: {
+  [fileName: string]: string;
+}) {
+  const __storeLog = server.storeLog.bind(server);
+  const moduleExports = {};
+
+  function requireModule(path) {
+    const fileName = path.replace(/^\.\//, "");
+    if (!moduleExports[fileName]) {
+      const exports = {};
+      moduleExports[fileName] = exports;
+
+      const compileResult = compileSync(modules[fileName]);
+      server._locStore.write(compileResult.locs, function() {});
+      const commonJSCode = babel.transform(compileResult.code, {
+        babelrc: false,
+        configFile: false,
+        presets: [
+          [
+            "@babel/preset-env",
+            { targets: { node: "current" }, modules: "commonjs" }
+          ]
+        ]
+      })!.code;
+      eval("(function(exports, require){" + commonJSCode + "\n})")(
+        exports,
+        requireModule
+      );
+    }
+    return moduleExports[fileName];
+  }
+
+  const mainExports = requireModule("main.js");
+  delete global["__didInitializeDataFlowTracking"];
+
+  return new Promise<InstrumentAndRunResult>((resolve, reject) => {
+    server.loadLog(
+      mainExports.result___tv,
+      (err, log) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve({
+          code: "",
+          normal: mainExports.result,
+          tracking: log!,
+          logServer: server
+        });
+      },
+      10
+    );
+  });
+}
+
 export { server };
@@ -12,3 +12,38 @@ export function traverseDomOrigin(origin, charIndex) {
     offset
   );
 }
+
+// Logs that map a range of their result to an origin only keep what
+// traverseDomOrigin needs for that range, instead of the whole origin object
+export function getDomOriginPart(
+  origin,
+  start: number,
+  length: number,
+  originOffset: number
+) {
+  const offsetAtCharIndex =
+    origin.offsetAtCharIndex &&
+    origin.offsetAtCharIndex.slice(originOffset, originOffset + length);
+  return {
+    start,
+    length,
+    trackingValue: origin.trackingValue,
+    originCharIndex:
+      originOffset +
+      origin.inputValuesCharacterIndex[0] -
+      origin.extraCharsAdded,
+    offsetAtCharIndex:
+      offsetAtCharIndex && offsetAtCharIndex.some(offset => offset)
+        ? offsetAtCharIndex
+        : undefined
+  };
+}
+
+export function traverseDomOriginPart(part, charIndex) {
+  const partCharIndex = charIndex - part.start;
+  let offset = 0;
+  if (part.offsetAtCharIndex && part.offsetAtCharIndex[partCharIndex]) {
+    offset = part.offsetAtCharIndex[partCharIndex];
+  }
+  return partCharIndex + (part.originCharIndex || 0) + offset;
+}
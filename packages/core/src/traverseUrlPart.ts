@@ -0,0 +1,40 @@
+// Finds the index in the percent-encoded string that the decoded character at
+// charIndex came from, e.g. "a+b%C3%A9c" is decoded to "a béc"
+function getEncodedCharIndex(encoded: string, charIndex: number) {
+  let encodedIndex = 0;
+  for (let i = 0; i < charIndex && encodedIndex < encoded.length; i++) {
+    const byte =
+      encoded[encodedIndex] === "%"
+        ? parseInt(encoded.slice(encodedIndex + 1, encodedIndex + 3), 16)
+        : NaN;
+    if (isNaN(byte)) {
+      encodedIndex++;
+      continue;
+    }
+    // Non-ASCII characters are encoded as several UTF-8 bytes
+    const byteCount =
+      byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+    encodedIndex += byteCount * "%00".length;
+    if (byteCount === 4) {
+      // Surrogate pair
+      i++;
+    }
+  }
+  return encodedIndex;
+}
+
+// runtimeArgs.start is where the part starts in runtimeArgs.url, and
+// runtimeArgs.next is the tracking value of the url string, if we know it
+export default function traverseUrlPart(operationLog, charIndex: number) {
+  const { url, start, end, isDecoded, next } = operationLog.runtimeArgs;
+  if (!next) {
+    return;
+  }
+  const charIndexInPart = isDecoded
+    ? getEncodedCharIndex(url.slice(start, end), charIndex)
+    : charIndex;
+  return {
+    operationLog: next,
+    charIndex: start + charIndexInPart
+  };
+}
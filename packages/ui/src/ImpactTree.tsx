@@ -0,0 +1,132 @@
+import * as React from "react";
+import { truncate } from "lodash";
+import { selectAndTraverse } from "./actions";
+import { loadImpactTree, findElementsShowingLogs } from "./api";
+import "./ImpactTree.scss";
+
+type ImpactTreeProps = {
+  logIndex: number;
+};
+type ImpactTreeState = {
+  tree: any;
+  isTruncated: boolean;
+  // Elements the operations in the tree wrote to, found by the backend
+  domWrites: any[];
+  // Elements in the inspected page, null while loading
+  elements: any[] | null;
+  isPageUnavailable: boolean;
+};
+
+function ImpactNode({ node }) {
+  return (
+    <div className="impact-tree__node">
+      <div
+        className="impact-tree__node-label"
+        onClick={() => selectAndTraverse(node.logIndex, 0, "traversalStep")}
+      >
+        <span className="impact-tree__operation">
+          {node.operation}
+          {node.argName && ` (${node.argName})`}
+        </span>{" "}
+        <code>{truncate(node.result, { length: 60 })}</code>
+      </div>
+      {node.children.map((child) => (
+        <ImpactNode key={child.logIndex} node={child} />
+      ))}
+    </div>
+  );
+}
+
+export default class ImpactTree extends React.Component<
+  ImpactTreeProps,
+  ImpactTreeState
+> {
+  state = {
+    tree: null,
+    isTruncated: false,
+    domWrites: [],
+    elements: null,
+    isPageUnavailable: false,
+  } as ImpactTreeState;
+
+  componentDidMount() {
+    loadImpactTree(this.props.logIndex).then((res) => {
+      if (!res) {
+        return;
+      }
+      this.setState({
+        tree: res.tree,
+        isTruncated: res.isTruncated,
+        domWrites: res.elements,
+      });
+      findElementsShowingLogs(res.logIndices).then((elements) => {
+        if (elements) {
+          this.setState({ elements });
+        } else {
+          this.setState({ isPageUnavailable: true });
+        }
+      });
+    });
+  }
+
+  render() {
+    const {
+      tree,
+      isTruncated,
+      domWrites,
+      elements,
+      isPageUnavailable,
+    } = this.state;
+    if (!tree) {
+      return <div className="impact-tree">Loading...</div>;
+    }
+    return (
+      <div className="impact-tree">
+        <div className="impact-tree__title">Shown in the page:</div>
+        {elements === null && !isPageUnavailable && <div>Loading...</div>}
+        {isPageUnavailable && <div>(Couldn't reach the inspected page)</div>}
+        {elements && elements.length === 0 && (
+          <div>(No DOM elements found)</div>
+        )}
+        {elements &&
+          elements.map((element, i) => (
+            <div
+              key={i}
+              className="impact-tree__element"
+              onClick={() =>
+                window.parent.postMessage(
+                  { type: "inspectElement", selector: element.selector },
+                  "*"
+                )
+              }
+            >
+              <code>{element.selector}</code> {element.part}
+            </div>
+          ))}
+        <div className="impact-tree__title">Written to the DOM:</div>
+        {domWrites.length === 0 && <div>(Not written to the DOM)</div>}
+        {domWrites.map((domWrite) => (
+          <div
+            key={domWrite.logIndex}
+            className="impact-tree__element"
+            onClick={() =>
+              selectAndTraverse(domWrite.logIndex, 0, "traversalStep")
+            }
+          >
+            <code>{domWrite.element}</code> {domWrite.part}
+          </div>
+        ))}
+        <div className="impact-tree__title">Derived values:</div>
+        {tree.children.length === 0 && <div>(Value isn't used)</div>}
+        {tree.children.map((child) => (
+          <ImpactNode key={child.logIndex} node={child} />
+        ))}
+        {isTruncated && (
+          <div className="impact-tree__truncated">
+            Only showing the first results
+          </div>
+        )}
+      </div>
+    );
+  }
+}
@@ -0,0 +1,93 @@
+import * as React from "react";
+import { selectAndTraverse } from "./actions";
+import { loadOriginRuns } from "./api";
+import "./OriginBreakdown.scss";
+
+const RUN_COLORS = ["#fde2a7", "#c8e6c9", "#bbdefb", "#f8bbd0", "#d1c4e9"];
+
+type OriginBreakdownProps = {
+  logIndex: number;
+};
+type OriginBreakdownState = {
+  runs: any[] | null;
+  isLoading: boolean;
+};
+
+export default class OriginBreakdown extends React.Component<
+  OriginBreakdownProps,
+  OriginBreakdownState
+> {
+  state = {
+    runs: null,
+    isLoading: false,
+  } as OriginBreakdownState;
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.logIndex !== this.props.logIndex) {
+      this.setState({ runs: null, isLoading: false });
+    }
+  }
+
+  load() {
+    const { logIndex } = this.props;
+    this.setState({ isLoading: true });
+    loadOriginRuns(logIndex).then((res) => {
+      if (logIndex !== this.props.logIndex) {
+        return;
+      }
+      this.setState({ runs: res ? res.runs : null, isLoading: false });
+    });
+  }
+
+  render() {
+    const { runs, isLoading } = this.state;
+    if (!runs) {
+      return (
+        <button
+          className="blue-button"
+          disabled={isLoading}
+          onClick={() => this.load()}
+        >
+          {isLoading ? "Loading..." : "Show origin of every character"}
+        </button>
+      );
+    }
+
+    const getColor = (i) => RUN_COLORS[i % RUN_COLORS.length];
+    return (
+      <div className="origin-breakdown">
+        <div className="origin-breakdown__string">
+          {runs.map((run, i) => (
+            <span
+              key={run.start}
+              className="origin-breakdown__segment"
+              style={{ background: getColor(i) }}
+              title={run.operation + (run.detail ? " " + run.detail : "")}
+              onClick={() =>
+                selectAndTraverse(
+                  this.props.logIndex,
+                  run.start,
+                  "traversalStep"
+                )
+              }
+            >
+              {run.text}
+            </span>
+          ))}
+        </div>
+        {runs.map((run, i) => (
+          <div key={run.start} className="origin-breakdown__run">
+            <span
+              className="origin-breakdown__color"
+              style={{ background: getColor(i) }}
+            />
+            <code>{JSON.stringify(run.text)}</code> from {run.operation}
+            {run.detail && (
+              <span className="origin-breakdown__detail"> {run.detail}</span>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  }
+}
@@ -0,0 +1,118 @@
+import * as React from "react";
+import operations from "../../core/src/operations";
+import { selectAndTraverse } from "./actions";
+import { searchLogs } from "./api";
+import "./Search.scss";
+
+type SearchState = {
+  q: string;
+  operation: string;
+  url: string;
+  hits: any[];
+  nextCursor: string | null;
+  isSearching: boolean;
+  hasSearched: boolean;
+};
+
+export default class Search extends React.Component<{}, SearchState> {
+  state = {
+    q: "",
+    operation: "",
+    url: "",
+    hits: [],
+    nextCursor: null,
+    isSearching: false,
+    hasSearched: false,
+  } as SearchState;
+
+  search(after?: string) {
+    const { q, operation, url } = this.state;
+    if (!q) {
+      return;
+    }
+    this.setState({ isSearching: true });
+    searchLogs({ q, operation, url, after }).then((res) => {
+      if (!res) {
+        this.setState({ isSearching: false });
+        return;
+      }
+      this.setState({
+        hits: after ? [...this.state.hits, ...res.hits] : res.hits,
+        nextCursor: res.nextCursor,
+        isSearching: false,
+        hasSearched: true,
+      });
+    });
+  }
+
+  render() {
+    const { hits, nextCursor, isSearching, hasSearched } = this.state;
+    return (
+      <div className="search">
+        <form
+          className="search__form"
+          onSubmit={(e) => {
+            e.preventDefault();
+            this.search();
+          }}
+        >
+          <input
+            className="search__query"
+            placeholder="Find values containing..."
+            value={this.state.q}
+            onChange={(e) => this.setState({ q: e.target.value })}
+          />
+          <select
+            value={this.state.operation}
+            onChange={(e) => this.setState({ operation: e.target.value })}
+          >
+            <option value="">Any operation</option>
+            {Object.keys(operations)
+              .sort()
+              .map((operation) => (
+                <option key={operation} value={operation}>
+                  {operation}
+                </option>
+              ))}
+          </select>
+          <input
+            placeholder="Script URL contains..."
+            value={this.state.url}
+            onChange={(e) => this.setState({ url: e.target.value })}
+          />
+          <button className="blue-button" type="submit" disabled={isSearching}>
+            Search
+          </button>
+        </form>
+        {hasSearched && hits.length === 0 && (
+          <div className="search__no-hits">No matching values found</div>
+        )}
+        {hits.map((hit) => (
+          <div
+            className="search__hit"
+            key={hit.logIndex}
+            onClick={() =>
+              selectAndTraverse(hit.logIndex, hit.charIndex, "traversalStep")
+            }
+          >
+            <code className="search__hit-preview">{hit.preview}</code>
+            <div className="search__hit-details">
+              {hit.operation}
+              {hit.loc &&
+                ` – ${hit.loc.url}:${hit.loc.line}:${hit.loc.column + 1}`}
+            </div>
+          </div>
+        ))}
+        {nextCursor && (
+          <button
+            className="blue-button"
+            disabled={isSearching}
+            onClick={() => this.search(nextCursor)}
+          >
+            Load more
+          </button>
+        )}
+      </div>
+    );
+  }
+}
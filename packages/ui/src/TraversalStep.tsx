@@ -9,6 +9,7 @@ import { truncate } from "lodash";
 import { selectAndTraverse } from "./actions";
 import * as cx from "classnames";
 import "./TraversalStep.scss";
+import ImpactTree from "./ImpactTree";
 import OperationLog from "../../core/src/helperFunctions/OperationLog";
 import { adjustColumnForEscapeSequences } from "../../core/src/adjustColumnForEscapeSequences";
 
@@ -24,12 +25,15 @@ function getFileNameFromPath(path) {
 type TraversalStepProps = {
   step: any;
   debugMode?: boolean;
+  // Steps from other iframes or workers are labelled with their URL
+  inspectedFrameUrl?: string | null;
 };
 type TraversalStepState = {
   stackFrame: any;
   logResult: any;
   showLogJson: boolean;
   showTree: boolean;
+  showImpact: boolean;
   isExpanded: boolean;
   isHovering: boolean;
 };
@@ -44,6 +48,7 @@ let TraversalStep = class TraversalStep extends React.Component<
       stackFrame: null,
       showLogJson: false,
       showTree: false,
+      showImpact: false,
       isExpanded: false,
       isHovering: false,
     };
@@ -87,7 +92,13 @@ let TraversalStep = class TraversalStep extends React.Component<
   render() {
     const { step, debugMode } = this.props;
     let { charIndex, operationLog } = step;
-    const { showTree, showLogJson, stackFrame, logResult } = this.state;
+    const {
+      showTree,
+      showImpact,
+      showLogJson,
+      stackFrame,
+      logResult,
+    } = this.state;
     let { isExpanded } = this.state;
     let code;
     let fileName, columnNumber, lineNumber;
@@ -173,7 +184,11 @@ let TraversalStep = class TraversalStep extends React.Component<
             operationLog.loc.end.column
           );
         }
-      } else if (operationLog.operation === "callExpression") {
+      } else if (
+        ["callExpression", "optionalCallExpression"].includes(
+          operationLog.operation
+        )
+      ) {
         const knownValue = operationLog.args.function.result.knownValue;
         if (
           (knownValue === "Function.prototype.call" ||
@@ -181,10 +196,25 @@ let TraversalStep = class TraversalStep extends React.Component<
           operationLog.args.context.result.knownValue
         ) {
           operationTypeDetail = operationLog.args.context.result.knownValue;
+        } else if (
+          knownValue === "Map.prototype.get" &&
+          operationLog.args.arg0
+        ) {
+          const key = operationLog.args.arg0.result;
+          operationTypeDetail =
+            "Map.get(" +
+            (key.type === "string"
+              ? "'" + key.primitive + "'"
+              : key.primitive) +
+            ")";
         } else if (knownValue) {
           operationTypeDetail = knownValue;
         }
-      } else if (operationLog.operation === "memberExpression") {
+      } else if (
+        ["memberExpression", "optionalMemberExpression"].includes(
+          operationLog.operation
+        )
+      ) {
         const knownValue = operationLog.args.object.result.knownValue;
         if (knownValue) {
           operationTypeDetail = knownValue;
@@ -216,6 +246,26 @@ let TraversalStep = class TraversalStep extends React.Component<
         operationTypeDetail = operationLog.runtimeArgs.url;
       } else if (operationLog.operation === "XMLHttpRequest.responseText") {
         operationTypeDetail = operationLog.runtimeArgs.url;
+      } else if (
+        ["webSocketMessage", "eventSourceMessage"].includes(
+          operationLog.operation
+        )
+      ) {
+        const { messageNumber, url } = operationLog.runtimeArgs;
+        operationTypeDetail = messageNumber
+          ? "#" + messageNumber + " on " + url
+          : url;
+      } else if (operationLog.operation === "urlPart") {
+        operationTypeDetail = operationLog.runtimeArgs.url;
+      } else if (operationLog.operation === "blobText") {
+        operationTypeDetail =
+          operationLog.runtimeArgs.url || operationLog.runtimeArgs.fileName;
+      } else if (operationLog.operation === "storageValue") {
+        const { storage, key } = operationLog.runtimeArgs;
+        operationTypeDetail = storage + '["' + key + '"]';
+      } else if (operationLog.operation === "indexedDBValue") {
+        const { objectStore, key } = operationLog.runtimeArgs;
+        operationTypeDetail = objectStore + " " + JSON.stringify(key);
       } else if (operationLog.operation === "readFileSyncResult") {
         operationTypeDetail = operationLog.runtimeArgs.filePath
           .split("/")
@@ -279,7 +329,11 @@ let TraversalStep = class TraversalStep extends React.Component<
 
     let opNameToShow =
       operationLog.operation[0].toUpperCase() + operationLog.operation.slice(1);
-    if (operationLog.operation === "genericOperation") {
+    if (
+      ["genericOperation", "urlPart", "domRead", "attributeChange"].includes(
+        operationLog.operation
+      )
+    ) {
       opNameToShow = operationLog.runtimeArgs.name;
     }
 
@@ -317,6 +371,11 @@ let TraversalStep = class TraversalStep extends React.Component<
               fileNameLabel
             )}
           </span>
+          {step.frameUrl && step.frameUrl !== this.props.inspectedFrameUrl && (
+            <span className="step__frame-url" title={step.frameUrl}>
+              in {getFileNameFromPath(step.frameUrl)}
+            </span>
+          )}
           <div style={{ flexGrow: 1, textAlign: "right" }}>
             <button
               data-test-arguments-button
@@ -440,6 +499,15 @@ let TraversalStep = class TraversalStep extends React.Component<
                     )}
                   </div>
                 )}
+              <div style={{ padding: 6 }}>
+                <button
+                  className="blue-button"
+                  onClick={() => this.setState({ showImpact: !showImpact })}
+                >
+                  {showImpact ? "Hide uses" : "Show where this value is used"}
+                </button>
+              </div>
+              {showImpact && <ImpactTree logIndex={operationLog.index} />}
               <pre>
                 Runtime args:
                 {JSON.stringify(
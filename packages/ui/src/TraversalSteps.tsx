@@ -5,6 +5,7 @@ import * as cx from "classnames";
 import { toggleShowFullDataFlow, toggleShowDOMStep } from "./actions";
 import ItemWithTitle from "./ItemWithTitle";
 import { ErrorBoundary } from "./ErrorBoundary";
+import OriginBreakdown from "./OriginBreakdown";
 
 type TraversalStepsProps = {
   steps?: any[];
@@ -114,6 +115,11 @@ let TraversalSteps = class TraversalSteps extends React.Component<
 
     return (
       <div style={{ opacity: this.props.isTraversing ? 0.5 : 1, padding: 10 }}>
+        <div style={{ marginBottom: 20 }}>
+          <ErrorBoundary>
+            <OriginBreakdown logIndex={steps[0].operationLog.index} />
+          </ErrorBoundary>
+        </div>
         <ItemWithTitle>
           <div>Value origin</div>
           <div>
@@ -121,6 +127,7 @@ let TraversalSteps = class TraversalSteps extends React.Component<
               <TraversalStep
                 key={steps[steps.length - 1].operationLog.index}
                 step={steps[steps.length - 1]}
+                inspectedFrameUrl={steps[0].frameUrl}
               />
             </ErrorBoundary>
           </div>
@@ -136,6 +143,7 @@ let TraversalSteps = class TraversalSteps extends React.Component<
                       key={step.operationLog.index}
                       step={step}
                       defaultCodeSurroundingLineCount={1}
+                      inspectedFrameUrl={steps[0].frameUrl}
                     />
                   </ErrorBoundary>
                 </div>
@@ -234,7 +242,11 @@ let TraversalSteps = class TraversalSteps extends React.Component<
             .map((step) => (
               <div style={{ marginBottom: 10 }}>
                 <ErrorBoundary>
-                  <TraversalStep key={step.operationLog.index} step={step} />
+                  <TraversalStep
+                    key={step.operationLog.index}
+                    step={step}
+                    inspectedFrameUrl={steps[0].frameUrl}
+                  />
                 </ErrorBoundary>
               </div>
             ))
@@ -128,6 +128,62 @@ export function loadSteps({ logId, charIndex }) {
   });
 }
 
+export function loadOriginRuns(logId) {
+  return callApi(`traverseRange?logId=${logId}`, {}, { method: "GET" });
+}
+
+export function searchLogs({ q, operation, url, after }) {
+  const params = new URLSearchParams({ q });
+  if (operation) {
+    params.set("operation", operation);
+  }
+  if (url) {
+    params.set("url", url);
+  }
+  if (after) {
+    params.set("after", after);
+  }
+  return callApi("api/search?" + params.toString(), {}, { method: "GET" });
+}
+
+export function loadImpactTree(logId) {
+  return callApi("api/impact/" + logId, {}, { method: "GET" });
+}
+
+let pageMessageRequestId = 0;
+const FIND_ELEMENTS_TIMEOUT = 5000;
+// The inspected page is the only place that knows which DOM elements show
+// which logs now. Resolves with null if the page doesn't answer, e.g. when
+// it's been closed or navigated away.
+export function findElementsShowingLogs(logIndices: number[]) {
+  if (window.parent === window) {
+    return Promise.resolve(null);
+  }
+  const requestId = ++pageMessageRequestId;
+  return new Promise<any[] | null>((resolve) => {
+    const timeout = setTimeout(() => {
+      window.removeEventListener("message", onMessage);
+      resolve(null);
+    }, FIND_ELEMENTS_TIMEOUT);
+    function onMessage(e) {
+      if (
+        e.source === window.parent &&
+        e.data.type === "elementsShowingLogs" &&
+        e.data.requestId === requestId
+      ) {
+        clearTimeout(timeout);
+        window.removeEventListener("message", onMessage);
+        resolve(e.data.elements);
+      }
+    }
+    window.addEventListener("message", onMessage);
+    window.parent.postMessage(
+      { type: "findElementsShowingLogs", requestId, logIndices },
+      "*"
+    );
+  });
+}
+
 export function loadLogResult(logId, inspectedCharIndex) {
   return callApi(
     "logResult/" + logId + "/" + inspectedCharIndex,
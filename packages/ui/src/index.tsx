@@ -18,6 +18,7 @@ import { callApi, loadSteps } from "./api";
 import * as Baobab from "baobab";
 import { branch, root } from "baobab-react/higher-order";
 import DomInspector from "./DomInspector";
+import Search from "./Search";
 import * as cx from "classnames";
 
 window["__debugActions"] = actions;
@@ -173,6 +174,7 @@ let App = class extends React.Component<any, any> {
         <div className="app-content">
           <div className="app__inspector">
             {!props.isInspectingDemoApp && welcome}
+            <Search />
             <DomInspector />
             <TraversalSteps />
           </div>